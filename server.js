@@ -16,6 +16,11 @@ console.log("✅ Puppeteer-extra with stealth plugin imported");
 
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import { EventEmitter } from "events";
+import { AsyncLocalStorage } from "async_hooks";
 console.log("✅ Core modules imported");
 
 const app = express();
@@ -25,10 +30,24 @@ console.log("✅ Express app created and middleware configured");
 // Setup logging to file
 const LOG_DIR = "/tmp";
 const LOG_FILE = path.join(LOG_DIR, "booking-server.log");
+const MAX_RUN_LOG_LINES = 2000;
+
+// Tracks which booking run the current async call chain belongs to, so log
+// lines and clicks land in that run's context (see createRunContext)
+const runStorage = new AsyncLocalStorage();
 
 // Helper to log to both console and file
+// Inside a booking run the line is tagged with the run ID and kept on the run
 const logToFile = (message) => {
   const timestamp = new Date().toISOString();
+  const run = runStorage.getStore();
+  if (run) {
+    message = `[run ${run.id}] ${message}`;
+    run.logLines.push(`[${timestamp}] ${message}`);
+    if (run.logLines.length > MAX_RUN_LOG_LINES) {
+      run.logLines.shift();
+    }
+  }
   const logMessage = `[${timestamp}] ${message}\n`;
   console.log(message); // Always log to console first
   // Try to log to file, but don't crash if it fails
@@ -46,28 +65,69 @@ const logToFile = (message) => {
 
 // Constants
 const TIMEOUT = 10000;
-const CUSTOMER_NAME = "Fitpass One"; // Will try Fitpass One, Two, Three, etc. up to Twenty if not available
-const PLAN_SELECTOR = "div:nth-of-type(32)"; // Fitpass Check-in plan
+// Placeholder accounts tried in order when a gym has no customer pool configured:
+// the email-style "fitpass1", then "Fitpass Two" through "Fitpass Twenty"
+const DEFAULT_CUSTOMER_POOL = ["fitpass1", ...["Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten",
+  "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen", "Eighteen", "Nineteen", "Twenty"]
+  .map(word => `Fitpass ${word}`)];
 
 // Utilities
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-// Global click counter for debugging
-let clickCounter = 0;
-const clickLog = [];
+// Whole number from an environment variable, or `fallback` when it is unset
+// or not a number (parseInt would give NaN, which every comparison fails)
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Resolves with the promise's value, or with `fallback` after ms if that comes
+// first. Unlike racing sleep(), the timer is cleared once the promise settles.
+const settleWithin = (promise, ms, fallback = null) => {
+  let timer;
+  const timeout = new Promise((r) => { timer = setTimeout(() => r(fallback), ms); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Per-run context - every booking run gets its own ID, click counter/log, step
+// timings, screenshot list and log lines, so concurrent runs never share state
+const createRunContext = ({ onProgress } = {}) => ({
+  id: crypto.randomBytes(6).toString('hex'),
+  startedAt: new Date().toISOString(),
+  clickCount: 0,
+  clickLog: [],
+  steps: [],
+  screenshots: [],
+  logLines: [],
+  onProgress
+});
+
+// Progress events (step start/finish/fail, clicks, screenshots) for live streaming
+const emitRunProgress = (run, type, data = {}) => {
+  if (!run?.onProgress) return;
+  try {
+    run.onProgress({ type, at: new Date().toISOString(), ...data });
+  } catch (e) {
+    // A broken listener must never break the booking
+  }
+};
 
-// Helper function to log clicks
+// Helper function to log clicks against the current run
 const logClick = (location, selector, method) => {
-  clickCounter++;
+  const run = runStorage.getStore();
+  const count = run ? ++run.clickCount : 0;
   const logEntry = {
-    count: clickCounter,
+    count,
     timestamp: new Date().toISOString(),
     location,
     selector: selector?.substring(0, 100) || 'unknown',
     method
   };
-  clickLog.push(logEntry);
-  const logMessage = `[CLICK #${clickCounter}] ${location} - Method: ${method}, Selector: ${selector?.substring(0, 50) || 'unknown'}`;
+  if (run) {
+    run.clickLog.push(logEntry);
+    emitRunProgress(run, 'click', logEntry);
+  }
+  const logMessage = `[CLICK #${count}] ${location} - Method: ${method}, Selector: ${selector?.substring(0, 50) || 'unknown'}`;
   logToFile(logMessage);
 };
 
@@ -220,7 +280,7 @@ async function clickElement(page, selectors, options = {}) {
     }
   }
   
-  throw new Error(`Could not click element with selectors: ${selectors.join(', ')}. Last error: ${lastError?.message || 'All selectors failed'}`);
+  throw bookingError('ELEMENT_NOT_FOUND', `Could not click element with selectors: ${selectors.join(', ')}. Last error: ${lastError?.message || 'All selectors failed'}`);
 }
 
 // Helper function to fill an input using Puppeteer (fast fill for email/password)
@@ -295,18 +355,21 @@ async function fillInput(page, selectors, value, options = {}) {
       }
     }
   
-    throw new Error(`Could not fill input with selectors: ${selectors.join(', ')}`);
+    throw bookingError('ELEMENT_NOT_FOUND', `Could not fill input with selectors: ${selectors.join(', ')}`);
 }
 
-// Main booking function
-async function bookClass({
-  email,
-  password,
-  gymName,
-  targetDate,
-  targetTime,
-  DEBUG = false
-}) {
+// Debug logger for the browser flows - always to console, to the log file when DEBUG
+const createDebugLog = (DEBUG) => (...a) => {
+  console.log(...a);
+  if (DEBUG) {
+    const message = `[DEBUG] ${a.map(x => typeof x === 'object' ? JSON.stringify(x) : String(x)).join(' ')}`;
+    logToFile(message);
+  }
+};
+
+// Launches a stealth-configured Chromium and opens the page the flows drive.
+// Returns a logged-out session; loginToKenko() (or the session pool) takes it from there.
+async function launchBrowserSession({ DEBUG = false } = {}) {
   // IMPORTANT: Clean up environment variables FIRST, before anything else
   // This prevents Puppeteer from detecting X11/D-Bus on Railway/containers
   const displayBefore = process.env.DISPLAY || 'not set';
@@ -315,25 +378,7 @@ async function bookClass({
   delete process.env.DBUS_SESSION_BUS_ADDRESS;
   delete process.env.DBUS_SYSTEM_BUS_ADDRESS;
   
-  // Reset click counter and log for each booking attempt
-  clickCounter = 0;
-  clickLog.length = 0;
-  logToFile(`[BOOKING START] Starting booking process. Click counter reset to 0.`);
-  
-  // Store screenshots for debugging
-  const screenshots = [];
-  
-  // Store selected customer name (will be set during customer selection)
-  let selectedCustomerName = null;
-  
-  const dlog = (...a) => {
-    console.log(...a);
-    if (DEBUG) {
-      const message = `[DEBUG] ${a.map(x => typeof x === 'object' ? JSON.stringify(x) : String(x)).join(' ')}`;
-      logToFile(message);
-    }
-  };
-  
+  const dlog = createDebugLog(DEBUG);
   dlog(`Environment cleanup: DISPLAY was ${displayBefore}, now deleted`);
   
   // Allow showing browser window for local testing
@@ -473,7 +518,7 @@ async function bookClass({
     dlog(`Error: ${launchError?.message}`);
     dlog(`Error details: ${JSON.stringify(launchError, null, 2)}`);
     const errorMsg = launchError?.message || String(launchError);
-    throw new Error(`Failed to launch the browser process! ${errorMsg}\n\nTROUBLESHOOTING: https://pptr.dev/troubleshooting`);
+    throw bookingError('BROWSER_LAUNCH_FAILED', `Failed to launch the browser process! ${errorMsg}\n\nTROUBLESHOOTING: https://pptr.dev/troubleshooting`);
   }
 
   const page = await browser.newPage();
@@ -728,6 +773,53 @@ async function bookClass({
     }
   });
   
+  // Override permissions (for both domains)
+  const context = browser.defaultBrowserContext();
+  await context.overridePermissions('https://partners.gokenko.com', [
+    'geolocation',
+    'notifications',
+  ]);
+  await context.overridePermissions('https://kenko.app', [
+    'geolocation',
+    'notifications',
+  ]);
+  
+  dlog("✓ Page configured with stealth plugin");
+  
+  // Small delay to ensure page is stable
+  await sleep(500);
+  page.setDefaultTimeout(TIMEOUT);
+
+  const session = {
+    id: crypto.randomBytes(6).toString('hex'),
+    key: null,
+    browser,
+    page,
+    loggedIn: false,
+    homeUrl: null, // Page the app lands on after login (the calendar)
+    uses: 0,
+    createdAt: Date.now(),
+    lastUsedAt: Date.now(),
+    run: null // Run currently driving the session
+  };
+
+  // Log page events against whichever run is using the session right now
+  const logPageEvent = (message) => runStorage.run(session.run || undefined, () => logToFile(message));
+  page.on("console", (msg) => logPageEvent(`[PAGE] ${msg.text()}`));
+  page.on("requestfailed", (r) => logPageEvent(`[REQ FAIL] ${r.url()} ${r.failure()?.errorText}`));
+
+  return session;
+}
+
+// Per-run helpers bound to a page: step timing, screenshots and the
+// human-like interaction helpers shared by the flows
+function createFlowContext({ page, run, DEBUG = false }) {
+  const dlog = createDebugLog(DEBUG);
+  const emitProgress = (type, data = {}) => emitRunProgress(run, type, data);
+  
+  // Store screenshots for debugging (kept on the run context)
+  const screenshots = run.screenshots;
+  
   // Add human-like mouse movements and scrolling behavior
   // This makes the session look more realistic
   const simulateHumanBehavior = async () => {
@@ -937,31 +1029,16 @@ async function bookClass({
     }
   };
   
-  // Override permissions (for both domains)
-  const context = browser.defaultBrowserContext();
-  await context.overridePermissions('https://partners.gokenko.com', [
-    'geolocation',
-    'notifications',
-  ]);
-  await context.overridePermissions('https://kenko.app', [
-    'geolocation',
-    'notifications',
-  ]);
-  
-  dlog("✓ Page configured with stealth plugin");
-  
-  // Small delay to ensure page is stable
-  await sleep(500);
-  
   // Helper to take screenshot and store as base64 (must be after page is created)
   // Always saves screenshots for debugging, not just when DEBUG=true
   const takeScreenshot = async (name) => {
     try {
       const screenshot = await page.screenshot({ encoding: 'base64', fullPage: true });
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `screenshot-${name}-${timestamp}.png`;
+      const filename = `screenshot-${run.id}-${name}-${timestamp}.png`;
       
       screenshots.push({ name, data: `data:image/png;base64,${screenshot}`, filename });
+      emitProgress('screenshot', { name, filename });
       dlog(`Screenshot captured: ${name} (${filename})`);
       
       // Also save to /tmp directory for Railway debugging (accessible via web endpoint)
@@ -981,451 +1058,441 @@ async function bookClass({
       return null;
     }
   };
-  page.setDefaultTimeout(TIMEOUT);
-
-  // Log page events
-  page.on("console", (msg) => logToFile(`[PAGE] ${msg.text()}`));
-  page.on("requestfailed", (r) => logToFile(`[REQ FAIL] ${r.url()} ${r.failure()?.errorText}`));
 
   const step = async (label, fn) => {
     logToFile(`➡️ ${label}`);
+    emitProgress('step', { phase: 'start', label });
+    const timing = { label, startedAt: new Date().toISOString(), durationMs: null, status: 'running' };
+    run.steps.push(timing);
     const t = Date.now();
     try {
       const r = await fn();
-      logToFile(`✅ ${label} ${Date.now() - t}ms`);
+      timing.durationMs = Date.now() - t;
+      timing.status = 'ok';
+      logToFile(`✅ ${label} ${timing.durationMs}ms`);
+      emitProgress('step', { phase: 'finish', label, durationMs: timing.durationMs });
       return r;
     } catch (e) {
+      timing.durationMs = Date.now() - t;
+      timing.status = 'failed';
+      timing.error = e?.message || String(e);
       logToFile(`❌ ${label} ${e?.message || e}`);
+      emitProgress('step', { phase: 'fail', label, durationMs: timing.durationMs, error: timing.error });
+      if (e && typeof e === 'object' && !e.step) e.step = label; // Innermost step wins
       throw e;
     }
   };
 
-  try {
-    // Step 1: Navigate to login page
-    await step("Navigate to login", async () => {
-      await page.setViewport({ width: 1920, height: 1080 }); // Use realistic viewport
-      dlog("Navigating to login page");
-      await page.goto("https://partners.gokenko.com/login", { 
-        waitUntil: "domcontentloaded",
-        timeout: 30000 
-      });
-      dlog("Page loaded");
-      
-      // Verify stealth is working - check if webdriver is hidden
-      const webdriverCheck = await page.evaluate(() => {
-        return {
-          webdriver: navigator.webdriver,
-          userAgent: navigator.userAgent,
-          plugins: navigator.plugins.length,
-          languages: navigator.languages,
-          chrome: !!window.chrome
-        };
-      });
-      dlog(`Stealth check: webdriver=${webdriverCheck.webdriver}, chrome=${webdriverCheck.chrome}, plugins=${webdriverCheck.plugins}`);
-      logToFile(`[STEALTH] webdriver=${webdriverCheck.webdriver}, chrome=${webdriverCheck.chrome}, plugins=${webdriverCheck.plugins}`);
-      
-      await sleep(1000); // Wait for page to fully render and scripts to load
+  return {
+    page,
+    run,
+    DEBUG,
+    dlog,
+    emitProgress,
+    step,
+    takeScreenshot,
+    simulateHumanBehavior,
+    humanDelay,
+    humanThinkingDelay,
+    humanLikeClick
+  };
+}
+
+// Steps 1-5: log in to partners.gokenko.com (gym search, email, password).
+// Leaves the page on the calendar the app opens after login.
+async function loginToKenko(flow, { email, password, gymName }) {
+  const { page, run, DEBUG, dlog, step, takeScreenshot, simulateHumanBehavior } = flow;
+
+  // Step 1: Navigate to login page
+  await step("Navigate to login", async () => {
+    await page.setViewport({ width: 1920, height: 1080 }); // Use realistic viewport
+    dlog("Navigating to login page");
+    await page.goto("https://partners.gokenko.com/login", { 
+      waitUntil: "domcontentloaded",
+      timeout: 30000 
+    });
+    dlog("Page loaded");
+    
+    // Verify stealth is working - check if webdriver is hidden
+    const webdriverCheck = await page.evaluate(() => {
+      return {
+        webdriver: navigator.webdriver,
+        userAgent: navigator.userAgent,
+        plugins: navigator.plugins.length,
+        languages: navigator.languages,
+        chrome: !!window.chrome
+      };
     });
+    dlog(`Stealth check: webdriver=${webdriverCheck.webdriver}, chrome=${webdriverCheck.chrome}, plugins=${webdriverCheck.plugins}`);
+    logToFile(`[STEALTH] webdriver=${webdriverCheck.webdriver}, chrome=${webdriverCheck.chrome}, plugins=${webdriverCheck.plugins}`);
+    
+    await sleep(1000); // Wait for page to fully render and scripts to load
+  });
 
-    // Step 2: Enter gym location (it's a text input, not a dropdown)
-    await step("Enter gym location", async () => {
-      // Wait for the input field to be visible - use the same selector as reference
-      // Reference code uses: input[placeholder*="Search for your business"]
-      dlog("Waiting for gym name input field");
-      
-      const inputSelectors = [
-        'input[placeholder*="Search for your business"]', // Same as reference
-        'input[placeholder*="search for your business"]',
-        'input[placeholder*="Search"]',
-        'input[placeholder*="search"]',
-        '#radix-\\:r2\\: input',  // Input inside the radix component
-        '#radix-\\:r2\\:',         // The radix component itself
-        'input[type="text"]',
-        'input[type="search"]',
-        '[id*="radix"] input',
-        'input[role="combobox"]',
-        'input[role="searchbox"]'
-      ];
-      
-      // Try waiting for each selector (like reference does)
-      let inputElement = null;
-      let foundSelector = null;
-      
-      for (const selector of inputSelectors) {
+  // Step 2: Enter gym location (it's a text input, not a dropdown)
+  await step("Enter gym location", async () => {
+    // Wait for the input field to be visible - use the same selector as reference
+    // Reference code uses: input[placeholder*="Search for your business"]
+    dlog("Waiting for gym name input field");
+    
+    const inputSelectors = [
+      'input[placeholder*="Search for your business"]', // Same as reference
+      'input[placeholder*="search for your business"]',
+      'input[placeholder*="Search"]',
+      'input[placeholder*="search"]',
+      '#radix-\\:r2\\: input',  // Input inside the radix component
+      '#radix-\\:r2\\:',         // The radix component itself
+      'input[type="text"]',
+      'input[type="search"]',
+      '[id*="radix"] input',
+      'input[role="combobox"]',
+      'input[role="searchbox"]'
+    ];
+    
+    // Try waiting for each selector (like reference does)
+    let inputElement = null;
+    let foundSelector = null;
+    
+    for (const selector of inputSelectors) {
+      try {
+        dlog(`Waiting for input with selector: ${selector}`);
+        await page.waitForSelector(selector, { visible: true, timeout: 2000 });
+        const elements = await page.$$(selector);
+        
+        for (const element of elements) {
+          const isVisible = await element.isVisible().catch(() => false);
+          if (isVisible) {
+            inputElement = element;
+            foundSelector = selector;
+            dlog(`Found visible input with selector: ${selector}`);
+            break;
+          }
+        }
+        
+        if (inputElement) break;
+      } catch (e) {
+        dlog(`Selector ${selector} not found: ${e?.message}`);
+        continue;
+      }
+    }
+    
+    // If no input found with waitForSelector, try direct search
+    if (!inputElement) {
+      dlog("Direct wait didn't find input, searching all inputs on page");
+      const allInputs = await page.$$('input');
+      for (const input of allInputs) {
         try {
-          dlog(`Waiting for input with selector: ${selector}`);
-          await page.waitForSelector(selector, { visible: true, timeout: 2000 });
-          const elements = await page.$$(selector);
-          
-          for (const element of elements) {
-            const isVisible = await element.isVisible().catch(() => false);
-            if (isVisible) {
-              inputElement = element;
-              foundSelector = selector;
-              dlog(`Found visible input with selector: ${selector}`);
-              break;
-            }
+          const isVisible = await input.isVisible().catch(() => false);
+          const tagName = await input.evaluate(el => el.tagName).catch(() => '');
+          if (isVisible && tagName === 'INPUT') {
+            inputElement = input;
+            dlog("Found input by searching all inputs");
+            break;
           }
-          
-          if (inputElement) break;
         } catch (e) {
-          dlog(`Selector ${selector} not found: ${e?.message}`);
           continue;
         }
       }
-      
-      // If no input found with waitForSelector, try direct search
-      if (!inputElement) {
-        dlog("Direct wait didn't find input, searching all inputs on page");
-        const allInputs = await page.$$('input');
-        for (const input of allInputs) {
-          try {
-            const isVisible = await input.isVisible().catch(() => false);
-            const tagName = await input.evaluate(el => el.tagName).catch(() => '');
-            if (isVisible && tagName === 'INPUT') {
-              inputElement = input;
-              dlog("Found input by searching all inputs");
-              break;
-            }
-          } catch (e) {
-            continue;
-          }
+    }
+    
+    if (!inputElement) {
+      if (DEBUG) {
+        try {
+          await page.screenshot({ path: '/tmp/gym-input-debug.png', fullPage: true });
+          dlog("Screenshot saved to /tmp/gym-input-debug.png");
+        } catch (e) {
+          dlog(`Could not take screenshot: ${e?.message}`);
         }
       }
-      
-      if (!inputElement) {
-        if (DEBUG) {
-          try {
-            await page.screenshot({ path: '/tmp/gym-input-debug.png', fullPage: true });
-            dlog("Screenshot saved to /tmp/gym-input-debug.png");
-          } catch (e) {
-            dlog(`Could not take screenshot: ${e?.message}`);
-          }
-        }
-        throw new Error(`Could not find gym name input field. Tried selectors: ${inputSelectors.join(', ')}`);
+      throw bookingError('ELEMENT_NOT_FOUND', `Could not find gym name input field. Tried selectors: ${inputSelectors.join(', ')}`);
+    }
+    
+    // Click and fill the input - MUST type character by character for autocomplete to work
+    // Use page.type() like in the reference code
+    dlog("Clicking on gym name input field");
+    
+    // Set up network monitoring AND response interception for autocomplete API calls
+    const autocompleteRequests = [];
+    const autocompleteResponses = [];
+    
+    const requestHandler = (request) => {
+      const url = request.url();
+      if (url.includes('search') || url.includes('autocomplete') || url.includes('gym') || url.includes('business') || url.includes('location') || url.includes('partner')) {
+        dlog(`[NETWORK] Autocomplete request detected: ${url.substring(0, 150)}`);
+        autocompleteRequests.push({
+          url: url,
+          method: request.method(),
+          postData: request.postData(),
+          timestamp: Date.now()
+        });
       }
-      
-      // Click and fill the input - MUST type character by character for autocomplete to work
-      // Use page.type() like in the reference code
-      dlog("Clicking on gym name input field");
-      
-      // Set up network monitoring AND response interception for autocomplete API calls
-      const autocompleteRequests = [];
-      const autocompleteResponses = [];
-      
-      const requestHandler = (request) => {
-        const url = request.url();
-        if (url.includes('search') || url.includes('autocomplete') || url.includes('gym') || url.includes('business') || url.includes('location') || url.includes('partner')) {
-          dlog(`[NETWORK] Autocomplete request detected: ${url.substring(0, 150)}`);
-          autocompleteRequests.push({
+    };
+    
+    const responseHandler = async (response) => {
+      const url = response.url();
+      if (url.includes('search') || url.includes('autocomplete') || url.includes('gym') || url.includes('business') || url.includes('location') || url.includes('partner')) {
+        try {
+          const responseData = await response.json().catch(() => null);
+          dlog(`[NETWORK] Autocomplete response: ${url.substring(0, 150)}`);
+          logToFile(`[NETWORK] Response data: ${JSON.stringify(responseData).substring(0, 500)}`);
+          autocompleteResponses.push({
             url: url,
-            method: request.method(),
-            postData: request.postData(),
+            data: responseData,
             timestamp: Date.now()
           });
+        } catch (e) {
+          // Response might not be JSON
         }
-      };
+      }
+    };
+    
+    page.on('request', requestHandler);
+    page.on('response', responseHandler);
+    
+    const gymNameLower = gymName.toLowerCase();
+    dlog(`Typing gym name character by character: ${gymNameLower}`);
+    
+    // Type each character individually with proper event triggering for autocomplete
+    // Railway needs slower typing and explicit event dispatching to trigger autocomplete
+    if (foundSelector) {
+      dlog(`Using found selector for typing: ${foundSelector}`);
+      // Clear any existing text first
+      await page.click(foundSelector, { clickCount: 3 }); // Triple click to select all
+      await page.keyboard.press('Backspace');
+      await sleep(100); // Optimized: reduced from 200ms
       
-      const responseHandler = async (response) => {
-        const url = response.url();
-        if (url.includes('search') || url.includes('autocomplete') || url.includes('gym') || url.includes('business') || url.includes('location') || url.includes('partner')) {
-          try {
-            const responseData = await response.json().catch(() => null);
-            dlog(`[NETWORK] Autocomplete response: ${url.substring(0, 150)}`);
-            logToFile(`[NETWORK] Response data: ${JSON.stringify(responseData).substring(0, 500)}`);
-            autocompleteResponses.push({
-              url: url,
-              data: responseData,
-              timestamp: Date.now()
-            });
-          } catch (e) {
-            // Response might not be JSON
-          }
+      // Focus the input
+      await page.focus(foundSelector);
+      await sleep(100); // Optimized: reduced from 200ms
+      
+      // CRITICAL: Type character by character using ONLY keyboard.type() to trigger autocomplete
+      // Railway needs slower, more realistic typing - don't set value directly, let keyboard.type() do it
+      dlog(`Typing "${gymNameLower}" character by character (Railway-optimized, keyboard only)...`);
+      
+      // Ensure input is focused and ready - click first to ensure it's active
+      await page.click(foundSelector);
+      await sleep(100); // Optimized: reduced from 200ms
+      await page.focus(foundSelector);
+      await sleep(150); // Optimized: reduced from 300ms
+      
+      // Trigger focus event to ensure autocomplete is listening
+      await page.evaluate((selector) => {
+        const input = document.querySelector(selector);
+        if (input) {
+          input.focus();
+          input.dispatchEvent(new Event('focus', { bubbles: true }));
+          input.dispatchEvent(new Event('click', { bubbles: true }));
+          input.dispatchEvent(new Event('mousedown', { bubbles: true }));
+          input.dispatchEvent(new Event('mouseup', { bubbles: true }));
         }
-      };
+      }, foundSelector);
+      await sleep(150); // Optimized: reduced from 300ms
       
-      page.on('request', requestHandler);
-      page.on('response', responseHandler);
+      // CRITICAL: Type each character with FULL event sequence (keydown -> keypress -> input -> keyup)
+      // This simulates REAL human typing - Railway needs this level of realism to trigger autocomplete
+      dlog(`Typing "${gymNameLower}" with full event sequence (Railway-optimized, ultra-realistic)...`);
       
-      const gymNameLower = gymName.toLowerCase();
-      dlog(`Typing gym name character by character: ${gymNameLower}`);
-      
-      // Type each character individually with proper event triggering for autocomplete
-      // Railway needs slower typing and explicit event dispatching to trigger autocomplete
-      if (foundSelector) {
-        dlog(`Using found selector for typing: ${foundSelector}`);
-        // Clear any existing text first
-        await page.click(foundSelector, { clickCount: 3 }); // Triple click to select all
-        await page.keyboard.press('Backspace');
-        await sleep(100); // Optimized: reduced from 200ms
-        
-        // Focus the input
-        await page.focus(foundSelector);
-        await sleep(100); // Optimized: reduced from 200ms
-        
-        // CRITICAL: Type character by character using ONLY keyboard.type() to trigger autocomplete
-        // Railway needs slower, more realistic typing - don't set value directly, let keyboard.type() do it
-        dlog(`Typing "${gymNameLower}" character by character (Railway-optimized, keyboard only)...`);
-        
-        // Ensure input is focused and ready - click first to ensure it's active
-        await page.click(foundSelector);
-        await sleep(100); // Optimized: reduced from 200ms
-        await page.focus(foundSelector);
-        await sleep(150); // Optimized: reduced from 300ms
-        
-        // Trigger focus event to ensure autocomplete is listening
-        await page.evaluate((selector) => {
+      for (let i = 0; i < gymNameLower.length; i++) {
+        const char = gymNameLower[i];
+        const charCode = char.charCodeAt(0);
+        
+        // Generate random delay between characters (optimized for maximum speed)
+        // Base delay: 50-100ms (very fast typing)
+        const baseDelay = 50 + Math.random() * 50;
+        const occasionalPause = Math.random() < 0.05 ? 100 : 0; // 5% chance of longer pause
+        const delay = baseDelay + occasionalPause;
+        
+        dlog(`Typing character ${i+1}/${gymNameLower.length}: "${char}" (delay: ${Math.round(delay)}ms)`);
+        
+        // FULL EVENT SEQUENCE for each character (like a real human):
+        // 1. KeyDown event
+        await page.evaluate((selector, char, charCode) => {
           const input = document.querySelector(selector);
           if (input) {
-            input.focus();
-            input.dispatchEvent(new Event('focus', { bubbles: true }));
-            input.dispatchEvent(new Event('click', { bubbles: true }));
-            input.dispatchEvent(new Event('mousedown', { bubbles: true }));
-            input.dispatchEvent(new Event('mouseup', { bubbles: true }));
+            const keyDownEvent = new KeyboardEvent('keydown', {
+              key: char,
+              code: char.match(/[a-z]/i) ? `Key${char.toUpperCase()}` : char,
+              keyCode: charCode,
+              which: charCode,
+              bubbles: true,
+              cancelable: true
+            });
+            input.dispatchEvent(keyDownEvent);
           }
-        }, foundSelector);
-        await sleep(150); // Optimized: reduced from 300ms
+        }, foundSelector, char, charCode);
+        await sleep(20 + Math.random() * 30); // Optimized: reduced delay
         
-        // CRITICAL: Type each character with FULL event sequence (keydown -> keypress -> input -> keyup)
-        // This simulates REAL human typing - Railway needs this level of realism to trigger autocomplete
-        dlog(`Typing "${gymNameLower}" with full event sequence (Railway-optimized, ultra-realistic)...`);
+        // 2. KeyPress event
+        await page.evaluate((selector, char, charCode) => {
+          const input = document.querySelector(selector);
+          if (input) {
+            const keyPressEvent = new KeyboardEvent('keypress', {
+              key: char,
+              code: char.match(/[a-z]/i) ? `Key${char.toUpperCase()}` : char,
+              keyCode: charCode,
+              which: charCode,
+              bubbles: true,
+              cancelable: true
+            });
+            input.dispatchEvent(keyPressEvent);
+          }
+        }, foundSelector, char, charCode);
+        await sleep(15 + Math.random() * 15); // Optimized: reduced delay
         
-        for (let i = 0; i < gymNameLower.length; i++) {
-          const char = gymNameLower[i];
-          const charCode = char.charCodeAt(0);
-          
-          // Generate random delay between characters (optimized for maximum speed)
-          // Base delay: 50-100ms (very fast typing)
-          const baseDelay = 50 + Math.random() * 50;
-          const occasionalPause = Math.random() < 0.05 ? 100 : 0; // 5% chance of longer pause
-          const delay = baseDelay + occasionalPause;
-          
-          dlog(`Typing character ${i+1}/${gymNameLower.length}: "${char}" (delay: ${Math.round(delay)}ms)`);
-          
-          // FULL EVENT SEQUENCE for each character (like a real human):
-          // 1. KeyDown event
-          await page.evaluate((selector, char, charCode) => {
-            const input = document.querySelector(selector);
-            if (input) {
-              const keyDownEvent = new KeyboardEvent('keydown', {
-                key: char,
-                code: char.match(/[a-z]/i) ? `Key${char.toUpperCase()}` : char,
-                keyCode: charCode,
-                which: charCode,
-                bubbles: true,
-                cancelable: true
-              });
-              input.dispatchEvent(keyDownEvent);
-            }
-          }, foundSelector, char, charCode);
-          await sleep(20 + Math.random() * 30); // Optimized: reduced delay
-          
-          // 2. KeyPress event
-          await page.evaluate((selector, char, charCode) => {
-            const input = document.querySelector(selector);
-            if (input) {
-              const keyPressEvent = new KeyboardEvent('keypress', {
-                key: char,
-                code: char.match(/[a-z]/i) ? `Key${char.toUpperCase()}` : char,
-                keyCode: charCode,
-                which: charCode,
-                bubbles: true,
-                cancelable: true
-              });
-              input.dispatchEvent(keyPressEvent);
-            }
-          }, foundSelector, char, charCode);
-          await sleep(15 + Math.random() * 15); // Optimized: reduced delay
-          
-          // 3. Actually type the character using keyboard (this sets the value)
-          await page.keyboard.type(char, { delay: 0 }); // No delay here, we control timing manually
-          
-          // 4. Input event (fires when value changes)
-          await page.evaluate((selector) => {
-            const input = document.querySelector(selector);
-            if (input) {
-              const inputEvent = new Event('input', { bubbles: true, cancelable: true });
-              Object.defineProperty(inputEvent, 'target', { value: input, enumerable: true });
-              input.dispatchEvent(inputEvent);
-            }
-          }, foundSelector);
-          await sleep(20 + Math.random() * 30); // Optimized: reduced delay
-          
-          // 5. KeyUp event
-          await page.evaluate((selector, char, charCode) => {
-            const input = document.querySelector(selector);
-            if (input) {
-              const keyUpEvent = new KeyboardEvent('keyup', {
-                key: char,
-                code: char.match(/[a-z]/i) ? `Key${char.toUpperCase()}` : char,
-                keyCode: charCode,
-                which: charCode,
-                bubbles: true,
-                cancelable: true
-              });
-              input.dispatchEvent(keyUpEvent);
-            }
-          }, foundSelector, char, charCode);
-          
-          // Wait between characters - Railway needs time for autocomplete to process
-          // Optimized for speed: minimal wait between characters
-          const waitTime = i < 3 ? 150 + Math.random() * 100 : 100 + Math.random() * 100;
-          await sleep(waitTime);
-        }
+        // 3. Actually type the character using keyboard (this sets the value)
+        await page.keyboard.type(char, { delay: 0 }); // No delay here, we control timing manually
         
-        // Final input event to ensure autocomplete fires one more time
+        // 4. Input event (fires when value changes)
         await page.evaluate((selector) => {
           const input = document.querySelector(selector);
           if (input) {
             const inputEvent = new Event('input', { bubbles: true, cancelable: true });
             Object.defineProperty(inputEvent, 'target', { value: input, enumerable: true });
             input.dispatchEvent(inputEvent);
-            
-            // Also trigger compositionend (for autocomplete systems that listen to it)
-            const compositionEndEvent = new CompositionEvent('compositionend', { bubbles: true });
-            input.dispatchEvent(compositionEndEvent);
           }
         }, foundSelector);
-        await sleep(100); // Optimized: minimal wait after typing
+        await sleep(20 + Math.random() * 30); // Optimized: reduced delay
         
-        dlog("✓ Finished typing with keyboard.type() only");
+        // 5. KeyUp event
+        await page.evaluate((selector, char, charCode) => {
+          const input = document.querySelector(selector);
+          if (input) {
+            const keyUpEvent = new KeyboardEvent('keyup', {
+              key: char,
+              code: char.match(/[a-z]/i) ? `Key${char.toUpperCase()}` : char,
+              keyCode: charCode,
+              which: charCode,
+              bubbles: true,
+              cancelable: true
+            });
+            input.dispatchEvent(keyUpEvent);
+          }
+        }, foundSelector, char, charCode);
         
-        // Log network requests detected
-        if (autocompleteRequests.length > 0) {
-          logToFile(`[NETWORK] Detected ${autocompleteRequests.length} autocomplete requests during typing`);
-          autocompleteRequests.forEach((req, i) => {
-            logToFile(`[NETWORK] Request ${i+1}: ${req.url.substring(0, 100)}`);
-          });
-        } else {
-          logToFile(`[NETWORK] WARNING: No autocomplete API requests detected - autocomplete may not be triggering`);
+        // Wait between characters - Railway needs time for autocomplete to process
+        // Optimized for speed: minimal wait between characters
+        const waitTime = i < 3 ? 150 + Math.random() * 100 : 100 + Math.random() * 100;
+        await sleep(waitTime);
+      }
+      
+      // Final input event to ensure autocomplete fires one more time
+      await page.evaluate((selector) => {
+        const input = document.querySelector(selector);
+        if (input) {
+          const inputEvent = new Event('input', { bubbles: true, cancelable: true });
+          Object.defineProperty(inputEvent, 'target', { value: input, enumerable: true });
+          input.dispatchEvent(inputEvent);
+          
+          // Also trigger compositionend (for autocomplete systems that listen to it)
+          const compositionEndEvent = new CompositionEvent('compositionend', { bubbles: true });
+          input.dispatchEvent(compositionEndEvent);
+        }
+      }, foundSelector);
+      await sleep(100); // Optimized: minimal wait after typing
+      
+      dlog("✓ Finished typing with keyboard.type() only");
+      
+      // Log network requests detected
+      if (autocompleteRequests.length > 0) {
+        logToFile(`[NETWORK] Detected ${autocompleteRequests.length} autocomplete requests during typing`);
+        autocompleteRequests.forEach((req, i) => {
+          logToFile(`[NETWORK] Request ${i+1}: ${req.url.substring(0, 100)}`);
+        });
+      } else {
+        logToFile(`[NETWORK] WARNING: No autocomplete API requests detected - autocomplete may not be triggering`);
+      }
+      
+      // Remove network listener (Puppeteer uses off() instead of removeListener())
+      page.off('request', requestHandler);
+      
+      // Wait exactly 1 second after typing before clicking studio (optimized)
+      dlog("Waiting 1 second after typing before clicking studio...");
+      await sleep(1000);
+    } else {
+      // Fallback: try to use the element directly
+      dlog("Using element-based typing as fallback");
+      await inputElement.click({ clickCount: 3 }); // Triple click to select all
+      await page.keyboard.press('Backspace');
+      await sleep(100); // Optimized: reduced from 200ms
+      
+      // Focus the input
+      await inputElement.focus();
+      await sleep(100); // Optimized: reduced from 200ms
+      
+      // CRITICAL: Type character by character with FULL event sequence (same as main method)
+      dlog(`Typing "${gymNameLower}" with full event sequence (Railway-optimized, ultra-realistic, fallback)...`);
+      
+      // Ensure input is focused and ready - click first to ensure it's active
+      await inputElement.click();
+      await sleep(100); // Optimized: reduced from 200ms
+      await inputElement.focus();
+      await sleep(150); // Optimized: reduced from 300ms
+      
+      // Trigger focus event to ensure autocomplete is listening
+      await page.evaluate(() => {
+        const inputs = Array.from(document.querySelectorAll('input[type="text"], input[type="search"]'));
+        const input = inputs.find(i => i.offsetParent !== null);
+        if (input) {
+          input.focus();
+          input.dispatchEvent(new Event('focus', { bubbles: true }));
+          input.dispatchEvent(new Event('click', { bubbles: true }));
+          input.dispatchEvent(new Event('mousedown', { bubbles: true }));
+          input.dispatchEvent(new Event('mouseup', { bubbles: true }));
         }
+      });
+      await sleep(150); // Optimized: reduced from 300ms
+      
+      // Type each character with FULL event sequence (keydown -> keypress -> input -> keyup)
+      for (let i = 0; i < gymNameLower.length; i++) {
+        const char = gymNameLower[i];
+        const charCode = char.charCodeAt(0);
         
-        // Remove network listener (Puppeteer uses off() instead of removeListener())
-        page.off('request', requestHandler);
+        // Generate random delay between characters (optimized for maximum speed)
+        const baseDelay = 50 + Math.random() * 50;
+        const occasionalPause = Math.random() < 0.05 ? 100 : 0;
+        const delay = baseDelay + occasionalPause;
         
-        // Wait exactly 1 second after typing before clicking studio (optimized)
-        dlog("Waiting 1 second after typing before clicking studio...");
-        await sleep(1000);
-      } else {
-        // Fallback: try to use the element directly
-        dlog("Using element-based typing as fallback");
-        await inputElement.click({ clickCount: 3 }); // Triple click to select all
-        await page.keyboard.press('Backspace');
-        await sleep(100); // Optimized: reduced from 200ms
-        
-        // Focus the input
-        await inputElement.focus();
-        await sleep(100); // Optimized: reduced from 200ms
-        
-        // CRITICAL: Type character by character with FULL event sequence (same as main method)
-        dlog(`Typing "${gymNameLower}" with full event sequence (Railway-optimized, ultra-realistic, fallback)...`);
-        
-        // Ensure input is focused and ready - click first to ensure it's active
-        await inputElement.click();
-        await sleep(100); // Optimized: reduced from 200ms
-        await inputElement.focus();
-        await sleep(150); // Optimized: reduced from 300ms
-        
-        // Trigger focus event to ensure autocomplete is listening
-        await page.evaluate(() => {
+        dlog(`[FALLBACK] Typing character ${i+1}/${gymNameLower.length}: "${char}" (delay: ${Math.round(delay)}ms)`);
+        
+        // FULL EVENT SEQUENCE for each character
+        await page.evaluate((char, charCode) => {
           const inputs = Array.from(document.querySelectorAll('input[type="text"], input[type="search"]'));
           const input = inputs.find(i => i.offsetParent !== null);
           if (input) {
-            input.focus();
-            input.dispatchEvent(new Event('focus', { bubbles: true }));
-            input.dispatchEvent(new Event('click', { bubbles: true }));
-            input.dispatchEvent(new Event('mousedown', { bubbles: true }));
-            input.dispatchEvent(new Event('mouseup', { bubbles: true }));
+            const keyDownEvent = new KeyboardEvent('keydown', {
+              key: char,
+              code: char.match(/[a-z]/i) ? `Key${char.toUpperCase()}` : char,
+              keyCode: charCode,
+              which: charCode,
+              bubbles: true,
+              cancelable: true
+            });
+            input.dispatchEvent(keyDownEvent);
           }
-        });
-        await sleep(150); // Optimized: reduced from 300ms
+        }, char, charCode);
+        await sleep(50 + Math.random() * 50);
         
-        // Type each character with FULL event sequence (keydown -> keypress -> input -> keyup)
-        for (let i = 0; i < gymNameLower.length; i++) {
-          const char = gymNameLower[i];
-          const charCode = char.charCodeAt(0);
-          
-          // Generate random delay between characters (optimized for maximum speed)
-          const baseDelay = 50 + Math.random() * 50;
-          const occasionalPause = Math.random() < 0.05 ? 100 : 0;
-          const delay = baseDelay + occasionalPause;
-          
-          dlog(`[FALLBACK] Typing character ${i+1}/${gymNameLower.length}: "${char}" (delay: ${Math.round(delay)}ms)`);
-          
-          // FULL EVENT SEQUENCE for each character
-          await page.evaluate((char, charCode) => {
-            const inputs = Array.from(document.querySelectorAll('input[type="text"], input[type="search"]'));
-            const input = inputs.find(i => i.offsetParent !== null);
-            if (input) {
-              const keyDownEvent = new KeyboardEvent('keydown', {
-                key: char,
-                code: char.match(/[a-z]/i) ? `Key${char.toUpperCase()}` : char,
-                keyCode: charCode,
-                which: charCode,
-                bubbles: true,
-                cancelable: true
-              });
-              input.dispatchEvent(keyDownEvent);
-            }
-          }, char, charCode);
-          await sleep(50 + Math.random() * 50);
-          
-          await page.evaluate((char, charCode) => {
-            const inputs = Array.from(document.querySelectorAll('input[type="text"], input[type="search"]'));
-            const input = inputs.find(i => i.offsetParent !== null);
-            if (input) {
-              const keyPressEvent = new KeyboardEvent('keypress', {
-                key: char,
-                code: char.match(/[a-z]/i) ? `Key${char.toUpperCase()}` : char,
-                keyCode: charCode,
-                which: charCode,
-                bubbles: true,
-                cancelable: true
-              });
-              input.dispatchEvent(keyPressEvent);
-            }
-          }, char, charCode);
-          await sleep(30 + Math.random() * 30);
-          
-          // Actually type the character
-          await page.keyboard.type(char, { delay: 0 });
-          
-          // Input event
-          await page.evaluate(() => {
-            const inputs = Array.from(document.querySelectorAll('input[type="text"], input[type="search"]'));
-            const input = inputs.find(i => i.offsetParent !== null);
-            if (input) {
-              const inputEvent = new Event('input', { bubbles: true, cancelable: true });
-              Object.defineProperty(inputEvent, 'target', { value: input, enumerable: true });
-              input.dispatchEvent(inputEvent);
-            }
-          });
-          await sleep(50 + Math.random() * 50);
-          
-          // KeyUp event
-          await page.evaluate((char, charCode) => {
-            const inputs = Array.from(document.querySelectorAll('input[type="text"], input[type="search"]'));
-            const input = inputs.find(i => i.offsetParent !== null);
-            if (input) {
-              const keyUpEvent = new KeyboardEvent('keyup', {
-                key: char,
-                code: char.match(/[a-z]/i) ? `Key${char.toUpperCase()}` : char,
-                keyCode: charCode,
-                which: charCode,
-                bubbles: true,
-                cancelable: true
-              });
-              input.dispatchEvent(keyUpEvent);
-            }
-          }, char, charCode);
-          
-          // Wait between characters
-          // Optimized for speed: minimal wait between characters
-          const waitTime = i < 3 ? 150 + Math.random() * 100 : 100 + Math.random() * 100;
-          await sleep(waitTime);
-        }
+        await page.evaluate((char, charCode) => {
+          const inputs = Array.from(document.querySelectorAll('input[type="text"], input[type="search"]'));
+          const input = inputs.find(i => i.offsetParent !== null);
+          if (input) {
+            const keyPressEvent = new KeyboardEvent('keypress', {
+              key: char,
+              code: char.match(/[a-z]/i) ? `Key${char.toUpperCase()}` : char,
+              keyCode: charCode,
+              which: charCode,
+              bubbles: true,
+              cancelable: true
+            });
+            input.dispatchEvent(keyPressEvent);
+          }
+        }, char, charCode);
+        await sleep(30 + Math.random() * 30);
         
-        // Final input event
+        // Actually type the character
+        await page.keyboard.type(char, { delay: 0 });
+        
+        // Input event
         await page.evaluate(() => {
           const inputs = Array.from(document.querySelectorAll('input[type="text"], input[type="search"]'));
           const input = inputs.find(i => i.offsetParent !== null);
@@ -1433,812 +1500,901 @@ async function bookClass({
             const inputEvent = new Event('input', { bubbles: true, cancelable: true });
             Object.defineProperty(inputEvent, 'target', { value: input, enumerable: true });
             input.dispatchEvent(inputEvent);
-            const compositionEndEvent = new CompositionEvent('compositionend', { bubbles: true });
-            input.dispatchEvent(compositionEndEvent);
           }
         });
-        await sleep(800);
+        await sleep(50 + Math.random() * 50);
         
-        dlog("✓ Finished typing with keyboard.type() only (fallback)");
+        // KeyUp event
+        await page.evaluate((char, charCode) => {
+          const inputs = Array.from(document.querySelectorAll('input[type="text"], input[type="search"]'));
+          const input = inputs.find(i => i.offsetParent !== null);
+          if (input) {
+            const keyUpEvent = new KeyboardEvent('keyup', {
+              key: char,
+              code: char.match(/[a-z]/i) ? `Key${char.toUpperCase()}` : char,
+              keyCode: charCode,
+              which: charCode,
+              bubbles: true,
+              cancelable: true
+            });
+            input.dispatchEvent(keyUpEvent);
+          }
+        }, char, charCode);
         
-        // Additional wait after completing typing - Railway needs more time for autocomplete
-        await sleep(3000); // Increased wait for Railway autocomplete to appear
+        // Wait between characters
+        // Optimized for speed: minimal wait between characters
+        const waitTime = i < 3 ? 150 + Math.random() * 100 : 100 + Math.random() * 100;
+        await sleep(waitTime);
       }
       
-      // Verify the input value was set correctly
-      const inputValue = await page.evaluate((selector) => {
+      // Final input event
+      await page.evaluate(() => {
+        const inputs = Array.from(document.querySelectorAll('input[type="text"], input[type="search"]'));
+        const input = inputs.find(i => i.offsetParent !== null);
+        if (input) {
+          const inputEvent = new Event('input', { bubbles: true, cancelable: true });
+          Object.defineProperty(inputEvent, 'target', { value: input, enumerable: true });
+          input.dispatchEvent(inputEvent);
+          const compositionEndEvent = new CompositionEvent('compositionend', { bubbles: true });
+          input.dispatchEvent(compositionEndEvent);
+        }
+      });
+      await sleep(800);
+      
+      dlog("✓ Finished typing with keyboard.type() only (fallback)");
+      
+      // Additional wait after completing typing - Railway needs more time for autocomplete
+      await sleep(3000); // Increased wait for Railway autocomplete to appear
+    }
+    
+    // Verify the input value was set correctly
+    const inputValue = await page.evaluate((selector) => {
+      const input = document.querySelector(selector);
+      return input ? input.value : '';
+    }, foundSelector || 'input[type="text"]').catch(() => '');
+    
+    dlog(`Input value after typing: "${inputValue}"`);
+    if (inputValue !== gymNameLower) {
+      dlog(`⚠ WARNING: Input value mismatch! Expected: "${gymNameLower}", Got: "${inputValue}"`);
+      // Try to set it directly as fallback
+      await page.evaluate((selector, value) => {
         const input = document.querySelector(selector);
-        return input ? input.value : '';
-      }, foundSelector || 'input[type="text"]').catch(() => '');
-      
-      dlog(`Input value after typing: "${inputValue}"`);
-      if (inputValue !== gymNameLower) {
-        dlog(`⚠ WARNING: Input value mismatch! Expected: "${gymNameLower}", Got: "${inputValue}"`);
-        // Try to set it directly as fallback
-        await page.evaluate((selector, value) => {
-          const input = document.querySelector(selector);
-          if (input) {
-            input.value = value;
-            input.dispatchEvent(new Event('input', { bubbles: true }));
-            input.dispatchEvent(new Event('change', { bubbles: true }));
-          }
-        }, foundSelector || 'input[type="text"]', gymNameLower);
-        await sleep(2000);
-      }
+        if (input) {
+          input.value = value;
+          input.dispatchEvent(new Event('input', { bubbles: true }));
+          input.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+      }, foundSelector || 'input[type="text"]', gymNameLower);
+      await sleep(2000);
+    }
+    
+    // Wait for autocomplete/suggestion to appear - longer wait for Railway
+    dlog("Waiting for gym suggestion/option to appear after typing");
+    
+    // Wait for network requests to complete (autocomplete might fetch from server)
+    // Use a simple delay since Puppeteer doesn't have waitForLoadState
+    await sleep(8000); // Increased wait for Railway - autocomplete needs time to fetch from server
+    
+    // Take screenshot after typing to see if dropdown appears
+    await takeScreenshot('gym-after-typing');
+    
+    // Get page state to debug what's visible
+    const pageState = await page.evaluate(() => {
+      // Look for dropdown/autocomplete elements
+      const dropdowns = Array.from(document.querySelectorAll('[role="listbox"], [role="menu"], [class*="dropdown"], [class*="autocomplete"], [class*="suggestion"], div[class*="radix"]'));
+      const visibleDropdowns = dropdowns.filter(d => d.offsetParent !== null);
+      
+      // Get all text content that might contain gym name
+      const allText = Array.from(document.querySelectorAll('*')).filter(el => {
+        const text = el.textContent || '';
+        return text.length > 0 && text.length < 100 && el.offsetParent !== null;
+      }).map(el => ({
+        tag: el.tagName,
+        text: (el.textContent || '').substring(0, 50),
+        classes: el.className || ''
+      })).slice(0, 20);
+      
+      // Get input value
+      const inputs = Array.from(document.querySelectorAll('input'));
+      const inputValues = inputs.filter(i => i.offsetParent !== null).map(i => ({
+        value: i.value || '',
+        placeholder: i.placeholder || '',
+        id: i.id || ''
+      }));
       
-      // Wait for autocomplete/suggestion to appear - longer wait for Railway
-      dlog("Waiting for gym suggestion/option to appear after typing");
-      
-      // Wait for network requests to complete (autocomplete might fetch from server)
-      // Use a simple delay since Puppeteer doesn't have waitForLoadState
-      await sleep(8000); // Increased wait for Railway - autocomplete needs time to fetch from server
-      
-      // Take screenshot after typing to see if dropdown appears
-      await takeScreenshot('gym-after-typing');
-      
-      // Get page state to debug what's visible
-      const pageState = await page.evaluate(() => {
-        // Look for dropdown/autocomplete elements
-        const dropdowns = Array.from(document.querySelectorAll('[role="listbox"], [role="menu"], [class*="dropdown"], [class*="autocomplete"], [class*="suggestion"], div[class*="radix"]'));
-        const visibleDropdowns = dropdowns.filter(d => d.offsetParent !== null);
-        
-        // Get all text content that might contain gym name
-        const allText = Array.from(document.querySelectorAll('*')).filter(el => {
-          const text = el.textContent || '';
-          return text.length > 0 && text.length < 100 && el.offsetParent !== null;
-        }).map(el => ({
-          tag: el.tagName,
-          text: (el.textContent || '').substring(0, 50),
-          classes: el.className || ''
-        })).slice(0, 20);
-        
-        // Get input value
-        const inputs = Array.from(document.querySelectorAll('input'));
-        const inputValues = inputs.filter(i => i.offsetParent !== null).map(i => ({
-          value: i.value || '',
-          placeholder: i.placeholder || '',
-          id: i.id || ''
-        }));
-        
-        return {
-          dropdownsFound: visibleDropdowns.length,
-          dropdowns: visibleDropdowns.map(d => ({
-            tag: d.tagName,
-            classes: d.className || '',
-            text: (d.textContent || '').substring(0, 100),
-            visible: d.offsetParent !== null
-          })),
-          visibleText: allText,
-          inputValues: inputValues
-        };
-      }).catch(() => ({ dropdownsFound: 0, dropdowns: [], visibleText: [], inputValues: [] }));
+      return {
+        dropdownsFound: visibleDropdowns.length,
+        dropdowns: visibleDropdowns.map(d => ({
+          tag: d.tagName,
+          classes: d.className || '',
+          text: (d.textContent || '').substring(0, 100),
+          visible: d.offsetParent !== null
+        })),
+        visibleText: allText,
+        inputValues: inputValues
+      };
+    }).catch(() => ({ dropdownsFound: 0, dropdowns: [], visibleText: [], inputValues: [] }));
+    
+    dlog(`Page state after typing: ${JSON.stringify(pageState, null, 2)}`);
+    
+    // Check if gym suggestion is visible
+    const gymSuggestionCheck = await page.evaluate((gymName) => {
+      // Look for any visible element containing the gym name
+      const allElements = Array.from(document.querySelectorAll('*'));
+      const gymElements = allElements.filter(el => {
+        if (el.offsetParent === null) return false;
+        const text = (el.textContent || '').trim().toLowerCase();
+        return text.includes(gymName.toLowerCase());
+      });
       
-      dlog(`Page state after typing: ${JSON.stringify(pageState, null, 2)}`);
+      // Get input position
+      const inputs = Array.from(document.querySelectorAll('input[type="text"], input[type="search"]'));
+      const activeInput = inputs.find(i => i.offsetParent !== null && i.value);
+      let inputRect = null;
+      if (activeInput) {
+        inputRect = activeInput.getBoundingClientRect();
+      }
       
-      // Check if gym suggestion is visible
-      const gymSuggestionCheck = await page.evaluate((gymName) => {
-        // Look for any visible element containing the gym name
-        const allElements = Array.from(document.querySelectorAll('*'));
-        const gymElements = allElements.filter(el => {
-          if (el.offsetParent === null) return false;
-          const text = (el.textContent || '').trim().toLowerCase();
-          return text.includes(gymName.toLowerCase());
-        });
-        
-        // Get input position
+      // Check for elements below input that contain gym name
+      const suggestionsBelow = gymElements.filter(el => {
+        if (!inputRect) return false;
+        const elRect = el.getBoundingClientRect();
+        return elRect.top > inputRect.bottom && 
+               Math.abs(elRect.left - inputRect.left) < 100 &&
+               elRect.width > 50;
+      });
+      
+      return {
+        gymNameFound: gymElements.length > 0,
+        gymElementCount: gymElements.length,
+        suggestionsBelowInput: suggestionsBelow.length,
+        inputPosition: inputRect ? { top: inputRect.top, bottom: inputRect.bottom, left: inputRect.left, width: inputRect.width } : null,
+        suggestionPositions: suggestionsBelow.map(el => {
+          const rect = el.getBoundingClientRect();
+          return { top: rect.top, bottom: rect.bottom, left: rect.left, width: rect.width, text: (el.textContent || '').substring(0, 30) };
+        })
+      };
+    }, gymName).catch(() => ({ gymNameFound: false, gymElementCount: 0, suggestionsBelowInput: 0 }));
+    
+    logToFile(`[GYM SELECTION] Gym suggestion check: Found=${gymSuggestionCheck.gymNameFound}, Count=${gymSuggestionCheck.gymElementCount}, Below input=${gymSuggestionCheck.suggestionsBelowInput}`);
+    logToFile(`[GYM SELECTION] Input position: ${JSON.stringify(gymSuggestionCheck.inputPosition)}`);
+    if (gymSuggestionCheck.suggestionPositions && gymSuggestionCheck.suggestionPositions.length > 0) {
+      logToFile(`[GYM SELECTION] Suggestion positions: ${JSON.stringify(gymSuggestionCheck.suggestionPositions)}`);
+    }
+    dlog(`Gym suggestion check: ${JSON.stringify(gymSuggestionCheck, null, 2)}`);
+    
+    // IMPORTANT: Do NOT press Enter - it will exit the text box. Click directly below the input.
+    // Using the proven working method: Puppeteer mouse click at coordinates below input
+    logToFile("[GYM SELECTION] Clicking suggestion box below input field using Puppeteer mouse click...");
+    dlog("[GYM SELECTION] Clicking suggestion box below input field using Puppeteer mouse click...");
+    const clicksBeforeGym = run.clickCount;
+    
+    // Wait for suggestion to appear - check multiple times for Railway
+    let suggestionVisible = false;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const checkResult = await page.evaluate((gymName) => {
         const inputs = Array.from(document.querySelectorAll('input[type="text"], input[type="search"]'));
         const activeInput = inputs.find(i => i.offsetParent !== null && i.value);
-        let inputRect = null;
-        if (activeInput) {
-          inputRect = activeInput.getBoundingClientRect();
-        }
+        if (!activeInput) return { visible: false };
         
-        // Check for elements below input that contain gym name
-        const suggestionsBelow = gymElements.filter(el => {
-          if (!inputRect) return false;
+        const inputRect = activeInput.getBoundingClientRect();
+        const allElements = Array.from(document.querySelectorAll('*'));
+        const suggestions = allElements.filter(el => {
+          if (el.offsetParent === null) return false;
+          const text = (el.textContent || '').trim().toLowerCase();
           const elRect = el.getBoundingClientRect();
-          return elRect.top > inputRect.bottom && 
+          return text.includes(gymName.toLowerCase()) &&
+                 elRect.top > inputRect.bottom &&
                  Math.abs(elRect.left - inputRect.left) < 100 &&
                  elRect.width > 50;
         });
         
-        return {
-          gymNameFound: gymElements.length > 0,
-          gymElementCount: gymElements.length,
-          suggestionsBelowInput: suggestionsBelow.length,
-          inputPosition: inputRect ? { top: inputRect.top, bottom: inputRect.bottom, left: inputRect.left, width: inputRect.width } : null,
-          suggestionPositions: suggestionsBelow.map(el => {
-            const rect = el.getBoundingClientRect();
-            return { top: rect.top, bottom: rect.bottom, left: rect.left, width: rect.width, text: (el.textContent || '').substring(0, 30) };
-          })
-        };
-      }, gymName).catch(() => ({ gymNameFound: false, gymElementCount: 0, suggestionsBelowInput: 0 }));
+        return { visible: suggestions.length > 0, count: suggestions.length };
+      }, gymName).catch(() => ({ visible: false, count: 0 }));
       
-      logToFile(`[GYM SELECTION] Gym suggestion check: Found=${gymSuggestionCheck.gymNameFound}, Count=${gymSuggestionCheck.gymElementCount}, Below input=${gymSuggestionCheck.suggestionsBelowInput}`);
-      logToFile(`[GYM SELECTION] Input position: ${JSON.stringify(gymSuggestionCheck.inputPosition)}`);
-      if (gymSuggestionCheck.suggestionPositions && gymSuggestionCheck.suggestionPositions.length > 0) {
-        logToFile(`[GYM SELECTION] Suggestion positions: ${JSON.stringify(gymSuggestionCheck.suggestionPositions)}`);
+      if (checkResult.visible) {
+        suggestionVisible = true;
+        logToFile(`[GYM SELECTION] Suggestion is visible (attempt ${attempt + 1})`);
+        break;
       }
-      dlog(`Gym suggestion check: ${JSON.stringify(gymSuggestionCheck, null, 2)}`);
-      
-      // IMPORTANT: Do NOT press Enter - it will exit the text box. Click directly below the input.
-      // Using the proven working method: Puppeteer mouse click at coordinates below input
-      logToFile("[GYM SELECTION] Clicking suggestion box below input field using Puppeteer mouse click...");
-      dlog("[GYM SELECTION] Clicking suggestion box below input field using Puppeteer mouse click...");
-      const clicksBeforeGym = clickCounter;
-      
-      // Wait for suggestion to appear - check multiple times for Railway
-      let suggestionVisible = false;
-      for (let attempt = 0; attempt < 5; attempt++) {
-        const checkResult = await page.evaluate((gymName) => {
-          const inputs = Array.from(document.querySelectorAll('input[type="text"], input[type="search"]'));
-          const activeInput = inputs.find(i => i.offsetParent !== null && i.value);
-          if (!activeInput) return { visible: false };
-          
-          const inputRect = activeInput.getBoundingClientRect();
-          const allElements = Array.from(document.querySelectorAll('*'));
-          const suggestions = allElements.filter(el => {
-            if (el.offsetParent === null) return false;
-            const text = (el.textContent || '').trim().toLowerCase();
-            const elRect = el.getBoundingClientRect();
-            return text.includes(gymName.toLowerCase()) &&
-                   elRect.top > inputRect.bottom &&
-                   Math.abs(elRect.left - inputRect.left) < 100 &&
-                   elRect.width > 50;
-          });
-          
-          return { visible: suggestions.length > 0, count: suggestions.length };
-        }, gymName).catch(() => ({ visible: false, count: 0 }));
+      
+      logToFile(`[GYM SELECTION] Suggestion not yet visible (attempt ${attempt + 1}/5), waiting...`);
+      await sleep(1000);
+    }
+    
+    // Log network requests/responses for debugging
+    if (autocompleteRequests.length > 0) {
+      logToFile(`[NETWORK] Detected ${autocompleteRequests.length} autocomplete requests during typing`);
+      autocompleteRequests.forEach((req, i) => {
+        logToFile(`[NETWORK] Request ${i+1}: ${req.method} ${req.url.substring(0, 150)}`);
+      });
+    } else {
+      logToFile(`[NETWORK] WARNING: No autocomplete API requests detected - autocomplete may not be triggering`);
+    }
+    
+    if (autocompleteResponses.length > 0) {
+      logToFile(`[NETWORK] Detected ${autocompleteResponses.length} autocomplete responses`);
+      autocompleteResponses.forEach((resp, i) => {
+        logToFile(`[NETWORK] Response ${i+1}: ${resp.url.substring(0, 150)}`);
+        if (resp.data) {
+          logToFile(`[NETWORK] Response data keys: ${Object.keys(resp.data).join(', ')}`);
+        }
+      });
+    }
+    
+    // Remove network listeners
+    page.off('request', requestHandler);
+    page.off('response', responseHandler);
+    
+    if (!suggestionVisible) {
+      logToFile(`[GYM SELECTION] WARNING: Suggestion not visible after waiting`);
+      
+      // Try to find the gym suggestion element even if it's hidden or not visible
+      dlog(`[GYM SELECTION] Attempting to find gym suggestion element (including hidden elements)...`);
+      const gymElement = await page.evaluate((gymName) => {
+        const searchText = gymName.toLowerCase();
+        const allElements = Array.from(document.querySelectorAll('*'));
         
-        if (checkResult.visible) {
-          suggestionVisible = true;
-          logToFile(`[GYM SELECTION] Suggestion is visible (attempt ${attempt + 1})`);
-          break;
+        // Look for elements containing the gym name
+        const candidates = allElements.filter(el => {
+          const text = (el.textContent || '').trim().toLowerCase();
+          return text === searchText || text.includes(searchText);
+        });
+        
+        // Prefer visible elements, but also check hidden ones
+        const visible = candidates.find(el => el.offsetParent !== null);
+        if (visible) return { found: true, selector: visible.tagName + (visible.id ? '#' + visible.id : '') + (visible.className ? '.' + visible.className.split(' ')[0] : '') };
+        
+        // If no visible element, try to find and make visible
+        const hidden = candidates.find(el => {
+          const style = window.getComputedStyle(el);
+          return style.display !== 'none' && (el.offsetParent !== null || style.visibility === 'visible');
+        });
+        
+        if (hidden) {
+          // Try to make it visible
+          hidden.style.display = 'block';
+          hidden.style.visibility = 'visible';
+          hidden.style.opacity = '1';
+          return { found: true, selector: hidden.tagName + (hidden.id ? '#' + hidden.id : '') };
         }
         
-        logToFile(`[GYM SELECTION] Suggestion not yet visible (attempt ${attempt + 1}/5), waiting...`);
-        await sleep(1000);
-      }
+        return { found: false };
+      }, gymName).catch(() => ({ found: false }));
       
-      // Log network requests/responses for debugging
-      if (autocompleteRequests.length > 0) {
-        logToFile(`[NETWORK] Detected ${autocompleteRequests.length} autocomplete requests during typing`);
-        autocompleteRequests.forEach((req, i) => {
-          logToFile(`[NETWORK] Request ${i+1}: ${req.method} ${req.url.substring(0, 150)}`);
-        });
-      } else {
-        logToFile(`[NETWORK] WARNING: No autocomplete API requests detected - autocomplete may not be triggering`);
+      if (gymElement.found) {
+        logToFile(`[GYM SELECTION] Found gym element (possibly hidden): ${gymElement.selector}`);
+        suggestionVisible = true;
       }
-      
-      if (autocompleteResponses.length > 0) {
-        logToFile(`[NETWORK] Detected ${autocompleteResponses.length} autocomplete responses`);
-        autocompleteResponses.forEach((resp, i) => {
-          logToFile(`[NETWORK] Response ${i+1}: ${resp.url.substring(0, 150)}`);
-          if (resp.data) {
-            logToFile(`[NETWORK] Response data keys: ${Object.keys(resp.data).join(', ')}`);
-          }
-        });
+    }
+    
+    try {
+      const inputElement = await page.$(foundSelector || 'input[type="text"]');
+      if (!inputElement) {
+        throw bookingError('ELEMENT_NOT_FOUND', 'Could not find gym input element');
       }
       
-      // Remove network listeners
-      page.off('request', requestHandler);
-      page.off('response', responseHandler);
-      
-      if (!suggestionVisible) {
-        logToFile(`[GYM SELECTION] WARNING: Suggestion not visible after waiting`);
-        
-        // Try to find the gym suggestion element even if it's hidden or not visible
-        dlog(`[GYM SELECTION] Attempting to find gym suggestion element (including hidden elements)...`);
-        const gymElement = await page.evaluate((gymName) => {
+      // If suggestion is visible, try to click it directly
+      if (suggestionVisible) {
+        dlog(`[GYM SELECTION] Attempting to click visible suggestion element...`);
+        const clicked = await page.evaluate((gymName) => {
           const searchText = gymName.toLowerCase();
           const allElements = Array.from(document.querySelectorAll('*'));
-          
-          // Look for elements containing the gym name
-          const candidates = allElements.filter(el => {
+          const suggestion = allElements.find(el => {
             const text = (el.textContent || '').trim().toLowerCase();
-            return text === searchText || text.includes(searchText);
+            return (text === searchText || text.includes(searchText)) && el.offsetParent !== null;
           });
           
-          // Prefer visible elements, but also check hidden ones
-          const visible = candidates.find(el => el.offsetParent !== null);
-          if (visible) return { found: true, selector: visible.tagName + (visible.id ? '#' + visible.id : '') + (visible.className ? '.' + visible.className.split(' ')[0] : '') };
-          
-          // If no visible element, try to find and make visible
-          const hidden = candidates.find(el => {
-            const style = window.getComputedStyle(el);
-            return style.display !== 'none' && (el.offsetParent !== null || style.visibility === 'visible');
-          });
-          
-          if (hidden) {
-            // Try to make it visible
-            hidden.style.display = 'block';
-            hidden.style.visibility = 'visible';
-            hidden.style.opacity = '1';
-            return { found: true, selector: hidden.tagName + (hidden.id ? '#' + hidden.id : '') };
+          if (suggestion) {
+            suggestion.click();
+            return true;
           }
-          
-          return { found: false };
-        }, gymName).catch(() => ({ found: false }));
-        
-        if (gymElement.found) {
-          logToFile(`[GYM SELECTION] Found gym element (possibly hidden): ${gymElement.selector}`);
-          suggestionVisible = true;
-        }
-      }
-      
-      try {
-        const inputElement = await page.$(foundSelector || 'input[type="text"]');
-        if (!inputElement) {
-          throw new Error('Could not find gym input element');
-        }
+          return false;
+        }, gymName).catch(() => false);
         
-        // If suggestion is visible, try to click it directly
-        if (suggestionVisible) {
-          dlog(`[GYM SELECTION] Attempting to click visible suggestion element...`);
-          const clicked = await page.evaluate((gymName) => {
-            const searchText = gymName.toLowerCase();
-            const allElements = Array.from(document.querySelectorAll('*'));
-            const suggestion = allElements.find(el => {
-              const text = (el.textContent || '').trim().toLowerCase();
-              return (text === searchText || text.includes(searchText)) && el.offsetParent !== null;
-            });
-            
-            if (suggestion) {
-              suggestion.click();
-              return true;
-            }
-            return false;
-          }, gymName).catch(() => false);
+        if (clicked) {
+          logToFile(`[GYM SELECTION] Successfully clicked suggestion element directly`);
+          await sleep(2000);
+          // Verify we moved past gym selection
+          const stillOnGymPage = await page.evaluate(() => {
+            const input = document.querySelector('input[type="text"], input[type="search"]');
+            return input && input.value && input.value.toLowerCase().includes('ponte');
+          }).catch(() => false);
           
-          if (clicked) {
-            logToFile(`[GYM SELECTION] Successfully clicked suggestion element directly`);
-            await sleep(2000);
-            // Verify we moved past gym selection
-            const stillOnGymPage = await page.evaluate(() => {
-              const input = document.querySelector('input[type="text"], input[type="search"]');
-              return input && input.value && input.value.toLowerCase().includes('ponte');
-            }).catch(() => false);
-            
-            if (!stillOnGymPage) {
-              await takeScreenshot('gym-after-selection');
-              return; // Success!
-            }
+          if (!stillOnGymPage) {
+            await takeScreenshot('gym-after-selection');
+            return; // Success!
           }
         }
-        
-        // Fallback: Click directly below the input (original method)
-        const box = await inputElement.boundingBox();
-        if (!box) {
-          throw new Error('Could not get bounding box for gym input element');
-        }
-        
-        // Click directly below the input (suggestion box should be there)
-        const clickX = box.x + box.width / 2;
-        const clickY = box.y + box.height + 30; // 30px below the input
-        logToFile(`[GYM SELECTION] Clicking at coordinates: (${clickX}, ${clickY})`);
-        dlog(`[GYM SELECTION] Clicking at coordinates: (${clickX}, ${clickY})`);
-        logClick('Gym selection', `mouse.click(${clickX}, ${clickY})`, 'Puppeteer.mouse.click()');
-        await page.mouse.click(clickX, clickY);
-        await sleep(2000);
-        
-        // Verify we moved past gym selection
-        const stillOnGymPage = await page.evaluate(() => {
-          const input = document.querySelector('input[type="text"], input[type="search"]');
-          return input && input.value && input.value.toLowerCase().includes('ponte');
-        }).catch(() => false);
-        
-        const clicksAfterGym = clickCounter;
-        const clicksMade = clicksAfterGym - clicksBeforeGym;
-        
-        if (!stillOnGymPage) {
-          const summaryMessage = `[GYM SELECTION SUMMARY] Success: true, Method: Puppeteer mouse click at coordinates, Clicks made: ${clicksMade}`;
-          logToFile(summaryMessage);
-          dlog(summaryMessage);
-          await takeScreenshot('gym-after-selection');
-        } else {
-          const errorMsg = `[GYM SELECTION] Failed - still on gym page after clicking`;
-          logToFile(errorMsg);
-          dlog(errorMsg);
-          await takeScreenshot('gym-all-attempts-failed');
-          throw new Error(`Failed to select gym "${gymName}" - still on gym selection page`);
-        }
-      } catch (e) {
-        const errorMsg = `[GYM SELECTION] Error: ${e?.message}`;
+      }
+      
+      // Fallback: Click directly below the input (original method)
+      const box = await inputElement.boundingBox();
+      if (!box) {
+        throw bookingError('ELEMENT_NOT_FOUND', 'Could not get bounding box for gym input element');
+      }
+      
+      // Click directly below the input (suggestion box should be there)
+      const clickX = box.x + box.width / 2;
+      const clickY = box.y + box.height + 30; // 30px below the input
+      logToFile(`[GYM SELECTION] Clicking at coordinates: (${clickX}, ${clickY})`);
+      dlog(`[GYM SELECTION] Clicking at coordinates: (${clickX}, ${clickY})`);
+      logClick('Gym selection', `mouse.click(${clickX}, ${clickY})`, 'Puppeteer.mouse.click()');
+      await page.mouse.click(clickX, clickY);
+      await sleep(2000);
+      
+      // Verify we moved past gym selection
+      const stillOnGymPage = await page.evaluate(() => {
+        const input = document.querySelector('input[type="text"], input[type="search"]');
+        return input && input.value && input.value.toLowerCase().includes('ponte');
+      }).catch(() => false);
+      
+      const clicksAfterGym = run.clickCount;
+      const clicksMade = clicksAfterGym - clicksBeforeGym;
+      
+      if (!stillOnGymPage) {
+        const summaryMessage = `[GYM SELECTION SUMMARY] Success: true, Method: Puppeteer mouse click at coordinates, Clicks made: ${clicksMade}`;
+        logToFile(summaryMessage);
+        dlog(summaryMessage);
+        await takeScreenshot('gym-after-selection');
+      } else {
+        const errorMsg = `[GYM SELECTION] Failed - still on gym page after clicking`;
         logToFile(errorMsg);
         dlog(errorMsg);
         await takeScreenshot('gym-all-attempts-failed');
-        throw new Error(`Failed to select gym "${gymName}": ${e?.message}`);
+        throw bookingError('GYM_NOT_FOUND', `Failed to select gym "${gymName}" - still on gym selection page`);
       }
-    });
+    } catch (e) {
+      const errorMsg = `[GYM SELECTION] Error: ${e?.message}`;
+      logToFile(errorMsg);
+      dlog(errorMsg);
+      await takeScreenshot('gym-all-attempts-failed');
+      // Classify before re-wrapping: an untyped error (a Puppeteer TimeoutError)
+      // is only recognised by its own name and message
+      throw Object.assign(bookingError(classifyError(e), `Failed to select gym "${gymName}": ${e?.message}`, e?.details), { cause: e });
+    }
+  });
 
-    // Step 3: Fill email
-    await step("Enter email", async () => {
-      await clickElement(page, [
-        '::-p-aria(name@example.com)',
-        'form > div:nth-of-type(1) input',
-        '::-p-xpath(/html/body/div/div/div/div[2]/div/form/div[1]/div[2]/input)',
-        ':scope >>> form > div:nth-of-type(1) input'
-      ], { offset: { x: 211.5, y: 1.3359375 } });
-      await sleep(100); // Optimized: reduced from 200ms
-      await fillInput(page, [
-        '::-p-aria(name@example.com)',
-        'form > div:nth-of-type(1) input',
-        '::-p-xpath(/html/body/div/div/div/div[2]/div/form/div[1]/div[2]/input)',
-        ':scope >>> form > div:nth-of-type(1) input'
-      ], email, { debug: DEBUG });
-      await takeScreenshot('after-email-entry');
-    });
+  // Step 3: Fill email
+  await step("Enter email", async () => {
+    await clickElement(page, [
+      '::-p-aria(name@example.com)',
+      'form > div:nth-of-type(1) input',
+      '::-p-xpath(/html/body/div/div/div/div[2]/div/form/div[1]/div[2]/input)',
+      ':scope >>> form > div:nth-of-type(1) input'
+    ], { offset: { x: 211.5, y: 1.3359375 } });
+    await sleep(100); // Optimized: reduced from 200ms
+    await fillInput(page, [
+      '::-p-aria(name@example.com)',
+      'form > div:nth-of-type(1) input',
+      '::-p-xpath(/html/body/div/div/div/div[2]/div/form/div[1]/div[2]/input)',
+      ':scope >>> form > div:nth-of-type(1) input'
+    ], email, { debug: DEBUG });
+    await takeScreenshot('after-email-entry');
+  });
 
-    // Step 4: Fill password
-    await step("Enter password", async () => {
-      await clickElement(page, [
-        '::-p-aria(Password)',
-        'form > div:nth-of-type(2) input',
-        '::-p-xpath(/html/body/div/div/div/div[2]/div/form/div[2]/div[2]/input)',
-        ':scope >>> form > div:nth-of-type(2) input'
-      ], { offset: { x: 200.5, y: 26.3359375 } });
-      await sleep(100); // Optimized: reduced from 200ms
-      await fillInput(page, [
-        '::-p-aria(Password)',
-        'form > div:nth-of-type(2) input',
-        '::-p-xpath(/html/body/div/div/div/div[2]/div/form/div[2]/div[2]/input)',
-        ':scope >>> form > div:nth-of-type(2) input'
-      ], password, { debug: DEBUG });
-      await takeScreenshot('after-password-entry');
+  // Step 4: Fill password
+  await step("Enter password", async () => {
+    await clickElement(page, [
+      '::-p-aria(Password)',
+      'form > div:nth-of-type(2) input',
+      '::-p-xpath(/html/body/div/div/div/div[2]/div/form/div[2]/div[2]/input)',
+      ':scope >>> form > div:nth-of-type(2) input'
+    ], { offset: { x: 200.5, y: 26.3359375 } });
+    await sleep(100); // Optimized: reduced from 200ms
+    await fillInput(page, [
+      '::-p-aria(Password)',
+      'form > div:nth-of-type(2) input',
+      '::-p-xpath(/html/body/div/div/div/div[2]/div/form/div[2]/div[2]/input)',
+      ':scope >>> form > div:nth-of-type(2) input'
+    ], password, { debug: DEBUG });
+    await takeScreenshot('after-password-entry');
+  });
+
+  // Step 5: Submit login
+  await step("Submit login", async () => {
+    // Set up navigation wait BEFORE clicking
+    const navigationPromise = page.waitForNavigation({ 
+      waitUntil: "networkidle0", 
+      timeout: 15000 
+    }).catch((e) => {
+      dlog(`Navigation wait error (may be normal): ${e?.message}`);
+      return null; // Don't fail if navigation already completed
     });
+    
+    await clickElement(page, [
+      '::-p-aria(Sign in)',
+      'form button',
+      '::-p-xpath(/html/body/div/div/div/div[2]/div/form/div[3]/button)',
+      ':scope >>> form button'
+    ], { offset: { x: 274.5, y: 16.3359375 } });
+    
+    // Wait for navigation to complete
+    dlog("Waiting for login navigation...");
+    try {
+      await navigationPromise;
+      dlog("Login navigation completed");
+    } catch (e) {
+      dlog(`Navigation error (continuing anyway): ${e?.message}`);
+      // Wait a bit for page to stabilize even if navigation promise failed
+      await sleep(1000);
+    }
+    
+    // Check if page is still valid before continuing
+    try {
+      const pageUrl = page.url();
+      dlog(`Page URL after login: ${pageUrl}`);
+    } catch (e) {
+      dlog(`⚠ Page context may be invalid: ${e?.message}`);
+      // Wait a bit longer and try to recover
+      await sleep(1000);
+    }
+    
+    // Simulate human behavior after login (makes session look more realistic)
+    dlog(`Simulating human behavior after login...`);
+    await simulateHumanBehavior();
+    await sleep(1000 + Math.random() * 1000); // Random delay 1000-2000ms
+    
+    // Handle potential password re-entry (as in recorded session)
+    await sleep(500); // Optimized: reduced from 1000ms
+    
+    try {
+      const passwordInput = await page.$('form > div:nth-of-type(2) input').catch(() => null);
+      if (passwordInput) {
+        dlog("Password re-entry detected, filling again");
+        await clickElement(page, [
+          'body > div > div > div',
+          '::-p-xpath(/html/body/div/div/div)',
+          ':scope >>> body > div > div > div'
+        ], { offset: { x: 55.5, y: 344.3359375 } });
+        await sleep(300); // Optimized: reduced from 500ms
+        await fillInput(page, [
+          '::-p-aria(Password)',
+          'form > div:nth-of-type(2) input',
+          '::-p-xpath(/html/body/div/div/div/div[2]/div/form/div[2]/div[2]/input)',
+          ':scope >>> form > div:nth-of-type(2) input'
+        ], password, { debug: DEBUG });
+        await page.keyboard.down('Enter');
+        await page.keyboard.up('Enter');
+        // Wait for second navigation if needed
+        await page.waitForNavigation({ waitUntil: "networkidle0", timeout: 15000 }).catch(() => {});
+      }
+    } catch (e) {
+      dlog(`Error checking for password re-entry (may be normal): ${e?.message}`);
+    }
+    
+    await sleep(1000); // Wait for page to stabilize after navigation
+    
+    // Take screenshot with error handling
+    try {
+      await takeScreenshot('after-login-submit');
+    } catch (e) {
+      dlog(`⚠ Could not take screenshot after login: ${e?.message}`);
+    }
 
-    // Step 5: Submit login
-    await step("Submit login", async () => {
-      // Set up navigation wait BEFORE clicking
-      const navigationPromise = page.waitForNavigation({ 
-        waitUntil: "networkidle0", 
-        timeout: 15000 
-      }).catch((e) => {
-        dlog(`Navigation wait error (may be normal): ${e?.message}`);
-        return null; // Don't fail if navigation already completed
-      });
+    // Still on the login form with the password field showing: rejected credentials
+    const loginRejected = await page.evaluate(() => location.pathname.includes('/login') &&
+      Array.from(document.querySelectorAll('input[type="password"]')).some(input => input.offsetParent !== null)
+    ).catch(() => false);
+    if (loginRejected) {
+      throw bookingError('LOGIN_FAILED', `Login for ${email} was not accepted - still on the login page`);
+    }
+  });
+}
+
+// Switches the calendar to Day view and opens targetDate (YYYY-MM-DD) in the
+// date picker, then waits for that day's events to render
+async function navigateToDate(flow, targetDate) {
+  const { page, DEBUG, dlog, takeScreenshot, simulateHumanBehavior, humanDelay } = flow;
+  
+  // Parse the target date (format: YYYY-MM-DD)
+  const [year, month, day] = targetDate.split('-').map(Number);
+  dlog(`Target date parsed: Year=${year}, Month=${month}, Day=${day}`);
+  
+  // Wait for calendar to load
+  await page.waitForSelector('mwl-calendar-week-view, div.calendar, [class*="calendar"]', { visible: true, timeout: TIMEOUT });
+  await sleep(500); // Optimized: reduced from 1000ms
+  await takeScreenshot('before-date-navigation');
+  
+  // Step 1: Switch to Day view first to filter calendar
+  dlog(`Step 1: Switching to Day view...`);
+  await takeScreenshot('before-switching-to-day-view');
+  
+  // Click the "Week" dropdown button to open it
+  dlog(`Clicking Week dropdown to switch to Day view...`);
+  const dropdownClicked = await clickElement(page, [
+    '#pr_id_2_label',
+    'span.p-dropdown-label',
+    'p-dropdown.ng-tns-c40-1 div.p-dropdown-trigger',
+    'p-dropdown div.p-dropdown-trigger',
+    'p-dropdown button'
+  ], { offset: { x: 7.174224853515625, y: 19.100000381469727 }, debug: DEBUG });
+  
+  if (dropdownClicked) {
+    dlog(`✓ Opened view dropdown, waiting for menu...`);
+    await sleep(800); // Wait for dropdown to open
+    
+    // Wait for dropdown menu to appear
+    let dropdownReady = false;
+    for (let attempt = 0; attempt < 10; attempt++) {
+      dropdownReady = await page.evaluate(() => {
+        const selectors = ['#pr_id_2_list', '[role="listbox"]', 'p-dropdownitem'];
+        for (const sel of selectors) {
+          const el = document.querySelector(sel);
+          if (el && el.offsetParent !== null) return true;
+        }
+        return false;
+      }).catch(() => false);
       
-      await clickElement(page, [
-        '::-p-aria(Sign in)',
-        'form button',
-        '::-p-xpath(/html/body/div/div/div/div[2]/div/form/div[3]/button)',
-        ':scope >>> form button'
-      ], { offset: { x: 274.5, y: 16.3359375 } });
-      
-      // Wait for navigation to complete
-      dlog("Waiting for login navigation...");
-      try {
-        await navigationPromise;
-        dlog("Login navigation completed");
-      } catch (e) {
-        dlog(`Navigation error (continuing anyway): ${e?.message}`);
-        // Wait a bit for page to stabilize even if navigation promise failed
-        await sleep(1000);
+      if (dropdownReady) {
+        dlog(`✓ Dropdown menu appeared (attempt ${attempt + 1})`);
+        break;
       }
       
-      // Check if page is still valid before continuing
-      try {
-        const pageUrl = page.url();
-        dlog(`Page URL after login: ${pageUrl}`);
-      } catch (e) {
-        dlog(`⚠ Page context may be invalid: ${e?.message}`);
-        // Wait a bit longer and try to recover
-        await sleep(1000);
+      if (attempt < 9) {
+        await sleep(300);
       }
-      
-      // Simulate human behavior after login (makes session look more realistic)
-      dlog(`Simulating human behavior after login...`);
-      await simulateHumanBehavior();
-      await sleep(1000 + Math.random() * 1000); // Random delay 1000-2000ms
-      
-      // Handle potential password re-entry (as in recorded session)
-      await sleep(500); // Optimized: reduced from 1000ms
-      
-      try {
-        const passwordInput = await page.$('form > div:nth-of-type(2) input').catch(() => null);
-        if (passwordInput) {
-          dlog("Password re-entry detected, filling again");
-          await clickElement(page, [
-            'body > div > div > div',
-            '::-p-xpath(/html/body/div/div/div)',
-            ':scope >>> body > div > div > div'
-          ], { offset: { x: 55.5, y: 344.3359375 } });
-          await sleep(300); // Optimized: reduced from 500ms
-          await fillInput(page, [
-            '::-p-aria(Password)',
-            'form > div:nth-of-type(2) input',
-            '::-p-xpath(/html/body/div/div/div/div[2]/div/form/div[2]/div[2]/input)',
-            ':scope >>> form > div:nth-of-type(2) input'
-          ], password, { debug: DEBUG });
-          await page.keyboard.down('Enter');
-          await page.keyboard.up('Enter');
-          // Wait for second navigation if needed
-          await page.waitForNavigation({ waitUntil: "networkidle0", timeout: 15000 }).catch(() => {});
+    }
+    
+    if (dropdownReady) {
+      // Click the "Day" option
+      dlog(`Clicking Day option in dropdown...`);
+      const dayOptionClicked = await clickElement(page, [
+        '#pr_id_2_list p-dropdownitem:nth-of-type(1) span',
+        'p-dropdownitem:nth-of-type(1) span',
+        'p-dropdownitem:first-child span',
+        '[aria-label="Day"]',
+        'li[aria-label="Day"]',
+        'p-dropdownitem span'
+      ], { debug: DEBUG });
+      
+      if (dayOptionClicked) {
+        dlog(`✓ Selected Day view`);
+        await sleep(2000); // Wait for calendar to switch to Day view
+      } else {
+        dlog(`⚠ Could not click Day option, trying keyboard navigation...`);
+        // Try keyboard navigation as fallback
+        try {
+          await page.keyboard.press('ArrowDown');
+          await sleep(300);
+          await page.keyboard.press('Enter');
+          await sleep(2000);
+          dlog(`✓ Used keyboard navigation to select Day`);
+        } catch (e) {
+          dlog(`Keyboard navigation failed: ${e?.message}`);
         }
-      } catch (e) {
-        dlog(`Error checking for password re-entry (may be normal): ${e?.message}`);
       }
-      
-      await sleep(1000); // Wait for page to stabilize after navigation
-      
-      // Take screenshot with error handling
+    } else {
+      dlog(`⚠ Dropdown menu did not appear, trying keyboard navigation...`);
+      // Try keyboard navigation as fallback
       try {
-        await takeScreenshot('after-login-submit');
+        const dropdownElement = await page.$('#pr_id_2_label, span.p-dropdown-label').catch(() => null);
+        if (dropdownElement) {
+          await dropdownElement.focus();
+          await sleep(300);
+          await page.keyboard.press('Space');
+          await sleep(500);
+          await page.keyboard.press('ArrowDown');
+          await sleep(300);
+          await page.keyboard.press('Enter');
+          await sleep(2000);
+          dlog(`✓ Used keyboard navigation to select Day`);
+        }
       } catch (e) {
-        dlog(`⚠ Could not take screenshot after login: ${e?.message}`);
-      }
-    });
-
-    // Step 6: Navigate to target month/year, find target date column, then find and click class
-    await step(`Navigate to date ${targetDate} and find class`, async () => {
-      dlog(`=== SIMPLIFIED DATE NAVIGATION (Day View + Date Picker) ===`);
-      dlog(`Parsing target date: ${targetDate}`);
-      
-      // Parse the target date (format: YYYY-MM-DD)
-      const [year, month, day] = targetDate.split('-').map(Number);
-      dlog(`Target date parsed: Year=${year}, Month=${month}, Day=${day}`);
-      
-      // Parse target time here so we can use it when checking events
-      let targetHour, targetMinute;
-      const timeMatch = targetTime.match(/(\d{1,2}):(\d{2})\s*(am|pm)?/i);
-      if (timeMatch) {
-        targetHour = parseInt(timeMatch[1]);
-        targetMinute = parseInt(timeMatch[2]);
-        const period = timeMatch[3]?.toLowerCase();
-        if (period === 'pm' && targetHour !== 12) targetHour += 12;
-        if (period === 'am' && targetHour === 12) targetHour = 0;
-      } else {
-        const parts = targetTime.split(':');
-        targetHour = parseInt(parts[0]) || 8;
-        targetMinute = parseInt(parts[1]) || 0;
+        dlog(`Keyboard navigation failed: ${e?.message}`);
       }
-      dlog(`Target time parsed: ${targetHour}:${targetMinute.toString().padStart(2, '0')}`);
-      
-      // Wait for calendar to load
-      await page.waitForSelector('mwl-calendar-week-view, div.calendar, [class*="calendar"]', { visible: true, timeout: TIMEOUT });
-      await sleep(500); // Optimized: reduced from 1000ms
-      await takeScreenshot('before-date-navigation');
-      
-      // Step 1: Switch to Day view first to filter calendar
-      dlog(`Step 1: Switching to Day view...`);
-      await takeScreenshot('before-switching-to-day-view');
-      
-      // Click the "Week" dropdown button to open it
-      dlog(`Clicking Week dropdown to switch to Day view...`);
-      const dropdownClicked = await clickElement(page, [
-        '#pr_id_2_label',
-        'span.p-dropdown-label',
-        'p-dropdown.ng-tns-c40-1 div.p-dropdown-trigger',
-        'p-dropdown div.p-dropdown-trigger',
-        'p-dropdown button'
-      ], { offset: { x: 7.174224853515625, y: 19.100000381469727 }, debug: DEBUG });
-      
-      if (dropdownClicked) {
-        dlog(`✓ Opened view dropdown, waiting for menu...`);
-        await sleep(800); // Wait for dropdown to open
-        
-        // Wait for dropdown menu to appear
-        let dropdownReady = false;
-        for (let attempt = 0; attempt < 10; attempt++) {
-          dropdownReady = await page.evaluate(() => {
-            const selectors = ['#pr_id_2_list', '[role="listbox"]', 'p-dropdownitem'];
-            for (const sel of selectors) {
-              const el = document.querySelector(sel);
-              if (el && el.offsetParent !== null) return true;
-            }
-            return false;
-          }).catch(() => false);
-          
-          if (dropdownReady) {
-            dlog(`✓ Dropdown menu appeared (attempt ${attempt + 1})`);
-            break;
-          }
-          
-          if (attempt < 9) {
-            await sleep(300);
-          }
-        }
-        
-        if (dropdownReady) {
-          // Click the "Day" option
-          dlog(`Clicking Day option in dropdown...`);
-          const dayOptionClicked = await clickElement(page, [
-            '#pr_id_2_list p-dropdownitem:nth-of-type(1) span',
-            'p-dropdownitem:nth-of-type(1) span',
-            'p-dropdownitem:first-child span',
-            '[aria-label="Day"]',
-            'li[aria-label="Day"]',
-            'p-dropdownitem span'
-          ], { debug: DEBUG });
-          
-          if (dayOptionClicked) {
-            dlog(`✓ Selected Day view`);
-            await sleep(2000); // Wait for calendar to switch to Day view
-          } else {
-            dlog(`⚠ Could not click Day option, trying keyboard navigation...`);
-            // Try keyboard navigation as fallback
-            try {
-              await page.keyboard.press('ArrowDown');
-              await sleep(300);
-              await page.keyboard.press('Enter');
-              await sleep(2000);
-              dlog(`✓ Used keyboard navigation to select Day`);
-            } catch (e) {
-              dlog(`Keyboard navigation failed: ${e?.message}`);
-            }
-          }
-        } else {
-          dlog(`⚠ Dropdown menu did not appear, trying keyboard navigation...`);
-          // Try keyboard navigation as fallback
-          try {
-            const dropdownElement = await page.$('#pr_id_2_label, span.p-dropdown-label').catch(() => null);
-            if (dropdownElement) {
-              await dropdownElement.focus();
-              await sleep(300);
-              await page.keyboard.press('Space');
-              await sleep(500);
-              await page.keyboard.press('ArrowDown');
-              await sleep(300);
-              await page.keyboard.press('Enter');
-              await sleep(2000);
-              dlog(`✓ Used keyboard navigation to select Day`);
-            }
-          } catch (e) {
-            dlog(`Keyboard navigation failed: ${e?.message}`);
-          }
-        }
-      } else {
-        dlog(`⚠ Could not click Week dropdown, checking if already in Day view...`);
-        const currentView = await page.evaluate(() => {
-          const label = document.querySelector('#pr_id_2_label, span.p-dropdown-label');
-          return label ? label.textContent?.trim() : null;
-        }).catch(() => null);
-        
-        if (currentView === 'Day') {
-          dlog(`✓ Already in Day view`);
-        } else {
-          dlog(`⚠ Current view: ${currentView}, continuing anyway...`);
-        }
+    }
+  } else {
+    dlog(`⚠ Could not click Week dropdown, checking if already in Day view...`);
+    const currentView = await page.evaluate(() => {
+      const label = document.querySelector('#pr_id_2_label, span.p-dropdown-label');
+      return label ? label.textContent?.trim() : null;
+    }).catch(() => null);
+    
+    if (currentView === 'Day') {
+      dlog(`✓ Already in Day view`);
+    } else {
+      dlog(`⚠ Current view: ${currentView}, continuing anyway...`);
+    }
+  }
+  
+  // Verify we're actually in Day view before proceeding
+  await sleep(1000); // Wait for calendar to stabilize
+  const verifyDayView = await page.evaluate(() => {
+    const label = document.querySelector('#pr_id_2_label, span.p-dropdown-label');
+    const currentView = label ? label.textContent?.trim() : null;
+    // Also check for Day view calendar elements
+    const dayViewElements = document.querySelectorAll('mwl-calendar-day-view, [class*="day-view"], div.cal-day-view');
+    return {
+      currentView: currentView,
+      isDayView: currentView === 'Day',
+      hasDayViewElements: dayViewElements.length > 0
+    };
+  }).catch(() => ({ currentView: null, isDayView: false, hasDayViewElements: false }));
+  
+  if (!verifyDayView.isDayView) {
+    dlog(`⚠ WARNING: Not in Day view! Current view: "${verifyDayView.currentView}". Retrying Day view selection...`);
+    // Retry Day view selection with keyboard navigation
+    try {
+      const dropdownElement = await page.$('#pr_id_2_label, span.p-dropdown-label').catch(() => null);
+      if (dropdownElement) {
+        await dropdownElement.click();
+        await sleep(800);
+        await page.keyboard.press('ArrowDown');
+        await sleep(300);
+        await page.keyboard.press('Enter');
+        await sleep(2000);
+        dlog(`✓ Retried Day view selection with keyboard`);
       }
-      
-      // Verify we're actually in Day view before proceeding
-      await sleep(1000); // Wait for calendar to stabilize
-      const verifyDayView = await page.evaluate(() => {
-        const label = document.querySelector('#pr_id_2_label, span.p-dropdown-label');
-        const currentView = label ? label.textContent?.trim() : null;
-        // Also check for Day view calendar elements
-        const dayViewElements = document.querySelectorAll('mwl-calendar-day-view, [class*="day-view"], div.cal-day-view');
-        return {
-          currentView: currentView,
-          isDayView: currentView === 'Day',
-          hasDayViewElements: dayViewElements.length > 0
-        };
-      }).catch(() => ({ currentView: null, isDayView: false, hasDayViewElements: false }));
-      
-      if (!verifyDayView.isDayView) {
-        dlog(`⚠ WARNING: Not in Day view! Current view: "${verifyDayView.currentView}". Retrying Day view selection...`);
-        // Retry Day view selection with keyboard navigation
-        try {
-          const dropdownElement = await page.$('#pr_id_2_label, span.p-dropdown-label').catch(() => null);
-          if (dropdownElement) {
-            await dropdownElement.click();
-            await sleep(800);
-            await page.keyboard.press('ArrowDown');
-            await sleep(300);
-            await page.keyboard.press('Enter');
-            await sleep(2000);
-            dlog(`✓ Retried Day view selection with keyboard`);
+    } catch (e) {
+      dlog(`⚠ Retry failed: ${e?.message}`);
+    }
+    
+    // Verify again
+    const verifyAgain = await page.evaluate(() => {
+      const label = document.querySelector('#pr_id_2_label, span.p-dropdown-label');
+      return label ? label.textContent?.trim() : null;
+    }).catch(() => null);
+    
+    if (verifyAgain !== 'Day') {
+      logToFile(`❌ CRITICAL: Failed to switch to Day view. Current view: "${verifyAgain}". Proceeding anyway but may fail.`);
+      dlog(`❌ CRITICAL: Failed to switch to Day view. Current view: "${verifyAgain}". Proceeding anyway but may fail.`);
+    } else {
+      dlog(`✓ Successfully verified Day view after retry`);
+    }
+  } else {
+    dlog(`✓ Verified: Currently in Day view`);
+  }
+  
+  await takeScreenshot('after-switching-to-day-view');
+  await sleep(1000); // Wait for calendar to stabilize
+  
+  // Step 2: Click date button in the center (shows current date like "Nov 23, 2025")
+  dlog(`Step 2: Clicking date button in center to open date picker...`);
+  await takeScreenshot('before-clicking-date-button');
+  
+  // Find the date button by looking for elements containing the date format
+  let datePickerClicked = false;
+  
+  // Method 1: Try to find button/div containing date text (Nov 23, 2025 format)
+  try {
+    const dateButton = await page.evaluate(() => {
+      // Look for buttons or clickable divs in the header area that contain date text
+      const allElements = Array.from(document.querySelectorAll('button, div, span'));
+      for (const el of allElements) {
+        if (el.offsetParent === null) continue;
+        const text = (el.textContent || '').trim();
+        // Match date formats like "Nov 23, 2025" or "November 23, 2025"
+        if (text.match(/\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec|January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4}\b/i)) {
+          // Check if it's in the header/center area (not in sidebar)
+          const rect = el.getBoundingClientRect();
+          const centerX = window.innerWidth / 2;
+          // Date button should be roughly in the center of the screen
+          if (Math.abs(rect.left + rect.width / 2 - centerX) < 300) {
+            return {
+              found: true,
+              tag: el.tagName,
+              text: text,
+              x: rect.left + rect.width / 2,
+              y: rect.top + rect.height / 2
+            };
           }
-        } catch (e) {
-          dlog(`⚠ Retry failed: ${e?.message}`);
         }
-        
-        // Verify again
-        const verifyAgain = await page.evaluate(() => {
-          const label = document.querySelector('#pr_id_2_label, span.p-dropdown-label');
-          return label ? label.textContent?.trim() : null;
-        }).catch(() => null);
-        
-        if (verifyAgain !== 'Day') {
-          logToFile(`❌ CRITICAL: Failed to switch to Day view. Current view: "${verifyAgain}". Proceeding anyway but may fail.`);
-          dlog(`❌ CRITICAL: Failed to switch to Day view. Current view: "${verifyAgain}". Proceeding anyway but may fail.`);
-        } else {
-          dlog(`✓ Successfully verified Day view after retry`);
-        }
-      } else {
-        dlog(`✓ Verified: Currently in Day view`);
       }
-      
-      await takeScreenshot('after-switching-to-day-view');
-      await sleep(1000); // Wait for calendar to stabilize
-      
-      // Step 2: Click date button in the center (shows current date like "Nov 23, 2025")
-      dlog(`Step 2: Clicking date button in center to open date picker...`);
-      await takeScreenshot('before-clicking-date-button');
-      
-      // Find the date button by looking for elements containing the date format
-      let datePickerClicked = false;
-      
-      // Method 1: Try to find button/div containing date text (Nov 23, 2025 format)
-      try {
-        const dateButton = await page.evaluate(() => {
-          // Look for buttons or clickable divs in the header area that contain date text
-          const allElements = Array.from(document.querySelectorAll('button, div, span'));
-          for (const el of allElements) {
-            if (el.offsetParent === null) continue;
-            const text = (el.textContent || '').trim();
-            // Match date formats like "Nov 23, 2025" or "November 23, 2025"
-            if (text.match(/\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec|January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4}\b/i)) {
-              // Check if it's in the header/center area (not in sidebar)
-              const rect = el.getBoundingClientRect();
-              const centerX = window.innerWidth / 2;
-              // Date button should be roughly in the center of the screen
-              if (Math.abs(rect.left + rect.width / 2 - centerX) < 300) {
-                return {
-                  found: true,
-                  tag: el.tagName,
-                  text: text,
-                  x: rect.left + rect.width / 2,
-                  y: rect.top + rect.height / 2
-                };
-              }
-            }
-          }
-          return { found: false };
-        }).catch(() => ({ found: false }));
-        
-        if (dateButton.found) {
-          dlog(`Found date button: "${dateButton.text}" at (${dateButton.x}, ${dateButton.y})`);
-          await page.mouse.click(dateButton.x, dateButton.y);
-          dlog(`✓ Clicked date button using text search`);
+      return { found: false };
+    }).catch(() => ({ found: false }));
+    
+    if (dateButton.found) {
+      dlog(`Found date button: "${dateButton.text}" at (${dateButton.x}, ${dateButton.y})`);
+      await page.mouse.click(dateButton.x, dateButton.y);
+      dlog(`✓ Clicked date button using text search`);
+      datePickerClicked = true;
+      await sleep(1000);
+    }
+  } catch (e) {
+    dlog(`Date button text search failed: ${e?.message}`);
+  }
+  
+  // Method 2: Try XPath from Puppeteer recording (if Method 1 didn't work)
+  if (!datePickerClicked) {
+    try {
+      const xpathSelector = '/html/body/web-app/ng-component/div/div/div[2]/div/div/ng-component/div/div[1]/div[2]/div[3]';
+      const [datePickerElement] = await page.$x(xpathSelector);
+      if (datePickerElement) {
+        const isVisible = await datePickerElement.isVisible().catch(() => false);
+        if (isVisible) {
+          await datePickerElement.click({ offset: { x: 93.6015625, y: 24.25 } });
+          dlog(`✓ Clicked date range picker using XPath`);
           datePickerClicked = true;
           await sleep(1000);
         }
-      } catch (e) {
-        dlog(`Date button text search failed: ${e?.message}`);
       }
-      
-      // Method 2: Try XPath from Puppeteer recording (if Method 1 didn't work)
-      if (!datePickerClicked) {
-        try {
-          const xpathSelector = '/html/body/web-app/ng-component/div/div/div[2]/div/div/ng-component/div/div[1]/div[2]/div[3]';
-          const [datePickerElement] = await page.$x(xpathSelector);
-          if (datePickerElement) {
-            const isVisible = await datePickerElement.isVisible().catch(() => false);
-            if (isVisible) {
-              await datePickerElement.click({ offset: { x: 93.6015625, y: 24.25 } });
-              dlog(`✓ Clicked date range picker using XPath`);
-              datePickerClicked = true;
-              await sleep(1000);
+    } catch (e) {
+      dlog(`XPath selector failed: ${e?.message}`);
+    }
+  }
+  
+  // Method 3: Fallback to CSS selectors
+  if (!datePickerClicked) {
+    const dateMethodMsg = `[DATE NAV DATE BUTTON] Trying CSS selectors fallback...`;
+    logToFile(dateMethodMsg);
+    dlog(dateMethodMsg);
+    await clickElement(page, [
+      'div.date-range',
+      '[class*="date-range"]',
+      '[class*="date-picker"]',
+      'button:has-text("Nov")',
+      'button:has-text("2025")',
+      'div:has-text("Nov 23")',
+      'div:has-text("2025")'
+    ], { offset: { x: 93.6015625, y: 24.25 }, debug: DEBUG });
+    await sleep(1000);
+  } else {
+    const dateMethodMsg = `[DATE NAV DATE BUTTON] Successfully clicked date button`;
+    logToFile(dateMethodMsg);
+    dlog(`✓ ${dateMethodMsg}`);
+  }
+  
+  await takeScreenshot('after-clicking-date-button');
+  
+  // Step 3: Navigate date picker to target date and click it
+  dlog(`Step 3: Navigating date picker to ${month}/${day}/${year}...`);
+  
+  // Wait for date picker calendar to appear and table structure to be ready
+  await page.waitForSelector('bs-datepicker-container, bs-days-calendar-view, [class*="datepicker"]', { visible: true, timeout: 5000 }).catch(() => {
+    dlog(`Date picker calendar not found, might already be open`);
+  });
+  
+  await sleep(500);
+  
+  // REMOVED: All dropdown/instructor filtering code - we skip directly to date selection
+  
+  // Now continue with date picker navigation...
+  // Navigate to the correct month/year if needed, then click the target date
+  // (Date picker navigation code continues below - see Step 2)
+  
+  // Step 2: Navigate date picker to target date and click it
+  dlog(`Step 2: Navigating date picker to ${month}/${day}/${year}...`);
+  
+  // Wait for date picker calendar to appear and table structure to be ready
+  await page.waitForSelector('bs-datepicker-container, bs-days-calendar-view, [class*="datepicker"]', { visible: true, timeout: 5000 }).catch(() => {
+    dlog(`Date picker calendar not found, might already be open`);
+  });
+  // Wait for table structure to be ready (matching Puppeteer recording pattern)
+  await page.waitForSelector('bs-days-calendar-view table, bs-calendar-layout table, [class*="datepicker"] table, table td span', { visible: true, timeout: 5000 }).catch(() => {
+    dlog(`Date picker table not found immediately, continuing...`);
+  });
+  await sleep(1000);
+  
+  // Navigate date picker to target month/year if needed, then click the day
+  const datePicked = await page.evaluate((targetDay, targetMonth, targetYear) => {
+    const targetDateStr = `${targetYear}-${targetMonth.toString().padStart(2, '0')}-${targetDay.toString().padStart(2, '0')}`;
+    
+    // First, check if we're in the right month/year by looking at calendar headers
+    const calendarView = document.querySelector('bs-days-calendar-view, [class*="datepicker"]');
+    let isCorrectMonth = false;
+    if (calendarView) {
+      const calendarText = calendarView.textContent || '';
+      const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+      const monthName = monthNames[targetMonth - 1];
+      if (calendarText.includes(monthName) && calendarText.includes(String(targetYear))) {
+        isCorrectMonth = true;
+      }
+    }
+    
+    if (!isCorrectMonth) {
+      console.log(`[BROWSER] Not in correct month/year, need to navigate...`);
+      return { success: false, reason: 'wrong_month_year' };
+    }
+    
+    // Try to find the date using table structure (matching Puppeteer recording pattern)
+    // IMPORTANT: Only click dates that belong to the current month (not grayed out dates from other months)
+    const table = document.querySelector('bs-days-calendar-view table, bs-calendar-layout table, [class*="datepicker"] table');
+    if (table) {
+      const rows = table.querySelectorAll('tbody tr, tr');
+      for (let rowIdx = 0; rowIdx < rows.length; rowIdx++) {
+        const cells = rows[rowIdx].querySelectorAll('td');
+        for (let cellIdx = 0; cellIdx < cells.length; cellIdx++) {
+          const cell = cells[cellIdx];
+          const span = cell.querySelector('span');
+          if (span && span.offsetParent !== null && span.textContent?.trim() === String(targetDay)) {
+            // Check if this cell belongs to the current month (not a grayed-out date from another month)
+            // Dates from other months are usually disabled, have different classes, or are grayed out
+            const cellClasses = cell.className || '';
+            const spanClasses = span.className || '';
+            const isDisabled = cell.hasAttribute('disabled') || span.hasAttribute('disabled') ||
+                             cellClasses.includes('disabled') || spanClasses.includes('disabled') ||
+                             cellClasses.includes('off') || spanClasses.includes('off') ||
+                             cellClasses.includes('other-month') || spanClasses.includes('other-month');
+            
+            // Check if the cell/span is grayed out (opacity < 1 or color is gray)
+            const styles = window.getComputedStyle(span);
+            const opacity = parseFloat(styles.opacity || '1');
+            const color = styles.color || '';
+            const isGrayedOut = opacity < 0.5 || color.includes('128') || color.includes('gray') || color.includes('grey');
+            
+            // Only click if it's NOT disabled and NOT grayed out (belongs to current month)
+            if (!isDisabled && !isGrayedOut) {
+              console.log(`[BROWSER] Found target date ${targetDay} at row ${rowIdx + 1}, column ${cellIdx + 1} (current month), clicking...`);
+              span.scrollIntoView({ behavior: 'smooth', block: 'center' });
+              span.click();
+              return { success: true, method: 'table_click' };
+            } else {
+              console.log(`[BROWSER] Found date ${targetDay} but it's from another month (disabled/grayed out), skipping...`);
             }
           }
-        } catch (e) {
-          dlog(`XPath selector failed: ${e?.message}`);
         }
       }
-      
-      // Method 3: Fallback to CSS selectors
-      if (!datePickerClicked) {
-        const dateMethodMsg = `[DATE NAV DATE BUTTON] Trying CSS selectors fallback...`;
-        logToFile(dateMethodMsg);
-        dlog(dateMethodMsg);
-        await clickElement(page, [
-          'div.date-range',
-          '[class*="date-range"]',
-          '[class*="date-picker"]',
-          'button:has-text("Nov")',
-          'button:has-text("2025")',
-          'div:has-text("Nov 23")',
-          'div:has-text("2025")'
-        ], { offset: { x: 93.6015625, y: 24.25 }, debug: DEBUG });
-        await sleep(1000);
-      } else {
-        const dateMethodMsg = `[DATE NAV DATE BUTTON] Successfully clicked date button`;
-        logToFile(dateMethodMsg);
-        dlog(`✓ ${dateMethodMsg}`);
-      }
-      
-      await takeScreenshot('after-clicking-date-button');
-      
-      // Step 3: Navigate date picker to target date and click it
-      dlog(`Step 3: Navigating date picker to ${month}/${day}/${year}...`);
-      
-      // Wait for date picker calendar to appear and table structure to be ready
-      await page.waitForSelector('bs-datepicker-container, bs-days-calendar-view, [class*="datepicker"]', { visible: true, timeout: 5000 }).catch(() => {
-        dlog(`Date picker calendar not found, might already be open`);
-      });
-      
-      await sleep(500);
-      
-      // REMOVED: All dropdown/instructor filtering code - we skip directly to date selection
-      
-      // Now continue with date picker navigation...
-      // Navigate to the correct month/year if needed, then click the target date
-      // (Date picker navigation code continues below - see Step 2)
-      
-      // Step 2: Navigate date picker to target date and click it
-      dlog(`Step 2: Navigating date picker to ${month}/${day}/${year}...`);
-      
-      // Wait for date picker calendar to appear and table structure to be ready
-      await page.waitForSelector('bs-datepicker-container, bs-days-calendar-view, [class*="datepicker"]', { visible: true, timeout: 5000 }).catch(() => {
-        dlog(`Date picker calendar not found, might already be open`);
-      });
-      // Wait for table structure to be ready (matching Puppeteer recording pattern)
-      await page.waitForSelector('bs-days-calendar-view table, bs-calendar-layout table, [class*="datepicker"] table, table td span', { visible: true, timeout: 5000 }).catch(() => {
-        dlog(`Date picker table not found immediately, continuing...`);
-      });
-      await sleep(1000);
-      
-      // Navigate date picker to target month/year if needed, then click the day
-      const datePicked = await page.evaluate((targetDay, targetMonth, targetYear) => {
-        const targetDateStr = `${targetYear}-${targetMonth.toString().padStart(2, '0')}-${targetDay.toString().padStart(2, '0')}`;
-        
-        // First, check if we're in the right month/year by looking at calendar headers
-        const calendarView = document.querySelector('bs-days-calendar-view, [class*="datepicker"]');
-        let isCorrectMonth = false;
-        if (calendarView) {
-          const calendarText = calendarView.textContent || '';
-          const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-          const monthName = monthNames[targetMonth - 1];
-          if (calendarText.includes(monthName) && calendarText.includes(String(targetYear))) {
-            isCorrectMonth = true;
+    }
+    
+    // Fallback: try generic span selector, but only for dates in current month
+    const daySpans = document.querySelectorAll('bs-days-calendar-view table td span, [class*="datepicker"] table td span, tr td span');
+    for (const span of daySpans) {
+      if (span.offsetParent === null) continue;
+      const spanText = span.textContent?.trim();
+      if (spanText === String(targetDay)) {
+        // Check if this date belongs to current month (not grayed out)
+        const cell = span.closest('td');
+        if (cell) {
+          const cellClasses = cell.className || '';
+          const spanClasses = span.className || '';
+          const isDisabled = cell.hasAttribute('disabled') || span.hasAttribute('disabled') ||
+                           cellClasses.includes('disabled') || spanClasses.includes('disabled') ||
+                           cellClasses.includes('off') || spanClasses.includes('off') ||
+                           cellClasses.includes('other-month') || spanClasses.includes('other-month');
+          
+          const styles = window.getComputedStyle(span);
+          const opacity = parseFloat(styles.opacity || '1');
+          const color = styles.color || '';
+          const isGrayedOut = opacity < 0.5 || color.includes('128') || color.includes('gray') || color.includes('grey');
+          
+          if (!isDisabled && !isGrayedOut) {
+            console.log(`[BROWSER] Found target date ${targetDay} using fallback selector (current month), clicking...`);
+            span.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            span.click();
+            return { success: true, method: 'fallback_click' };
+          } else {
+            console.log(`[BROWSER] Found date ${targetDay} but it's from another month, skipping...`);
           }
         }
-        
-        if (!isCorrectMonth) {
-          console.log(`[BROWSER] Not in correct month/year, need to navigate...`);
-          return { success: false, reason: 'wrong_month_year' };
-        }
-        
-        // Try to find the date using table structure (matching Puppeteer recording pattern)
-        // IMPORTANT: Only click dates that belong to the current month (not grayed out dates from other months)
-        const table = document.querySelector('bs-days-calendar-view table, bs-calendar-layout table, [class*="datepicker"] table');
-        if (table) {
-          const rows = table.querySelectorAll('tbody tr, tr');
-          for (let rowIdx = 0; rowIdx < rows.length; rowIdx++) {
-            const cells = rows[rowIdx].querySelectorAll('td');
-            for (let cellIdx = 0; cellIdx < cells.length; cellIdx++) {
-              const cell = cells[cellIdx];
-              const span = cell.querySelector('span');
-              if (span && span.offsetParent !== null && span.textContent?.trim() === String(targetDay)) {
-                // Check if this cell belongs to the current month (not a grayed-out date from another month)
-                // Dates from other months are usually disabled, have different classes, or are grayed out
-                const cellClasses = cell.className || '';
-                const spanClasses = span.className || '';
-                const isDisabled = cell.hasAttribute('disabled') || span.hasAttribute('disabled') ||
-                                 cellClasses.includes('disabled') || spanClasses.includes('disabled') ||
-                                 cellClasses.includes('off') || spanClasses.includes('off') ||
-                                 cellClasses.includes('other-month') || spanClasses.includes('other-month');
-                
-                // Check if the cell/span is grayed out (opacity < 1 or color is gray)
-                const styles = window.getComputedStyle(span);
-                const opacity = parseFloat(styles.opacity || '1');
-                const color = styles.color || '';
-                const isGrayedOut = opacity < 0.5 || color.includes('128') || color.includes('gray') || color.includes('grey');
-                
-                // Only click if it's NOT disabled and NOT grayed out (belongs to current month)
-                if (!isDisabled && !isGrayedOut) {
-                  console.log(`[BROWSER] Found target date ${targetDay} at row ${rowIdx + 1}, column ${cellIdx + 1} (current month), clicking...`);
-                  span.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                  span.click();
-                  return { success: true, method: 'table_click' };
-                } else {
-                  console.log(`[BROWSER] Found date ${targetDay} but it's from another month (disabled/grayed out), skipping...`);
-                }
-              }
-            }
-          }
+      }
+    }
+    
+    // Log what dates are actually visible for debugging
+    const visibleDates = [];
+    const allSpans = document.querySelectorAll('bs-days-calendar-view table td span, [class*="datepicker"] table td span, tr td span');
+    for (const span of allSpans) {
+      if (span.offsetParent !== null) {
+        const text = span.textContent?.trim();
+        if (text && /^\d+$/.test(text)) {
+          visibleDates.push(text);
         }
-        
-        // Fallback: try generic span selector, but only for dates in current month
-        const daySpans = document.querySelectorAll('bs-days-calendar-view table td span, [class*="datepicker"] table td span, tr td span');
-        for (const span of daySpans) {
-          if (span.offsetParent === null) continue;
-          const spanText = span.textContent?.trim();
-          if (spanText === String(targetDay)) {
-            // Check if this date belongs to current month (not grayed out)
-            const cell = span.closest('td');
-            if (cell) {
+      }
+    }
+    console.log(`[BROWSER] Target date ${targetDay} not found in calendar. Visible dates: ${visibleDates.join(', ')}`);
+    return { success: false, reason: 'date_not_visible', visibleDates: visibleDates };
+  }, day, month, year).catch(() => ({ success: false, reason: 'error' }));
+  
+  if (!datePicked.success) {
+    // Navigate the date picker to the correct month/year
+    dlog(`Navigating date picker calendar to ${month}/${day}/${year}...`);
+    
+    // Before navigating, try to click the day if we can find it and verify context
+    dlog(`First, trying to find and click target date ${day}/${month}/${year} directly...`);
+    const directDateClick = await page.evaluate((targetDay, targetMonth, targetYear) => {
+      const targetDateStr = `${targetYear}-${targetMonth.toString().padStart(2, '0')}-${targetDay.toString().padStart(2, '0')}`;
+      
+      // Find all day spans in the calendar
+      const table = document.querySelector('bs-days-calendar-view table, bs-calendar-layout table, [class*="datepicker"] table');
+      if (table) {
+        const rows = table.querySelectorAll('tbody tr, tr');
+        for (let rowIdx = 0; rowIdx < rows.length; rowIdx++) {
+          const cells = rows[rowIdx].querySelectorAll('td');
+          for (let cellIdx = 0; cellIdx < cells.length; cellIdx++) {
+            const cell = cells[cellIdx];
+            const span = cell.querySelector('span');
+            if (span && span.offsetParent !== null && span.textContent?.trim() === String(targetDay)) {
+              // CRITICAL: Check if this date belongs to the current month (not a grayed-out date from another month)
               const cellClasses = cell.className || '';
               const spanClasses = span.className || '';
               const isDisabled = cell.hasAttribute('disabled') || span.hasAttribute('disabled') ||
@@ -2251,121 +2407,243 @@ async function bookClass({
               const color = styles.color || '';
               const isGrayedOut = opacity < 0.5 || color.includes('128') || color.includes('gray') || color.includes('grey');
               
-              if (!isDisabled && !isGrayedOut) {
-                console.log(`[BROWSER] Found target date ${targetDay} using fallback selector (current month), clicking...`);
+              // Skip dates from other months
+              if (isDisabled || isGrayedOut) {
+                console.log(`[BROWSER] Found day ${targetDay} but it's from another month (disabled/grayed out), skipping...`);
+                continue;
+              }
+              
+              // Check if this date cell is in the right month/year by checking parent context
+              const calendarView = span.closest('bs-days-calendar-view') || span.closest('bs-calendar-layout');
+              if (calendarView) {
+                const calendarText = calendarView.textContent || '';
+                const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+                const targetMonthName = monthNames[targetMonth - 1];
+                
+                // Check if this calendar view contains our target month/year
+                if (calendarText.includes(targetMonthName) && calendarText.includes(String(targetYear))) {
+                  console.log(`[BROWSER] Found day ${targetDay} in correct month/year context (${targetMonth}/${targetYear}), clicking...`);
+                  span.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                  span.click();
+                  return { success: true, method: 'direct_with_context' };
+                }
+              }
+              
+              // If context check failed but we're in the target month area, try clicking anyway
+              // This handles cases where month/year detection isn't perfect
+              const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+              const monthAbbrevs = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+              const targetMonthName = monthNames[targetMonth - 1];
+              const targetMonthAbbrev = monthAbbrevs[targetMonth - 1];
+              const calendarText = document.querySelector('bs-days-calendar-view, bs-calendar-layout')?.textContent || '';
+              if (calendarText.includes(targetMonthName) || calendarText.includes(targetMonthAbbrev)) {
+                console.log(`[BROWSER] Found day ${targetDay} in ${targetMonthName} context (current month), clicking...`);
                 span.scrollIntoView({ behavior: 'smooth', block: 'center' });
                 span.click();
-                return { success: true, method: 'fallback_click' };
-              } else {
-                console.log(`[BROWSER] Found date ${targetDay} but it's from another month, skipping...`);
+                return { success: true, method: `direct_${targetMonthName.toLowerCase()}` };
+              }
+            }
+          }
+        }
+      }
+      
+      return { success: false, reason: 'day_not_found_with_context' };
+    }, day, month, year).catch(() => ({ success: false, reason: 'error' }));
+    
+    if (directDateClick.success) {
+      const dateMethodMsg = `[DATE NAV DATE PICKER] Successfully clicked target date ${day}/${month}/${year} using method: ${directDateClick.method}`;
+      logToFile(dateMethodMsg);
+      dlog(`✓ ${dateMethodMsg}`);
+      await sleep(1500);
+      
+      // Verify date picker closed AND verify the correct date is displayed
+      const dateVerification = await page.evaluate((targetDay, targetMonth, targetYear) => {
+        const container = document.querySelector('bs-datepicker-container');
+        const pickerClosed = !container || container.offsetParent === null;
+        
+        // Check what date is actually displayed in the calendar view
+        // Look for the date button text (e.g., "Nov 27, 2025")
+        const dateButton = Array.from(document.querySelectorAll('div, button, span')).find(el => {
+          if (el.offsetParent === null) return false;
+          const text = (el.textContent || '').trim();
+          // Match formats like "Nov 27, 2025", "November 27, 2025", "27 Nov 2025"
+          const datePatterns = [
+            new RegExp(`(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\\s+${targetDay}\\s*,?\\s*${targetYear}`, 'i'),
+            new RegExp(`(January|February|March|April|May|June|July|August|September|October|November|December)\\s+${targetDay}\\s*,?\\s*${targetYear}`, 'i'),
+            new RegExp(`${targetDay}\\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\\s+${targetYear}`, 'i')
+          ];
+          return datePatterns.some(pattern => pattern.test(text));
+        });
+        
+        const correctDateDisplayed = dateButton !== undefined;
+        
+        return {
+          pickerClosed: pickerClosed,
+          correctDateDisplayed: correctDateDisplayed,
+          dateButtonText: dateButton ? (dateButton.textContent || '').trim() : null
+        };
+      }, day, month, year).catch(() => ({ pickerClosed: false, correctDateDisplayed: false, dateButtonText: null }));
+      
+      if (dateVerification.pickerClosed && dateVerification.correctDateDisplayed) {
+        dlog(`✓ Date picker closed and correct date (${day}/${month}/${year}) is displayed: "${dateVerification.dateButtonText}"`);
+        logToFile(`✓ Date verification passed: ${day}/${month}/${year} displayed as "${dateVerification.dateButtonText}"`);
+        await takeScreenshot('after-date-selected-direct');
+      } else if (dateVerification.pickerClosed) {
+        dlog(`⚠ Date picker closed but date verification failed - may not have selected correct date`);
+        logToFile(`⚠ Date picker closed but correct date not verified. Date button text: "${dateVerification.dateButtonText || 'not found'}"`);
+        await takeScreenshot('after-date-selected-direct-warning');
+      } else {
+        dlog(`⚠ Date picker still open, but continuing...`);
+        await takeScreenshot('after-date-selected-direct-picker-open');
+      }
+    } else {
+      dlog(`Could not find target date directly, navigating date picker...`);
+      
+      // Try to navigate month/year in the date picker
+      // The date picker might have month/year navigation buttons
+      for (let navAttempt = 0; navAttempt < 12; navAttempt++) {
+      // Check current month/year in date picker - improved detection
+      const currentDatePickerState = await page.evaluate(() => {
+        let foundMonth = null;
+        let foundYear = null;
+        
+        // Method 1: Look for month/year in calendar view headers
+        const view = document.querySelector('bs-days-calendar-view, bs-calendar-layout, [class*="datepicker"]');
+        if (view) {
+          const text = view.textContent || '';
+          const monthMatch = text.match(/(January|February|March|April|May|June|July|August|September|October|November|December)/i);
+          const yearMatch = text.match(/\b(20\d{2})\b/);
+          if (monthMatch) {
+            const months = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+            foundMonth = months.indexOf(monthMatch[1].toLowerCase()) + 1;
+          }
+          if (yearMatch) foundYear = parseInt(yearMatch[1]);
+        }
+        
+        // Method 2: Look for month/year buttons or headers
+        if (!foundMonth || !foundYear) {
+          const headers = document.querySelectorAll('bs-datepicker-container th, bs-datepicker-container button, [class*="datepicker"] th, [class*="datepicker"] button');
+          for (const h of headers) {
+            if (h.offsetParent !== null) {
+              const text = h.textContent || '';
+              const monthMatch = text.match(/(January|February|March|April|May|June|July|August|September|October|November|December)/i);
+              const yearMatch = text.match(/\b(20\d{2})\b/);
+              if (monthMatch && !foundMonth) {
+                const months = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+                foundMonth = months.indexOf(monthMatch[1].toLowerCase()) + 1;
+              }
+              if (yearMatch && !foundYear) foundYear = parseInt(yearMatch[1]);
+              if (foundMonth && foundYear) break;
+            }
+          }
+        }
+        
+        // Method 3: Look at visible dates in the calendar table
+        if (!foundMonth || !foundYear) {
+          const cells = document.querySelectorAll('bs-days-calendar-view td, bs-calendar-layout td, [class*="datepicker"] table td');
+          for (const cell of cells) {
+            if (cell.offsetParent !== null) {
+              const span = cell.querySelector('span');
+              if (span && span.textContent?.trim()) {
+                // Check if this is a valid date cell (not empty)
+                const cellText = cell.textContent?.trim();
+                const monthMatch = cellText?.match(/(January|February|March|April|May|June|July|August|September|October|November|December)/i);
+                const yearMatch = cellText?.match(/\b(20\d{2})\b/);
+                if (monthMatch && !foundMonth) {
+                  const months = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+                  foundMonth = months.indexOf(monthMatch[1].toLowerCase()) + 1;
+                }
+                if (yearMatch && !foundYear) foundYear = parseInt(yearMatch[1]);
+                if (foundMonth && foundYear) break;
               }
             }
           }
         }
         
-        // Log what dates are actually visible for debugging
-        const visibleDates = [];
-        const allSpans = document.querySelectorAll('bs-days-calendar-view table td span, [class*="datepicker"] table td span, tr td span');
-        for (const span of allSpans) {
-          if (span.offsetParent !== null) {
-            const text = span.textContent?.trim();
-            if (text && /^\d+$/.test(text)) {
-              visibleDates.push(text);
+        // Method 4: Look at the date picker container's entire text
+        if (!foundMonth || !foundYear) {
+          const container = document.querySelector('bs-datepicker-container');
+          if (container) {
+            const text = container.textContent || '';
+            const monthMatch = text.match(/(January|February|March|April|May|June|July|August|September|October|November|December)/i);
+            const yearMatch = text.match(/\b(20\d{2})\b/);
+            if (monthMatch && !foundMonth) {
+              const months = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+              foundMonth = months.indexOf(monthMatch[1].toLowerCase()) + 1;
             }
+            if (yearMatch && !foundYear) foundYear = parseInt(yearMatch[1]);
           }
         }
-        console.log(`[BROWSER] Target date ${targetDay} not found in calendar. Visible dates: ${visibleDates.join(', ')}`);
-        return { success: false, reason: 'date_not_visible', visibleDates: visibleDates };
-      }, day, month, year).catch(() => ({ success: false, reason: 'error' }));
-      
-      if (!datePicked.success) {
-        // Navigate the date picker to the correct month/year
-        dlog(`Navigating date picker calendar to ${month}/${day}/${year}...`);
-        
-        // Before navigating, try to click the day if we can find it and verify context
-        dlog(`First, trying to find and click target date ${day}/${month}/${year} directly...`);
-        const directDateClick = await page.evaluate((targetDay, targetMonth, targetYear) => {
-          const targetDateStr = `${targetYear}-${targetMonth.toString().padStart(2, '0')}-${targetDay.toString().padStart(2, '0')}`;
-          
-          // Find all day spans in the calendar
+        
+        return { month: foundMonth, year: foundYear };
+      }).catch(() => ({ month: null, year: null }));
+      
+      dlog(`Date picker state: Month=${currentDatePickerState?.month}, Year=${currentDatePickerState?.year}, Target: ${month}/${year}`);
+      
+      // If we detected the month/year, try to click the day even if not exact match yet
+      // But prioritize if we're on the exact month/year
+      if (currentDatePickerState?.month === month && currentDatePickerState?.year === year) {
+        dlog(`✓ Date picker is on correct month/year (${currentDatePickerState.month}/${currentDatePickerState.year}), clicking day ${day}...`);
+        
+        const dayClicked = await page.evaluate((targetDay) => {
+          // Try to find the date in the calendar table using table structure
           const table = document.querySelector('bs-days-calendar-view table, bs-calendar-layout table, [class*="datepicker"] table');
+          
           if (table) {
             const rows = table.querySelectorAll('tbody tr, tr');
             for (let rowIdx = 0; rowIdx < rows.length; rowIdx++) {
               const cells = rows[rowIdx].querySelectorAll('td');
               for (let cellIdx = 0; cellIdx < cells.length; cellIdx++) {
-                const cell = cells[cellIdx];
-                const span = cell.querySelector('span');
+                const span = cells[cellIdx].querySelector('span');
                 if (span && span.offsetParent !== null && span.textContent?.trim() === String(targetDay)) {
-                  // CRITICAL: Check if this date belongs to the current month (not a grayed-out date from another month)
-                  const cellClasses = cell.className || '';
-                  const spanClasses = span.className || '';
-                  const isDisabled = cell.hasAttribute('disabled') || span.hasAttribute('disabled') ||
-                                   cellClasses.includes('disabled') || spanClasses.includes('disabled') ||
-                                   cellClasses.includes('off') || spanClasses.includes('off') ||
-                                   cellClasses.includes('other-month') || spanClasses.includes('other-month');
-                  
-                  const styles = window.getComputedStyle(span);
-                  const opacity = parseFloat(styles.opacity || '1');
-                  const color = styles.color || '';
-                  const isGrayedOut = opacity < 0.5 || color.includes('128') || color.includes('gray') || color.includes('grey');
-                  
-                  // Skip dates from other months
-                  if (isDisabled || isGrayedOut) {
-                    console.log(`[BROWSER] Found day ${targetDay} but it's from another month (disabled/grayed out), skipping...`);
-                    continue;
-                  }
-                  
-                  // Check if this date cell is in the right month/year by checking parent context
-                  const calendarView = span.closest('bs-days-calendar-view') || span.closest('bs-calendar-layout');
-                  if (calendarView) {
-                    const calendarText = calendarView.textContent || '';
-                    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-                    const targetMonthName = monthNames[targetMonth - 1];
-                    
-                    // Check if this calendar view contains our target month/year
-                    if (calendarText.includes(targetMonthName) && calendarText.includes(String(targetYear))) {
-                      console.log(`[BROWSER] Found day ${targetDay} in correct month/year context (${targetMonth}/${targetYear}), clicking...`);
-                      span.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                      span.click();
-                      return { success: true, method: 'direct_with_context' };
-                    }
-                  }
-                  
-                  // If context check failed but we're in the target month area, try clicking anyway
-                  // This handles cases where month/year detection isn't perfect
-                  const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-                  const monthAbbrevs = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-                  const targetMonthName = monthNames[targetMonth - 1];
-                  const targetMonthAbbrev = monthAbbrevs[targetMonth - 1];
-                  const calendarText = document.querySelector('bs-days-calendar-view, bs-calendar-layout')?.textContent || '';
-                  if (calendarText.includes(targetMonthName) || calendarText.includes(targetMonthAbbrev)) {
-                    console.log(`[BROWSER] Found day ${targetDay} in ${targetMonthName} context (current month), clicking...`);
-                    span.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                    span.click();
-                    return { success: true, method: `direct_${targetMonthName.toLowerCase()}` };
-                  }
+                  console.log(`[BROWSER] Found day ${targetDay} at row ${rowIdx + 1}, column ${cellIdx + 1}, clicking...`);
+                  span.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                  span.click();
+                  return { success: true, method: 'table_click' };
                 }
               }
             }
           }
           
-          return { success: false, reason: 'day_not_found_with_context' };
-        }, day, month, year).catch(() => ({ success: false, reason: 'error' }));
+          // Fallback: try all spans
+          const spans = document.querySelectorAll('bs-days-calendar-view table td span, bs-calendar-layout table td span, [class*="datepicker"] table td span, tr td span');
+          for (const span of spans) {
+            if (span.offsetParent === null) continue;
+            if (span.textContent?.trim() === String(targetDay)) {
+              console.log(`[BROWSER] Found day ${targetDay} using fallback selector, clicking...`);
+              span.scrollIntoView({ behavior: 'smooth', block: 'center' });
+              span.click();
+              return { success: true, method: 'fallback_click' };
+            }
+          }
+          
+          // Log what dates are actually visible for debugging
+          const visibleDates = [];
+          const allSpans = document.querySelectorAll('bs-days-calendar-view table td span, bs-calendar-layout table td span, [class*="datepicker"] table td span, tr td span');
+          for (const span of allSpans) {
+            if (span.offsetParent !== null) {
+              const text = span.textContent?.trim();
+              if (text && /^\d+$/.test(text)) {
+                visibleDates.push(text);
+              }
+            }
+          }
+          console.log(`[BROWSER] Could not find day ${targetDay} in date picker. Visible dates: ${visibleDates.join(', ')}`);
+          return { success: false, reason: 'day_not_found', visibleDates: visibleDates };
+        }, day).catch(() => ({ success: false, reason: 'error' }));
         
-        if (directDateClick.success) {
-          const dateMethodMsg = `[DATE NAV DATE PICKER] Successfully clicked target date ${day}/${month}/${year} using method: ${directDateClick.method}`;
-          logToFile(dateMethodMsg);
-          dlog(`✓ ${dateMethodMsg}`);
+        if (dayClicked.success) {
+          const dayPickerMethodMsg = `[DATE NAV DATE PICKER] Successfully clicked day ${day} using method: ${dayClicked.method}`;
+          logToFile(dayPickerMethodMsg);
+          dlog(`✓ ${dayPickerMethodMsg}`);
           await sleep(1500);
           
-          // Verify date picker closed AND verify the correct date is displayed
+          // Verify the date was actually selected AND verify correct date is displayed
           const dateVerification = await page.evaluate((targetDay, targetMonth, targetYear) => {
             const container = document.querySelector('bs-datepicker-container');
             const pickerClosed = !container || container.offsetParent === null;
             
             // Check what date is actually displayed in the calendar view
-            // Look for the date button text (e.g., "Nov 27, 2025")
             const dateButton = Array.from(document.querySelectorAll('div, button, span')).find(el => {
               if (el.offsetParent === null) return false;
               const text = (el.textContent || '').trim();
@@ -2390,3637 +2668,6777 @@ async function bookClass({
           if (dateVerification.pickerClosed && dateVerification.correctDateDisplayed) {
             dlog(`✓ Date picker closed and correct date (${day}/${month}/${year}) is displayed: "${dateVerification.dateButtonText}"`);
             logToFile(`✓ Date verification passed: ${day}/${month}/${year} displayed as "${dateVerification.dateButtonText}"`);
-            await takeScreenshot('after-date-selected-direct');
+            await takeScreenshot('after-date-selected-navigation');
+            break; // Exit navigation loop
           } else if (dateVerification.pickerClosed) {
             dlog(`⚠ Date picker closed but date verification failed - may not have selected correct date`);
             logToFile(`⚠ Date picker closed but correct date not verified. Date button text: "${dateVerification.dateButtonText || 'not found'}"`);
-            await takeScreenshot('after-date-selected-direct-warning');
+            await takeScreenshot('after-date-selected-navigation-warning');
+            // Don't break - continue trying
           } else {
-            dlog(`⚠ Date picker still open, but continuing...`);
-            await takeScreenshot('after-date-selected-direct-picker-open');
+            dlog(`⚠ Date picker still open, may need to click again`);
+            await takeScreenshot('after-date-selected-navigation-picker-open');
           }
         } else {
-          dlog(`Could not find target date directly, navigating date picker...`);
-          
-          // Try to navigate month/year in the date picker
-          // The date picker might have month/year navigation buttons
-          for (let navAttempt = 0; navAttempt < 12; navAttempt++) {
-          // Check current month/year in date picker - improved detection
-          const currentDatePickerState = await page.evaluate(() => {
-            let foundMonth = null;
-            let foundYear = null;
-            
-            // Method 1: Look for month/year in calendar view headers
-            const view = document.querySelector('bs-days-calendar-view, bs-calendar-layout, [class*="datepicker"]');
-            if (view) {
-              const text = view.textContent || '';
-              const monthMatch = text.match(/(January|February|March|April|May|June|July|August|September|October|November|December)/i);
-              const yearMatch = text.match(/\b(20\d{2})\b/);
-              if (monthMatch) {
-                const months = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
-                foundMonth = months.indexOf(monthMatch[1].toLowerCase()) + 1;
-              }
-              if (yearMatch) foundYear = parseInt(yearMatch[1]);
-            }
-            
-            // Method 2: Look for month/year buttons or headers
-            if (!foundMonth || !foundYear) {
-              const headers = document.querySelectorAll('bs-datepicker-container th, bs-datepicker-container button, [class*="datepicker"] th, [class*="datepicker"] button');
-              for (const h of headers) {
-                if (h.offsetParent !== null) {
-                  const text = h.textContent || '';
-                  const monthMatch = text.match(/(January|February|March|April|May|June|July|August|September|October|November|December)/i);
-                  const yearMatch = text.match(/\b(20\d{2})\b/);
-                  if (monthMatch && !foundMonth) {
-                    const months = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
-                    foundMonth = months.indexOf(monthMatch[1].toLowerCase()) + 1;
-                  }
-                  if (yearMatch && !foundYear) foundYear = parseInt(yearMatch[1]);
-                  if (foundMonth && foundYear) break;
-                }
-              }
-            }
-            
-            // Method 3: Look at visible dates in the calendar table
-            if (!foundMonth || !foundYear) {
-              const cells = document.querySelectorAll('bs-days-calendar-view td, bs-calendar-layout td, [class*="datepicker"] table td');
-              for (const cell of cells) {
-                if (cell.offsetParent !== null) {
-                  const span = cell.querySelector('span');
-                  if (span && span.textContent?.trim()) {
-                    // Check if this is a valid date cell (not empty)
-                    const cellText = cell.textContent?.trim();
-                    const monthMatch = cellText?.match(/(January|February|March|April|May|June|July|August|September|October|November|December)/i);
-                    const yearMatch = cellText?.match(/\b(20\d{2})\b/);
-                    if (monthMatch && !foundMonth) {
-                      const months = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
-                      foundMonth = months.indexOf(monthMatch[1].toLowerCase()) + 1;
-                    }
-                    if (yearMatch && !foundYear) foundYear = parseInt(yearMatch[1]);
-                    if (foundMonth && foundYear) break;
-                  }
-                }
-              }
-            }
-            
-            // Method 4: Look at the date picker container's entire text
-            if (!foundMonth || !foundYear) {
-              const container = document.querySelector('bs-datepicker-container');
-              if (container) {
-                const text = container.textContent || '';
-                const monthMatch = text.match(/(January|February|March|April|May|June|July|August|September|October|November|December)/i);
-                const yearMatch = text.match(/\b(20\d{2})\b/);
-                if (monthMatch && !foundMonth) {
-                  const months = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
-                  foundMonth = months.indexOf(monthMatch[1].toLowerCase()) + 1;
-                }
-                if (yearMatch && !foundYear) foundYear = parseInt(yearMatch[1]);
-              }
-            }
-            
-            return { month: foundMonth, year: foundYear };
-          }).catch(() => ({ month: null, year: null }));
-          
-          dlog(`Date picker state: Month=${currentDatePickerState?.month}, Year=${currentDatePickerState?.year}, Target: ${month}/${year}`);
-          
-          // If we detected the month/year, try to click the day even if not exact match yet
-          // But prioritize if we're on the exact month/year
-          if (currentDatePickerState?.month === month && currentDatePickerState?.year === year) {
-            dlog(`✓ Date picker is on correct month/year (${currentDatePickerState.month}/${currentDatePickerState.year}), clicking day ${day}...`);
-            
-            const dayClicked = await page.evaluate((targetDay) => {
-              // Try to find the date in the calendar table using table structure
-              const table = document.querySelector('bs-days-calendar-view table, bs-calendar-layout table, [class*="datepicker"] table');
-              
-              if (table) {
-                const rows = table.querySelectorAll('tbody tr, tr');
-                for (let rowIdx = 0; rowIdx < rows.length; rowIdx++) {
-                  const cells = rows[rowIdx].querySelectorAll('td');
-                  for (let cellIdx = 0; cellIdx < cells.length; cellIdx++) {
-                    const span = cells[cellIdx].querySelector('span');
-                    if (span && span.offsetParent !== null && span.textContent?.trim() === String(targetDay)) {
-                      console.log(`[BROWSER] Found day ${targetDay} at row ${rowIdx + 1}, column ${cellIdx + 1}, clicking...`);
-                      span.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                      span.click();
-                      return { success: true, method: 'table_click' };
-                    }
-                  }
-                }
-              }
-              
-              // Fallback: try all spans
-              const spans = document.querySelectorAll('bs-days-calendar-view table td span, bs-calendar-layout table td span, [class*="datepicker"] table td span, tr td span');
-              for (const span of spans) {
-                if (span.offsetParent === null) continue;
-                if (span.textContent?.trim() === String(targetDay)) {
-                  console.log(`[BROWSER] Found day ${targetDay} using fallback selector, clicking...`);
-                  span.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                  span.click();
-                  return { success: true, method: 'fallback_click' };
-                }
-              }
-              
-              // Log what dates are actually visible for debugging
-              const visibleDates = [];
-              const allSpans = document.querySelectorAll('bs-days-calendar-view table td span, bs-calendar-layout table td span, [class*="datepicker"] table td span, tr td span');
-              for (const span of allSpans) {
-                if (span.offsetParent !== null) {
-                  const text = span.textContent?.trim();
-                  if (text && /^\d+$/.test(text)) {
-                    visibleDates.push(text);
-                  }
-                }
-              }
-              console.log(`[BROWSER] Could not find day ${targetDay} in date picker. Visible dates: ${visibleDates.join(', ')}`);
-              return { success: false, reason: 'day_not_found', visibleDates: visibleDates };
-            }, day).catch(() => ({ success: false, reason: 'error' }));
-            
-            if (dayClicked.success) {
-              const dayPickerMethodMsg = `[DATE NAV DATE PICKER] Successfully clicked day ${day} using method: ${dayClicked.method}`;
-              logToFile(dayPickerMethodMsg);
-              dlog(`✓ ${dayPickerMethodMsg}`);
-              await sleep(1500);
-              
-              // Verify the date was actually selected AND verify correct date is displayed
-              const dateVerification = await page.evaluate((targetDay, targetMonth, targetYear) => {
-                const container = document.querySelector('bs-datepicker-container');
-                const pickerClosed = !container || container.offsetParent === null;
-                
-                // Check what date is actually displayed in the calendar view
-                const dateButton = Array.from(document.querySelectorAll('div, button, span')).find(el => {
-                  if (el.offsetParent === null) return false;
-                  const text = (el.textContent || '').trim();
-                  // Match formats like "Nov 27, 2025", "November 27, 2025", "27 Nov 2025"
-                  const datePatterns = [
-                    new RegExp(`(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\\s+${targetDay}\\s*,?\\s*${targetYear}`, 'i'),
-                    new RegExp(`(January|February|March|April|May|June|July|August|September|October|November|December)\\s+${targetDay}\\s*,?\\s*${targetYear}`, 'i'),
-                    new RegExp(`${targetDay}\\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\\s+${targetYear}`, 'i')
-                  ];
-                  return datePatterns.some(pattern => pattern.test(text));
-                });
-                
-                const correctDateDisplayed = dateButton !== undefined;
-                
-                return {
-                  pickerClosed: pickerClosed,
-                  correctDateDisplayed: correctDateDisplayed,
-                  dateButtonText: dateButton ? (dateButton.textContent || '').trim() : null
-                };
-              }, day, month, year).catch(() => ({ pickerClosed: false, correctDateDisplayed: false, dateButtonText: null }));
-              
-              if (dateVerification.pickerClosed && dateVerification.correctDateDisplayed) {
-                dlog(`✓ Date picker closed and correct date (${day}/${month}/${year}) is displayed: "${dateVerification.dateButtonText}"`);
-                logToFile(`✓ Date verification passed: ${day}/${month}/${year} displayed as "${dateVerification.dateButtonText}"`);
-                await takeScreenshot('after-date-selected-navigation');
-                break; // Exit navigation loop
-              } else if (dateVerification.pickerClosed) {
-                dlog(`⚠ Date picker closed but date verification failed - may not have selected correct date`);
-                logToFile(`⚠ Date picker closed but correct date not verified. Date button text: "${dateVerification.dateButtonText || 'not found'}"`);
-                await takeScreenshot('after-date-selected-navigation-warning');
-                // Don't break - continue trying
-              } else {
-                dlog(`⚠ Date picker still open, may need to click again`);
-                await takeScreenshot('after-date-selected-navigation-picker-open');
-              }
-            } else {
-              dlog(`✗ Could not find day ${day} in date picker: ${dayClicked.reason}`);
-            }
-          } else {
-            // Navigate to correct month/year
-            const needsForward = !currentDatePickerState?.month || 
-                                 !currentDatePickerState?.year ||
-                                 (currentDatePickerState.year * 12 + currentDatePickerState.month) < (year * 12 + month);
-            
-            if (needsForward) {
-              dlog(`Navigating date picker forward (from ${currentDatePickerState?.month || '?'}/${currentDatePickerState?.year || '?'} to ${month}/${year})...`);
-              const nextClicked = await clickElement(page, [
-                'bs-datepicker-container button[aria-label*="next"]',
-                'bs-datepicker-container button[aria-label*="Next"]',
-                'bs-datepicker-container button.next',
-                'bs-datepicker-container .next',
-                '[class*="datepicker"] button[aria-label*="next"]',
-                '[class*="datepicker"] button[aria-label*="Next"]',
-                'button[title*="next"]',
-                'button[title*="Next"]',
-                '::-p-xpath(//bs-datepicker-container//button[@aria-label[contains(., "next")]])',
-                '::-p-xpath(//button[contains(@aria-label, "next") or contains(@aria-label, "Next")])'
-              ], { timeout: 2000, debug: DEBUG }).catch(() => {
-                dlog(`Could not find next button in date picker`);
-                return false;
-              });
-              if (!nextClicked) {
-                dlog(`⚠ Next button not found or not clickable - trying alternative navigation methods`);
-                // Try clicking on month/year header to open month picker
-                await page.evaluate(() => {
-                  const header = document.querySelector('bs-datepicker-container .current, bs-datepicker-container button.current, [class*="datepicker"] .current');
-                  if (header && header.offsetParent !== null) {
-                    header.click();
-                    return true;
-                  }
-                  return false;
-                }).catch(() => false);
-              }
-            } else {
-              dlog(`Navigating date picker backward (from ${currentDatePickerState?.month || '?'}/${currentDatePickerState?.year || '?'} to ${month}/${year})...`);
-              const prevClicked = await clickElement(page, [
-                'bs-datepicker-container button[aria-label*="previous"]',
-                'bs-datepicker-container button[aria-label*="Previous"]',
-                'bs-datepicker-container button.previous',
-                'bs-datepicker-container .previous',
-                '[class*="datepicker"] button[aria-label*="previous"]',
-                '[class*="datepicker"] button[aria-label*="Previous"]',
-                'button[title*="previous"]',
-                'button[title*="Previous"]'
-              ], { timeout: 2000, debug: DEBUG }).catch(() => {
-                dlog(`Could not find previous button in date picker`);
-                return false;
-              });
-              if (!prevClicked) {
-                dlog(`⚠ Previous button not found or not clickable - trying alternative navigation methods`);
-                // Try clicking on month/year header to open month picker
-                await page.evaluate(() => {
-                  const header = document.querySelector('bs-datepicker-container .current, bs-datepicker-container button.current, [class*="datepicker"] .current');
-                  if (header && header.offsetParent !== null) {
-                    header.click();
-                    return true;
-                  }
-                  return false;
-                }).catch(() => false);
+          dlog(`✗ Could not find day ${day} in date picker: ${dayClicked.reason}`);
+        }
+      } else {
+        // Navigate to correct month/year
+        const needsForward = !currentDatePickerState?.month || 
+                             !currentDatePickerState?.year ||
+                             (currentDatePickerState.year * 12 + currentDatePickerState.month) < (year * 12 + month);
+        
+        if (needsForward) {
+          dlog(`Navigating date picker forward (from ${currentDatePickerState?.month || '?'}/${currentDatePickerState?.year || '?'} to ${month}/${year})...`);
+          const nextClicked = await clickElement(page, [
+            'bs-datepicker-container button[aria-label*="next"]',
+            'bs-datepicker-container button[aria-label*="Next"]',
+            'bs-datepicker-container button.next',
+            'bs-datepicker-container .next',
+            '[class*="datepicker"] button[aria-label*="next"]',
+            '[class*="datepicker"] button[aria-label*="Next"]',
+            'button[title*="next"]',
+            'button[title*="Next"]',
+            '::-p-xpath(//bs-datepicker-container//button[@aria-label[contains(., "next")]])',
+            '::-p-xpath(//button[contains(@aria-label, "next") or contains(@aria-label, "Next")])'
+          ], { timeout: 2000, debug: DEBUG }).catch(() => {
+            dlog(`Could not find next button in date picker`);
+            return false;
+          });
+          if (!nextClicked) {
+            dlog(`⚠ Next button not found or not clickable - trying alternative navigation methods`);
+            // Try clicking on month/year header to open month picker
+            await page.evaluate(() => {
+              const header = document.querySelector('bs-datepicker-container .current, bs-datepicker-container button.current, [class*="datepicker"] .current');
+              if (header && header.offsetParent !== null) {
+                header.click();
+                return true;
               }
-            }
-            await sleep(1500); // Increased wait time for calendar to update
-          }
-          
-          if (navAttempt >= 11) {
-            const finalState = await page.evaluate(() => {
-              const view = document.querySelector('bs-days-calendar-view, bs-calendar-layout, [class*="datepicker"]');
-              return view ? view.textContent : 'unknown';
-            }).catch(() => 'error reading state');
-            dlog(`✗ Could not navigate to target date ${day}/${month}/${year} in date picker after ${navAttempt + 1} attempts`);
-            dlog(`  Final calendar state: ${finalState}`);
-            logToFile(`✗ Date navigation failed: Could not reach ${day}/${month}/${year} after ${navAttempt + 1} attempts. Final state: ${finalState}`);
-            break;
+              return false;
+            }).catch(() => false);
           }
+        } else {
+          dlog(`Navigating date picker backward (from ${currentDatePickerState?.month || '?'}/${currentDatePickerState?.year || '?'} to ${month}/${year})...`);
+          const prevClicked = await clickElement(page, [
+            'bs-datepicker-container button[aria-label*="previous"]',
+            'bs-datepicker-container button[aria-label*="Previous"]',
+            'bs-datepicker-container button.previous',
+            'bs-datepicker-container .previous',
+            '[class*="datepicker"] button[aria-label*="previous"]',
+            '[class*="datepicker"] button[aria-label*="Previous"]',
+            'button[title*="previous"]',
+            'button[title*="Previous"]'
+          ], { timeout: 2000, debug: DEBUG }).catch(() => {
+            dlog(`Could not find previous button in date picker`);
+            return false;
+          });
+          if (!prevClicked) {
+            dlog(`⚠ Previous button not found or not clickable - trying alternative navigation methods`);
+            // Try clicking on month/year header to open month picker
+            await page.evaluate(() => {
+              const header = document.querySelector('bs-datepicker-container .current, bs-datepicker-container button.current, [class*="datepicker"] .current');
+              if (header && header.offsetParent !== null) {
+                header.click();
+                return true;
+              }
+              return false;
+            }).catch(() => false);
           }
         }
+        await sleep(1500); // Increased wait time for calendar to update
       }
       
-      if (datePicked.success) {
-        dlog(`✓ Date picked successfully using direct click`);
-        await sleep(1500);
+      if (navAttempt >= 11) {
+        const finalState = await page.evaluate(() => {
+          const view = document.querySelector('bs-days-calendar-view, bs-calendar-layout, [class*="datepicker"]');
+          return view ? view.textContent : 'unknown';
+        }).catch(() => 'error reading state');
+        dlog(`✗ Could not navigate to target date ${day}/${month}/${year} in date picker after ${navAttempt + 1} attempts`);
+        dlog(`  Final calendar state: ${finalState}`);
+        logToFile(`✗ Date navigation failed: Could not reach ${day}/${month}/${year} after ${navAttempt + 1} attempts. Final state: ${finalState}`);
+        break;
       }
-      
-      // Step 4: Wait for calendar events to load after selecting date
-      dlog(`Step 4: Waiting for events to load after date selection...`);
-      await takeScreenshot('after-date-selection');
-      
-      // Add human-like page interaction before looking for class
-      // Humans don't immediately click - they look around, scroll, etc.
-      dlog(`  Simulating human page interaction (scrolling, mouse movements)...`);
-      await simulateHumanBehavior();
-      await humanDelay(1000, 2000);
-      
-      // Random subtle scrolling to simulate reading the calendar
-      const scrollAmount = Math.floor(Math.random() * 300) + 100;
-      await page.evaluate((amount) => {
-        window.scrollBy(0, amount);
-      }, scrollAmount);
-      await humanDelay(500, 1000);
-      
-      // Scroll back a bit (humans scroll up and down)
-      await page.evaluate((amount) => {
-        window.scrollBy(0, -amount / 2);
-      }, scrollAmount);
-      await humanDelay(500, 1000);
-      
-      await sleep(1000);
-      
-      try {
-        await page.waitForSelector('mwl-calendar-week-view-event, div.checker-details, [class*="calendar-event"], [class*="event"]', { timeout: 15000, visible: true }).catch(() => {
-          dlog(`Events not immediately visible, continuing...`);
-        });
-      } catch (e) {
-        dlog(`Warning: Timeout waiting for events, but continuing...`);
       }
-      await sleep(2000);
-      await takeScreenshot('before-looking-for-class');
+    }
+  }
+  
+  if (datePicked.success) {
+    dlog(`✓ Date picked successfully using direct click`);
+    await sleep(1500);
+  }
+  
+  // Step 4: Wait for calendar events to load after selecting date
+  dlog(`Step 4: Waiting for events to load after date selection...`);
+  await takeScreenshot('after-date-selection');
+  
+  // Add human-like page interaction before looking for class
+  // Humans don't immediately click - they look around, scroll, etc.
+  dlog(`  Simulating human page interaction (scrolling, mouse movements)...`);
+  await simulateHumanBehavior();
+  await humanDelay(1000, 2000);
+  
+  // Random subtle scrolling to simulate reading the calendar
+  const scrollAmount = Math.floor(Math.random() * 300) + 100;
+  await page.evaluate((amount) => {
+    window.scrollBy(0, amount);
+  }, scrollAmount);
+  await humanDelay(500, 1000);
+  
+  // Scroll back a bit (humans scroll up and down)
+  await page.evaluate((amount) => {
+    window.scrollBy(0, -amount / 2);
+  }, scrollAmount);
+  await humanDelay(500, 1000);
+  
+  await sleep(1000);
+  
+  try {
+    await page.waitForSelector('mwl-calendar-week-view-event, div.checker-details, [class*="calendar-event"], [class*="event"]', { timeout: 15000, visible: true }).catch(() => {
+      dlog(`Events not immediately visible, continuing...`);
+    });
+  } catch (e) {
+    dlog(`Warning: Timeout waiting for events, but continuing...`);
+  }
+  await sleep(2000);
+  await takeScreenshot('before-looking-for-class');
+}
+// Elements the Day/Week view renders for calendar events (inner parts of an
+// event can match too - callers keep the outermost)
+const CALENDAR_EVENT_SELECTOR = [
+  'mwl-calendar-week-view-event',
+  'div.checker-details',
+  'div[class*="calendar-event"]',
+  'div[class*="event"]',
+  '[class*="cal-event"]',
+  'div[class*="cal-day-event"]',
+  '.cal-day-event',
+  '[data-event-index]',
+  'div.cal-event-item'
+].join(', ');
+
+// Reads every class shown on the open calendar day: name, start/end time,
+// instructor and booked/capacity counts where visible, plus identifiers to
+// find the element again
+async function listClassesOnPage(page) {
+  return page.evaluate((eventSelector) => {
+    const all = Array.from(document.querySelectorAll(eventSelector));
+    const visible = all.filter(el => el.offsetParent !== null);
+    const outermost = visible.filter(el => !visible.some(other => other !== el && other.contains(el)));
+    const formatTime = (m) => `${parseInt(m[1])}:${m[2]} ${m[3].toLowerCase()}`;
+
+    return outermost.map((el) => {
+      const text = (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+      // Toolbar and header items also match the event selectors
+      if (/All instructors|Filters|Add event|TODAY/.test(text)) return null;
+      const times = Array.from(text.matchAll(/(?<!\d)(\d{1,2}):(\d{2})\s*(am|pm)\b/gi));
+      if (times.length === 0) return null;
+      const counts = text.match(/(\d+)\s*\/\s*(\d+)/);
+      const instructorEl = el.querySelector('[class*="instructor"], [class*="teacher"], [class*="coach"], [class*="staff"]');
+      return {
+        name: text.slice(0, times[0].index).trim() || null,
+        startTime: formatTime(times[0]),
+        endTime: times[1] ? formatTime(times[1]) : null,
+        instructor: instructorEl ? (instructorEl.innerText || instructorEl.textContent || '').trim() || null : null,
+        booked: counts ? parseInt(counts[1]) : null,
+        capacity: counts ? parseInt(counts[2]) : null,
+        text: text.substring(0, 200),
+        element: {
+          tag: el.tagName.toLowerCase(),
+          id: el.id || null,
+          className: typeof el.className === 'string' ? el.className : null,
+          index: all.indexOf(el) // Position among all CALENDAR_EVENT_SELECTOR matches
+        }
+      };
+    }).filter(Boolean);
+  }, CALENDAR_EVENT_SELECTOR);
+}
+
+// Step 6: opens targetDate in Day view, finds the class at targetTime and
+// clicks it until its booking dialog (with the "Book Customer" button) is open.
+// Pass navigate: false when the date is already open (release-time bookings).
+async function openClassDialog(flow, { targetDate, targetTime, navigate = true }) {
+  const { page, DEBUG, dlog, takeScreenshot, simulateHumanBehavior, humanDelay, humanLikeClick } = flow;
+
+  dlog(`=== SIMPLIFIED DATE NAVIGATION (Day View + Date Picker) ===`);
+  dlog(`Parsing target date: ${targetDate}`);
+  
+  // Parse target time here so we can use it when checking events
+  let targetHour, targetMinute;
+  const timeMatch = targetTime.match(/(\d{1,2}):(\d{2})\s*(am|pm)?/i);
+  if (timeMatch) {
+    targetHour = parseInt(timeMatch[1]);
+    targetMinute = parseInt(timeMatch[2]);
+    const period = timeMatch[3]?.toLowerCase();
+    if (period === 'pm' && targetHour !== 12) targetHour += 12;
+    if (period === 'am' && targetHour === 12) targetHour = 0;
+  } else {
+    const parts = targetTime.split(':');
+    targetHour = parseInt(parts[0]) || 8;
+    targetMinute = parseInt(parts[1]) || 0;
+  }
+  dlog(`Target time parsed: ${targetHour}:${targetMinute.toString().padStart(2, '0')}`);
+  
+  if (navigate) {
+    // Switch to Day view and open the date
+    await navigateToDate(flow, targetDate);
+    
+    // Additional human-like behavior: simulate reading the calendar before clicking
+    // This helps avoid automation detection - humans don't immediately click
+    dlog(`  Simulating human reading calendar before clicking class...`);
+    await simulateHumanBehavior();
+    await humanDelay(1500, 2500); // Longer delay - humans take time to find the right class
+    
+    // Random subtle scrolling to simulate reading
+    const scrollAmount2 = Math.floor(Math.random() * 200) + 50;
+    await page.evaluate((amount) => {
+      window.scrollBy(0, amount);
+    }, scrollAmount2);
+    await humanDelay(400, 800);
+  }
+  
+  // Step 5: Find and click the class at target time
+  dlog(`Step 5: Looking for class at ${targetHour}:${targetMinute.toString().padStart(2, '0')}...`);
+  
+  // First, find the matching event element and get its selector/index
+  const classInfo = await page.evaluate((targetHour, targetMinute) => {
+    // In Day view, find all events and match by time
+    // Try multiple selectors to find the actual clickable event elements
+    const allEvents = document.querySelectorAll(
+      'mwl-calendar-week-view-event, ' +
+      'div.checker-details, ' +
+      'div[class*="calendar-event"], ' +
+      'div[class*="event"], ' +
+      '[class*="cal-event"], ' +
+      'div[class*="cal-day-event"], ' +
+      '.cal-day-event, ' +
+      '[data-event-index], ' +
+      'div.cal-event-item'
+    );
+    
+    console.log(`[BROWSER] Found ${allEvents.length} potential events in Day view`);
+    
+    // Convert target time to 12-hour format for matching
+    const targetHour12 = targetHour % 12 || 12;
+    const targetPeriod = targetHour >= 12 ? 'pm' : 'am';
+    const targetPeriodUpper = targetPeriod.toUpperCase();
+    
+    // Build exact time patterns - must match the exact hour and minute
+    const exactTimePatterns = [
+      // 24-hour format
+      `${targetHour}:${targetMinute.toString().padStart(2, '0')}`,
+      `${targetHour}:${targetMinute}`,
+      // 12-hour format with am/pm
+      `${targetHour12}:${targetMinute.toString().padStart(2, '0')}${targetPeriod}`,
+      `${targetHour12}:${targetMinute}${targetPeriod}`,
+      `${targetHour12}:${targetMinute.toString().padStart(2, '0')} ${targetPeriodUpper}`,
+      `${targetHour12}:${targetMinute} ${targetPeriodUpper}`,
+      `${targetHour12}:${targetMinute.toString().padStart(2, '0')} ${targetPeriod}`,
+      `${targetHour12}:${targetMinute} ${targetPeriod}`,
+      // Without leading zero
+      `${targetHour12}:${targetMinute.toString().padStart(2, '0')}${targetPeriodUpper}`,
+      `${targetHour12}:${targetMinute}${targetPeriodUpper}`
+    ];
+    
+    console.log(`[BROWSER] Looking for time: ${targetHour12}:${targetMinute.toString().padStart(2, '0')} ${targetPeriod} (${targetHour}:${targetMinute.toString().padStart(2, '0')} in 24h format)`);
+    
+    for (const event of allEvents) {
+      if (event.offsetParent === null) continue;
+      
+      const eventText = event.textContent || '';
+      const className = event.className || '';
+      
+      // Skip headers/navigation - more aggressive filtering
+      if (eventText.includes('Week') || eventText.includes('All instructors') || eventText.includes('TODAY') || 
+          eventText.includes('Filters') || eventText.includes('Add event') ||
+          eventText.includes('Monday') || eventText.includes('Tuesday') || eventText.includes('Wednesday') ||
+          eventText.includes('Thursday') || eventText.includes('Friday') || eventText.includes('Saturday') ||
+          eventText.includes('Sunday') || eventText.includes('Nov 24') || eventText.includes('Nov 25') ||
+          eventText.includes('Nov 26') || eventText.includes('Nov 27') || eventText.includes('Nov 28') ||
+          eventText.includes('Nov 29') || eventText.match(/^\s*\d{1,2}\s*AM\s*$/i)) continue;
+      if (className.includes('header') || className.includes('navigation') || className.includes('title') ||
+          className.includes('day-header') || className.includes('time-header')) continue;
+      
+      // Extract time from event text - find FIRST time pattern that appears early in text
+      // Class times usually appear right after the class name (e.g., "Ponte Pila9:00am")
+      // Use matchAll to find all times, then take the first one that appears early
+      const timeMatches = Array.from(eventText.matchAll(/\b(\d{1,2}):(\d{1,2})\s*(am|pm|AM|PM)\b/gi));
+      if (timeMatches.length === 0) continue;
+      
+      // Prioritize the first match that appears within first 80 characters (where class time usually is)
+      let timeMatch = null;
+      for (const match of timeMatches) {
+        if (match.index < 80) {
+          timeMatch = match;
+          break;
+        }
+      }
+      // If no early match found, use the very first match
+      if (!timeMatch && timeMatches.length > 0) {
+        timeMatch = timeMatches[0];
+      }
+      if (!timeMatch) continue;
       
-      // Additional human-like behavior: simulate reading the calendar before clicking
-      // This helps avoid automation detection - humans don't immediately click
-      dlog(`  Simulating human reading calendar before clicking class...`);
-      await simulateHumanBehavior();
-      await humanDelay(1500, 2500); // Longer delay - humans take time to find the right class
+      const eventHour = parseInt(timeMatch[1]);
+      const eventMinute = parseInt(timeMatch[2]);
+      const eventPeriod = timeMatch[3]?.toLowerCase() || '';
       
-      // Random subtle scrolling to simulate reading
-      const scrollAmount2 = Math.floor(Math.random() * 200) + 50;
-      await page.evaluate((amount) => {
-        window.scrollBy(0, amount);
-      }, scrollAmount2);
-      await humanDelay(400, 800);
+      // Convert event time to 24-hour format for accurate comparison
+      let eventHour24 = eventHour;
+      if (eventPeriod === 'pm' && eventHour !== 12) eventHour24 = eventHour + 12;
+      if (eventPeriod === 'am' && eventHour === 12) eventHour24 = 0;
       
-      // Step 5: Find and click the class at target time
-      dlog(`Step 5: Looking for class at ${targetHour}:${targetMinute.toString().padStart(2, '0')}...`);
+      // Match if hour and minute exactly match (24-hour format comparison)
+      const exactMatch = eventHour24 === targetHour && eventMinute === targetMinute;
       
-      // First, find the matching event element and get its selector/index
-      const classInfo = await page.evaluate((targetHour, targetMinute) => {
-        // In Day view, find all events and match by time
-        // Try multiple selectors to find the actual clickable event elements
-        const allEvents = document.querySelectorAll(
-          'mwl-calendar-week-view-event, ' +
-          'div.checker-details, ' +
-          'div[class*="calendar-event"], ' +
-          'div[class*="event"], ' +
-          '[class*="cal-event"], ' +
-          'div[class*="cal-day-event"], ' +
-          '.cal-day-event, ' +
-          '[data-event-index], ' +
-          'div.cal-event-item'
-        );
-        
-        console.log(`[BROWSER] Found ${allEvents.length} potential events in Day view`);
-        
-        // Convert target time to 12-hour format for matching
-        const targetHour12 = targetHour % 12 || 12;
-        const targetPeriod = targetHour >= 12 ? 'pm' : 'am';
-        const targetPeriodUpper = targetPeriod.toUpperCase();
-        
-        // Build exact time patterns - must match the exact hour and minute
-        const exactTimePatterns = [
-          // 24-hour format
-          `${targetHour}:${targetMinute.toString().padStart(2, '0')}`,
-          `${targetHour}:${targetMinute}`,
-          // 12-hour format with am/pm
-          `${targetHour12}:${targetMinute.toString().padStart(2, '0')}${targetPeriod}`,
-          `${targetHour12}:${targetMinute}${targetPeriod}`,
-          `${targetHour12}:${targetMinute.toString().padStart(2, '0')} ${targetPeriodUpper}`,
-          `${targetHour12}:${targetMinute} ${targetPeriodUpper}`,
-          `${targetHour12}:${targetMinute.toString().padStart(2, '0')} ${targetPeriod}`,
-          `${targetHour12}:${targetMinute} ${targetPeriod}`,
-          // Without leading zero
-          `${targetHour12}:${targetMinute.toString().padStart(2, '0')}${targetPeriodUpper}`,
-          `${targetHour12}:${targetMinute}${targetPeriodUpper}`
-        ];
+      if (exactMatch) {
+        console.log(`[BROWSER] ✓ Found matching event (exactMatch=true): "${eventText.substring(0, 100)}"`);
+        console.log(`[BROWSER] Event time: ${eventHour24}:${eventMinute.toString().padStart(2, '0')} (${eventHour}:${eventMinute.toString().padStart(2, '0')}${eventPeriod || ''}), Target: ${targetHour}:${targetMinute.toString().padStart(2, '0')}`);
+        console.log(`[BROWSER] Event element tag: ${event.tagName}, class: ${event.className}`);
         
-        console.log(`[BROWSER] Looking for time: ${targetHour12}:${targetMinute.toString().padStart(2, '0')} ${targetPeriod} (${targetHour}:${targetMinute.toString().padStart(2, '0')} in 24h format)`);
+        // Generate multiple selector strategies for reliability
+        let selector = null;
+        let xpathSelector = null;
         
-        for (const event of allEvents) {
-          if (event.offsetParent === null) continue;
-          
-          const eventText = event.textContent || '';
-          const className = event.className || '';
-          
-          // Skip headers/navigation - more aggressive filtering
-          if (eventText.includes('Week') || eventText.includes('All instructors') || eventText.includes('TODAY') || 
-              eventText.includes('Filters') || eventText.includes('Add event') ||
-              eventText.includes('Monday') || eventText.includes('Tuesday') || eventText.includes('Wednesday') ||
-              eventText.includes('Thursday') || eventText.includes('Friday') || eventText.includes('Saturday') ||
-              eventText.includes('Sunday') || eventText.includes('Nov 24') || eventText.includes('Nov 25') ||
-              eventText.includes('Nov 26') || eventText.includes('Nov 27') || eventText.includes('Nov 28') ||
-              eventText.includes('Nov 29') || eventText.match(/^\s*\d{1,2}\s*AM\s*$/i)) continue;
-          if (className.includes('header') || className.includes('navigation') || className.includes('title') ||
-              className.includes('day-header') || className.includes('time-header')) continue;
-          
-          // Extract time from event text - find FIRST time pattern that appears early in text
-          // Class times usually appear right after the class name (e.g., "Ponte Pila9:00am")
-          // Use matchAll to find all times, then take the first one that appears early
-          const timeMatches = Array.from(eventText.matchAll(/\b(\d{1,2}):(\d{1,2})\s*(am|pm|AM|PM)\b/gi));
-          if (timeMatches.length === 0) continue;
-          
-          // Prioritize the first match that appears within first 80 characters (where class time usually is)
-          let timeMatch = null;
-          for (const match of timeMatches) {
-            if (match.index < 80) {
-              timeMatch = match;
-              break;
-            }
-          }
-          // If no early match found, use the very first match
-          if (!timeMatch && timeMatches.length > 0) {
-            timeMatch = timeMatches[0];
+        // Strategy 1: ID selector (most reliable)
+        if (event.id) {
+          selector = `#${event.id}`;
+        } 
+        // Strategy 2: CSS class selector with index
+        else if (event.className) {
+          const classes = event.className.split(' ').filter(c => c && !c.includes('ng-'));
+          if (classes.length > 0) {
+            const siblings = Array.from(event.parentElement?.children || []);
+            const sameClassSiblings = siblings.filter(el => {
+              const elClasses = el.className?.split(' ') || [];
+              return classes.some(c => elClasses.includes(c));
+            });
+            const index = sameClassSiblings.indexOf(event);
+            selector = `${event.tagName.toLowerCase()}.${classes[0]}${index > 0 ? `:nth-of-type(${index + 1})` : ''}`;
           }
-          if (!timeMatch) continue;
-          
-          const eventHour = parseInt(timeMatch[1]);
-          const eventMinute = parseInt(timeMatch[2]);
-          const eventPeriod = timeMatch[3]?.toLowerCase() || '';
+        }
+        
+        // Strategy 3: Generate XPath selector based on text content
+        // XPath is more reliable for finding elements by their text content
+        try {
+          // Create a simple XPath based on text content (most reliable)
+          const timeText = `${eventHour}:${eventMinute.toString().padStart(2, '0')}${eventPeriod}`;
+          const timeTextAlt = `${eventHour12}:${targetMinute.toString().padStart(2, '0')}${targetPeriod}`;
           
-          // Convert event time to 24-hour format for accurate comparison
-          let eventHour24 = eventHour;
-          if (eventPeriod === 'pm' && eventHour !== 12) eventHour24 = eventHour + 12;
-          if (eventPeriod === 'am' && eventHour === 12) eventHour24 = 0;
+          // Try multiple XPath patterns
+          const xpathPatterns = [
+            `//${event.tagName.toLowerCase()}[contains(text(), "${timeText}")]`,
+            `//${event.tagName.toLowerCase()}[contains(text(), "${timeTextAlt}")]`,
+            `//*[contains(text(), "${timeText}") and contains(@class, "${event.className.split(' ')[0]}")]`
+          ];
           
-          // Match if hour and minute exactly match (24-hour format comparison)
-          const exactMatch = eventHour24 === targetHour && eventMinute === targetMinute;
+          // Use the first pattern as default, but we'll try all in the click logic
+          xpathSelector = xpathPatterns[0];
           
-          if (exactMatch) {
-            console.log(`[BROWSER] ✓ Found matching event (exactMatch=true): "${eventText.substring(0, 100)}"`);
-            console.log(`[BROWSER] Event time: ${eventHour24}:${eventMinute.toString().padStart(2, '0')} (${eventHour}:${eventMinute.toString().padStart(2, '0')}${eventPeriod || ''}), Target: ${targetHour}:${targetMinute.toString().padStart(2, '0')}`);
-            console.log(`[BROWSER] Event element tag: ${event.tagName}, class: ${event.className}`);
-            
-            // Generate multiple selector strategies for reliability
-            let selector = null;
-            let xpathSelector = null;
-            
-            // Strategy 1: ID selector (most reliable)
-            if (event.id) {
-              selector = `#${event.id}`;
-            } 
-            // Strategy 2: CSS class selector with index
-            else if (event.className) {
-              const classes = event.className.split(' ').filter(c => c && !c.includes('ng-'));
-              if (classes.length > 0) {
-                const siblings = Array.from(event.parentElement?.children || []);
-                const sameClassSiblings = siblings.filter(el => {
-                  const elClasses = el.className?.split(' ') || [];
-                  return classes.some(c => elClasses.includes(c));
-                });
-                const index = sameClassSiblings.indexOf(event);
-                selector = `${event.tagName.toLowerCase()}.${classes[0]}${index > 0 ? `:nth-of-type(${index + 1})` : ''}`;
+          // Also try to generate a full XPath path if needed
+          try {
+            const getXPath = (element) => {
+              if (!element || !element.parentNode) return '';
+              if (element.id) {
+                return `//*[@id="${element.id}"]`;
               }
-            }
-            
-            // Strategy 3: Generate XPath selector based on text content
-            // XPath is more reliable for finding elements by their text content
-            try {
-              // Create a simple XPath based on text content (most reliable)
-              const timeText = `${eventHour}:${eventMinute.toString().padStart(2, '0')}${eventPeriod}`;
-              const timeTextAlt = `${eventHour12}:${targetMinute.toString().padStart(2, '0')}${targetPeriod}`;
-              
-              // Try multiple XPath patterns
-              const xpathPatterns = [
-                `//${event.tagName.toLowerCase()}[contains(text(), "${timeText}")]`,
-                `//${event.tagName.toLowerCase()}[contains(text(), "${timeTextAlt}")]`,
-                `//*[contains(text(), "${timeText}") and contains(@class, "${event.className.split(' ')[0]}")]`
-              ];
-              
-              // Use the first pattern as default, but we'll try all in the click logic
-              xpathSelector = xpathPatterns[0];
-              
-              // Also try to generate a full XPath path if needed
-              try {
-                const getXPath = (element) => {
-                  if (!element || !element.parentNode) return '';
-                  if (element.id) {
-                    return `//*[@id="${element.id}"]`;
-                  }
-                  if (element === document.body) {
-                    return '/html/body';
-                  }
-                  let ix = 0;
-                  const siblings = element.parentNode.childNodes || [];
-                  for (let i = 0; i < siblings.length; i++) {
-                    const sibling = siblings[i];
-                    if (sibling === element) {
-                      const tagName = element.tagName?.toLowerCase() || '';
-                      const parentXPath = getXPath(element.parentNode);
-                      if (!parentXPath) return '';
-                      return `${parentXPath}/${tagName}[${ix + 1}]`;
-                    }
-                    if (sibling.nodeType === 1 && sibling.tagName === element.tagName) {
-                      ix++;
-                    }
-                  }
-                  return '';
-                };
-                const fullXPath = getXPath(event);
-                if (fullXPath && fullXPath.length > 0) {
-                  // Store both, but prefer the simpler one
-                  xpathSelector = xpathPatterns[0];
+              if (element === document.body) {
+                return '/html/body';
+              }
+              let ix = 0;
+              const siblings = element.parentNode.childNodes || [];
+              for (let i = 0; i < siblings.length; i++) {
+                const sibling = siblings[i];
+                if (sibling === element) {
+                  const tagName = element.tagName?.toLowerCase() || '';
+                  const parentXPath = getXPath(element.parentNode);
+                  if (!parentXPath) return '';
+                  return `${parentXPath}/${tagName}[${ix + 1}]`;
+                }
+                if (sibling.nodeType === 1 && sibling.tagName === element.tagName) {
+                  ix++;
                 }
-              } catch (e) {
-                // Fall back to simple XPath
-                console.log(`[BROWSER] Full XPath generation failed, using simple XPath`);
               }
-            } catch (e) {
-              console.log(`[BROWSER] XPath generation failed: ${e?.message}`);
-            }
-            
-            // Get element's position info for direct clicking
-            const allEvents = Array.from(document.querySelectorAll(
-              'mwl-calendar-week-view-event, ' +
-              'div.checker-details, ' +
-              'div[class*="calendar-event"], ' +
-              'div[class*="event"], ' +
-              '[class*="cal-event"], ' +
-              'div[class*="cal-day-event"], ' +
-              '.cal-day-event, ' +
-              '[data-event-index], ' +
-              'div.cal-event-item'
-            ));
-            const elementIndex = Array.from(allEvents).indexOf(event);
-            
-            // Return info so we can click it with Puppeteer native click
-            return { 
-              success: true, 
-              eventText: eventText.substring(0, 100),
-              elementTag: event.tagName,
-              elementClass: event.className || '',
-              selector: selector,
-              xpathSelector: xpathSelector,
-              elementIndex: elementIndex, // Index in the allEvents array
-              // Also return the element's position in the DOM for fallback
-              eventIndex: Array.from(event.parentElement?.children || []).indexOf(event),
-              parentSelector: event.parentElement?.tagName?.toLowerCase() || null
+              return '';
             };
-          } else {
-            console.log(`[BROWSER] Time mismatch - Event: ${eventHour24}:${eventMinute.toString().padStart(2, '0')} (${eventHour}:${eventMinute.toString().padStart(2, '0')}${eventPeriod || ''}), Target: ${targetHour}:${targetMinute.toString().padStart(2, '0')} - "${eventText.substring(0, 80)}"`);
+            const fullXPath = getXPath(event);
+            if (fullXPath && fullXPath.length > 0) {
+              // Store both, but prefer the simpler one
+              xpathSelector = xpathPatterns[0];
+            }
+          } catch (e) {
+            // Fall back to simple XPath
+            console.log(`[BROWSER] Full XPath generation failed, using simple XPath`);
           }
+        } catch (e) {
+          console.log(`[BROWSER] XPath generation failed: ${e?.message}`);
         }
         
-        console.log(`[BROWSER] No matching event found`);
-        return { success: false, reason: 'no_time_match' };
-      }, targetHour, targetMinute).catch((e) => ({ success: false, reason: 'error', error: e?.message }));
-      
-      if (classInfo.success) {
-        dlog(`✓ Successfully found matching class!`);
-        dlog(`  Event: ${classInfo.eventText}`);
-        dlog(`  Element: ${classInfo.elementTag || 'unknown'}, Class: ${classInfo.elementClass || 'none'}`);
-        dlog(`  Selector: ${classInfo.selector || 'none'}`);
+        // Get element's position info for direct clicking
+        const allEvents = Array.from(document.querySelectorAll(
+          'mwl-calendar-week-view-event, ' +
+          'div.checker-details, ' +
+          'div[class*="calendar-event"], ' +
+          'div[class*="event"], ' +
+          '[class*="cal-event"], ' +
+          'div[class*="cal-day-event"], ' +
+          '.cal-day-event, ' +
+          '[data-event-index], ' +
+          'div.cal-event-item'
+        ));
+        const elementIndex = Array.from(allEvents).indexOf(event);
         
-        // Retry logic: if "Book Customer" button is not found, go back to calendar and retry
-        const MAX_CLASS_CLICK_RETRIES = 3;
-        let classClickSuccess = false;
+        // Return info so we can click it with Puppeteer native click
+        return { 
+          success: true, 
+          eventText: eventText.substring(0, 100),
+          elementTag: event.tagName,
+          elementClass: event.className || '',
+          selector: selector,
+          xpathSelector: xpathSelector,
+          elementIndex: elementIndex, // Index in the allEvents array
+          // Also return the element's position in the DOM for fallback
+          eventIndex: Array.from(event.parentElement?.children || []).indexOf(event),
+          parentSelector: event.parentElement?.tagName?.toLowerCase() || null
+        };
+      } else {
+        console.log(`[BROWSER] Time mismatch - Event: ${eventHour24}:${eventMinute.toString().padStart(2, '0')} (${eventHour}:${eventMinute.toString().padStart(2, '0')}${eventPeriod || ''}), Target: ${targetHour}:${targetMinute.toString().padStart(2, '0')} - "${eventText.substring(0, 80)}"`);
+      }
+    }
+    
+    console.log(`[BROWSER] No matching event found`);
+    return { success: false, reason: 'no_time_match' };
+  }, targetHour, targetMinute).catch((e) => ({ success: false, reason: 'error', error: e?.message }));
+  
+  if (classInfo.success) {
+    dlog(`✓ Successfully found matching class!`);
+    dlog(`  Event: ${classInfo.eventText}`);
+    dlog(`  Element: ${classInfo.elementTag || 'unknown'}, Class: ${classInfo.elementClass || 'none'}`);
+    dlog(`  Selector: ${classInfo.selector || 'none'}`);
+    
+    // Retry logic: if "Book Customer" button is not found, go back to calendar and retry
+    const MAX_CLASS_CLICK_RETRIES = 3;
+    let classClickSuccess = false;
+    
+    for (let attempt = 1; attempt <= MAX_CLASS_CLICK_RETRIES; attempt++) {
+      if (attempt > 1) {
+        logToFile(`[RETRY] Attempt ${attempt} to click class and open booking dialog`);
+        dlog(`[RETRY] Attempt ${attempt}/${MAX_CLASS_CLICK_RETRIES} - Going back to calendar and retrying...`);
         
-        for (let attempt = 1; attempt <= MAX_CLASS_CLICK_RETRIES; attempt++) {
-          if (attempt > 1) {
-            logToFile(`[RETRY] Attempt ${attempt} to click class and open booking dialog`);
-            dlog(`[RETRY] Attempt ${attempt}/${MAX_CLASS_CLICK_RETRIES} - Going back to calendar and retrying...`);
+        // First, try to find and click the exit/close button (X) in the top left of the modal
+        const exitButtonInfo = await page.evaluate(() => {
+          const viewportHeight = window.innerHeight;
+          const viewportWidth = window.innerWidth;
+          
+          // Strategy 1: Look for buttons with SVG icons (X icon in circle)
+          const allButtons = Array.from(document.querySelectorAll('button, [role="button"], div[onclick], div[cursor="pointer"]'));
+          for (const btn of allButtons) {
+            if (btn.offsetParent === null) continue; // Skip hidden elements
             
-            // First, try to find and click the exit/close button (X) in the top left of the modal
-            const exitButtonInfo = await page.evaluate(() => {
-              const viewportHeight = window.innerHeight;
-              const viewportWidth = window.innerWidth;
-              
-              // Strategy 1: Look for buttons with SVG icons (X icon in circle)
-              const allButtons = Array.from(document.querySelectorAll('button, [role="button"], div[onclick], div[cursor="pointer"]'));
-              for (const btn of allButtons) {
-                if (btn.offsetParent === null) continue; // Skip hidden elements
+            const rect = btn.getBoundingClientRect();
+            
+            // Check if it's in the top left area (top 25% and left 25% of viewport)
+            if (rect.top < viewportHeight * 0.25 && rect.left < viewportWidth * 0.25) {
+              // Check if it's a small button (close buttons are usually small)
+              if (rect.width < 80 && rect.height < 80) {
+                // Check if it contains an SVG (X icon)
+                const hasSvg = btn.querySelector('svg') !== null;
                 
-                const rect = btn.getBoundingClientRect();
+                // Check if it has a circle background (dark grey circle)
+                const styles = window.getComputedStyle(btn);
+                const bgColor = styles.backgroundColor;
+                const borderRadius = styles.borderRadius;
+                const hasCircleBg = borderRadius.includes('50%') || borderRadius.includes('9999px') || 
+                                   bgColor.includes('rgb') || bgColor.includes('rgba');
                 
-                // Check if it's in the top left area (top 25% and left 25% of viewport)
-                if (rect.top < viewportHeight * 0.25 && rect.left < viewportWidth * 0.25) {
-                  // Check if it's a small button (close buttons are usually small)
-                  if (rect.width < 80 && rect.height < 80) {
-                    // Check if it contains an SVG (X icon)
-                    const hasSvg = btn.querySelector('svg') !== null;
-                    
-                    // Check if it has a circle background (dark grey circle)
-                    const styles = window.getComputedStyle(btn);
-                    const bgColor = styles.backgroundColor;
-                    const borderRadius = styles.borderRadius;
-                    const hasCircleBg = borderRadius.includes('50%') || borderRadius.includes('9999px') || 
-                                       bgColor.includes('rgb') || bgColor.includes('rgba');
-                    
-                    // Check text/aria-label
-                    const text = (btn.textContent || '').trim().toLowerCase();
-                    const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
-                    const hasCloseText = text === 'x' || text === '×' || ariaLabel.includes('close') || 
-                                       ariaLabel.includes('exit') || ariaLabel.includes('dismiss');
-                    
-                    // If it has SVG or close text, or looks like a circular button, it's likely the close button
-                    if (hasSvg || hasCloseText || (hasCircleBg && rect.width < 50 && rect.height < 50)) {
-                      return { 
-                        found: true, 
-                        selector: 'top-left-svg-button', 
-                        x: rect.x + rect.width / 2, 
-                        y: rect.y + rect.height / 2,
-                        text: text,
-                        ariaLabel: ariaLabel,
-                        width: rect.width,
-                        height: rect.height
-                      };
-                    }
-                  }
-                }
-              }
-              
-              // Strategy 2: Look for SVG elements directly in top-left
-              const allSvgs = Array.from(document.querySelectorAll('svg'));
-              for (const svg of allSvgs) {
-                if (svg.offsetParent === null) continue;
+                // Check text/aria-label
+                const text = (btn.textContent || '').trim().toLowerCase();
+                const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
+                const hasCloseText = text === 'x' || text === '×' || ariaLabel.includes('close') || 
+                                   ariaLabel.includes('exit') || ariaLabel.includes('dismiss');
                 
-                const rect = svg.getBoundingClientRect();
-                if (rect.top < viewportHeight * 0.25 && rect.left < viewportWidth * 0.25) {
-                  // Find the closest clickable parent (button or div with onclick)
-                  let parent = svg.parentElement;
-                  let clickableParent = null;
-                  let depth = 0;
-                  
-                  while (parent && depth < 5) {
-                    if (parent.tagName === 'BUTTON' || 
-                        parent.getAttribute('role') === 'button' ||
-                        parent.onclick ||
-                        parent.style.cursor === 'pointer' ||
-                        window.getComputedStyle(parent).cursor === 'pointer') {
-                      clickableParent = parent;
-                      break;
-                    }
-                    parent = parent.parentElement;
-                    depth++;
-                  }
-                  
-                  if (clickableParent) {
-                    const parentRect = clickableParent.getBoundingClientRect();
-                    if (parentRect.width < 80 && parentRect.height < 80) {
-                      return { 
-                        found: true, 
-                        selector: 'svg-parent-button', 
-                        x: parentRect.x + parentRect.width / 2, 
-                        y: parentRect.y + parentRect.height / 2,
-                        text: (clickableParent.textContent || '').trim(),
-                        ariaLabel: (clickableParent.getAttribute('aria-label') || ''),
-                        width: parentRect.width,
-                        height: parentRect.height
-                      };
-                    }
-                  }
+                // If it has SVG or close text, or looks like a circular button, it's likely the close button
+                if (hasSvg || hasCloseText || (hasCircleBg && rect.width < 50 && rect.height < 50)) {
+                  return { 
+                    found: true, 
+                    selector: 'top-left-svg-button', 
+                    x: rect.x + rect.width / 2, 
+                    y: rect.y + rect.height / 2,
+                    text: text,
+                    ariaLabel: ariaLabel,
+                    width: rect.width,
+                    height: rect.height
+                  };
                 }
               }
+            }
+          }
+          
+          // Strategy 2: Look for SVG elements directly in top-left
+          const allSvgs = Array.from(document.querySelectorAll('svg'));
+          for (const svg of allSvgs) {
+            if (svg.offsetParent === null) continue;
+            
+            const rect = svg.getBoundingClientRect();
+            if (rect.top < viewportHeight * 0.25 && rect.left < viewportWidth * 0.25) {
+              // Find the closest clickable parent (button or div with onclick)
+              let parent = svg.parentElement;
+              let clickableParent = null;
+              let depth = 0;
               
-              // Strategy 3: Look for any small clickable element in top-left (most aggressive)
-              const allClickable = Array.from(document.querySelectorAll('button, [role="button"], div[onclick], [class*="close"], [class*="Close"]'));
-              for (const el of allClickable) {
-                if (el.offsetParent === null) continue;
-                
-                const rect = el.getBoundingClientRect();
-                if (rect.top < viewportHeight * 0.2 && rect.left < viewportWidth * 0.2 && 
-                    rect.width < 60 && rect.height < 60) {
-                  // Prefer elements with SVG or close-related classes
-                  const hasSvg = el.querySelector('svg') !== null;
-                  const className = (el.className || '').toLowerCase();
-                  const hasCloseClass = className.includes('close') || className.includes('exit') || className.includes('x');
-                  
-                  if (hasSvg || hasCloseClass) {
-                    return { 
-                      found: true, 
-                      selector: 'top-left-small-button', 
-                      x: rect.x + rect.width / 2, 
-                      y: rect.y + rect.height / 2,
-                      text: (el.textContent || '').trim(),
-                      ariaLabel: (el.getAttribute('aria-label') || ''),
-                      width: rect.width,
-                      height: rect.height
-                    };
-                  }
+              while (parent && depth < 5) {
+                if (parent.tagName === 'BUTTON' || 
+                    parent.getAttribute('role') === 'button' ||
+                    parent.onclick ||
+                    parent.style.cursor === 'pointer' ||
+                    window.getComputedStyle(parent).cursor === 'pointer') {
+                  clickableParent = parent;
+                  break;
                 }
+                parent = parent.parentElement;
+                depth++;
               }
               
-              return { found: false };
-            }).catch(() => ({ found: false }));
-            
-            if (exitButtonInfo.found) {
-              logToFile(`✓ Found exit/close button at (${exitButtonInfo.x}, ${exitButtonInfo.y}) - selector: ${exitButtonInfo.selector}`);
-              dlog(`✓ Found exit/close button: text="${exitButtonInfo.text}", aria-label="${exitButtonInfo.ariaLabel}"`);
-              
-              // Click using Puppeteer mouse click for better reliability
-              try {
-                await page.mouse.click(exitButtonInfo.x, exitButtonInfo.y);
-                logClick('Exit/Close button (modal)', `mouse.click(${exitButtonInfo.x}, ${exitButtonInfo.y})`, 'Puppeteer.mouse.click(coordinates)');
-                logToFile(`✓ Clicked exit/close button using coordinates`);
-                dlog(`✓ Clicked exit/close button using coordinates`);
-                await sleep(500);
-              } catch (e) {
-                logToFile(`⚠ Failed to click exit button by coordinates: ${e?.message}, trying selectors...`);
-                // Try using clickElement as fallback
-                try {
-                  await clickElement(page, [
-                    exitButtonInfo.selector,
-                    'button[aria-label*="close" i]',
-                    'button[aria-label*="Close" i]',
-                    '.close-button',
-                    '.modal-close'
-                  ], { location: 'Exit/Close button', debug: DEBUG });
-                  await sleep(500);
-                } catch (e2) {
-                  logToFile(`⚠ Failed to click exit button using selectors: ${e2?.message}`);
+              if (clickableParent) {
+                const parentRect = clickableParent.getBoundingClientRect();
+                if (parentRect.width < 80 && parentRect.height < 80) {
+                  return { 
+                    found: true, 
+                    selector: 'svg-parent-button', 
+                    x: parentRect.x + parentRect.width / 2, 
+                    y: parentRect.y + parentRect.height / 2,
+                    text: (clickableParent.textContent || '').trim(),
+                    ariaLabel: (clickableParent.getAttribute('aria-label') || ''),
+                    width: parentRect.width,
+                    height: parentRect.height
+                  };
                 }
               }
-            } else {
-              logToFile(`⚠ Exit button not found, using Escape key fallback`);
-              dlog(`⚠ Exit button not found, using Escape key fallback`);
             }
-            
-            // Close any modals/dialogs by pressing Escape multiple times (fallback)
-            await page.keyboard.press('Escape');
-            await sleep(500);
-            await page.keyboard.press('Escape');
-            await sleep(500);
-            
-            // Wait for calendar to be visible again
-            await sleep(1000);
-            
-            // CRITICAL: Add longer delay between retries to avoid rate limiting/detection
-            // The website might be detecting rapid retries, so we need to wait longer
-            const retryDelay = Math.floor(Math.random() * 3000) + 2000; // 2-5 seconds
-            dlog(`  Waiting ${retryDelay}ms before retry to avoid detection...`);
-            await sleep(retryDelay);
-            
-            // Take screenshot before retry
-            await takeScreenshot(`before-class-click-retry-${attempt}`);
           }
           
-          // Now click it using Puppeteer's native click methods
-          dlog(`Attempting to click the class element using Puppeteer... (attempt ${attempt})`);
-          
-          // CRITICAL: Add extensive human-like behavior before clicking to prevent automation detection
-          // The website detects automation, so we need to be very realistic
-          
-          // 1. Simulate human reading/thinking time (longer delay, especially on retries)
-          dlog(`  Simulating human reading time before clicking class...`);
-          if (attempt === 1) {
-            // First attempt: longer thinking delay to avoid detection
-            const firstAttemptDelay = Math.floor(Math.random() * 5000) + 4000; // 4-9 seconds
-            dlog(`  First attempt thinking delay: ${firstAttemptDelay}ms`);
-            await sleep(firstAttemptDelay);
-          } else {
-            // Retry attempts: even longer delay (humans take more time when something didn't work)
-            const retryThinkingDelay = Math.floor(Math.random() * 6000) + 5000; // 5-11 seconds
-            dlog(`  Extended thinking delay for retry: ${retryThinkingDelay}ms`);
-            await sleep(retryThinkingDelay);
+          // Strategy 3: Look for any small clickable element in top-left (most aggressive)
+          const allClickable = Array.from(document.querySelectorAll('button, [role="button"], div[onclick], [class*="close"], [class*="Close"]'));
+          for (const el of allClickable) {
+            if (el.offsetParent === null) continue;
+            
+            const rect = el.getBoundingClientRect();
+            if (rect.top < viewportHeight * 0.2 && rect.left < viewportWidth * 0.2 && 
+                rect.width < 60 && rect.height < 60) {
+              // Prefer elements with SVG or close-related classes
+              const hasSvg = el.querySelector('svg') !== null;
+              const className = (el.className || '').toLowerCase();
+              const hasCloseClass = className.includes('close') || className.includes('exit') || className.includes('x');
+              
+              if (hasSvg || hasCloseClass) {
+                return { 
+                  found: true, 
+                  selector: 'top-left-small-button', 
+                  x: rect.x + rect.width / 2, 
+                  y: rect.y + rect.height / 2,
+                  text: (el.textContent || '').trim(),
+                  ariaLabel: (el.getAttribute('aria-label') || ''),
+                  width: rect.width,
+                  height: rect.height
+                };
+              }
+            }
           }
-          await humanDelay(2000, 4000); // Even longer additional random delay
           
-          // 2. Simulate mouse movement and page interaction
-          await simulateHumanBehavior();
+          return { found: false };
+        }).catch(() => ({ found: false }));
+        
+        if (exitButtonInfo.found) {
+          logToFile(`✓ Found exit/close button at (${exitButtonInfo.x}, ${exitButtonInfo.y}) - selector: ${exitButtonInfo.selector}`);
+          dlog(`✓ Found exit/close button: text="${exitButtonInfo.text}", aria-label="${exitButtonInfo.ariaLabel}"`);
           
-          // 2b. Add more realistic page interaction - humans don't go straight to the target
-          // Simulate looking around the calendar first
-          dlog(`  Simulating human browsing behavior (looking around calendar)...`);
+          // Click using Puppeteer mouse click for better reliability
           try {
-            // Random mouse movements across the calendar area
-            const viewport = page.viewport();
-            if (viewport) {
-              // Move mouse to different areas of the calendar (not just the target)
-              for (let i = 0; i < 3; i++) {
-                const randomX = viewport.width * (0.3 + Math.random() * 0.4); // Center area
-                const randomY = viewport.height * (0.2 + Math.random() * 0.6); // Middle to bottom
-                await page.mouse.move(randomX, randomY, { steps: Math.floor(Math.random() * 10) + 5 });
-                await sleep(Math.random() * 300 + 200);
-              }
-            }
-            
-            // Random small scrolls (humans scroll to see more)
-            const smallScroll = Math.floor(Math.random() * 100) + 50;
-            await page.evaluate((amount) => {
-              window.scrollBy(0, amount);
-            }, smallScroll);
-            await humanDelay(300, 600);
-            
-            // Scroll back a bit
-            await page.evaluate((amount) => {
-              window.scrollBy(0, -amount / 2);
-            }, smallScroll);
-            await humanDelay(300, 600);
+            await page.mouse.click(exitButtonInfo.x, exitButtonInfo.y);
+            logClick('Exit/Close button (modal)', `mouse.click(${exitButtonInfo.x}, ${exitButtonInfo.y})`, 'Puppeteer.mouse.click(coordinates)');
+            logToFile(`✓ Clicked exit/close button using coordinates`);
+            dlog(`✓ Clicked exit/close button using coordinates`);
+            await sleep(500);
           } catch (e) {
-            dlog(`  Page interaction simulation failed: ${e?.message}`);
-          }
-          
-          // 3. Hover over the class element first (humans hover before clicking)
-          // Try multiple methods to find the element for hovering
-          let hoverElement = null;
-          if (classInfo.selector) {
+            logToFile(`⚠ Failed to click exit button by coordinates: ${e?.message}, trying selectors...`);
+            // Try using clickElement as fallback
             try {
-              hoverElement = await page.$(classInfo.selector);
-            } catch (e) {
-              dlog(`  Could not find element with selector for hover: ${e?.message}`);
+              await clickElement(page, [
+                exitButtonInfo.selector,
+                'button[aria-label*="close" i]',
+                'button[aria-label*="Close" i]',
+                '.close-button',
+                '.modal-close'
+              ], { location: 'Exit/Close button', debug: DEBUG });
+              await sleep(500);
+            } catch (e2) {
+              logToFile(`⚠ Failed to click exit button using selectors: ${e2?.message}`);
             }
           }
-          
-          // Fallback to XPath if selector didn't work
-          if (!hoverElement && classInfo.xpathSelector) {
-            try {
-              const xpathHandle = await page.evaluateHandle((xpath) => {
-                const result = document.evaluate(xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
-                return result.singleNodeValue;
-              }, classInfo.xpathSelector);
-              if (xpathHandle && xpathHandle.asElement()) {
-                hoverElement = xpathHandle.asElement();
-              }
-            } catch (e) {
-              dlog(`  Could not find element with XPath for hover: ${e?.message}`);
-            }
+        } else {
+          logToFile(`⚠ Exit button not found, using Escape key fallback`);
+          dlog(`⚠ Exit button not found, using Escape key fallback`);
+        }
+        
+        // Close any modals/dialogs by pressing Escape multiple times (fallback)
+        await page.keyboard.press('Escape');
+        await sleep(500);
+        await page.keyboard.press('Escape');
+        await sleep(500);
+        
+        // Wait for calendar to be visible again
+        await sleep(1000);
+        
+        // CRITICAL: Add longer delay between retries to avoid rate limiting/detection
+        // The website might be detecting rapid retries, so we need to wait longer
+        const retryDelay = Math.floor(Math.random() * 3000) + 2000; // 2-5 seconds
+        dlog(`  Waiting ${retryDelay}ms before retry to avoid detection...`);
+        await sleep(retryDelay);
+        
+        // Take screenshot before retry
+        await takeScreenshot(`before-class-click-retry-${attempt}`);
+      }
+      
+      // Now click it using Puppeteer's native click methods
+      dlog(`Attempting to click the class element using Puppeteer... (attempt ${attempt})`);
+      
+      // CRITICAL: Add extensive human-like behavior before clicking to prevent automation detection
+      // The website detects automation, so we need to be very realistic
+      
+      // 1. Simulate human reading/thinking time (longer delay, especially on retries)
+      dlog(`  Simulating human reading time before clicking class...`);
+      if (attempt === 1) {
+        // First attempt: longer thinking delay to avoid detection
+        const firstAttemptDelay = Math.floor(Math.random() * 5000) + 4000; // 4-9 seconds
+        dlog(`  First attempt thinking delay: ${firstAttemptDelay}ms`);
+        await sleep(firstAttemptDelay);
+      } else {
+        // Retry attempts: even longer delay (humans take more time when something didn't work)
+        const retryThinkingDelay = Math.floor(Math.random() * 6000) + 5000; // 5-11 seconds
+        dlog(`  Extended thinking delay for retry: ${retryThinkingDelay}ms`);
+        await sleep(retryThinkingDelay);
+      }
+      await humanDelay(2000, 4000); // Even longer additional random delay
+      
+      // 2. Simulate mouse movement and page interaction
+      await simulateHumanBehavior();
+      
+      // 2b. Add more realistic page interaction - humans don't go straight to the target
+      // Simulate looking around the calendar first
+      dlog(`  Simulating human browsing behavior (looking around calendar)...`);
+      try {
+        // Random mouse movements across the calendar area
+        const viewport = page.viewport();
+        if (viewport) {
+          // Move mouse to different areas of the calendar (not just the target)
+          for (let i = 0; i < 3; i++) {
+            const randomX = viewport.width * (0.3 + Math.random() * 0.4); // Center area
+            const randomY = viewport.height * (0.2 + Math.random() * 0.6); // Middle to bottom
+            await page.mouse.move(randomX, randomY, { steps: Math.floor(Math.random() * 10) + 5 });
+            await sleep(Math.random() * 300 + 200);
           }
-          
-          // Fallback to element index if XPath didn't work
-          if (!hoverElement && classInfo.elementIndex !== undefined && classInfo.elementIndex >= 0) {
-            try {
-              const elementHandle = await page.evaluateHandle((index) => {
-                const allEvents = Array.from(document.querySelectorAll(
-                  'mwl-calendar-week-view-event, ' +
-                  'div.checker-details, ' +
-                  'div[class*="calendar-event"], ' +
-                  'div[class*="event"], ' +
-                  '[class*="cal-event"], ' +
-                  'div[class*="cal-day-event"], ' +
-                  '.cal-day-event, ' +
-                  '[data-event-index], ' +
-                  'div.cal-event-item'
-                ));
-                const visibleEvents = allEvents.filter(el => el.offsetParent !== null);
-                if (index < visibleEvents.length) {
-                  return visibleEvents[index];
-                }
-                return null;
-              }, classInfo.elementIndex);
-              if (elementHandle && elementHandle.asElement()) {
-                hoverElement = elementHandle.asElement();
-              }
-            } catch (e) {
-              dlog(`  Could not find element by index for hover: ${e?.message}`);
+        }
+        
+        // Random small scrolls (humans scroll to see more)
+        const smallScroll = Math.floor(Math.random() * 100) + 50;
+        await page.evaluate((amount) => {
+          window.scrollBy(0, amount);
+        }, smallScroll);
+        await humanDelay(300, 600);
+        
+        // Scroll back a bit
+        await page.evaluate((amount) => {
+          window.scrollBy(0, -amount / 2);
+        }, smallScroll);
+        await humanDelay(300, 600);
+      } catch (e) {
+        dlog(`  Page interaction simulation failed: ${e?.message}`);
+      }
+      
+      // 3. Hover over the class element first (humans hover before clicking)
+      // Try multiple methods to find the element for hovering
+      let hoverElement = null;
+      if (classInfo.selector) {
+        try {
+          hoverElement = await page.$(classInfo.selector);
+        } catch (e) {
+          dlog(`  Could not find element with selector for hover: ${e?.message}`);
+        }
+      }
+      
+      // Fallback to XPath if selector didn't work
+      if (!hoverElement && classInfo.xpathSelector) {
+        try {
+          const xpathHandle = await page.evaluateHandle((xpath) => {
+            const result = document.evaluate(xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
+            return result.singleNodeValue;
+          }, classInfo.xpathSelector);
+          if (xpathHandle && xpathHandle.asElement()) {
+            hoverElement = xpathHandle.asElement();
+          }
+        } catch (e) {
+          dlog(`  Could not find element with XPath for hover: ${e?.message}`);
+        }
+      }
+      
+      // Fallback to element index if XPath didn't work
+      if (!hoverElement && classInfo.elementIndex !== undefined && classInfo.elementIndex >= 0) {
+        try {
+          const elementHandle = await page.evaluateHandle((index) => {
+            const allEvents = Array.from(document.querySelectorAll(
+              'mwl-calendar-week-view-event, ' +
+              'div.checker-details, ' +
+              'div[class*="calendar-event"], ' +
+              'div[class*="event"], ' +
+              '[class*="cal-event"], ' +
+              'div[class*="cal-day-event"], ' +
+              '.cal-day-event, ' +
+              '[data-event-index], ' +
+              'div.cal-event-item'
+            ));
+            const visibleEvents = allEvents.filter(el => el.offsetParent !== null);
+            if (index < visibleEvents.length) {
+              return visibleEvents[index];
             }
+            return null;
+          }, classInfo.elementIndex);
+          if (elementHandle && elementHandle.asElement()) {
+            hoverElement = elementHandle.asElement();
           }
-          
-          if (hoverElement) {
-            try {
-              const isVisible = await hoverElement.isVisible().catch(() => false);
-              if (isVisible) {
-                dlog(`  Hovering over class element to simulate human behavior...`);
-                const box = await hoverElement.boundingBox();
-                if (box) {
-                  // Move mouse to the element (but don't click yet)
-                  const hoverX = box.x + box.width / 2;
-                  const hoverY = box.y + box.height / 2;
-                  await page.mouse.move(hoverX, hoverY, { steps: Math.floor(Math.random() * 10) + 5 });
-                  await humanDelay(500, 1000); // Hover for a bit
-                  
-                  // Small random mouse movements while hovering (like humans do)
-                  for (let i = 0; i < 2; i++) {
-                    const smallMoveX = hoverX + (Math.random() * 20 - 10);
-                    const smallMoveY = hoverY + (Math.random() * 20 - 10);
-                    await page.mouse.move(smallMoveX, smallMoveY, { steps: 3 });
-                    await sleep(Math.random() * 200 + 100);
-                  }
-                  
-                  // Move back to center
-                  await page.mouse.move(hoverX, hoverY, { steps: 3 });
-                  await humanDelay(300, 600);
-                }
+        } catch (e) {
+          dlog(`  Could not find element by index for hover: ${e?.message}`);
+        }
+      }
+      
+      if (hoverElement) {
+        try {
+          const isVisible = await hoverElement.isVisible().catch(() => false);
+          if (isVisible) {
+            dlog(`  Hovering over class element to simulate human behavior...`);
+            const box = await hoverElement.boundingBox();
+            if (box) {
+              // Move mouse to the element (but don't click yet)
+              const hoverX = box.x + box.width / 2;
+              const hoverY = box.y + box.height / 2;
+              await page.mouse.move(hoverX, hoverY, { steps: Math.floor(Math.random() * 10) + 5 });
+              await humanDelay(500, 1000); // Hover for a bit
+              
+              // Small random mouse movements while hovering (like humans do)
+              for (let i = 0; i < 2; i++) {
+                const smallMoveX = hoverX + (Math.random() * 20 - 10);
+                const smallMoveY = hoverY + (Math.random() * 20 - 10);
+                await page.mouse.move(smallMoveX, smallMoveY, { steps: 3 });
+                await sleep(Math.random() * 200 + 100);
               }
-            } catch (e) {
-              dlog(`  Hover simulation failed: ${e?.message}`);
+              
+              // Move back to center
+              await page.mouse.move(hoverX, hoverY, { steps: 3 });
+              await humanDelay(300, 600);
             }
-          } else {
-            dlog(`  ⚠ Could not find element for hover simulation`);
           }
+        } catch (e) {
+          dlog(`  Hover simulation failed: ${e?.message}`);
+        }
+      } else {
+        dlog(`  ⚠ Could not find element for hover simulation`);
+      }
+      
+      // 4. Additional random delay to simulate decision-making
+      await humanDelay(500, 1500);
+      
+      let clicked = false;
+      
+      // Method 1: Simplified approach - click the class element directly
+      // First try to find and click div.title if it exists, otherwise click the class element itself
+      if (classInfo.selector) {
+        try {
+          dlog(`  Finding class element by time using selector: ${classInfo.selector}`);
+          await page.waitForSelector(classInfo.selector, { visible: true, timeout: 5000 });
           
-          // 4. Additional random delay to simulate decision-making
-          await humanDelay(500, 1500);
-          
-          let clicked = false;
+          // Get the class element
+          const classElement = await page.$(classInfo.selector);
           
-          // Method 1: Simplified approach - click the class element directly
-          // First try to find and click div.title if it exists, otherwise click the class element itself
-          if (classInfo.selector) {
-            try {
-              dlog(`  Finding class element by time using selector: ${classInfo.selector}`);
-              await page.waitForSelector(classInfo.selector, { visible: true, timeout: 5000 });
+          if (classElement) {
+            const isVisible = await classElement.isVisible().catch(() => false);
+            if (isVisible) {
+              dlog(`  Found class element for ${targetTime}, attempting to click...`);
               
-              // Get the class element
-              const classElement = await page.$(classInfo.selector);
+              // Get bounding box for the class element
+              const classBox = await classElement.boundingBox();
+              if (!classBox) {
+                dlog(`  ⚠ Could not get bounding box for class element`);
+                throw new Error('No bounding box');
+              }
               
-              if (classElement) {
-                const isVisible = await classElement.isVisible().catch(() => false);
-                if (isVisible) {
-                  dlog(`  Found class element for ${targetTime}, attempting to click...`);
-                  
-                  // Get bounding box for the class element
-                  const classBox = await classElement.boundingBox();
-                  if (!classBox) {
-                    dlog(`  ⚠ Could not get bounding box for class element`);
-                    throw new Error('No bounding box');
-                  }
-                  
-                  // Try to find div.title within the class element first
-                  const titleElement = await classElement.$('div.title');
-                  let clickTarget = titleElement;
-                  let clickOffset = { x: 170, y: 15 }; // Default offset for div.title
-                  
-                  if (!titleElement) {
-                    dlog(`  div.title not found, will click class element directly`);
-                    clickTarget = classElement;
-                    // Click at left side of class element (12% from left) to avoid delete buttons
-                    clickOffset = { x: classBox.width * 0.12, y: classBox.height / 2 };
-                  } else {
-                    dlog(`  Found div.title within class element`);
-                  }
-                  
-                  // Hover over the element first (human behavior)
-                  const targetBox = clickTarget === titleElement 
-                    ? await titleElement.boundingBox() 
-                    : classBox;
-                  
-                  if (targetBox) {
-                    const hoverX = targetBox.x + clickOffset.x;
-                    const hoverY = targetBox.y + clickOffset.y;
-                    
-                    dlog(`  Moving mouse to element and hovering...`);
-                    await page.mouse.move(hoverX, hoverY, { steps: Math.floor(Math.random() * 10) + 8 });
-                    await humanDelay(400, 800);
-                    
-                    // Small micro-movements while hovering
-                    for (let i = 0; i < 2; i++) {
-                      const microX = hoverX + (Math.random() * 10 - 5);
-                      const microY = hoverY + (Math.random() * 10 - 5);
-                      await page.mouse.move(microX, microY, { steps: 2 });
-                      await sleep(Math.random() * 150 + 50);
-                    }
-                    
-                    // Move back to exact position
-                    await page.mouse.move(hoverX, hoverY, { steps: 2 });
-                    await humanDelay(200, 400);
-                    
-                    // Now click using human-like click
-                    dlog(`  Clicking class element at (${hoverX.toFixed(0)}, ${hoverY.toFixed(0)})...`);
-                    await humanLikeClick(page, hoverX, hoverY);
-                    clicked = true;
-                    dlog(`  ✓ Clicked class element using native DOM events`);
-                    
-                    // Verify click worked by checking if something changed on the page
-                    await sleep(1000);
-                    const clickVerified = await page.evaluate(() => {
-                      // Check if a modal or dialog appeared
-                      const modals = document.querySelectorAll('[class*="modal"], [class*="dialog"], [class*="overlay"]');
-                      const hasModal = Array.from(modals).some(m => {
-                        const style = window.getComputedStyle(m);
-                        return style.display !== 'none' && style.visibility !== 'hidden' && m.offsetParent !== null;
-                      });
-                      
-                      // Check if body text changed (indicating a modal opened)
-                      const bodyText = (document.body.textContent || '').toLowerCase();
-                      const hasBookingContent = bodyText.includes('book') || bodyText.includes('customer') || 
-                                               bodyText.includes('delete') || bodyText.includes('class');
-                      
-                      return { hasModal, hasBookingContent, modalCount: modals.length };
-                    });
-                    
-                    if (clickVerified.hasModal || clickVerified.hasBookingContent) {
-                      dlog(`  ✓ Click verified - modal or booking content appeared (modals: ${clickVerified.modalCount})`);
-                    } else {
-                      dlog(`  ⚠ Click may not have worked - no modal or booking content detected`);
-                    }
-                  }
-                } else {
-                  dlog(`  ⚠ Class element found but not visible`);
-                }
+              // Try to find div.title within the class element first
+              const titleElement = await classElement.$('div.title');
+              let clickTarget = titleElement;
+              let clickOffset = { x: 170, y: 15 }; // Default offset for div.title
+              
+              if (!titleElement) {
+                dlog(`  div.title not found, will click class element directly`);
+                clickTarget = classElement;
+                // Click at left side of class element (12% from left) to avoid delete buttons
+                clickOffset = { x: classBox.width * 0.12, y: classBox.height / 2 };
               } else {
-                dlog(`  ⚠ Class element not found with selector: ${classInfo.selector}`);
+                dlog(`  Found div.title within class element`);
               }
-            } catch (e) {
-              dlog(`  Failed to click class element: ${e?.message}`);
-            }
-          }
-          
-          // Method 1b: Try XPath selector if CSS selector failed
-          if (!clicked && classInfo.xpathSelector) {
-            try {
-              dlog(`  Trying XPath selector: ${classInfo.xpathSelector}`);
-              const xpathElement = await page.evaluateHandle((xpath) => {
-                const result = document.evaluate(xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
-                return result.singleNodeValue;
-              }, classInfo.xpathSelector);
               
-              if (xpathElement && xpathElement.asElement()) {
-                const element = xpathElement.asElement();
-                const isVisible = await element.isVisible().catch(() => false);
-                if (isVisible) {
-                  dlog(`  Found element using XPath, attempting to click...`);
-                  const box = await element.boundingBox();
-                  if (box) {
-                    // Try to find div.title first
-                    const titleElement = await element.$('div.title');
-                    if (titleElement) {
-                      const titleBox = await titleElement.boundingBox();
-                      if (titleBox) {
-                        const clickX = titleBox.x + 170;
-                        const clickY = titleBox.y + 15;
-                        await page.mouse.move(clickX, clickY, { steps: 5 });
-                        await humanDelay(200, 400);
-                        await humanLikeClick(page, clickX, clickY);
-                        clicked = true;
-                        dlog(`  ✓ Clicked using XPath selector (div.title)`);
-                      }
-                    }
-                    
-                    // If no title, click the element directly
-                    if (!clicked) {
-                      const clickX = box.x + box.width * 0.12;
-                      const clickY = box.y + box.height / 2;
-                      await page.mouse.move(clickX, clickY, { steps: 5 });
-                      await humanDelay(200, 400);
-                      await humanLikeClick(page, clickX, clickY);
-                      clicked = true;
-                      dlog(`  ✓ Clicked using XPath selector (element)`);
-                    }
-                  }
-                }
-              }
-            } catch (e) {
-              dlog(`  XPath selector click failed: ${e?.message}`);
-            }
-          }
-          
-          // Method 1c: Try using element index to find and click directly
-          if (!clicked && classInfo.elementIndex !== undefined && classInfo.elementIndex >= 0) {
-            try {
-              dlog(`  Trying to find element by index: ${classInfo.elementIndex}`);
-              const element = await page.evaluate((index) => {
-                const allEvents = Array.from(document.querySelectorAll(
-                  'mwl-calendar-week-view-event, ' +
-                  'div.checker-details, ' +
-                  'div[class*="calendar-event"], ' +
-                  'div[class*="event"], ' +
-                  '[class*="cal-event"], ' +
-                  'div[class*="cal-day-event"], ' +
-                  '.cal-day-event, ' +
-                  '[data-event-index], ' +
-                  'div.cal-event-item'
-                ));
-                const visibleEvents = allEvents.filter(el => el.offsetParent !== null);
-                if (index < visibleEvents.length) {
-                  return visibleEvents[index];
-                }
-                return null;
-              }, classInfo.elementIndex);
+              // Hover over the element first (human behavior)
+              const targetBox = clickTarget === titleElement 
+                ? await titleElement.boundingBox() 
+                : classBox;
               
-              if (element) {
-                // Click the element directly using page.evaluate
-                const clickResult = await page.evaluate((index) => {
-                  const allEvents = Array.from(document.querySelectorAll(
-                    'mwl-calendar-week-view-event, ' +
-                    'div.checker-details, ' +
-                    'div[class*="calendar-event"], ' +
-                    'div[class*="event"], ' +
-                    '[class*="cal-event"], ' +
-                    'div[class*="cal-day-event"], ' +
-                    '.cal-day-event, ' +
-                    '[data-event-index], ' +
-                    'div.cal-event-item'
-                  ));
-                  const visibleEvents = allEvents.filter(el => el.offsetParent !== null);
-                  if (index < visibleEvents.length) {
-                    const targetElement = visibleEvents[index];
-                    const box = targetElement.getBoundingClientRect();
-                    
-                    // Try to find div.title first
-                    const titleElement = targetElement.querySelector('div.title');
-                    if (titleElement) {
-                      const titleBox = titleElement.getBoundingClientRect();
-                      const clickX = titleBox.x + 170;
-                      const clickY = titleBox.y + 15;
-                      targetElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                      // Dispatch click event
-                      const clickEvent = new MouseEvent('click', {
-                        view: window,
-                        bubbles: true,
-                        cancelable: true,
-                        clientX: clickX,
-                        clientY: clickY
-                      });
-                      targetElement.dispatchEvent(clickEvent);
-                      targetElement.click();
-                      return { clicked: true, method: 'div.title' };
-                    } else {
-                      // Click the element directly at left side
-                      const clickX = box.x + box.width * 0.12;
-                      const clickY = box.y + box.height / 2;
-                      targetElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                      const clickEvent = new MouseEvent('click', {
-                        view: window,
-                        bubbles: true,
-                        cancelable: true,
-                        clientX: clickX,
-                        clientY: clickY
-                      });
-                      targetElement.dispatchEvent(clickEvent);
-                      targetElement.click();
-                      return { clicked: true, method: 'element' };
-                    }
-                  }
-                  return { clicked: false };
-                }, classInfo.elementIndex);
+              if (targetBox) {
+                const hoverX = targetBox.x + clickOffset.x;
+                const hoverY = targetBox.y + clickOffset.y;
                 
-                if (clickResult && clickResult.clicked) {
-                  clicked = true;
-                  dlog(`  ✓ Clicked using element index (${clickResult.method})`);
-                  await sleep(1000); // Wait for click to register
+                dlog(`  Moving mouse to element and hovering...`);
+                await page.mouse.move(hoverX, hoverY, { steps: Math.floor(Math.random() * 10) + 8 });
+                await humanDelay(400, 800);
+                
+                // Small micro-movements while hovering
+                for (let i = 0; i < 2; i++) {
+                  const microX = hoverX + (Math.random() * 10 - 5);
+                  const microY = hoverY + (Math.random() * 10 - 5);
+                  await page.mouse.move(microX, microY, { steps: 2 });
+                  await sleep(Math.random() * 150 + 50);
                 }
-              }
-            } catch (e) {
-              dlog(`  Element index click failed: ${e?.message}`);
-            }
-          }
-          
-          // Method 1d: Fallback to original selector method if all else failed
-          if (!clicked && classInfo.selector) {
-            try {
-              await page.waitForSelector(classInfo.selector, { visible: true, timeout: 3000 });
-              const element = await page.$(classInfo.selector);
-              if (element) {
-                const isVisible = await element.isVisible().catch(() => false);
-                if (isVisible) {
-                  dlog(`  Clicking using selector fallback: ${classInfo.selector}`);
-                  await element.scrollIntoView();
-                  
-                  // Human-like delay after scrolling
-                  await humanDelay(300, 600);
+                
+                // Move back to exact position
+                await page.mouse.move(hoverX, hoverY, { steps: 2 });
+                await humanDelay(200, 400);
+                
+                // Now click using human-like click
+                dlog(`  Clicking class element at (${hoverX.toFixed(0)}, ${hoverY.toFixed(0)})...`);
+                await humanLikeClick(page, hoverX, hoverY);
+                clicked = true;
+                dlog(`  ✓ Clicked class element using native DOM events`);
+                
+                // Verify click worked by checking if something changed on the page
+                await sleep(1000);
+                const clickVerified = await page.evaluate(() => {
+                  // Check if a modal or dialog appeared
+                  const modals = document.querySelectorAll('[class*="modal"], [class*="dialog"], [class*="overlay"]');
+                  const hasModal = Array.from(modals).some(m => {
+                    const style = window.getComputedStyle(m);
+                    return style.display !== 'none' && style.visibility !== 'hidden' && m.offsetParent !== null;
+                  });
                   
-                  // Try to find div.title within the element and click with recorded offset using CDP
-                  const titleElement = await element.$('div.title');
-                  if (titleElement) {
-                    const box = await titleElement.boundingBox();
-                    if (box) {
-                      const clickX = box.x + 170;
-                      const clickY = box.y + 15;
-                      // Use CDP mouse events for more realistic clicking
-                      await humanLikeClick(page, clickX, clickY);
-                      clicked = true;
-                      dlog(`  ✓ Clicked using native DOM events with recorded offset (selector fallback)`);
-                    }
-                  }
+                  // Check if body text changed (indicating a modal opened)
+                  const bodyText = (document.body.textContent || '').toLowerCase();
+                  const hasBookingContent = bodyText.includes('book') || bodyText.includes('customer') || 
+                                           bodyText.includes('delete') || bodyText.includes('class');
                   
-                  // If no title element, use original method
-                  if (!clicked) {
-                    const box = await element.boundingBox();
-                    if (box) {
-                      const clickX = box.x + box.width * 0.12;
-                      const clickY = box.y + box.height / 2;
-                      // Use CDP mouse events for more realistic clicking
-                      await humanLikeClick(page, clickX, clickY);
-                      clicked = true;
-                      dlog(`  ✓ Clicked using native DOM events (selector fallback, original method)`);
-                    } else {
-                      await element.click();
-                      clicked = true;
-                      dlog(`  ✓ Clicked using element.click() (no bounding box, final fallback)`);
-                    }
-                  }
+                  return { hasModal, hasBookingContent, modalCount: modals.length };
+                });
+                
+                if (clickVerified.hasModal || clickVerified.hasBookingContent) {
+                  dlog(`  ✓ Click verified - modal or booking content appeared (modals: ${clickVerified.modalCount})`);
+                } else {
+                  dlog(`  ⚠ Click may not have worked - no modal or booking content detected`);
                 }
               }
-            } catch (e) {
-              dlog(`  Selector click fallback failed: ${e?.message}`);
+            } else {
+              dlog(`  ⚠ Class element found but not visible`);
             }
+          } else {
+            dlog(`  ⚠ Class element not found with selector: ${classInfo.selector}`);
           }
+        } catch (e) {
+          dlog(`  Failed to click class element: ${e?.message}`);
+        }
+      }
+      
+      // Method 1b: Try XPath selector if CSS selector failed
+      if (!clicked && classInfo.xpathSelector) {
+        try {
+          dlog(`  Trying XPath selector: ${classInfo.xpathSelector}`);
+          const xpathElement = await page.evaluateHandle((xpath) => {
+            const result = document.evaluate(xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
+            return result.singleNodeValue;
+          }, classInfo.xpathSelector);
           
-          // Method 2: Find all matching elements and click the one that matches our event text
-          if (!clicked) {
-            try {
-              dlog(`  Trying to find element by class and event text...`);
-              const elements = await page.$$('div.cal-event-container, div[class*="cal-event"], mwl-calendar-week-view-event');
-              
-              for (let i = 0; i < elements.length; i++) {
-                const element = elements[i];
-                const isVisible = await element.isVisible().catch(() => false);
-                if (!isVisible) continue;
-                
-                const text = await element.evaluate(el => el.textContent || '');
-                const timeMatch = text.match(/\b(\d{1,2}):(\d{1,2})\s*(am|pm)?\b/i);
-                
-                if (timeMatch) {
-                  let eventHour = parseInt(timeMatch[1]);
-                  const eventMinute = parseInt(timeMatch[2]);
-                  const eventPeriod = timeMatch[3]?.toLowerCase() || '';
-                  
-                  let eventHour24 = eventHour;
-                  if (eventPeriod === 'pm' && eventHour !== 12) eventHour24 = eventHour + 12;
-                  if (eventPeriod === 'am' && eventHour === 12) eventHour24 = 0;
-                  
-                  if (eventHour24 === targetHour && eventMinute === targetMinute) {
-                    dlog(`  Found matching element at index ${i}, clicking...`);
-                    await element.scrollIntoView();
-                    
-                    // Human-like delay after scrolling
-                    await humanDelay(300, 600);
-                    
-                    // Click at the left side of the element to avoid delete buttons
-                    const box = await element.boundingBox();
-                    if (box) {
-                      // Move mouse to element first (human behavior)
-                      const clickX = box.x + box.width * 0.12;
-                      const clickY = box.y + box.height / 2;
-                      await page.mouse.move(clickX, clickY, { steps: Math.floor(Math.random() * 5) + 3 });
-                      
-                      // Small delay before clicking
-                      await humanDelay(100, 300);
-                      
-                      // Click at 12% from left edge (delete buttons are usually on the right)
-                      await page.mouse.click(clickX, clickY);
-                      dlog(`  Clicked at ${(box.width * 0.12).toFixed(1)}px from left edge (12% of width)`);
-                    } else {
-                      await element.click();
-                    }
+          if (xpathElement && xpathElement.asElement()) {
+            const element = xpathElement.asElement();
+            const isVisible = await element.isVisible().catch(() => false);
+            if (isVisible) {
+              dlog(`  Found element using XPath, attempting to click...`);
+              const box = await element.boundingBox();
+              if (box) {
+                // Try to find div.title first
+                const titleElement = await element.$('div.title');
+                if (titleElement) {
+                  const titleBox = await titleElement.boundingBox();
+                  if (titleBox) {
+                    const clickX = titleBox.x + 170;
+                    const clickY = titleBox.y + 15;
+                    await page.mouse.move(clickX, clickY, { steps: 5 });
+                    await humanDelay(200, 400);
+                    await humanLikeClick(page, clickX, clickY);
                     clicked = true;
-                    dlog(`  ✓ Clicked matching element at index ${i}`);
-                    break;
+                    dlog(`  ✓ Clicked using XPath selector (div.title)`);
                   }
                 }
+                
+                // If no title, click the element directly
+                if (!clicked) {
+                  const clickX = box.x + box.width * 0.12;
+                  const clickY = box.y + box.height / 2;
+                  await page.mouse.move(clickX, clickY, { steps: 5 });
+                  await humanDelay(200, 400);
+                  await humanLikeClick(page, clickX, clickY);
+                  clicked = true;
+                  dlog(`  ✓ Clicked using XPath selector (element)`);
+                }
               }
-            } catch (e) {
-              dlog(`  Element array click failed: ${e?.message}`);
             }
           }
+        } catch (e) {
+          dlog(`  XPath selector click failed: ${e?.message}`);
+        }
+      }
+      
+      // Method 1c: Try using element index to find and click directly
+      if (!clicked && classInfo.elementIndex !== undefined && classInfo.elementIndex >= 0) {
+        try {
+          dlog(`  Trying to find element by index: ${classInfo.elementIndex}`);
+          const element = await page.evaluate((index) => {
+            const allEvents = Array.from(document.querySelectorAll(
+              'mwl-calendar-week-view-event, ' +
+              'div.checker-details, ' +
+              'div[class*="calendar-event"], ' +
+              'div[class*="event"], ' +
+              '[class*="cal-event"], ' +
+              'div[class*="cal-day-event"], ' +
+              '.cal-day-event, ' +
+              '[data-event-index], ' +
+              'div.cal-event-item'
+            ));
+            const visibleEvents = allEvents.filter(el => el.offsetParent !== null);
+            if (index < visibleEvents.length) {
+              return visibleEvents[index];
+            }
+            return null;
+          }, classInfo.elementIndex);
           
-          // Method 3: Use page.evaluate to find and click via native browser click
-          if (!clicked) {
-            dlog(`  Trying native browser click via page.evaluate...`);
-            const clickedInBrowser = await page.evaluate((targetHour, targetMinute) => {
-              const allEvents = document.querySelectorAll('div.cal-event-container, div[class*="cal-event"], mwl-calendar-week-view-event');
-              
-              for (const event of allEvents) {
-                if (event.offsetParent === null) continue;
-                
-                const eventText = event.textContent || '';
-                const timeMatch = eventText.match(/\b(\d{1,2}):(\d{1,2})\s*(am|pm)?\b/i);
-                if (!timeMatch) continue;
-                
-                let eventHour = parseInt(timeMatch[1]);
-                const eventMinute = parseInt(timeMatch[2]);
-                const eventPeriod = timeMatch[3]?.toLowerCase() || '';
-                
-                let eventHour24 = eventHour;
-                if (eventPeriod === 'pm' && eventHour !== 12) eventHour24 = eventHour + 12;
-                if (eventPeriod === 'am' && eventHour === 12) eventHour24 = 0;
+          if (element) {
+            // Click the element directly using page.evaluate
+            const clickResult = await page.evaluate((index) => {
+              const allEvents = Array.from(document.querySelectorAll(
+                'mwl-calendar-week-view-event, ' +
+                'div.checker-details, ' +
+                'div[class*="calendar-event"], ' +
+                'div[class*="event"], ' +
+                '[class*="cal-event"], ' +
+                'div[class*="cal-day-event"], ' +
+                '.cal-day-event, ' +
+                '[data-event-index], ' +
+                'div.cal-event-item'
+              ));
+              const visibleEvents = allEvents.filter(el => el.offsetParent !== null);
+              if (index < visibleEvents.length) {
+                const targetElement = visibleEvents[index];
+                const box = targetElement.getBoundingClientRect();
                 
-                if (eventHour24 === targetHour && eventMinute === targetMinute) {
-                  // Make sure we're clicking the main event element, not a delete button inside it
-                  // Find the main clickable area (avoid buttons)
-                  let clickTarget = event;
-                  
-                  // Check if event contains buttons - if so, click the main container, not the buttons
-                  const buttons = event.querySelectorAll('button, [role="button"], [class*="delete"], [class*="remove"], [class*="close"], [aria-label*="delete" i], [aria-label*="remove" i]');
-                  
-                  // Always click on the LEFT side of the event (10-15% from left edge) to avoid delete buttons
-                  // Delete buttons are usually on the right side
-                  const rect = event.getBoundingClientRect();
-                  const clickX = rect.left + rect.width * 0.12; // Click at 12% from left edge
-                  const clickY = rect.top + rect.height / 2; // Vertical center
-                  
-                  // Double-check that this click point is not over any button
-                  let safeToClick = true;
-                  for (const btn of buttons) {
-                    const btnRect = btn.getBoundingClientRect();
-                    if (clickX >= btnRect.left && clickX <= btnRect.right &&
-                        clickY >= btnRect.top && clickY <= btnRect.bottom) {
-                      safeToClick = false;
-                      break;
-                    }
-                  }
-                  
-                  // If click point is over a button, move even more to the left
-                  let finalClickX = clickX;
-                  if (!safeToClick) {
-                    finalClickX = rect.left + rect.width * 0.05; // Click at 5% from left edge
-                    dlog(`  Click point was over button, moving to 5% from left`);
-                  }
-                  
-                  // Scroll into view
-                  event.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                  
-                  // Click at the safe position (left side of event)
+                // Try to find div.title first
+                const titleElement = targetElement.querySelector('div.title');
+                if (titleElement) {
+                  const titleBox = titleElement.getBoundingClientRect();
+                  const clickX = titleBox.x + 170;
+                  const clickY = titleBox.y + 15;
+                  targetElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                  // Dispatch click event
                   const clickEvent = new MouseEvent('click', {
+                    view: window,
                     bubbles: true,
                     cancelable: true,
+                    clientX: clickX,
+                    clientY: clickY
+                  });
+                  targetElement.dispatchEvent(clickEvent);
+                  targetElement.click();
+                  return { clicked: true, method: 'div.title' };
+                } else {
+                  // Click the element directly at left side
+                  const clickX = box.x + box.width * 0.12;
+                  const clickY = box.y + box.height / 2;
+                  targetElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                  const clickEvent = new MouseEvent('click', {
                     view: window,
-                    clientX: finalClickX,
+                    bubbles: true,
+                    cancelable: true,
+                    clientX: clickX,
                     clientY: clickY
                   });
-                  
-                  event.dispatchEvent(clickEvent);
-                  
-                  return true;
+                  targetElement.dispatchEvent(clickEvent);
+                  targetElement.click();
+                  return { clicked: true, method: 'element' };
                 }
               }
-              return false;
-            }, targetHour, targetMinute).catch(() => false);
+              return { clicked: false };
+            }, classInfo.elementIndex);
             
-            if (clickedInBrowser) {
+            if (clickResult && clickResult.clicked) {
               clicked = true;
-              dlog(`  ✓ Clicked using native browser click`);
+              dlog(`  ✓ Clicked using element index (${clickResult.method})`);
+              await sleep(1000); // Wait for click to register
             }
           }
-          
-          if (!clicked) {
-            dlog(`  ✗ Could not click the element using any method`);
-            logToFile(`✗ Failed to click class element on attempt ${attempt}/${MAX_CLASS_CLICK_RETRIES}`);
-            
-            // Log what elements are actually visible for debugging
-            const visibleElements = await page.evaluate(() => {
-              const events = document.querySelectorAll('mwl-calendar-week-view-event, div[class*="cal-event"], div[class*="calendar-event"]');
-              const visible = [];
-              for (const event of events) {
-                if (event.offsetParent !== null) {
-                  const text = (event.textContent || '').substring(0, 100);
-                  const rect = event.getBoundingClientRect();
-                  visible.push({
-                    text: text,
-                    position: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
-                    tag: event.tagName,
-                    classes: event.className
-                  });
+        } catch (e) {
+          dlog(`  Element index click failed: ${e?.message}`);
+        }
+      }
+      
+      // Method 1d: Fallback to original selector method if all else failed
+      if (!clicked && classInfo.selector) {
+        try {
+          await page.waitForSelector(classInfo.selector, { visible: true, timeout: 3000 });
+          const element = await page.$(classInfo.selector);
+          if (element) {
+            const isVisible = await element.isVisible().catch(() => false);
+            if (isVisible) {
+              dlog(`  Clicking using selector fallback: ${classInfo.selector}`);
+              await element.scrollIntoView();
+              
+              // Human-like delay after scrolling
+              await humanDelay(300, 600);
+              
+              // Try to find div.title within the element and click with recorded offset using CDP
+              const titleElement = await element.$('div.title');
+              if (titleElement) {
+                const box = await titleElement.boundingBox();
+                if (box) {
+                  const clickX = box.x + 170;
+                  const clickY = box.y + 15;
+                  // Use CDP mouse events for more realistic clicking
+                  await humanLikeClick(page, clickX, clickY);
+                  clicked = true;
+                  dlog(`  ✓ Clicked using native DOM events with recorded offset (selector fallback)`);
+                }
+              }
+              
+              // If no title element, use original method
+              if (!clicked) {
+                const box = await element.boundingBox();
+                if (box) {
+                  const clickX = box.x + box.width * 0.12;
+                  const clickY = box.y + box.height / 2;
+                  // Use CDP mouse events for more realistic clicking
+                  await humanLikeClick(page, clickX, clickY);
+                  clicked = true;
+                  dlog(`  ✓ Clicked using native DOM events (selector fallback, original method)`);
+                } else {
+                  await element.click();
+                  clicked = true;
+                  dlog(`  ✓ Clicked using element.click() (no bounding box, final fallback)`);
                 }
               }
-              return visible;
-            }).catch(() => []);
-            
-            dlog(`  Visible class elements on page: ${visibleElements.length}`);
-            if (visibleElements.length > 0) {
-              dlog(`  First visible element: "${visibleElements[0].text}" at (${visibleElements[0].position.x}, ${visibleElements[0].position.y})`);
-            }
-            
-            if (attempt < MAX_CLASS_CLICK_RETRIES) {
-              continue; // Retry
-            } else {
-              throw new Error(`Could not click class element after ${MAX_CLASS_CLICK_RETRIES} attempts. Found ${visibleElements.length} visible class elements.`);
             }
           }
+        } catch (e) {
+          dlog(`  Selector click fallback failed: ${e?.message}`);
+        }
+      }
+      
+      // Method 2: Find all matching elements and click the one that matches our event text
+      if (!clicked) {
+        try {
+          dlog(`  Trying to find element by class and event text...`);
+          const elements = await page.$$('div.cal-event-container, div[class*="cal-event"], mwl-calendar-week-view-event');
           
-          // Wait for the click to register and page to stabilize (especially after errors)
-          await sleep(2000); // Increased from 500ms to 2000ms to handle error recovery
-          
-          // Take screenshot immediately after clicking class to see what appeared
-          await takeScreenshot(`after-class-click${attempt > 1 ? `-retry-${attempt}` : ''}`);
-          
-          // Verify that clicking the class actually did something
-          if (clicked) {
-            const clickResult = await page.evaluate(() => {
-              // Check if any modal/dialog appeared
-              const modals = document.querySelectorAll('[class*="modal"], [class*="dialog"], [class*="overlay"], [class*="popup"]');
-              const visibleModals = Array.from(modals).filter(m => {
-                const style = window.getComputedStyle(m);
-                return style.display !== 'none' && style.visibility !== 'hidden' && m.offsetParent !== null;
-              });
-              
-              // Check body text for booking-related content
-              const bodyText = (document.body.textContent || '').toLowerCase();
-              const hasBookingContent = bodyText.includes('book') || bodyText.includes('customer') || 
-                                       bodyText.includes('delete') || bodyText.includes('class instance');
-              
-              // Check for buttons that indicate a modal opened
-              const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
-              const hasModalButtons = buttons.some(btn => {
-                if (btn.offsetParent === null) return false;
-                const text = (btn.textContent || '').toLowerCase();
-                return text.includes('book customer') || text.includes('go back') || 
-                       text.includes('delete') || text.includes('cancel');
-              });
-              
-              return {
-                modalCount: visibleModals.length,
-                hasBookingContent,
-                hasModalButtons,
-                bodyTextPreview: bodyText.substring(0, 200)
-              };
-            }).catch(() => ({ modalCount: 0, hasBookingContent: false, hasModalButtons: false, bodyTextPreview: '' }));
+          for (let i = 0; i < elements.length; i++) {
+            const element = elements[i];
+            const isVisible = await element.isVisible().catch(() => false);
+            if (!isVisible) continue;
             
-            if (clickResult.modalCount > 0 || clickResult.hasBookingContent || clickResult.hasModalButtons) {
-              dlog(`✓ Click verified - modal/dialog appeared (${clickResult.modalCount} modals, hasBookingContent: ${clickResult.hasBookingContent}, hasModalButtons: ${clickResult.hasModalButtons})`);
-              logToFile(`✓ Class click successful - modal/dialog detected`);
-            } else {
-              dlog(`⚠ Click may not have worked - no modal or booking content detected after click`);
-              dlog(`  Body text preview: ${clickResult.bodyTextPreview.substring(0, 100)}...`);
-              logToFile(`⚠ WARNING: Class click may have failed - no modal detected`);
-              // Don't fail immediately, continue and see if Book Customer button appears
-            }
-          }
-          
-          // The delete modal ALWAYS appears when clicking a class - we need to dismiss it
-          dlog(`Checking for delete modal (expected to appear)...`);
-          const deleteModalAppeared = await page.evaluate(() => {
-            const bodyText = (document.body.textContent || '').toLowerCase();
-            if (bodyText.includes('delete class instance') || bodyText.includes('permanently delete')) {
-              return true;
-            }
-            // Check for delete modal buttons
-            const buttons = Array.from(document.querySelectorAll('button'));
-            for (const btn of buttons) {
-              if (btn.offsetParent === null) continue;
-              const btnText = (btn.textContent || '').toLowerCase();
-              if (btnText.includes('yes, delete') || (btnText.includes('delete') && btnText.includes('class'))) {
-                // Check if it's in a modal context
-                let parent = btn.parentElement;
-                let depth = 0;
-                while (parent && depth < 5) {
-                  const parentText = (parent.textContent || '').toLowerCase();
-                  if (parentText.includes('delete class')) {
-                    return true;
-                  }
-                  parent = parent.parentElement;
-                  depth++;
-                }
-              }
-            }
-            return false;
-          }).catch(() => false);
-          
-          if (deleteModalAppeared) {
-            logToFile(`[MODAL] Delete modal appeared (expected) - dismissing it...`);
-            dlog(`Delete modal appeared (expected) - dismissing it...`);
+            const text = await element.evaluate(el => el.textContent || '');
+            const timeMatch = text.match(/\b(\d{1,2}):(\d{1,2})\s*(am|pm)?\b/i);
             
-            // Dismiss the delete modal by clicking "Go back" button
-            const dismissed = await page.evaluate(() => {
-              const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
-              for (const btn of buttons) {
-                if (btn.offsetParent === null) continue;
-                const text = (btn.textContent || '').trim().toLowerCase();
-                // Look for "Go back" button
-                if (text === 'go back' || text === 'go back' || text.includes('back')) {
-                  btn.click();
-                  return true;
+            if (timeMatch) {
+              let eventHour = parseInt(timeMatch[1]);
+              const eventMinute = parseInt(timeMatch[2]);
+              const eventPeriod = timeMatch[3]?.toLowerCase() || '';
+              
+              let eventHour24 = eventHour;
+              if (eventPeriod === 'pm' && eventHour !== 12) eventHour24 = eventHour + 12;
+              if (eventPeriod === 'am' && eventHour === 12) eventHour24 = 0;
+              
+              if (eventHour24 === targetHour && eventMinute === targetMinute) {
+                dlog(`  Found matching element at index ${i}, clicking...`);
+                await element.scrollIntoView();
+                
+                // Human-like delay after scrolling
+                await humanDelay(300, 600);
+                
+                // Click at the left side of the element to avoid delete buttons
+                const box = await element.boundingBox();
+                if (box) {
+                  // Move mouse to element first (human behavior)
+                  const clickX = box.x + box.width * 0.12;
+                  const clickY = box.y + box.height / 2;
+                  await page.mouse.move(clickX, clickY, { steps: Math.floor(Math.random() * 5) + 3 });
+                  
+                  // Small delay before clicking
+                  await humanDelay(100, 300);
+                  
+                  // Click at 12% from left edge (delete buttons are usually on the right)
+                  await page.mouse.click(clickX, clickY);
+                  dlog(`  Clicked at ${(box.width * 0.12).toFixed(1)}px from left edge (12% of width)`);
+                } else {
+                  await element.click();
                 }
+                clicked = true;
+                dlog(`  ✓ Clicked matching element at index ${i}`);
+                break;
               }
-              return false;
-            }).catch(() => false);
-            
-            if (dismissed) {
-              await sleep(1500); // Increased from 1000ms to 1500ms
-              dlog(`✓ Successfully dismissed delete modal by clicking "Go back"`);
-              logToFile(`✓ Successfully dismissed delete modal`);
-            } else {
-              // Fallback: try Escape key
-              dlog(`"Go back" button not found, trying Escape key...`);
-              await page.keyboard.press('Escape');
-              await sleep(1500); // Increased from 1000ms to 1500ms
-              dlog(`✓ Dismissed delete modal using Escape key`);
             }
-            
-            // Take screenshot after dismissing modal
-            await takeScreenshot(`after-dismissing-delete-modal${attempt > 1 ? `-retry-${attempt}` : ''}`);
-          } else {
-            dlog(`No delete modal detected (may have already been dismissed or not appeared)`);
-          }
-          
-          // Verify the click worked by checking for "Book Customer" button
-          // This should be visible after dismissing the delete modal
-          // Wait longer for the booking dialog to fully load (especially after 403 errors)
-          dlog(`Waiting for booking dialog to load after dismissing delete modal...`);
-          
-          // Wait longer after dismissing modal to let page stabilize (especially if there were errors)
-          await sleep(3000); // Increased from 2000ms to 3000ms to handle error recovery
-          
-          // Wait for network idle to ensure all resources are loaded
-          try {
-            await page.waitForNetworkIdle({ idleTime: 1000, timeout: 5000 }).catch(() => {
-              dlog(`Network idle wait timed out, continuing...`);
-            });
-          } catch (e) {
-            dlog(`Network idle wait error: ${e?.message}`);
           }
+        } catch (e) {
+          dlog(`  Element array click failed: ${e?.message}`);
+        }
+      }
+      
+      // Method 3: Use page.evaluate to find and click via native browser click
+      if (!clicked) {
+        dlog(`  Trying native browser click via page.evaluate...`);
+        const clickedInBrowser = await page.evaluate((targetHour, targetMinute) => {
+          const allEvents = document.querySelectorAll('div.cal-event-container, div[class*="cal-event"], mwl-calendar-week-view-event');
           
-          // Additional wait for page to recover from any JavaScript errors
-          await sleep(2000);
-          
-          // Check if we're in the wrong modal (the "Booked 0/" view modal instead of booking dialog)
-          // This happens when automation is detected - the website shows a view-only modal
-          const modalCheck = await page.evaluate(() => {
-            const bodyText = (document.body.textContent || '').toLowerCase();
-            const hasBookedModal = bodyText.includes('booked') && (bodyText.includes('waitlisted') || bodyText.includes('cancelled'));
-            const hasBookCustomerButton = bodyText.includes('book customer');
+          for (const event of allEvents) {
+            if (event.offsetParent === null) continue;
             
-            // Look for buttons that might open the booking dialog - search more broadly
-            const allButtons = Array.from(document.querySelectorAll('button, [role="button"], div[onclick], a[onclick], [class*="add"], [class*="book"], [class*="plus"], [class*="new"]'));
-            const potentialBookingButtons = [];
+            const eventText = event.textContent || '';
+            const timeMatch = eventText.match(/\b(\d{1,2}):(\d{1,2})\s*(am|pm)?\b/i);
+            if (!timeMatch) continue;
             
-            // Also look for SVG icons that might be clickable (like a "+" icon)
-            const allSvgs = Array.from(document.querySelectorAll('svg'));
-            const svgParents = [];
-            for (const svg of allSvgs) {
-              if (svg.offsetParent === null) continue;
-              // Check if SVG is a plus icon (common pattern: path with "M" commands)
-              const paths = svg.querySelectorAll('path');
-              for (const path of paths) {
-                const d = path.getAttribute('d') || '';
-                // Plus icon typically has horizontal and vertical lines
-                if (d.includes('M') && (d.includes('H') || d.includes('V') || d.includes('h') || d.includes('v'))) {
-                  let parent = svg.parentElement;
-                  let depth = 0;
-                  while (parent && depth < 5) {
-                    if (parent.tagName === 'BUTTON' || parent.getAttribute('role') === 'button' || 
-                        parent.onclick || parent.style.cursor === 'pointer' ||
-                        window.getComputedStyle(parent).cursor === 'pointer') {
-                      svgParents.push(parent);
-                      break;
-                    }
-                    parent = parent.parentElement;
-                    depth++;
-                  }
-                  break;
-                }
-              }
-            }
+            let eventHour = parseInt(timeMatch[1]);
+            const eventMinute = parseInt(timeMatch[2]);
+            const eventPeriod = timeMatch[3]?.toLowerCase() || '';
             
-            // Combine buttons and SVG parents
-            const allClickable = [...allButtons, ...svgParents];
+            let eventHour24 = eventHour;
+            if (eventPeriod === 'pm' && eventHour !== 12) eventHour24 = eventHour + 12;
+            if (eventPeriod === 'am' && eventHour === 12) eventHour24 = 0;
             
-            for (const btn of allClickable) {
-              if (btn.offsetParent === null) continue;
-              const text = (btn.textContent || '').trim().toLowerCase();
-              const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
-              const className = (btn.className || '').toLowerCase();
-              const id = (btn.id || '').toLowerCase();
+            if (eventHour24 === targetHour && eventMinute === targetMinute) {
+              // Make sure we're clicking the main event element, not a delete button inside it
+              // Find the main clickable area (avoid buttons)
+              let clickTarget = event;
               
-              // Look for buttons that might trigger booking - expanded criteria
-              const isBookingButton = 
-                text === '+' || text === 'add' || text === 'new' ||
-                text.includes('add customer') || text.includes('book customer') || text.includes('new booking') ||
-                text.includes('add booking') || text.includes('book') ||
-                ariaLabel.includes('add') || ariaLabel.includes('book') || ariaLabel.includes('new') ||
-                ariaLabel.includes('customer') || ariaLabel.includes('booking') ||
-                className.includes('add') || className.includes('book') || className.includes('plus') ||
-                className.includes('new') || className.includes('create') ||
-                id.includes('add') || id.includes('book') || id.includes('new');
+              // Check if event contains buttons - if so, click the main container, not the buttons
+              const buttons = event.querySelectorAll('button, [role="button"], [class*="delete"], [class*="remove"], [class*="close"], [aria-label*="delete" i], [aria-label*="remove" i]');
               
-              if (isBookingButton) {
-                const rect = btn.getBoundingClientRect();
-                potentialBookingButtons.push({
-                  text: btn.textContent.trim() || (btn.querySelector('svg') ? '+' : ''),
-                  ariaLabel: ariaLabel,
-                  className: className,
-                  id: id,
-                  x: rect.x + rect.width / 2,
-                  y: rect.y + rect.height / 2,
-                  visible: true
-                });
-              }
-            }
-            
-            return {
-              isBookedModal: hasBookedModal && !hasBookCustomerButton,
-              potentialBookingButtons: potentialBookingButtons,
-              hasBookCustomerButton: hasBookCustomerButton,
-              modalText: bodyText.substring(0, 200) // First 200 chars for debugging
-            };
-          }).catch(() => ({ isBookedModal: false, potentialBookingButtons: [], hasBookCustomerButton: false, modalText: '' }));
-          
-          // If we're in the "Booked 0/" modal, close it and retry clicking the class
-          if (modalCheck.isBookedModal) {
-            logToFile(`⚠ Detected "Booked 0/" modal (automation detection) - closing modal and retrying class click`);
-            dlog(`⚠ Detected "Booked 0/" modal - will close and re-click class on calendar`);
-            
-            // Take screenshot to see what's available
-            await takeScreenshot(`detected-booked-modal-attempt-${attempt}`);
-            
-            // Close the modal by finding and clicking the exit/close button
-            const exitButtonInfo = await page.evaluate(() => {
-              const viewportHeight = window.innerHeight;
-              const viewportWidth = window.innerWidth;
+              // Always click on the LEFT side of the event (10-15% from left edge) to avoid delete buttons
+              // Delete buttons are usually on the right side
+              const rect = event.getBoundingClientRect();
+              const clickX = rect.left + rect.width * 0.12; // Click at 12% from left edge
+              const clickY = rect.top + rect.height / 2; // Vertical center
               
-              // Strategy 1: Look for buttons with SVG icons (X icon in circle)
-              const allButtons = Array.from(document.querySelectorAll('button, [role="button"], div[onclick], div[cursor="pointer"]'));
-              for (const btn of allButtons) {
-                if (btn.offsetParent === null) continue; // Skip hidden elements
-                
-                const rect = btn.getBoundingClientRect();
-                
-                // Check if it's in the top left area (top 25% and left 25% of viewport)
-                if (rect.top < viewportHeight * 0.25 && rect.left < viewportWidth * 0.25) {
-                  // Check if it's a small button (close buttons are usually small)
-                  if (rect.width < 80 && rect.height < 80) {
-                    // Check if it contains an SVG (X icon)
-                    const hasSvg = btn.querySelector('svg') !== null;
-                    
-                    // Check if it has a circle background (dark grey circle)
-                    const styles = window.getComputedStyle(btn);
-                    const bgColor = styles.backgroundColor;
-                    const borderRadius = styles.borderRadius;
-                    const hasCircleBg = borderRadius.includes('50%') || borderRadius.includes('9999px') || 
-                                       bgColor.includes('rgb') || bgColor.includes('rgba');
-                    
-                    // Check text/aria-label
-                    const text = (btn.textContent || '').trim().toLowerCase();
-                    const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
-                    const hasCloseText = text === 'x' || text === '×' || ariaLabel.includes('close') || 
-                                       ariaLabel.includes('exit') || ariaLabel.includes('dismiss');
-                    
-                    // If it has SVG or close text, or looks like a circular button, it's likely the close button
-                    if (hasSvg || hasCloseText || (hasCircleBg && rect.width < 50 && rect.height < 50)) {
-                      return { 
-                        found: true, 
-                        selector: 'top-left-svg-button', 
-                        x: rect.left + rect.width / 2, 
-                        y: rect.top + rect.height / 2,
-                        text: text,
-                        ariaLabel: ariaLabel
-                      };
-                    }
-                  }
+              // Double-check that this click point is not over any button
+              let safeToClick = true;
+              for (const btn of buttons) {
+                const btnRect = btn.getBoundingClientRect();
+                if (clickX >= btnRect.left && clickX <= btnRect.right &&
+                    clickY >= btnRect.top && clickY <= btnRect.bottom) {
+                  safeToClick = false;
+                  break;
                 }
               }
               
-              return { found: false, x: 0, y: 0, selector: '', text: '', ariaLabel: '' };
-            }).catch(() => ({ found: false, x: 0, y: 0, selector: '', text: '', ariaLabel: '' }));
-            
-            if (exitButtonInfo.found) {
-              logToFile(`✓ Found exit/close button at (${exitButtonInfo.x}, ${exitButtonInfo.y}) - selector: ${exitButtonInfo.selector}`);
-              dlog(`✓ Found exit/close button: text="${exitButtonInfo.text}", aria-label="${exitButtonInfo.ariaLabel}"`);
-              
-              // Click using Puppeteer mouse click for better reliability
-              try {
-                await page.mouse.click(exitButtonInfo.x, exitButtonInfo.y);
-                logClick('Exit/Close button (Booked 0/ modal)', `mouse.click(${exitButtonInfo.x}, ${exitButtonInfo.y})`, 'Puppeteer.mouse.click(coordinates)');
-                logToFile(`✓ Clicked exit/close button using coordinates`);
-                dlog(`✓ Clicked exit/close button using coordinates`);
-                await sleep(500);
-              } catch (e) {
-                logToFile(`⚠ Failed to click exit button by coordinates: ${e?.message}, trying Escape key...`);
-                dlog(`⚠ Failed to click exit button by coordinates: ${e?.message}, trying Escape key...`);
-                await page.keyboard.press('Escape');
-                await sleep(500);
+              // If click point is over a button, move even more to the left
+              let finalClickX = clickX;
+              if (!safeToClick) {
+                finalClickX = rect.left + rect.width * 0.05; // Click at 5% from left edge
+                dlog(`  Click point was over button, moving to 5% from left`);
               }
-            } else {
-              logToFile(`⚠ Exit button not found, using Escape key fallback`);
-              dlog(`⚠ Exit button not found, using Escape key fallback`);
-              await page.keyboard.press('Escape');
-              await sleep(500);
-            }
-            
-            // Press Escape multiple times to ensure modal is closed
-            await page.keyboard.press('Escape');
-            await sleep(500);
-            await page.keyboard.press('Escape');
-            await sleep(500);
-            
-            // Wait for calendar to be visible again
-            await sleep(1000);
-            
-            logToFile(`✓ Closed "Booked 0/" modal - will retry clicking class on calendar`);
-            dlog(`✓ Closed "Booked 0/" modal - will retry clicking class on calendar`);
-            
-            // Skip the rest of this attempt and continue to next iteration (which will re-click the class)
-            if (attempt < MAX_CLASS_CLICK_RETRIES) {
-              logToFile(`⚠ "Booked 0/" modal detected - will retry (attempt ${attempt}/${MAX_CLASS_CLICK_RETRIES})`);
-              dlog(`⚠ "Booked 0/" modal detected - will retry (attempt ${attempt}/${MAX_CLASS_CLICK_RETRIES})`);
-              continue; // Continue to next iteration of retry loop
-            } else {
-              logToFile(`❌ ERROR: "Booked 0/" modal appeared on final attempt`);
-              throw new Error(`Booking dialog did not open - "Booked 0/" modal appeared after ${MAX_CLASS_CLICK_RETRIES} attempts`);
-            }
-          }
-          
-          // Try multiple times with progressive waits to find the "Book Customer" button
-          let bookCustomerFound = false;
-          for (let checkAttempt = 0; checkAttempt < 8; checkAttempt++) { // Increased from 5 to 8 attempts
-            await sleep(1000 + checkAttempt * 500); // Progressive wait: 1000ms, 1500ms, 2000ms, 2500ms, 3000ms, 3500ms, 4000ms, 4500ms
-            
-            // Check for page errors before looking for button
-            const pageErrors = await page.evaluate(() => {
-              // Check if there are any visible error messages
-              const errorElements = Array.from(document.querySelectorAll('[class*="error"], [class*="Error"], .error-message, .alert-error'));
-              const hasVisibleErrors = errorElements.some(el => el.offsetParent !== null);
               
-              // Check if page is in a broken state (no interactive elements)
-              const interactiveElements = Array.from(document.querySelectorAll('button, [role="button"], input, select, textarea'));
-              const hasInteractiveElements = interactiveElements.some(el => el.offsetParent !== null);
+              // Scroll into view
+              event.scrollIntoView({ behavior: 'smooth', block: 'center' });
               
-              return {
-                hasVisibleErrors,
-                hasInteractiveElements,
-                errorCount: errorElements.length,
-                interactiveCount: interactiveElements.length
-              };
-            }).catch(() => ({ hasVisibleErrors: false, hasInteractiveElements: true, errorCount: 0, interactiveCount: 0 }));
-            
-            if (!pageErrors.hasInteractiveElements) {
-              dlog(`  Check ${checkAttempt + 1}/8: Page appears broken (no interactive elements), waiting longer...`);
-              await sleep(2000);
-              continue;
-            }
-            
-            const clickVerified = await page.evaluate(() => {
-              // Try multiple selectors for "Book Customer" button
-              const selectors = [
-                'button',
-                '[role="button"]',
-                'div.booking-btn button',
-                'div.booking-btn > button',
-                'button[class*="booking"]',
-                'button[class*="customer"]',
-                '::-p-text(Book Customer)',
-                '::-p-aria(Book Customer)'
-              ];
+              // Click at the safe position (left side of event)
+              const clickEvent = new MouseEvent('click', {
+                bubbles: true,
+                cancelable: true,
+                view: window,
+                clientX: finalClickX,
+                clientY: clickY
+              });
               
-              for (const selector of selectors) {
-                try {
-                  const buttons = Array.from(document.querySelectorAll(selector));
-                  for (const btn of buttons) {
-                    if (btn.offsetParent === null) continue;
-                    const text = (btn.textContent || '').trim().toLowerCase();
-                    if (text === 'book customer' || text.includes('book customer')) {
-                      return {
-                        bookCustomerButtonVisible: true,
-                        bookCustomerButtonText: btn.textContent,
-                        selector: selector
-                      };
-                    }
-                  }
-                } catch (e) {
-                  // Skip invalid selectors
-                  continue;
-                }
-              }
+              event.dispatchEvent(clickEvent);
               
-              return {
-                bookCustomerButtonVisible: false,
-                bookCustomerButtonText: null,
-                selector: null
-              };
-            }).catch(() => ({ bookCustomerButtonVisible: false, bookCustomerButtonText: null, selector: null }));
-            
-            if (clickVerified.bookCustomerButtonVisible) {
-              dlog(`✓ Click verified - "Book Customer" button is visible: "${clickVerified.bookCustomerButtonText}" (found with selector: ${clickVerified.selector})`);
-              logToFile(`✓ Booking dialog opened successfully - "Book Customer" button visible (attempt ${attempt}, check ${checkAttempt + 1})`);
-              bookCustomerFound = true;
-              break;
-            } else {
-              dlog(`  Check ${checkAttempt + 1}/8: "Book Customer" button not found yet, waiting...`);
-            }
-          }
-          
-          if (bookCustomerFound) {
-            classClickSuccess = true;
-            break; // Success! Exit retry loop
-          } else {
-            logToFile(`⚠ WARNING: "Book Customer" button not found after dismissing delete modal (attempt ${attempt})`);
-            dlog(`⚠ WARNING: "Book Customer" button not found - booking dialog may not be fully loaded`);
-            
-            // Not found - will retry if attempts remain
-            if (attempt < MAX_CLASS_CLICK_RETRIES) {
-              logToFile(`⚠ "Book Customer" button not found - will retry (attempt ${attempt}/${MAX_CLASS_CLICK_RETRIES})`);
-              dlog(`⚠ "Book Customer" button not found - will retry (attempt ${attempt}/${MAX_CLASS_CLICK_RETRIES})`);
-              // Continue to next iteration (will go back to calendar)
-            } else {
-              logToFile(`❌ ERROR: "Book Customer" button still not found after ${MAX_CLASS_CLICK_RETRIES} attempts`);
-              throw new Error(`Booking dialog did not open - "Book Customer" button not found after ${MAX_CLASS_CLICK_RETRIES} attempts`);
+              return true;
             }
           }
-        }
+          return false;
+        }, targetHour, targetMinute).catch(() => false);
         
-        if (!classClickSuccess) {
-          throw new Error(`Failed to open booking dialog after ${MAX_CLASS_CLICK_RETRIES} attempts`);
+        if (clickedInBrowser) {
+          clicked = true;
+          dlog(`  ✓ Clicked using native browser click`);
         }
+      }
+      
+      if (!clicked) {
+        dlog(`  ✗ Could not click the element using any method`);
+        logToFile(`✗ Failed to click class element on attempt ${attempt}/${MAX_CLASS_CLICK_RETRIES}`);
         
-        await sleep(500); // Final wait before proceeding
-      } else {
-        dlog(`✗ Could not find class at ${targetTime}`);
-        dlog(`  Reason: ${classInfo.reason}`);
-        
-        // Log all events found for debugging
-        const allEventTimes = await page.evaluate(() => {
-          const events = document.querySelectorAll('mwl-calendar-week-view-event, div.checker-details, div[class*="calendar-event"], div[class*="event"]');
-          const times = [];
+        // Log what elements are actually visible for debugging
+        const visibleElements = await page.evaluate(() => {
+          const events = document.querySelectorAll('mwl-calendar-week-view-event, div[class*="cal-event"], div[class*="calendar-event"]');
+          const visible = [];
           for (const event of events) {
-            if (event.offsetParent === null) continue;
-            const text = event.textContent || '';
-            const timeMatch = text.match(/\b(\d{1,2}):(\d{1,2})\s*(am|pm)?\b/i);
-            if (timeMatch) {
-              times.push(`${timeMatch[1]}:${timeMatch[2]}${timeMatch[3] || ''}`);
+            if (event.offsetParent !== null) {
+              const text = (event.textContent || '').substring(0, 100);
+              const rect = event.getBoundingClientRect();
+              visible.push({
+                text: text,
+                position: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+                tag: event.tagName,
+                classes: event.className
+              });
             }
           }
-          return times;
+          return visible;
         }).catch(() => []);
         
-        dlog(`  Available class times on this date: ${allEventTimes.join(', ')}`);
+        dlog(`  Visible class elements on page: ${visibleElements.length}`);
+        if (visibleElements.length > 0) {
+          dlog(`  First visible element: "${visibleElements[0].text}" at (${visibleElements[0].position.x}, ${visibleElements[0].position.y})`);
+        }
         
-        throw new Error(`Could not find class at ${targetTime} on ${targetDate}: ${classInfo.reason}`);
+        if (attempt < MAX_CLASS_CLICK_RETRIES) {
+          continue; // Retry
+        } else {
+          throw bookingError('BOOKING_DIALOG_FAILED', `Could not click class element after ${MAX_CLASS_CLICK_RETRIES} attempts. Found ${visibleElements.length} visible class elements.`);
+        }
       }
       
-      dlog(`=== DATE NAVIGATION AND CLASS SELECTION COMPLETE ===`);
-    });
-
-    // Step 7: Click "Book Customer" button
-    await step("Click Book Customer", async () => {
-      await clickElement(page, [
-        '::-p-aria(Book Customer)',
-        'div.booking-btn > button',
-        '::-p-xpath(/html/body/web-app/ng-component/div/div/div[2]/div/div/ng-component/div[2]/div/div[3]/div[2]/div[1]/div[2]/button)',
-        ':scope >>> div.booking-btn > button',
-        '::-p-text(Book Customer)'
-      ], { offset: { x: 61, y: 8.3828125 } });
-      await sleep(1500); // Wait for modal/dialog to open
-      await takeScreenshot('after-book-customer-click');
-    });
-
-    // Step 8: Search for customer (with retry logic for Fitpass One through Twenty)
-    await step("Search for customer", async () => {
-      // Try email format first (fitpass1), then Fitpass One, Two, Three, etc. up to Twenty
-      const MAX_CUSTOMER_RETRIES = 20;
-      let customerSelectedSuccessfully = false;
+      // Wait for the click to register and page to stabilize (especially after errors)
+      await sleep(2000); // Increased from 500ms to 2000ms to handle error recovery
       
-      for (let customerNumber = 1; customerNumber <= MAX_CUSTOMER_RETRIES; customerNumber++) {
-        // First try: use email format "fitpass1"
-        // Subsequent tries: use name format "Fitpass One", "Fitpass Two", etc.
-        const customerName = customerNumber === 1 ? "fitpass1" : `Fitpass ${customerNumber === 2 ? "Two" : customerNumber === 3 ? "Three" : customerNumber === 4 ? "Four" : customerNumber === 5 ? "Five" : customerNumber === 6 ? "Six" : customerNumber === 7 ? "Seven" : customerNumber === 8 ? "Eight" : customerNumber === 9 ? "Nine" : customerNumber === 10 ? "Ten" : customerNumber === 11 ? "Eleven" : customerNumber === 12 ? "Twelve" : customerNumber === 13 ? "Thirteen" : customerNumber === 14 ? "Fourteen" : customerNumber === 15 ? "Fifteen" : customerNumber === 16 ? "Sixteen" : customerNumber === 17 ? "Seventeen" : customerNumber === 18 ? "Eighteen" : customerNumber === 19 ? "Nineteen" : "Twenty"}`;
-        const customerSearchValue = customerName.toLowerCase();
-        
-        if (customerNumber > 1) {
-          logToFile(`[CUSTOMER RETRY] Attempt ${customerNumber}: Trying "${customerName}"`);
-          dlog(`[CUSTOMER RETRY] Attempt ${customerNumber}: Trying "${customerName}"`);
+      // Take screenshot immediately after clicking class to see what appeared
+      await takeScreenshot(`after-class-click${attempt > 1 ? `-retry-${attempt}` : ''}`);
+      
+      // Verify that clicking the class actually did something
+      if (clicked) {
+        const clickResult = await page.evaluate(() => {
+          // Check if any modal/dialog appeared
+          const modals = document.querySelectorAll('[class*="modal"], [class*="dialog"], [class*="overlay"], [class*="popup"]');
+          const visibleModals = Array.from(modals).filter(m => {
+            const style = window.getComputedStyle(m);
+            return style.display !== 'none' && style.visibility !== 'hidden' && m.offsetParent !== null;
+          });
           
-          // Clear the input field before trying next customer
-          try {
-            const customerInputSelectors = [
-              '::-p-aria(Search customer)',
-              'div.customer-overlay input',
-              'input[placeholder*="customer" i]',
-              'input[placeholder*="Search" i]',
-              'input[type="text"]',
-              'input[type="search"]'
-            ];
-            
-            let inputElement = null;
-            for (const selector of customerInputSelectors) {
-              try {
-                const element = await page.$(selector).catch(() => null);
-                if (element) {
-                  const isVisible = await element.isVisible().catch(() => false);
-                  if (isVisible) {
-                    inputElement = element;
-                    break;
-                  }
-                }
-              } catch (e) {
-                continue;
+          // Check body text for booking-related content
+          const bodyText = (document.body.textContent || '').toLowerCase();
+          const hasBookingContent = bodyText.includes('book') || bodyText.includes('customer') || 
+                                   bodyText.includes('delete') || bodyText.includes('class instance');
+          
+          // Check for buttons that indicate a modal opened
+          const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
+          const hasModalButtons = buttons.some(btn => {
+            if (btn.offsetParent === null) return false;
+            const text = (btn.textContent || '').toLowerCase();
+            return text.includes('book customer') || text.includes('go back') || 
+                   text.includes('delete') || text.includes('cancel');
+          });
+          
+          return {
+            modalCount: visibleModals.length,
+            hasBookingContent,
+            hasModalButtons,
+            bodyTextPreview: bodyText.substring(0, 200)
+          };
+        }).catch(() => ({ modalCount: 0, hasBookingContent: false, hasModalButtons: false, bodyTextPreview: '' }));
+        
+        if (clickResult.modalCount > 0 || clickResult.hasBookingContent || clickResult.hasModalButtons) {
+          dlog(`✓ Click verified - modal/dialog appeared (${clickResult.modalCount} modals, hasBookingContent: ${clickResult.hasBookingContent}, hasModalButtons: ${clickResult.hasModalButtons})`);
+          logToFile(`✓ Class click successful - modal/dialog detected`);
+        } else {
+          dlog(`⚠ Click may not have worked - no modal or booking content detected after click`);
+          dlog(`  Body text preview: ${clickResult.bodyTextPreview.substring(0, 100)}...`);
+          logToFile(`⚠ WARNING: Class click may have failed - no modal detected`);
+          // Don't fail immediately, continue and see if Book Customer button appears
+        }
+      }
+      
+      // The delete modal ALWAYS appears when clicking a class - we need to dismiss it
+      dlog(`Checking for delete modal (expected to appear)...`);
+      const deleteModalAppeared = await page.evaluate(() => {
+        const bodyText = (document.body.textContent || '').toLowerCase();
+        if (bodyText.includes('delete class instance') || bodyText.includes('permanently delete')) {
+          return true;
+        }
+        // Check for delete modal buttons
+        const buttons = Array.from(document.querySelectorAll('button'));
+        for (const btn of buttons) {
+          if (btn.offsetParent === null) continue;
+          const btnText = (btn.textContent || '').toLowerCase();
+          if (btnText.includes('yes, delete') || (btnText.includes('delete') && btnText.includes('class'))) {
+            // Check if it's in a modal context
+            let parent = btn.parentElement;
+            let depth = 0;
+            while (parent && depth < 5) {
+              const parentText = (parent.textContent || '').toLowerCase();
+              if (parentText.includes('delete class')) {
+                return true;
               }
+              parent = parent.parentElement;
+              depth++;
             }
-            
-            if (inputElement) {
-              await inputElement.click({ clickCount: 3 }); // Triple click to select all
-              await page.keyboard.press('Backspace');
-              await sleep(200);
-              dlog(`✓ Cleared input field for retry`);
-            }
-          } catch (e) {
-            dlog(`⚠ Could not clear input field: ${e?.message}`);
           }
         }
-        
-        dlog(`Typing customer name character by character: ${customerSearchValue}`);
-      dlog(`Typing customer name character by character: ${customerSearchValue}`);
-      
-      // Take screenshot before searching for input field
-      await takeScreenshot('before-customer-search-input-find');
-      
-      // Wait for the customer search modal/dialog to appear after clicking "Book Customer"
-      dlog(`Waiting for customer search input field to appear...`);
-      await sleep(1000); // Initial wait for modal to open
-      
-      // Try to wait for the input field to appear with a timeout
-      const customerInputSelectors = [
-        '::-p-aria(Search customer)',
-        'div.customer-overlay input',
-        '::-p-xpath(/html/body/web-app/ng-component/div/div/div[2]/div/div/ng-component/div[3]/div/div[3]/input)',
-        ':scope >>> div.customer-overlay input',
-        'input[placeholder*="customer" i]',
-        'input[placeholder*="Search" i]',
-        'input[type="text"]',
-        'input[type="search"]'
-      ];
+        return false;
+      }).catch(() => false);
       
-      // Wait for at least one selector to appear
-      let inputFound = false;
-      for (let attempt = 0; attempt < 10; attempt++) {
-        for (const selector of customerInputSelectors) {
-          try {
-            const element = await page.$(selector).catch(() => null);
-            if (element) {
-              const isVisible = await element.isVisible().catch(() => false);
-              if (isVisible) {
-                inputFound = true;
-                dlog(`✓ Customer search input found on attempt ${attempt + 1} with selector: ${selector}`);
-                break;
-              }
+      if (deleteModalAppeared) {
+        logToFile(`[MODAL] Delete modal appeared (expected) - dismissing it...`);
+        dlog(`Delete modal appeared (expected) - dismissing it...`);
+        
+        // Dismiss the delete modal by clicking "Go back" button
+        const dismissed = await page.evaluate(() => {
+          const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
+          for (const btn of buttons) {
+            if (btn.offsetParent === null) continue;
+            const text = (btn.textContent || '').trim().toLowerCase();
+            // Look for "Go back" button
+            if (text === 'go back' || text === 'go back' || text.includes('back')) {
+              btn.click();
+              return true;
             }
-          } catch (e) {
-            continue;
           }
+          return false;
+        }).catch(() => false);
+        
+        if (dismissed) {
+          await sleep(1500); // Increased from 1000ms to 1500ms
+          dlog(`✓ Successfully dismissed delete modal by clicking "Go back"`);
+          logToFile(`✓ Successfully dismissed delete modal`);
+        } else {
+          // Fallback: try Escape key
+          dlog(`"Go back" button not found, trying Escape key...`);
+          await page.keyboard.press('Escape');
+          await sleep(1500); // Increased from 1000ms to 1500ms
+          dlog(`✓ Dismissed delete modal using Escape key`);
         }
-        if (inputFound) break;
-        await sleep(500); // Wait 500ms between attempts
+        
+        // Take screenshot after dismissing modal
+        await takeScreenshot(`after-dismissing-delete-modal${attempt > 1 ? `-retry-${attempt}` : ''}`);
+      } else {
+        dlog(`No delete modal detected (may have already been dismissed or not appeared)`);
       }
       
-      if (!inputFound) {
-        logToFile(`⚠ Customer search input not found after waiting, trying to find it anyway...`);
-        dlog(`⚠ Customer search input not found after waiting, trying to find it anyway...`);
-      }
-      
-      let foundInputElement = null;
-      let foundInputSelector = null;
-      let browserSelector = null; // Regular CSS selector for use in page.evaluate()
-      
-      for (const selector of customerInputSelectors) {
-        try {
-          const element = await page.$(selector);
-          if (element) {
-            const isVisible = await element.isVisible().catch(() => false);
-            if (isVisible) {
-              foundInputElement = element;
-              foundInputSelector = selector;
-              
-              // Get a regular CSS selector that works in browser context
-              // First try to get element attributes to build a selector
-              const elementInfo = await page.evaluate((el) => {
-                return {
-                  id: el.id || '',
-                  className: el.className || '',
-                  tagName: el.tagName.toLowerCase(),
-                  placeholder: el.placeholder || '',
-                  ariaLabel: el.getAttribute('aria-label') || ''
-                };
-              }, element).catch(() => null);
-              
-              // Build browser selector from element info
-              if (elementInfo) {
-                if (elementInfo.id) {
-                  browserSelector = `#${elementInfo.id}`;
-                } else if (elementInfo.className) {
-                  const classes = elementInfo.className.split(' ').filter(c => c).join('.');
-                  browserSelector = `${elementInfo.tagName}.${classes}`;
-                } else if (elementInfo.placeholder) {
-                  browserSelector = `input[placeholder="${elementInfo.placeholder}"]`;
-                } else if (elementInfo.ariaLabel) {
-                  browserSelector = `input[aria-label="${elementInfo.ariaLabel}"]`;
-                }
-              }
-              
-              // Fallback: convert Puppeteer selector to regular CSS selector
-              if (!browserSelector) {
-                if (selector.startsWith('::-p-aria')) {
-                  browserSelector = 'input[aria-label*="customer" i], input[placeholder*="customer" i]';
-                } else if (selector.startsWith('::-p-xpath')) {
-                  browserSelector = 'div.customer-overlay input, input[type="text"]';
-                } else if (!selector.startsWith('::-p-') && !selector.startsWith(':scope')) {
-                  browserSelector = selector;
-                } else {
-                  browserSelector = 'div.customer-overlay input, input[type="text"]';
-                }
-              }
-              
-              dlog(`Found customer search input with selector: ${selector}`);
-              dlog(`Browser selector: ${browserSelector}`);
-              break;
-            }
-          }
-        } catch (e) {
-          continue;
-        }
-      }
-      
-      if (!foundInputElement || !foundInputSelector) {
-        throw new Error(`Could not find customer search input field`);
-      }
-      
-      if (!browserSelector) {
-        browserSelector = 'div.customer-overlay input, input[type="text"]';
-      }
-      
-      // Clear any existing text first
-      await foundInputElement.click({ clickCount: 3 }); // Triple click to select all
-      await page.keyboard.press('Backspace');
-      await sleep(100);
-      
-      // Set up network monitoring for autocomplete API requests (like gym selection)
-      const autocompleteRequests = [];
-      const autocompleteResponses = [];
-      
-      const requestHandler = (request) => {
-        const url = request.url();
-        // Look for customer/search API endpoints
-        if (url.includes('customer') || url.includes('search') || url.includes('autocomplete') || 
-            url.includes('query') || url.includes('filter')) {
-          dlog(`[NETWORK] Customer autocomplete request detected: ${url.substring(0, 150)}`);
-          autocompleteRequests.push({
-            url: url,
-            method: request.method(),
-            postData: request.postData(),
-            timestamp: Date.now()
-          });
-        }
-      };
-      
-      const responseHandler = (response) => {
-        const url = response.url();
-        if (url.includes('customer') || url.includes('search') || url.includes('autocomplete') || 
-            url.includes('query') || url.includes('filter')) {
-          dlog(`[NETWORK] Customer autocomplete response: ${url.substring(0, 150)}`);
-          autocompleteResponses.push({
-            url: url,
-            status: response.status(),
-            timestamp: Date.now()
-          });
-        }
-      };
-      
-      // Start monitoring network requests
-      page.on('request', requestHandler);
-      page.on('response', responseHandler);
-      
-      // Simulate human behavior before typing (makes session look more realistic)
-      dlog(`Simulating human behavior before customer search...`);
-      await simulateHumanBehavior();
-      await sleep(1000 + Math.random() * 1000); // Random delay 1000-2000ms (longer to look more human)
-      
-      // SIMPLIFIED APPROACH: Use Locator API .fill() method (like user's Puppeteer recording)
-      // This matches what works locally - fast and reliable
-      dlog(`Using Locator API .fill() method to input customer name "${customerName}" (matching local behavior)...`);
-      
-      // Ensure input is focused and ready (with human-like delays)
-      await foundInputElement.click();
-      await sleep(300 + Math.random() * 300); // Random delay 300-600ms
-      await foundInputElement.focus();
-      await sleep(300 + Math.random() * 300); // Random delay 300-600ms
-      
-      // Clear any existing value first
-      await foundInputElement.click({ clickCount: 3 });
-      await sleep(100);
-      await page.keyboard.press('Backspace');
-      await sleep(200);
-      
-      // Use Locator API .fill() method (like user's Puppeteer recording)
-      // This is faster and matches what works locally
-      const customerLocator = page.locator(foundInputSelector);
-      await customerLocator.fill(customerName);
-      
-      // Manually trigger events to ensure autocomplete fires (like user's recording)
-      await page.evaluate((selector) => {
-        const input = document.querySelector(selector);
-        if (input) {
-          // Trigger input event
-          const inputEvent = new Event('input', { bubbles: true, cancelable: true });
-          Object.defineProperty(inputEvent, 'target', { value: input, enumerable: true });
-          input.dispatchEvent(inputEvent);
-          
-          // Trigger change event
-          const changeEvent = new Event('change', { bubbles: true, cancelable: true });
-          input.dispatchEvent(changeEvent);
-          
-          // Trigger keyup event (some autocomplete systems listen to this)
-          const keyUpEvent = new KeyboardEvent('keyup', { bubbles: true });
-          input.dispatchEvent(keyUpEvent);
-        }
-      }, browserSelector);
+      // Verify the click worked by checking for "Book Customer" button
+      // This should be visible after dismissing the delete modal
+      // Wait longer for the booking dialog to fully load (especially after 403 errors)
+      dlog(`Waiting for booking dialog to load after dismissing delete modal...`);
       
-      dlog("✓ Finished filling customer name using Locator API .fill()");
-      
-      // Wait for autocomplete dropdown to appear (shorter wait since .fill() is instant)
-      dlog("Waiting for autocomplete dropdown to appear...");
-      await sleep(1500); // Shorter wait - matches local behavior
+      // Wait longer after dismissing modal to let page stabilize (especially if there were errors)
+      await sleep(3000); // Increased from 2000ms to 3000ms to handle error recovery
       
-      // Wait for network idle (autocomplete might fetch from server)
-      // Shorter timeout to match local behavior (works instantly locally)
+      // Wait for network idle to ensure all resources are loaded
       try {
-        await page.waitForNetworkIdle({ idleTime: 300, timeout: 2000 }).catch(() => {
-          dlog("Network idle wait timed out, continuing...");
+        await page.waitForNetworkIdle({ idleTime: 1000, timeout: 5000 }).catch(() => {
+          dlog(`Network idle wait timed out, continuing...`);
         });
       } catch (e) {
         dlog(`Network idle wait error: ${e?.message}`);
       }
       
-      // Additional wait for autocomplete dropdown to render
-      // Shorter wait to match local behavior (dropdown appears instantly locally)
-      await sleep(1000); // Reduced from 3000ms to match local behavior
-      
-      // Now remove network listeners (after waiting for autocomplete)
-      page.off('request', requestHandler);
-      page.off('response', responseHandler);
-      
-      // Log network requests detected
-      if (autocompleteRequests.length > 0) {
-        logToFile(`[NETWORK] Detected ${autocompleteRequests.length} customer autocomplete requests during typing`);
-        autocompleteRequests.forEach((req, i) => {
-          logToFile(`[NETWORK] Request ${i+1}: ${req.method} ${req.url.substring(0, 150)}`);
-        });
-      } else {
-        logToFile(`[NETWORK] WARNING: No customer autocomplete API requests detected - autocomplete may not be triggering`);
-      }
-      
-      if (autocompleteResponses.length > 0) {
-        logToFile(`[NETWORK] Detected ${autocompleteResponses.length} customer autocomplete responses`);
-        autocompleteResponses.forEach((resp, i) => {
-          logToFile(`[NETWORK] Response ${i+1}: ${resp.status} ${resp.url.substring(0, 150)}`);
-        });
-      }
-      
-      // Take screenshot to verify autocomplete appeared
-      await takeScreenshot('after-customer-search-typing');
+      // Additional wait for page to recover from any JavaScript errors
+      await sleep(2000);
       
-      // Verify autocomplete dropdown appeared - look for span elements in customer-overlay (as shown in recording)
-      const autocompleteVisible = await page.evaluate(() => {
-        // Look for span elements in div.customer-overlay (as shown in recording)
-        const customerOverlay = document.querySelector('div.customer-overlay');
-        if (customerOverlay) {
-          const spans = Array.from(customerOverlay.querySelectorAll('span'));
-          for (const span of spans) {
-            if (span.offsetParent !== null) {
-              const text = (span.textContent || '').toLowerCase();
-              if (text.includes('fitpass') || text.includes('@test.com') || text.includes('customer')) {
-                return true;
+      // Check if we're in the wrong modal (the "Booked 0/" view modal instead of booking dialog)
+      // This happens when automation is detected - the website shows a view-only modal
+      const modalCheck = await page.evaluate(() => {
+        const bodyText = (document.body.textContent || '').toLowerCase();
+        const hasBookedModal = bodyText.includes('booked') && (bodyText.includes('waitlisted') || bodyText.includes('cancelled'));
+        const hasBookCustomerButton = bodyText.includes('book customer');
+        
+        // Look for buttons that might open the booking dialog - search more broadly
+        const allButtons = Array.from(document.querySelectorAll('button, [role="button"], div[onclick], a[onclick], [class*="add"], [class*="book"], [class*="plus"], [class*="new"]'));
+        const potentialBookingButtons = [];
+        
+        // Also look for SVG icons that might be clickable (like a "+" icon)
+        const allSvgs = Array.from(document.querySelectorAll('svg'));
+        const svgParents = [];
+        for (const svg of allSvgs) {
+          if (svg.offsetParent === null) continue;
+          // Check if SVG is a plus icon (common pattern: path with "M" commands)
+          const paths = svg.querySelectorAll('path');
+          for (const path of paths) {
+            const d = path.getAttribute('d') || '';
+            // Plus icon typically has horizontal and vertical lines
+            if (d.includes('M') && (d.includes('H') || d.includes('V') || d.includes('h') || d.includes('v'))) {
+              let parent = svg.parentElement;
+              let depth = 0;
+              while (parent && depth < 5) {
+                if (parent.tagName === 'BUTTON' || parent.getAttribute('role') === 'button' || 
+                    parent.onclick || parent.style.cursor === 'pointer' ||
+                    window.getComputedStyle(parent).cursor === 'pointer') {
+                  svgParents.push(parent);
+                  break;
+                }
+                parent = parent.parentElement;
+                depth++;
               }
+              break;
             }
           }
         }
         
-        // Fallback: Look for common autocomplete dropdown patterns
-        const selectors = [
-          'div.customer-overlay span',
-          'div.search-container > div > div',
-          '[role="listbox"]',
-          '[class*="autocomplete"]',
-          '[class*="dropdown"]',
-          '[class*="suggestion"]'
-        ];
+        // Combine buttons and SVG parents
+        const allClickable = [...allButtons, ...svgParents];
         
-        for (const sel of selectors) {
-          const elements = Array.from(document.querySelectorAll(sel));
-          for (const el of elements) {
-            if (el.offsetParent !== null) {
-              const text = (el.textContent || '').toLowerCase();
-              if (text.includes('fitpass') || text.includes('@test.com') || text.includes('customer')) {
-                return true;
-              }
-            }
+        for (const btn of allClickable) {
+          if (btn.offsetParent === null) continue;
+          const text = (btn.textContent || '').trim().toLowerCase();
+          const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
+          const className = (btn.className || '').toLowerCase();
+          const id = (btn.id || '').toLowerCase();
+          
+          // Look for buttons that might trigger booking - expanded criteria
+          const isBookingButton = 
+            text === '+' || text === 'add' || text === 'new' ||
+            text.includes('add customer') || text.includes('book customer') || text.includes('new booking') ||
+            text.includes('add booking') || text.includes('book') ||
+            ariaLabel.includes('add') || ariaLabel.includes('book') || ariaLabel.includes('new') ||
+            ariaLabel.includes('customer') || ariaLabel.includes('booking') ||
+            className.includes('add') || className.includes('book') || className.includes('plus') ||
+            className.includes('new') || className.includes('create') ||
+            id.includes('add') || id.includes('book') || id.includes('new');
+          
+          if (isBookingButton) {
+            const rect = btn.getBoundingClientRect();
+            potentialBookingButtons.push({
+              text: btn.textContent.trim() || (btn.querySelector('svg') ? '+' : ''),
+              ariaLabel: ariaLabel,
+              className: className,
+              id: id,
+              x: rect.x + rect.width / 2,
+              y: rect.y + rect.height / 2,
+              visible: true
+            });
           }
         }
-        return false;
-      }).catch(() => false);
+        
+        return {
+          isBookedModal: hasBookedModal && !hasBookCustomerButton,
+          potentialBookingButtons: potentialBookingButtons,
+          hasBookCustomerButton: hasBookCustomerButton,
+          modalText: bodyText.substring(0, 200) // First 200 chars for debugging
+        };
+      }).catch(() => ({ isBookedModal: false, potentialBookingButtons: [], hasBookCustomerButton: false, modalText: '' }));
       
-      if (autocompleteVisible) {
-        dlog("✓ Autocomplete dropdown is visible");
-      } else {
-        logToFile("⚠ WARNING: Autocomplete dropdown may not be visible after typing");
-        dlog("⚠ WARNING: Autocomplete dropdown may not be visible after typing");
-        // Wait a bit more and check again
-        await sleep(2000);
+      // If we're in the "Booked 0/" modal, close it and retry clicking the class
+      if (modalCheck.isBookedModal) {
+        logToFile(`⚠ Detected "Booked 0/" modal (automation detection) - closing modal and retrying class click`);
+        dlog(`⚠ Detected "Booked 0/" modal - will close and re-click class on calendar`);
         
-        // Final check - look for span elements in customer-overlay
-        const finalCheck = await page.evaluate((customerNameParam) => {
-          const customerOverlay = document.querySelector('div.customer-overlay');
-          const customerNameLower = customerNameParam.toLowerCase();
-          const customerNumberWord = customerNameLower.replace('fitpass', '').trim();
-          
-          // Check span elements in customer-overlay first
-          if (customerOverlay) {
-            const spans = Array.from(customerOverlay.querySelectorAll('span'));
-            for (const span of spans) {
-              if (span.offsetParent !== null) {
-                const text = (span.textContent || '').toLowerCase();
-                if (text.includes('fitpass') && (text.includes(customerNumberWord) || text.includes('@test.com'))) {
-                  return true;
-                }
-              }
-            }
-          }
+        // Take screenshot to see what's available
+        await takeScreenshot(`detected-booked-modal-attempt-${attempt}`);
+        
+        // Close the modal by finding and clicking the exit/close button
+        const exitButtonInfo = await page.evaluate(() => {
+          const viewportHeight = window.innerHeight;
+          const viewportWidth = window.innerWidth;
           
-          // Fallback: check all divs
-          const allDivs = Array.from(document.querySelectorAll('div'));
-          for (const div of allDivs) {
-            if (div.offsetParent !== null) {
-              const text = (div.textContent || '').toLowerCase();
-              if (text.includes('fitpass') && text.includes(customerNumberWord)) {
-                return true;
+          // Strategy 1: Look for buttons with SVG icons (X icon in circle)
+          const allButtons = Array.from(document.querySelectorAll('button, [role="button"], div[onclick], div[cursor="pointer"]'));
+          for (const btn of allButtons) {
+            if (btn.offsetParent === null) continue; // Skip hidden elements
+            
+            const rect = btn.getBoundingClientRect();
+            
+            // Check if it's in the top left area (top 25% and left 25% of viewport)
+            if (rect.top < viewportHeight * 0.25 && rect.left < viewportWidth * 0.25) {
+              // Check if it's a small button (close buttons are usually small)
+              if (rect.width < 80 && rect.height < 80) {
+                // Check if it contains an SVG (X icon)
+                const hasSvg = btn.querySelector('svg') !== null;
+                
+                // Check if it has a circle background (dark grey circle)
+                const styles = window.getComputedStyle(btn);
+                const bgColor = styles.backgroundColor;
+                const borderRadius = styles.borderRadius;
+                const hasCircleBg = borderRadius.includes('50%') || borderRadius.includes('9999px') || 
+                                   bgColor.includes('rgb') || bgColor.includes('rgba');
+                
+                // Check text/aria-label
+                const text = (btn.textContent || '').trim().toLowerCase();
+                const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
+                const hasCloseText = text === 'x' || text === '×' || ariaLabel.includes('close') || 
+                                   ariaLabel.includes('exit') || ariaLabel.includes('dismiss');
+                
+                // If it has SVG or close text, or looks like a circular button, it's likely the close button
+                if (hasSvg || hasCloseText || (hasCircleBg && rect.width < 50 && rect.height < 50)) {
+                  return { 
+                    found: true, 
+                    selector: 'top-left-svg-button', 
+                    x: rect.left + rect.width / 2, 
+                    y: rect.top + rect.height / 2,
+                    text: text,
+                    ariaLabel: ariaLabel
+                  };
+                }
               }
             }
           }
-          return false;
-        }, customerName).catch(() => false);
+          
+          return { found: false, x: 0, y: 0, selector: '', text: '', ariaLabel: '' };
+        }).catch(() => ({ found: false, x: 0, y: 0, selector: '', text: '', ariaLabel: '' }));
         
-        if (finalCheck) {
-          dlog("✓ Autocomplete dropdown found on final check");
+        if (exitButtonInfo.found) {
+          logToFile(`✓ Found exit/close button at (${exitButtonInfo.x}, ${exitButtonInfo.y}) - selector: ${exitButtonInfo.selector}`);
+          dlog(`✓ Found exit/close button: text="${exitButtonInfo.text}", aria-label="${exitButtonInfo.ariaLabel}"`);
+          
+          // Click using Puppeteer mouse click for better reliability
+          try {
+            await page.mouse.click(exitButtonInfo.x, exitButtonInfo.y);
+            logClick('Exit/Close button (Booked 0/ modal)', `mouse.click(${exitButtonInfo.x}, ${exitButtonInfo.y})`, 'Puppeteer.mouse.click(coordinates)');
+            logToFile(`✓ Clicked exit/close button using coordinates`);
+            dlog(`✓ Clicked exit/close button using coordinates`);
+            await sleep(500);
+          } catch (e) {
+            logToFile(`⚠ Failed to click exit button by coordinates: ${e?.message}, trying Escape key...`);
+            dlog(`⚠ Failed to click exit button by coordinates: ${e?.message}, trying Escape key...`);
+            await page.keyboard.press('Escape');
+            await sleep(500);
+          }
         } else {
-          logToFile("❌ ERROR: Autocomplete dropdown not found even after extended wait");
-          // Don't retry - autocomplete not appearing is a different issue, not a customer availability issue
-          throw new Error(`Autocomplete dropdown not found - this is not a customer availability issue`);
+          logToFile(`⚠ Exit button not found, using Escape key fallback`);
+          dlog(`⚠ Exit button not found, using Escape key fallback`);
+          await page.keyboard.press('Escape');
+          await sleep(500);
         }
-      }
-      
-      // Step 10: Select customer from results (inside retry loop)
-      logToFile(`[CUSTOMER SELECTION] Starting customer selection for "${customerName}". Current click count: ${clickCounter}`);
-      dlog(`[CUSTOMER SELECTION] Starting customer selection for "${customerName}". Current click count: ${clickCounter}`);
-      const clicksBefore = clickCounter;
-      
-      // Take screenshot before selecting customer
-      await takeScreenshot('before-customer-selection');
-      
-      // Wait a bit for dropdown to fully populate
-      await sleep(1000);
-      
-      // First, verify autocomplete dropdown is visible and find clickable customer options
-      const dropdownCheck = await page.evaluate((customerNameParam) => {
-        // Look for customer options in dropdown - based on recording, they are span elements inside div.customer-overlay
-        // First, find the customer overlay container (as shown in recording)
-        const customerOverlay = document.querySelector('div.customer-overlay');
-        const searchRoot = customerOverlay || document.body;
         
-        const customerOptions = [];
-        
-        // Extract the number part from customer name (e.g., "one", "two", "three", or "1", "2", etc.)
-        const customerNameLower = customerNameParam.toLowerCase();
-        const customerNumberWord = customerNameLower.replace('fitpass', '').trim();
-        // Check if it's email format (e.g., "fitpass1")
-        const isEmailFormat = /^fitpass\d+$/.test(customerNameLower);
+        // Press Escape multiple times to ensure modal is closed
+        await page.keyboard.press('Escape');
+        await sleep(500);
+        await page.keyboard.press('Escape');
+        await sleep(500);
         
-        // Priority 1: Look for span elements inside div.customer-overlay (as shown in recording)
-        const spanElements = Array.from(searchRoot.querySelectorAll('div.customer-overlay span, span'));
+        // Wait for calendar to be visible again
+        await sleep(1000);
         
-        // Priority 2: Also check other elements as fallback
-        const allElements = Array.from(searchRoot.querySelectorAll('div, li, span, p, a'));
+        logToFile(`✓ Closed "Booked 0/" modal - will retry clicking class on calendar`);
+        dlog(`✓ Closed "Booked 0/" modal - will retry clicking class on calendar`);
         
-        // Combine and prioritize spans
-        const elementsToCheck = [...spanElements, ...allElements.filter(el => !spanElements.includes(el))];
+        // Skip the rest of this attempt and continue to next iteration (which will re-click the class)
+        if (attempt < MAX_CLASS_CLICK_RETRIES) {
+          logToFile(`⚠ "Booked 0/" modal detected - will retry (attempt ${attempt}/${MAX_CLASS_CLICK_RETRIES})`);
+          dlog(`⚠ "Booked 0/" modal detected - will retry (attempt ${attempt}/${MAX_CLASS_CLICK_RETRIES})`);
+          continue; // Continue to next iteration of retry loop
+        } else {
+          logToFile(`❌ ERROR: "Booked 0/" modal appeared on final attempt`);
+          throw bookingError('AUTOMATION_DETECTED', `Booking dialog did not open - "Booked 0/" modal appeared after ${MAX_CLASS_CLICK_RETRIES} attempts`);
+        }
+      }
+      
+      // Try multiple times with progressive waits to find the "Book Customer" button
+      let bookCustomerFound = false;
+      for (let checkAttempt = 0; checkAttempt < 8; checkAttempt++) { // Increased from 5 to 8 attempts
+        await sleep(1000 + checkAttempt * 500); // Progressive wait: 1000ms, 1500ms, 2000ms, 2500ms, 3000ms, 3500ms, 4000ms, 4500ms
         
-        for (const el of elementsToCheck) {
-          if (el.offsetParent === null) continue;
-          
-          // Get the text content and check if it's a customer name
-          const text = (el.textContent || '').trim();
-          const textLower = text.toLowerCase();
-          
-          // CRITICAL: Look for the current customer name (e.g., "Fitpass One", "Fitpass Two", "fitpass1", etc.)
-          // Customer names should be less than 200 characters (may include email like "fitpass1@test.com  |")
-          if (text.length > 200) continue; // Skip huge elements that contain entire page
+        // Check for page errors before looking for button
+        const pageErrors = await page.evaluate(() => {
+          // Check if there are any visible error messages
+          const errorElements = Array.from(document.querySelectorAll('[class*="error"], [class*="Error"], .error-message, .alert-error'));
+          const hasVisibleErrors = errorElements.some(el => el.offsetParent !== null);
           
-          // Check if text contains fitpass and the number word (or email pattern)
-          const hasFitpass = textLower.includes('fitpass');
-          const hasNumberWord = customerNumberWord ? textLower.includes(customerNumberWord) : false;
-          const hasEmailPattern = textLower.includes('@test.com') || textLower.includes('@'); // Recording shows email in text
+          // Check if page is in a broken state (no interactive elements)
+          const interactiveElements = Array.from(document.querySelectorAll('button, [role="button"], input, select, textarea'));
+          const hasInteractiveElements = interactiveElements.some(el => el.offsetParent !== null);
           
-          // For email format (fitpass1), check for direct match or email pattern
-          const matchesEmailFormat = isEmailFormat && (
-            textLower.includes(customerNameLower) || // Direct match: "fitpass1"
-            textLower.includes(customerNameLower + '@') || // Email: "fitpass1@"
-            textLower.match(new RegExp(`fitpass\\s*${customerNumberWord}\\b`, 'i')) !== null // "fitpass 1" or "fitpass1"
-          );
-          
-          // More flexible matching: if it has fitpass and email, or fitpass and number word
-          // Also check for number patterns (1, 2, 3, etc.) in email or text
-          const hasNumberPattern = customerNumberWord ? 
-            (textLower.match(/\bfitpass\s*(\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty)\b/i) !== null) :
-            false;
+          return {
+            hasVisibleErrors,
+            hasInteractiveElements,
+            errorCount: errorElements.length,
+            interactiveCount: interactiveElements.length
+          };
+        }).catch(() => ({ hasVisibleErrors: false, hasInteractiveElements: true, errorCount: 0, interactiveCount: 0 }));
+        
+        if (!pageErrors.hasInteractiveElements) {
+          dlog(`  Check ${checkAttempt + 1}/8: Page appears broken (no interactive elements), waiting longer...`);
+          await sleep(2000);
+          continue;
+        }
+        
+        const clickVerified = await page.evaluate(() => {
+          // Try multiple selectors for "Book Customer" button
+          const selectors = [
+            'button',
+            '[role="button"]',
+            'div.booking-btn button',
+            'div.booking-btn > button',
+            'button[class*="booking"]',
+            'button[class*="customer"]',
+            '::-p-text(Book Customer)',
+            '::-p-aria(Book Customer)'
+          ];
           
-          if (hasFitpass && (hasNumberWord || hasEmailPattern || hasNumberPattern || matchesEmailFormat)) {
-            // Make sure it's not just "fitpass" alone - must have the number word, email, or number pattern
-            if (textLower === 'fitpass' || textLower.trim() === 'fitpass') continue; // Skip if it's just "fitpass"
-            
-            // Check if this element is within customer overlay (as shown in recording)
-            const isInCustomerOverlay = customerOverlay ? customerOverlay.contains(el) : 
-                                       el.closest('div.customer-overlay') !== null ||
-                                       el.closest('[class*="dropdown"]') !== null ||
-                                       el.closest('[class*="autocomplete"]') !== null ||
-                                       el.closest('[class*="suggestion"]') !== null ||
-                                       el.closest('[class*="popover"]') !== null ||
-                                       el.closest('[class*="option"]') !== null ||
-                                       el.closest('[class*="item"]') !== null;
-            
-            // Check if it's clickable - SPAN elements are clickable (as shown in recording)
-            const isClickable = el.classList.contains('cursor-pointer') || 
-                               el.onclick !== null ||
-                               el.getAttribute('role') === 'option' ||
-                               el.tagName === 'LI' ||
-                               el.tagName === 'A' ||
-                               el.tagName === 'SPAN' || // SPAN elements are clickable (from recording)
-                               (el.tagName === 'DIV' && isInCustomerOverlay);
-            
-            if (isClickable || isInCustomerOverlay) {
-              const rect = el.getBoundingClientRect();
-              // Make sure it's actually visible and has reasonable size (not too large)
-              // Customer option should be reasonably sized (not the entire page)
-              if (rect.width > 50 && rect.width < 500 && rect.height > 10 && rect.height < 100) {
-                customerOptions.push({
-                  text: text.substring(0, 150), // Limit text length for logging (may include email)
-                  fullText: text,
-                  x: rect.left + rect.width / 2,
-                  y: rect.top + rect.height / 2,
-                  visible: true,
-                  tagName: el.tagName,
-                  className: el.className.substring(0, 50), // Limit class name length
-                  isClickable: isClickable,
-                  isInDropdown: isInCustomerOverlay,
-                  width: rect.width,
-                  height: rect.height,
-                  isSpan: el.tagName === 'SPAN', // Prioritize SPAN elements
-                  isInCustomerOverlay: isInCustomerOverlay
-                });
+          for (const selector of selectors) {
+            try {
+              const buttons = Array.from(document.querySelectorAll(selector));
+              for (const btn of buttons) {
+                if (btn.offsetParent === null) continue;
+                const text = (btn.textContent || '').trim().toLowerCase();
+                if (text === 'book customer' || text.includes('book customer')) {
+                  return {
+                    bookCustomerButtonVisible: true,
+                    bookCustomerButtonText: btn.textContent,
+                    selector: selector
+                  };
+                }
               }
+            } catch (e) {
+              // Skip invalid selectors
+              continue;
             }
           }
-        }
-        
-        // Sort by priority: 1) SPAN elements, 2) In customer-overlay, 3) Smaller size
-        customerOptions.sort((a, b) => {
-          // Prioritize SPAN elements (as shown in recording)
-          if (a.isSpan && !b.isSpan) return -1;
-          if (!a.isSpan && b.isSpan) return 1;
-          // Prioritize elements in customer-overlay
-          if (a.isInCustomerOverlay && !b.isInCustomerOverlay) return -1;
-          if (!a.isInCustomerOverlay && b.isInCustomerOverlay) return 1;
-          // Then by size - prefer smaller elements
-          const aSize = a.width * a.height;
-          const bSize = b.width * b.height;
-          return aSize - bSize; // Smaller first
-        });
-        
-        // Log all span elements found for debugging
-        const allSpans = customerOverlay ? Array.from(customerOverlay.querySelectorAll('span')) : [];
-        const spanTexts = allSpans.map(s => s.textContent?.trim()).filter(t => t);
+          
+          return {
+            bookCustomerButtonVisible: false,
+            bookCustomerButtonText: null,
+            selector: null
+          };
+        }).catch(() => ({ bookCustomerButtonVisible: false, bookCustomerButtonText: null, selector: null }));
         
-        return {
-          found: customerOptions.length > 0,
-          count: customerOptions.length,
-          options: customerOptions,
-          debug: {
-            customerOverlayFound: customerOverlay !== null,
-            spanCount: allSpans.length,
-            spanTexts: spanTexts.slice(0, 10), // First 10 spans for debugging
-            customerNameLower: customerNameLower,
-            customerNumberWord: customerNumberWord
-          }
-        };
-      }, customerName).catch(() => ({ found: false, count: 0, options: [], debug: null }));
-      
-      // Log debug info
-      if (dropdownCheck.debug) {
-        logToFile(`[CUSTOMER DEBUG] Customer overlay found: ${dropdownCheck.debug.customerOverlayFound}`);
-        logToFile(`[CUSTOMER DEBUG] Span count: ${dropdownCheck.debug.spanCount}`);
-        logToFile(`[CUSTOMER DEBUG] Span texts: ${JSON.stringify(dropdownCheck.debug.spanTexts)}`);
-        logToFile(`[CUSTOMER DEBUG] Looking for: "${dropdownCheck.debug.customerNameLower}" (number word: "${dropdownCheck.debug.customerNumberWord}")`);
-      }
-      
-      if (!dropdownCheck.found) {
-        logToFile(`❌ ERROR: Customer "${customerName}" not found in dropdown! Cannot select customer.`);
-        dlog(`❌ ERROR: Customer "${customerName}" not found in dropdown! Cannot select customer.`);
-        if (dropdownCheck.debug) {
-          logToFile(`[CUSTOMER DEBUG] Available span texts: ${JSON.stringify(dropdownCheck.debug.spanTexts)}`);
+        if (clickVerified.bookCustomerButtonVisible) {
+          dlog(`✓ Click verified - "Book Customer" button is visible: "${clickVerified.bookCustomerButtonText}" (found with selector: ${clickVerified.selector})`);
+          logToFile(`✓ Booking dialog opened successfully - "Book Customer" button visible (attempt ${attempt}, check ${checkAttempt + 1})`);
+          bookCustomerFound = true;
+          break;
+        } else {
+          dlog(`  Check ${checkAttempt + 1}/8: "Book Customer" button not found yet, waiting...`);
         }
-        
-        // Take screenshot for debugging
-        await takeScreenshot(`customer-dropdown-not-found-${customerNumber}`);
-        
-        // Don't retry - customer not found is unproductive, throw error
-        throw new Error(`Customer "${customerName}" not found in dropdown - this is not a clickability issue`);
       }
       
-      dlog(`✓ Found ${dropdownCheck.count} customer option(s) in dropdown`);
-      logToFile(`[CUSTOMER SELECTION] Found ${dropdownCheck.count} customer option(s) in dropdown`);
-      
-      // Check if any of the found options are clickable
-      const hasClickableOption = dropdownCheck.options.some(opt => opt.isClickable);
-      
-      if (!hasClickableOption) {
-        logToFile(`⚠ Customer "${customerName}" found in dropdown but NOT clickable! Trying next customer.`);
-        dlog(`⚠ Customer "${customerName}" found in dropdown but NOT clickable! Trying next customer.`);
-        
-        // Take screenshot for debugging
-        await takeScreenshot(`customer-not-clickable-${customerNumber}`);
+      if (bookCustomerFound) {
+        classClickSuccess = true;
+        break; // Success! Exit retry loop
+      } else {
+        logToFile(`⚠ WARNING: "Book Customer" button not found after dismissing delete modal (attempt ${attempt})`);
+        dlog(`⚠ WARNING: "Book Customer" button not found - booking dialog may not be fully loaded`);
         
-        // Retry with next customer - this is the case we want to retry for
-        if (customerNumber < MAX_CUSTOMER_RETRIES) {
-          logToFile(`⚠ Will try next customer (${customerNumber + 1}/${MAX_CUSTOMER_RETRIES})`);
-          dlog(`⚠ Will try next customer (${customerNumber + 1}/${MAX_CUSTOMER_RETRIES})`);
-          continue; // Try next customer
+        // Not found - will retry if attempts remain
+        if (attempt < MAX_CLASS_CLICK_RETRIES) {
+          logToFile(`⚠ "Book Customer" button not found - will retry (attempt ${attempt}/${MAX_CLASS_CLICK_RETRIES})`);
+          dlog(`⚠ "Book Customer" button not found - will retry (attempt ${attempt}/${MAX_CLASS_CLICK_RETRIES})`);
+          // Continue to next iteration (will go back to calendar)
         } else {
-          // Last attempt failed
-          throw new Error(`Customer "${customerName}" found but not clickable and no more customers to try (1-${MAX_CUSTOMER_RETRIES})`);
+          logToFile(`❌ ERROR: "Book Customer" button still not found after ${MAX_CLASS_CLICK_RETRIES} attempts`);
+          throw bookingError('BOOKING_DIALOG_FAILED', `Booking dialog did not open - "Book Customer" button not found after ${MAX_CLASS_CLICK_RETRIES} attempts`);
         }
       }
-      
-      // Log the options we found (limit text length for readability)
-      dropdownCheck.options.forEach((opt, i) => {
-        const textPreview = opt.text.length > 50 ? opt.text.substring(0, 50) + '...' : opt.text;
-        logToFile(`  Option ${i + 1}: "${textPreview}" at (${opt.x}, ${opt.y}), size: ${opt.width}x${opt.height}, tag: ${opt.tagName}, clickable: ${opt.isClickable}, inDropdown: ${opt.isInDropdown}`);
-      });
-      
-      // Try multiple methods to click the customer - prioritize smaller, clickable elements in dropdown
-      let customerSelected = false;
-      
-      // Method 1: Try clicking the smallest option that's in dropdown (most likely to be actual customer option)
-      if (dropdownCheck.options.length > 0) {
-        try {
-          // Prefer: 1) Smallest element, 2) In dropdown, 3) Clickable
-          const optionToClick = dropdownCheck.options.find(opt => opt.isInDropdown && opt.isClickable) ||
-                               dropdownCheck.options.find(opt => opt.isInDropdown) ||
-                               dropdownCheck.options.find(opt => opt.isClickable) ||
-                               dropdownCheck.options[0]; // Fallback to first (smallest after sorting)
-          
-          const textPreview = optionToClick.text.length > 50 ? optionToClick.text.substring(0, 50) + '...' : optionToClick.text;
-          dlog(`[CUSTOMER SELECTION] Method 1: Clicking customer option by coordinates: "${textPreview}" at (${optionToClick.x}, ${optionToClick.y}), size: ${optionToClick.width}x${optionToClick.height}`);
-          logToFile(`[CUSTOMER SELECTION] Method 1: Clicking "${textPreview}" at (${optionToClick.x}, ${optionToClick.y}), size: ${optionToClick.width}x${optionToClick.height}`);
-          
-          await page.mouse.click(optionToClick.x, optionToClick.y);
-          logClick('Select customer', `mouse.click(${optionToClick.x}, ${optionToClick.y})`, 'Puppeteer.mouse.click(coordinates)');
-          
-          // Wait for selection to register
-          await sleep(1000);
-          
-          // Verify the click worked - check if customer was actually selected (not just typed)
-          const clickVerified = await page.evaluate((customerNameParam) => {
-            // Check if dropdown closed and customer name appears in a selected state
-            const inputs = Array.from(document.querySelectorAll('input'));
-            const customerNameLower = customerNameParam.toLowerCase();
-            const customerNumberWord = customerNameLower.replace('fitpass', '').trim();
-            const isEmailFormat = /^fitpass\d+$/.test(customerNameLower);
-            
-            for (const input of inputs) {
-              if (input.offsetParent === null) continue;
-              const value = (input.value || '').trim();
-              const valueLower = value.toLowerCase();
-              
-              // For email format (fitpass1), check for direct match or email pattern
-              if (isEmailFormat) {
-                if (valueLower.includes(customerNameLower) || // Direct match: "fitpass1"
-                    valueLower.includes(customerNameLower + '@') || // Email: "fitpass1@"
-                    valueLower.match(new RegExp(`fitpass\\s*${customerNumberWord}\\b`, 'i')) !== null) { // "fitpass 1" or "fitpass1"
-                  return true;
-                }
-              }
-              
-              // For name format (Fitpass One), check if value contains fitpass and number word
-              if (valueLower.includes('fitpass') && customerNumberWord && valueLower.includes(customerNumberWord)) {
-                return true;
-              }
-            }
-            return false;
-          }, customerName).catch(() => false);
-          
-          if (clickVerified) {
-            customerSelected = true;
-            dlog(`✓ Customer selected using Method 1 (coordinates)`);
-            logToFile(`✓ Customer selected using Method 1 (coordinates)`);
-          } else {
-            // Input check might fail even if click worked - we'll check for BOOK button below
-            dlog(`⚠ Input check didn't confirm selection, but will check for BOOK button...`);
-            logToFile(`⚠ Input check didn't confirm selection, but will check for BOOK button...`);
-          }
-        } catch (e) {
-          dlog(`Method 1 failed: ${e?.message}`);
-          logToFile(`Method 1 failed: ${e?.message}`);
+    }
+    
+    if (!classClickSuccess) {
+      throw bookingError('BOOKING_DIALOG_FAILED', `Failed to open booking dialog after ${MAX_CLASS_CLICK_RETRIES} attempts`);
+    }
+    
+    await sleep(500); // Final wait before proceeding
+  } else {
+    dlog(`✗ Could not find class at ${targetTime}`);
+    dlog(`  Reason: ${classInfo.reason}`);
+    
+    // Log all events found for debugging
+    const allEventTimes = await page.evaluate(() => {
+      const events = document.querySelectorAll('mwl-calendar-week-view-event, div.checker-details, div[class*="calendar-event"], div[class*="event"]');
+      const times = [];
+      for (const event of events) {
+        if (event.offsetParent === null) continue;
+        const text = event.textContent || '';
+        const timeMatch = text.match(/\b(\d{1,2}):(\d{1,2})\s*(am|pm)?\b/i);
+        if (timeMatch) {
+          times.push(`${timeMatch[1]}:${timeMatch[2]}${timeMatch[3] || ''}`);
         }
       }
-      
-      // OPTIMIZED: Method 1 (coordinate click) works reliably - removed Methods 2 and 3 as they're not needed
-      // If Method 1 didn't work, we'll check for BOOK button anyway (which is the real indicator)
-      
-      // Even if customerSelected is false, wait and check for BOOK button
-      // The input value check might fail even if the customer was actually selected
-      // Wait a bit for selection to register and BOOK button to appear
-      await sleep(1500); // Optimized: reduced from 2500ms - BOOK button appears quickly after customer selection
-      
-      // Check if BOOK button appeared - this is the most reliable indicator
-      const bookButtonCheck = await page.evaluate(() => {
-        const bookButton = Array.from(document.querySelectorAll('button, [role="button"]')).find(btn => {
-          if (btn.offsetParent === null) return false;
-          const text = (btn.textContent || '').trim().toLowerCase();
-          return text.includes('book using credits') || text.includes('book using');
-        });
-        return bookButton !== undefined;
-      }).catch(() => false);
-      
-      if (bookButtonCheck) {
-        // BOOK button is visible - customer was definitely selected!
-        logToFile(`✓ BOOK USING CREDITS button is visible - customer selection confirmed despite input check failure!`);
-        dlog(`✓ BOOK USING CREDITS button is visible - customer selection confirmed!`);
-        customerSelected = true; // Set flag so we continue
-      } else if (!customerSelected) {
-        // No BOOK button and clicks didn't work - this is a real failure
-        logToFile(`❌ ERROR: Failed to select customer "${customerName}" using all methods!`);
-        logToFile(`  BOOK button not visible, and input check failed.`);
-        await takeScreenshot(`customer-selection-failed-${customerNumber}`);
-        
-        // Don't retry - if customer was found and clickable but clicking failed, that's a different issue
-        // We only retry when customer is found but NOT clickable (handled earlier)
-        throw new Error(`Failed to select customer "${customerName}" - all click methods failed. Customer was found but clicking failed.`);
-      }
-      
-      // Take screenshot immediately after clicking customer
-      await takeScreenshot('after-customer-click-attempt');
-      
-      // STRICT VALIDATION: Verify customer was actually SELECTED (not just typed)
-      // Check multiple indicators that customer was selected from dropdown
-      const customerSelectedCheck = await page.evaluate((customerNameParam) => {
-        const results = {
-          customerInInput: false,
-          customerInputValue: null,
-          customerNameVisible: false,
-          bookButtonVisible: false,
-          dropdownClosed: false,
-          customerSelectedIndicator: false, // NEW: Check if customer was actually selected vs just typed
-          customerText: null,
-          bookButtonText: null
-        };
-        
-        const customerNameLower = customerNameParam.toLowerCase();
-        const customerNumberWord = customerNameLower.replace('fitpass', '').trim();
-        
-        // Check 1: Customer name appears in input field
-        const inputs = Array.from(document.querySelectorAll('input'));
-        for (const input of inputs) {
-          if (input.offsetParent === null) continue;
-          const value = (input.value || '').trim();
-          if (value.toLowerCase().includes('fitpass')) {
-            results.customerInInput = true;
-            results.customerInputValue = value;
-            results.customerText = value;
-            
-            // CRITICAL: Check if the input value contains the full customer name (not just "fitpass")
-            const valueLower = value.toLowerCase();
-            if (valueLower.includes('fitpass') && valueLower.includes(customerNumberWord)) {
-              results.customerSelectedIndicator = true; // Full customer name suggests selection
-            }
-            break;
-          }
-        }
-        
-        // Check 2: Look for customer name in a selected/displayed state (not just in input)
-        // Check for elements that show the selected customer (usually a div or span near the input)
-        // CRITICAL: Must be near the input field and be a reasonable size (not entire page)
-        // Reuse inputs from Check 1
-        const customerInput = inputs.find(input => {
-          if (input.offsetParent === null) return false;
-          const value = (input.value || '').trim().toLowerCase();
-          return value.includes('fitpass');
-        });
-        
-        if (customerInput) {
-          const inputRect = customerInput.getBoundingClientRect();
-          const nearbyElements = Array.from(document.querySelectorAll('div, span, p, li'));
-          
-          for (const el of nearbyElements) {
-            if (el.offsetParent === null) continue;
-            const rect = el.getBoundingClientRect();
-            
-            // Must be near the input (within 200px horizontally, within 100px vertically)
-            const isNearInput = Math.abs(rect.left - inputRect.left) < 200 && 
-                               Math.abs(rect.top - inputRect.top) < 100;
-            
-            if (!isNearInput) continue;
-            
-            const text = (el.textContent || '').trim();
-            const textLower = text.toLowerCase();
-            
-            // Look for full customer name (not just "fitpass") and must be SHORT (actual customer name, not entire page)
-            if (text.length > 100) continue; // Skip huge elements
-            
-            if (textLower.includes('fitpass') && textLower.includes(customerNumberWord)) {
-              // Check if this element is showing a selected customer (not in dropdown)
-              const isSelectedDisplay = !el.closest('[class*="dropdown"]') && 
-                                       !el.closest('[class*="autocomplete"]') &&
-                                       !el.closest('[class*="suggestion"]') &&
-                                       !el.closest('[class*="popover"]');
-              
-              // Must be reasonably sized (not entire page)
-              if (isSelectedDisplay && rect.width < 500 && rect.height < 100) {
-                results.customerNameVisible = true;
-                results.customerSelectedIndicator = true; // Found selected customer display near input
-                break; // Found one, stop searching
-              }
-            }
-          }
-        }
-        
-        // Check 3: "BOOK USING CREDITS" button appeared (strongest indicator - customer was selected)
-        const bookButton = Array.from(document.querySelectorAll('button, [role="button"]')).find(btn => {
-          if (btn.offsetParent === null) return false;
-          const text = (btn.textContent || '').trim().toLowerCase();
-          return text === 'book using credits' || text.includes('book using credits') || text.includes('book using');
-        });
-        
-        if (bookButton) {
-          results.bookButtonVisible = true;
-          results.bookButtonText = bookButton.textContent;
-          results.customerSelectedIndicator = true; // BOOK button = customer definitely selected
-        }
-        
-        // Check 4: Dropdown is closed (autocomplete dropdown should disappear after selection)
-        const dropdowns = Array.from(document.querySelectorAll('div[class*="dropdown"], div[class*="autocomplete"], div[class*="suggestion"]'));
-        const visibleDropdowns = dropdowns.filter(d => {
-          if (d.offsetParent === null) return false;
-          const text = (d.textContent || '').toLowerCase();
-          return text.includes('fitpass');
+      return times;
+    }).catch(() => []);
+    
+    dlog(`  Available class times on this date: ${allEventTimes.join(', ')}`);
+    
+    throw bookingError('CLASS_NOT_FOUND', `Could not find class at ${targetTime} on ${targetDate}: ${classInfo.reason}`);
+  }
+  
+  dlog(`=== DATE NAVIGATION AND CLASS SELECTION COMPLETE ===`);
+}
+
+// Attendee rows in an open class dialog. The dialog markup has no stable ids,
+// so rows are matched loosely and the innermost match wins
+const ATTENDEE_ROW_SELECTOR = [
+  '[class*="attendee"]',
+  '[class*="customer-row"]',
+  '[class*="booking-item"]',
+  '[class*="reservation"]',
+  '[class*="client"]',
+  'mat-list-item',
+  'li',
+  'tr'
+].join(', ');
+
+// Open dialogs/side panels, falling back to the whole page
+const DIALOG_SELECTOR = '[role="dialog"], mat-dialog-container, .modal, [class*="modal"], [class*="dialog"], [class*="side-panel"], [class*="drawer"]';
+
+// Reads the attendee list of the open class dialog. Each row is tagged with
+// data-booking-attendee="<index>" so it can be found again for clicks
+async function readAttendees(page) {
+  return page.evaluate((rowSelector, dialogSelector) => {
+    document.querySelectorAll('[data-booking-attendee]').forEach(el => el.removeAttribute('data-booking-attendee'));
+    const dialogs = Array.from(document.querySelectorAll(dialogSelector)).filter(el => el.offsetParent !== null);
+    const roots = dialogs.length > 0 ? dialogs : [document.body];
+    const attendees = [];
+    roots.forEach(root => {
+      root.querySelectorAll(rowSelector).forEach(row => {
+        if (row.hasAttribute('data-booking-attendee') || row.offsetParent === null) return;
+        if (row.querySelector(rowSelector)) return; // Wrapper around other rows
+        const lines = (row.innerText || row.textContent || '').split('\n').map(l => l.trim()).filter(Boolean);
+        const text = lines.join(' ');
+        if (!text || text.length > 200) return;
+        const lower = text.toLowerCase();
+        row.setAttribute('data-booking-attendee', String(attendees.length));
+        attendees.push({
+          index: attendees.length,
+          name: lines[0],
+          text,
+          status: lower.includes('waitlist') ? 'waitlisted' : /cancell?ed/.test(lower) ? 'cancelled' : 'booked'
         });
-        results.dropdownClosed = visibleDropdowns.length === 0;
-        
-        return results;
-      }, customerName).catch(() => ({
-        customerInInput: false,
-        customerInputValue: null,
-        customerNameVisible: false,
-        bookButtonVisible: false,
-        dropdownClosed: false,
-        customerSelectedIndicator: false,
-        customerText: null,
-        bookButtonText: null
-      }));
-      
-      // Log validation results
-      logToFile(`[CUSTOMER SELECTION VALIDATION]`);
-      logToFile(`  Customer in input: ${customerSelectedCheck.customerInInput} (value: "${customerSelectedCheck.customerInputValue || 'N/A'}")`);
-      logToFile(`  Customer name visible: ${customerSelectedCheck.customerNameVisible}`);
-      logToFile(`  BOOK USING CREDITS button visible: ${customerSelectedCheck.bookButtonVisible} (${customerSelectedCheck.bookButtonText || 'N/A'})`);
-      logToFile(`  Dropdown closed: ${customerSelectedCheck.dropdownClosed}`);
-      logToFile(`  Customer selected indicator: ${customerSelectedCheck.customerSelectedIndicator}`);
-      
-      dlog(`[CUSTOMER SELECTION VALIDATION]`);
-      dlog(`  Customer in input: ${customerSelectedCheck.customerInInput} (value: "${customerSelectedCheck.customerInputValue || 'N/A'}")`);
-      dlog(`  Customer name visible: ${customerSelectedCheck.customerNameVisible}`);
-      dlog(`  BOOK USING CREDITS button visible: ${customerSelectedCheck.bookButtonVisible}`);
-      dlog(`  Dropdown closed: ${customerSelectedCheck.dropdownClosed}`);
-      dlog(`  Customer selected indicator: ${customerSelectedCheck.customerSelectedIndicator}`);
-      
-      // OPTIMIZED: Simplified validation - BOOK button visibility is the most reliable indicator
-      // If BOOK button is visible, customer was definitely selected - continue
-      if (customerSelectedCheck.bookButtonVisible) {
-        logToFile(`✓ BOOK USING CREDITS button is visible - customer selection confirmed!`);
-        dlog(`✓ BOOK USING CREDITS button is visible - customer selection confirmed!`);
-        selectedCustomerName = customerName;
-        customerSelectedSuccessfully = true;
-      } else {
-        // BOOK button not visible yet - wait a bit more and check again
-        logToFile(`⚠ BOOK button not visible yet, waiting 1 second and checking again...`);
-        await sleep(1000);
-        
-        const finalBookButtonCheck = await page.evaluate(() => {
-          const bookButton = Array.from(document.querySelectorAll('button, [role="button"]')).find(btn => {
-            if (btn.offsetParent === null) return false;
-            const text = (btn.textContent || '').trim().toLowerCase();
-            return text.includes('book using credits') || text.includes('book using');
-          });
-          return bookButton !== undefined;
-        }).catch(() => false);
-        
-        if (finalBookButtonCheck) {
-          logToFile(`✓ BOOK button appeared after additional wait - customer selection confirmed!`);
-          selectedCustomerName = customerName;
-          customerSelectedSuccessfully = true;
-        } else {
-          // BOOK button still not visible - this is a real failure
-          logToFile(`❌ ERROR: BOOK USING CREDITS button not found after customer selection!`);
-          logToFile(`  Customer click may not have worked properly.`);
-          await takeScreenshot(`customer-selection-validation-failed-${customerNumber}`);
-          throw new Error(`Customer selection failed for "${customerName}" - BOOK USING CREDITS button not visible after click`);
-        }
-      }
-      
-      // Take screenshot after successful validation
-      await takeScreenshot(`after-customer-selection-validated-${customerName.replace(/\s+/g, '-')}`);
-      
-      // Check if booking was automatically triggered
-      const autoBookingCheck = await page.evaluate(() => {
-        const bodyText = document.body.textContent || '';
-        const hasSuccessNotification = bodyText.toLowerCase().includes('successfully booked') || 
-                                      bodyText.toLowerCase().includes('customer successfully booked');
-        const notifications = Array.from(document.querySelectorAll('[class*="notification"], [class*="toast"], [class*="alert"]'));
-        return {
-          hasSuccessNotification,
-          notificationCount: notifications.filter(n => n.offsetParent !== null).length,
-          notificationTexts: notifications.filter(n => n.offsetParent !== null).map(n => n.textContent?.substring(0, 50)).slice(0, 3)
-        };
-      }).catch(() => ({ hasSuccessNotification: false, notificationCount: 0, notificationTexts: [] }));
-      
-      if (autoBookingCheck.hasSuccessNotification || autoBookingCheck.notificationCount > 0) {
-        logToFile(`[WARNING] Booking notification detected immediately after customer selection! Notification count: ${autoBookingCheck.notificationCount}`);
-        logToFile(`[WARNING] Notification texts: ${autoBookingCheck.notificationTexts.join(', ')}`);
-      }
-      
-      const clicksAfter = clickCounter;
-      const clicksMade = clicksAfter - clicksBefore;
-      const customerLogMsg = `[CUSTOMER SELECTION] Completed for "${selectedCustomerName || customerName}". Clicks made: ${clicksMade}, Total clicks so far: ${clickCounter}`;
-      logToFile(customerLogMsg);
-      dlog(customerLogMsg);
-      if (clicksMade > 1) {
-        const warningMsg = `[WARNING] Multiple clicks detected during customer selection! Click count: ${clicksMade}`;
-        logToFile(warningMsg);
-        console.error(warningMsg);
-      }
-      await sleep(500); // Optimized: reduced from 1000ms
-      
-      // Break out of retry loop - we found a working customer
-      break;
-      } // End of customer selection logic (inside retry loop)
-      
-      // Check if we successfully selected a customer
-      if (!customerSelectedSuccessfully) {
-        throw new Error(`Failed to select any customer after ${MAX_CUSTOMER_RETRIES} attempts (Fitpass One through Fitpass Twenty)`);
-      }
-      
-      logToFile(`✓ Successfully selected customer: "${selectedCustomerName}"`);
-      dlog(`✓ Successfully selected customer: "${selectedCustomerName}"`);
+      });
     });
+    return attendees;
+  }, ATTENDEE_ROW_SELECTOR, DIALOG_SELECTOR).catch(() => []);
+}
 
-    // OPTIMIZED: Removed redundant "Wait for booking modal" step
-    // We already wait 1500ms after customer selection, and the BOOK button step will handle validation
-    
+// Case-insensitive match of a customer (name or email) against attendee rows:
+// the row's name, or the customer as a whole word of the row ("Ana" is not
+// "Diana", "fitpass1" is not "fitpass12")
+const findAttendee = (attendees, customer) => {
+  const needle = customer.trim().toLowerCase();
+  return attendees.find(a => a.status !== 'cancelled' && a.name.toLowerCase() === needle) ||
+    attendees.find(a => a.status !== 'cancelled' && containsWholeTerm(a.text, customer.trim())) ||
+    null;
+};
 
-    // Track whether we actually completed the charge step (required for successful booking)
-    let chargeStepCompleted = false;
+// A member to book instead of a pool account: POST /book's `customer` as a
+// name, email or phone string, or as { name, email, phone }. Null when empty.
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,}$/;
+const normalizeCustomer = (customer) => {
+  const fields = typeof customer === 'string'
+    ? { [customer.includes('@') ? 'email' : PHONE_PATTERN.test(customer.trim()) ? 'phone' : 'name']: customer }
+    : customer;
+  if (!fields || typeof fields !== 'object') return null;
+  const member = {};
+  for (const key of ['name', 'email', 'phone']) {
+    if (typeof fields[key] === 'string' && fields[key].trim()) member[key] = fields[key].trim();
+  }
+  return Object.keys(member).length > 0 ? member : null;
+};
 
-    // Step 13: Click "BOOK USING CREDITS" button - this is the confirmation button
-    // Note: Based on the modal UI, this button appears directly after selecting customer
-    // We may need to select a plan first, but if plan is already selected, we can click directly
-    await step("Click BOOK USING CREDITS button", async () => {
-      logToFile(`[BOOK BUTTON] ==========================================`);
-      logToFile(`[BOOK BUTTON] Starting BOOK USING CREDITS click step`);
-      logToFile(`[BOOK BUTTON] Current click count: ${clickCounter}`);
-      logToFile(`[BOOK BUTTON] ==========================================`);
-      dlog(`[BOOK BUTTON] Starting BOOK USING CREDITS click. Current click count: ${clickCounter}`);
-      const clicksBefore = clickCounter;
-      
-      // Take screenshot before looking for button
-      logToFile(`[BOOK BUTTON] Taking screenshot before looking for button...`);
-      await takeScreenshot('before-looking-for-book-button');
-      
-      // Wait a bit to ensure modal is fully loaded and BOOK button appears
-      // OPTIMIZED: Reduced from 3000ms since we already waited 500ms in previous step
-      logToFile(`[BOOK BUTTON] Waiting 1.5 seconds for modal to fully load...`);
-      await sleep(1500); // Optimized: reduced from 3000ms - total wait is now 2000ms (500ms + 1500ms) instead of 4000ms
-      logToFile(`[BOOK BUTTON] Wait complete, starting button search...`);
-      
-      // STRICT VALIDATION: Verify "BOOK USING CREDITS" button is visible before attempting to click
-      logToFile(`[BOOK BUTTON] Validating that BOOK USING CREDITS button is visible...`);
-      dlog(`Validating that BOOK USING CREDITS button is visible...`);
-      let bookButtonValidation;
-      try {
-        logToFile(`[BOOK BUTTON] Executing page.evaluate to find all buttons...`);
-        bookButtonValidation = await page.evaluate(() => {
-          const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
-          const bookButtons = [];
-          
-          for (const btn of buttons) {
-            if (btn.offsetParent === null) continue;
-            const text = (btn.textContent || '').trim();
-            const textLower = text.toLowerCase();
-            
-            if (textLower.includes('book using credits') || 
-                textLower.includes('book using') ||
-                textLower === 'book using credits') {
-              const rect = btn.getBoundingClientRect();
-              bookButtons.push({
-                text: text,
-                visible: true,
-                x: rect.left + rect.width / 2,
-                y: rect.top + rect.height / 2,
-                tagName: btn.tagName,
-                className: btn.className,
-                ariaLabel: btn.getAttribute('aria-label') || ''
-              });
-            }
-          }
-          
-          return {
-            found: bookButtons.length > 0,
-            count: bookButtons.length,
-            buttons: bookButtons
-          };
-        });
-        logToFile(`[BOOK BUTTON] page.evaluate completed successfully`);
-        logToFile(`[BOOK BUTTON] Validation result: found=${bookButtonValidation.found}, count=${bookButtonValidation.count}`);
-        if (bookButtonValidation.buttons.length > 0) {
-          logToFile(`[BOOK BUTTON] First button found: text="${bookButtonValidation.buttons[0].text}", x=${bookButtonValidation.buttons[0].x}, y=${bookButtonValidation.buttons[0].y}`);
+// The most specific field is what gets typed into the customer search. Phones
+// are typed as their last 10 digits, so a country code doesn't hide a match.
+const phoneDigits = (phone) => phone.replace(/\D/g, '').slice(-10);
+const customerSearchTerm = (member) => member.email || (member.phone && phoneDigits(member.phone)) || member.name;
+
+const describeMember = (member) =>
+  Object.entries(member).map(([key, value]) => `${key} "${value}"`).join(', ');
+
+// How the page-side checks match a customer: phones by digits, everything
+// else as whitespace-insensitive lowercase text
+const customerMatcher = (term) => PHONE_PATTERN.test(term)
+  ? { text: null, digits: phoneDigits(term) }
+  : { text: term.toLowerCase().replace(/\s+/g, ' ').trim(), digits: null };
+
+// One matcher per member field, tagged with the field so the dropdown check
+// can tell which ones a result actually shows
+const memberMatchers = (member) =>
+  Object.entries(member).map(([field, value]) => ({ field, ...customerMatcher(value) }));
+
+// Whether text holds term as a whole word ("ana@x.com" but not "diana@x.com")
+const containsWholeTerm = (text, term) => {
+  const { text: needle, digits } = customerMatcher(term);
+  if (digits) return (text.replace(/(\d)[\s().-]+(?=\d)/g, '$1').match(/\d+/g) || []).some(run => run.endsWith(digits));
+  const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}@._-])${escaped}($|[^\\p{L}\\p{N}@._-])`, 'u')
+    .test(text.toLowerCase().replace(/\s+/g, ' '));
+};
+
+// An Error carrying a machine-readable code (and extra result fields) into the failed result
+const bookingError = (code, message, details = {}) => Object.assign(new Error(message), { code, details });
+
+// Failure taxonomy. Every failed booking result carries one of these codes,
+// the step it failed in and whether running it again from scratch may work.
+// `retryable` is about the failure itself - describeFailure turns it off for
+// anything that happened after a booking button was clicked.
+// `status` is what /book answers with when it waits for the result.
+const ERROR_CODES = {
+  BROWSER_LAUNCH_FAILED: { status: 503, retryable: true },
+  BROWSER_CRASHED: { status: 503, retryable: true },
+  NAVIGATION_TIMEOUT: { status: 504, retryable: true },
+  ELEMENT_NOT_FOUND: { status: 502, retryable: true },
+  LOGIN_FAILED: { status: 401, retryable: false },
+  GYM_NOT_FOUND: { status: 404, retryable: false },
+  CLASS_NOT_FOUND: { status: 404, retryable: false },
+  CLASS_FULL: { status: 409, retryable: false },
+  CAPACITY_UNKNOWN: { status: 502, retryable: true },
+  AUTOMATION_DETECTED: { status: 503, retryable: true },
+  BOOKING_DIALOG_FAILED: { status: 502, retryable: true },
+  ALREADY_BOOKED: { status: 409, retryable: false },
+  CUSTOMER_SEARCH_FAILED: { status: 502, retryable: true },
+  CUSTOMER_NOT_FOUND: { status: 404, retryable: false },
+  CUSTOMER_AMBIGUOUS: { status: 409, retryable: false },
+  CUSTOMER_POOL_EXHAUSTED: { status: 409, retryable: false },
+  CUSTOMER_SELECTION_FAILED: { status: 502, retryable: true },
+  PLAN_NOT_AVAILABLE: { status: 422, retryable: false },
+  PLAN_AMBIGUOUS: { status: 409, retryable: false },
+  PLAN_SELECTION_FAILED: { status: 502, retryable: true },
+  WAITLIST_UNAVAILABLE: { status: 409, retryable: false },
+  BOOK_BUTTON_MISSING: { status: 502, retryable: true },
+  CHARGE_MISSING: { status: 502, retryable: true },
+  CHARGE_AMOUNT_UNREADABLE: { status: 502, retryable: false },
+  CHARGE_ABOVE_LIMIT: { status: 422, retryable: false },
+  CHARGE_NOT_COMPLETED: { status: 502, retryable: false },
+  NOT_BOOKED: { status: 404, retryable: false },
+  CANCEL_OPTION_MISSING: { status: 502, retryable: false },
+  CANCEL_FAILED: { status: 502, retryable: false },
+  UNEXPECTED_ERROR: { status: 500, retryable: false }
+};
+
+// The code of an error: its own, or for untyped errors (Puppeteer, the
+// browser) one read from the message
+const classifyError = (err) => {
+  if (ERROR_CODES[err?.code]) return err.code;
+  const message = err?.message || String(err);
+  if (/Failed to launch the browser/i.test(message)) return 'BROWSER_LAUNCH_FAILED';
+  if (/Target closed|Session closed|browser has disconnected|Connection closed|detached Frame|Execution context was destroyed/i.test(message)) {
+    return 'BROWSER_CRASHED';
+  }
+  if (err?.name === 'TimeoutError' || /Navigation timeout|timeout of \d+ ?ms exceeded|Waiting failed/i.test(message)) {
+    return 'NAVIGATION_TIMEOUT';
+  }
+  return 'UNEXPECTED_ERROR';
+};
+
+// code / failedStep / retryable for a failed result. Once a booking button
+// has been clicked nothing is retryable - the class may already be booked.
+const describeFailure = (err, run, { submitted = false } = {}) => {
+  const code = classifyError(err);
+  return {
+    code,
+    failedStep: err?.step || run.steps.findLast(s => s.status === 'failed')?.label || null,
+    retryable: ERROR_CODES[code].retryable && !submitted
+  };
+};
+
+// HTTP status for a finished job's result
+const statusForResult = (result) => result?.ok ? 200 : ERROR_CODES[result?.code]?.status || 500;
+
+// Tags the first visible button/link/menu item under scopeSelector whose text,
+// aria-label or title matches pattern (a RegExp source, case-insensitive) with
+// data-booking-target, and returns its label (null when there is none)
+async function markClickable(page, scopeSelector, pattern) {
+  return page.evaluate((scopeSelector, pattern) => {
+    document.querySelectorAll('[data-booking-target]').forEach(el => el.removeAttribute('data-booking-target'));
+    const regex = new RegExp(pattern, 'i');
+    const scopes = Array.from(document.querySelectorAll(scopeSelector)).filter(el => el.offsetParent !== null);
+    for (const scope of scopes) {
+      const candidates = scope.querySelectorAll('button, a, [role="button"], [role="menuitem"], mat-icon, [class*="menu-item"]');
+      for (const el of candidates) {
+        if (el.offsetParent === null || el.disabled) continue;
+        const label = [el.innerText, el.getAttribute('aria-label'), el.getAttribute('title')]
+          .filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+        if (label && regex.test(label)) {
+          el.setAttribute('data-booking-target', '1');
+          return label.substring(0, 80);
         }
-      } catch (e) {
-        logToFile(`[BOOK BUTTON] ❌ ERROR during BOOK button validation: ${e?.message}`);
-        logToFile(`[BOOK BUTTON] Error stack: ${e?.stack || 'No stack trace'}`);
-        dlog(`⚠ ERROR during BOOK button validation: ${e?.message}`);
-        bookButtonValidation = { found: false, count: 0, buttons: [] };
-      }
-      
-      logToFile(`[BOOK BUTTON] Checking if button was found...`);
-      if (!bookButtonValidation.found || bookButtonValidation.count === 0) {
-        logToFile(`❌ ERROR: BOOK USING CREDITS button NOT FOUND!`);
-        logToFile(`  Searched all buttons on page, found ${bookButtonValidation.count} matching buttons`);
-        
-        // Take screenshot of failure state
-        await takeScreenshot('book-button-not-found');
-        
-        // Log all visible buttons for debugging
-        const allButtons = await page.evaluate(() => {
-          const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
-          return buttons
-            .filter(btn => btn.offsetParent !== null)
-            .map(btn => ({
-              text: (btn.textContent || '').trim().substring(0, 50),
-              tagName: btn.tagName,
-              className: btn.className.substring(0, 50)
-            }))
-            .slice(0, 20); // First 20 buttons
-        }).catch(() => []);
-        
-        logToFile(`  Visible buttons on page (first 20):`);
-        allButtons.forEach((btn, i) => {
-          logToFile(`    ${i + 1}. "${btn.text}" (${btn.tagName}, ${btn.className})`);
-        });
-        
-        throw new Error(`BOOK USING CREDITS button not found - cannot proceed with booking. Customer may not have been selected properly.`);
       }
-      
-      logToFile(`[BOOK BUTTON] ✓ Button found!`);
-      logToFile(`[BOOK BUTTON] Button text: "${bookButtonValidation.buttons[0].text}"`);
-      logToFile(`[BOOK BUTTON] Button position: x=${bookButtonValidation.buttons[0].x}, y=${bookButtonValidation.buttons[0].y}`);
-      logToFile(`[BOOK BUTTON] Button tag: ${bookButtonValidation.buttons[0].tagName}`);
-      logToFile(`[BOOK BUTTON] Button class: ${bookButtonValidation.buttons[0].className}`);
-      logToFile(`[BOOK BUTTON] Button aria-label: ${bookButtonValidation.buttons[0].ariaLabel || 'none'}`);
-      dlog(`✓ BOOK USING CREDITS button found: "${bookButtonValidation.buttons[0].text}"`);
-      dlog(`  Button position: (${bookButtonValidation.buttons[0].x}, ${bookButtonValidation.buttons[0].y})`);
-      dlog(`  Button tag: ${bookButtonValidation.buttons[0].tagName}, class: ${bookButtonValidation.buttons[0].className}`);
-      
-      // Use the validated button to click it directly by coordinates (most reliable)
-      logToFile(`[BOOK BUTTON] Attempting to click button using coordinates...`);
-      logToFile(`[BOOK BUTTON] Click coordinates: x=${bookButtonValidation.buttons[0].x}, y=${bookButtonValidation.buttons[0].y}`);
-      dlog(`Clicking BOOK USING CREDITS button using validated coordinates...`);
-      const validatedButton = bookButtonValidation.buttons[0];
-      
-      // OPTIMIZED: Coordinate click works reliably - no need for fallback methods
-      logToFile(`[BOOK BUTTON] Calling page.mouse.click(${validatedButton.x}, ${validatedButton.y})...`);
-      await page.mouse.click(validatedButton.x, validatedButton.y);
-      logToFile(`[BOOK BUTTON] ✓ page.mouse.click() completed successfully`);
-      logClick('BOOK USING CREDITS button', `mouse.click(${validatedButton.x}, ${validatedButton.y})`, 'Puppeteer.mouse.click(coordinates)');
-      dlog(`✓ Clicked BOOK USING CREDITS button using coordinates`);
-      
-      // OPTIMIZED: Reduced wait time - verification is quick
-      logToFile(`[BOOK BUTTON] Waiting 500ms after click attempt...`);
-      await sleep(500); // Optimized: reduced from 1000ms - verification happens quickly
-      
-      // Take screenshot after clicking
-      logToFile(`[BOOK BUTTON] Taking screenshot after click attempt...`);
-      await takeScreenshot('after-book-using-credits-click');
-      
-      // Verify button was clicked (button should disappear or modal should change)
-      logToFile(`[BOOK BUTTON] Verifying if click was successful...`);
-      const clickVerified = await page.evaluate(() => {
-        // Check if button still exists (should disappear after click)
-        const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
-        const bookButtonStillExists = buttons.some(btn => {
-          if (btn.offsetParent === null) return false;
-          const text = (btn.textContent || '').trim().toLowerCase();
-          return text.includes('book using credits');
-        });
-        
-        // Check if Charge button appeared (indicates we're on next step)
-        const chargeButton = buttons.find(btn => {
-          if (btn.offsetParent === null) return false;
-          const text = (btn.textContent || '').trim().toLowerCase();
-          return text.includes('charge');
-        });
-        
-        return {
-          buttonStillExists: bookButtonStillExists,
-          chargeButtonVisible: chargeButton !== undefined,
-          chargeButtonText: chargeButton ? chargeButton.textContent : null
-        };
-      }).catch((e) => {
-        logToFile(`[BOOK BUTTON] ❌ Error during click verification: ${e?.message}`);
-        return { buttonStillExists: true, chargeButtonVisible: false, chargeButtonText: null };
+    }
+    return null;
+  }, scopeSelector, pattern).catch(() => null);
+}
+
+// Cancels one attendee's reservation from the open class dialog: uses a cancel
+// control on the row itself, or the row's "more" menu, then confirms
+async function cancelAttendee(flow, attendee) {
+  const { page, dlog, takeScreenshot, humanDelay } = flow;
+  const rowSelector = `[data-booking-attendee="${attendee.index}"]`;
+  const clickTarget = (location) => clickElement(page, ['[data-booking-target="1"]'], { location, timeout: 5000 });
+
+  let label = await markClickable(page, rowSelector, '^(cancel|remove|delete|unbook)|cancel (booking|reservation)|^(close|clear)$');
+  if (label) {
+    dlog(`Found cancel control on attendee row: "${label}"`);
+    await clickTarget(`Cancel control for ${attendee.name}`);
+  } else {
+    const menu = await markClickable(page, rowSelector, '^(more|options|actions|more_vert|more_horiz|⋮|\\.\\.\\.)');
+    if (!menu) {
+      await takeScreenshot('cancel-control-not-found');
+      throw bookingError('CANCEL_OPTION_MISSING', `No cancel option found for "${attendee.name}" in the attendee list`);
+    }
+    dlog(`Opening attendee menu: "${menu}"`);
+    await clickTarget(`Attendee menu for ${attendee.name}`);
+    await humanDelay(400, 800);
+    label = await markClickable(page, 'body', '^cancel( booking| reservation| class)?$|^(remove|unbook)');
+    if (!label) {
+      await takeScreenshot('cancel-menu-item-not-found');
+      throw bookingError('CANCEL_OPTION_MISSING', `Attendee menu for "${attendee.name}" has no cancel option`);
+    }
+    dlog(`Choosing menu item: "${label}"`);
+    await clickTarget(`Cancel menu item for ${attendee.name}`);
+  }
+  await humanDelay(500, 1000);
+  await takeScreenshot('after-cancel-click');
+
+  // Most cancellations ask for confirmation; "Go back" / "No" keep the booking
+  const confirm = await markClickable(page, DIALOG_SELECTOR, '^(yes|confirm|ok|cancel (booking|reservation|class)|yes, cancel)');
+  if (confirm) {
+    dlog(`Confirming cancellation: "${confirm}"`);
+    await clickTarget('Confirm cancellation');
+    await sleep(1500);
+  } else {
+    dlog(`No confirmation dialog appeared`);
+  }
+  await takeScreenshot('after-cancel-confirm');
+}
+
+// Closes the booking dialog without confirming anything (dry runs)
+async function backOutOfBookingDialog(flow) {
+  const { page, dlog, takeScreenshot, humanDelay } = flow;
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const label = await markClickable(page, DIALOG_SELECTOR, '^(cancel|close|go back|back|discard|×|✕|close_icon)$');
+    if (label) {
+      dlog(`Backing out with "${label}"`);
+      await clickElement(page, ['[data-booking-target="1"]'], { location: 'Back out of booking dialog', timeout: 5000 });
+    } else {
+      await page.keyboard.press('Escape').catch(() => {});
+    }
+    await humanDelay(400, 800);
+    const stillOpen = await page.evaluate(() => Array.from(document.querySelectorAll('button, [role="button"]'))
+      .some(btn => btn.offsetParent !== null && /book using|charge/i.test(btn.textContent || ''))).catch(() => false);
+    if (!stillOpen) break;
+  }
+  await takeScreenshot('dry-run-backed-out');
+}
+
+// "Booked N/M" from the open class dialog, or null when it doesn't show one
+async function readClassDialogCapacity(page) {
+  const counts = await page.evaluate((dialogSelector) => {
+    const dialogs = Array.from(document.querySelectorAll(dialogSelector)).filter(el => el.offsetParent !== null);
+    const text = (dialogs.length > 0 ? dialogs : [document.body]).map(el => el.innerText || '').join('\n');
+    const found = text.match(/Booked\s*(\d+)\s*\/\s*(\d+)/i);
+    return found ? [parseInt(found[1]), parseInt(found[2])] : null;
+  }, DIALOG_SELECTOR).catch(() => null);
+  if (!counts) return null;
+  const [booked, capacity] = counts;
+  return { booked, capacity, full: capacity > 0 && booked >= capacity };
+}
+
+// Plan / credit package options in the booking dialog once a customer is
+// selected. Kenko renders them as a list of cards or radio rows.
+const PLAN_OPTION_SELECTOR = [
+  'mat-radio-button',
+  '[role="radio"]',
+  '[role="option"]',
+  '[class*="plan"]',
+  '[class*="package"]',
+  '[class*="membership"]',
+  '[class*="credit"]'
+].join(', ');
+
+// The plan options of the open booking dialog. Each option is tagged with
+// data-booking-plan="<index>"; `selected` comes from aria/Material state or a
+// selected/active/checked class.
+async function readPlanOptions(page) {
+  return page.evaluate((optionSelector, dialogSelector) => {
+    document.querySelectorAll('[data-booking-plan]').forEach(el => el.removeAttribute('data-booking-plan'));
+    const dialogs = Array.from(document.querySelectorAll(dialogSelector)).filter(el => el.offsetParent !== null);
+    const roots = dialogs.length > 0 ? dialogs : [document.body];
+    const options = [];
+    roots.forEach(root => {
+      root.querySelectorAll(optionSelector).forEach(el => {
+        if (el.hasAttribute('data-booking-plan') || el.offsetParent === null) return;
+        if (el.querySelector(optionSelector)) return; // Wrapper around other options
+        const label = (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+        if (!label || label.length > 200 || /book using|charge/i.test(label)) return;
+        const stateEl = el.closest('mat-radio-button, [role="radio"], [role="option"]') || el;
+        const input = el.querySelector('input[type="radio"], input[type="checkbox"]');
+        const selected = stateEl.getAttribute('aria-checked') === 'true' ||
+          stateEl.getAttribute('aria-selected') === 'true' ||
+          !!input?.checked ||
+          /(^|[\s-])(selected|active|checked)(\s|$)|mat-radio-checked/.test(String(stateEl.className));
+        el.setAttribute('data-booking-plan', String(options.length));
+        options.push({ index: options.length, label, selected });
       });
-      
-      logToFile(`[BOOK BUTTON] Click verification results:`);
-      logToFile(`[BOOK BUTTON]   - BOOK button still exists: ${clickVerified.buttonStillExists}`);
-      logToFile(`[BOOK BUTTON]   - Charge button visible: ${clickVerified.chargeButtonVisible}`);
-      logToFile(`[BOOK BUTTON]   - Charge button text: ${clickVerified.chargeButtonText || 'N/A'}`);
-      
-      if (clickVerified.chargeButtonVisible) {
-        logToFile(`[BOOK BUTTON] ✓ SUCCESS: Charge button is now visible - click worked!`);
-        logToFile(`✓ BOOK USING CREDITS button clicked successfully - Charge button is now visible`);
-        dlog(`✓ BOOK USING CREDITS button clicked successfully - Charge button is now visible: "${clickVerified.chargeButtonText}"`);
-      } else if (!clickVerified.buttonStillExists) {
-        logToFile(`[BOOK BUTTON] ✓ SUCCESS: BOOK button disappeared - click worked!`);
-        logToFile(`✓ BOOK USING CREDITS button clicked successfully - button disappeared`);
-        dlog(`✓ BOOK USING CREDITS button clicked successfully - button disappeared`);
-      } else {
-        logToFile(`[BOOK BUTTON] ⚠ WARNING: BOOK button still exists after click - may not have registered`);
-        logToFile(`⚠ WARNING: BOOK USING CREDITS button still exists after click - may not have registered`);
-        dlog(`⚠ WARNING: BOOK USING CREDITS button still exists after click`);
-        // Wait a bit more and check again
-        await sleep(1000);
-        const retryCheck = await page.evaluate(() => {
-          const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
-          return buttons.some(btn => {
-            if (btn.offsetParent === null) return false;
-            const text = (btn.textContent || '').trim().toLowerCase();
-            return text.includes('charge');
-          });
-        }).catch(() => false);
-        
-        if (!retryCheck) {
-          logToFile(`❌ ERROR: Charge button not found after clicking BOOK USING CREDITS - click may have failed`);
-          throw new Error(`BOOK USING CREDITS button click may have failed - Charge button not found`);
-        }
-      }
-      
-      // Log clicks made in this step
-      const clicksAfterBook = clickCounter;
-      const clicksMade = clicksAfterBook - clicksBefore;
-      const bookButtonLogMsg = `[BOOK BUTTON] Completed. Clicks made in this step: ${clicksMade}, Total clicks so far: ${clickCounter}`;
-      logToFile(bookButtonLogMsg);
-      dlog(bookButtonLogMsg);
-      if (clicksMade > 1) {
-        const warningMsg = `[WARNING] Multiple clicks detected on BOOK USING CREDITS button! Click count: ${clicksMade}`;
-        logToFile(warningMsg);
-        console.error(warningMsg);
-      }
-      
-      // Minimal wait for booking to be processed (optimized for speed)
-      await sleep(500);
-      
-      // Verify the booking was processed - check if booking completed
-      dlog(`Checking booking status after clicking BOOK USING CREDITS...`);
-      const bookingState = await page.evaluate(() => {
-        // Look for success messages
-        const bodyText = document.body.textContent || '';
-        const hasSuccess = bodyText.toLowerCase().includes('success') ||
-                           bodyText.toLowerCase().includes('booked') ||
-                           bodyText.toLowerCase().includes('confirmed');
-        
-        // Check if modal closed or if we're on a different screen
-        const modal = document.querySelector('[class*="modal"], [class*="dialog"], [class*="overlay"]');
-        const modalOpen = modal && modal.offsetParent !== null;
-        
-        return {
-          hasSuccess,
-          modalOpen
-        };
-      }).catch(() => ({ hasSuccess: false, modalOpen: true }));
-      
-      // DO NOT mark as successful here - we MUST complete the charge step
-      // Just return the booking state to continue to charge step
-      dlog(`✓ BOOK USING CREDITS clicked, proceeding to Charge step...`);
-      return bookingState;
     });
+    return options;
+  }, PLAN_OPTION_SELECTOR, DIALOG_SELECTOR).catch(() => []);
+}
 
-    // Step 15: Click Charge button - REQUIRED for booking to be successful
-    await step("Click Charge", async () => {
-      dlog(`Looking for Charge button (REQUIRED for booking completion)...`);
-      
-      // Wait for Charge button to appear
-      await sleep(3000);
-      
-      // Check if Charge button is visible
-      const chargeButtonCheck = await page.evaluate(() => {
-        // Look for Charge button
-        const chargeButton = Array.from(document.querySelectorAll('button, [role="button"]')).find(btn => {
-          if (btn.offsetParent === null) return false;
-          const text = (btn.textContent || '').toLowerCase();
-          const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
-          return text.includes('charge') || ariaLabel.includes('charge');
-        });
-        
-        return {
-          found: chargeButton !== undefined,
-          visible: chargeButton !== undefined && chargeButton.offsetParent !== null,
-          text: chargeButton ? chargeButton.textContent : null
-        };
-      }).catch(() => ({ found: false, visible: false, text: null }));
-      
-      if (!chargeButtonCheck.visible) {
-        logToFile(`❌ ERROR: Charge button not found or not visible - booking cannot be completed!`);
-        dlog(`❌ ERROR: Charge button not found or not visible - booking cannot be completed!`);
-        throw new Error(`Charge button not found - booking cannot be finalized without completing charge step`);
+// Selects the plan whose label contains `plan` (case-insensitive) before
+// BOOK USING CREDITS and returns its label. Without `plan` it only reports
+// the plan Kenko preselected. A customer without a matching plan fails with
+// PLAN_NOT_AVAILABLE and the plans they do have; several matches and no exact
+// one fail with PLAN_AMBIGUOUS, and a click that doesn't stick with
+// PLAN_SELECTION_FAILED - never book on a plan other than the one asked for.
+async function selectBookingPlan(flow, plan) {
+  const { page, dlog, takeScreenshot, humanDelay } = flow;
+  const options = await readPlanOptions(page);
+  logToFile(`[PLAN] Options: ${JSON.stringify(options.map(o => `${o.label}${o.selected ? ' (selected)' : ''}`))}`);
+  if (!plan) {
+    return options.find(o => o.selected)?.label || (options.length === 1 ? options[0].label : null);
+  }
+
+  const needle = plan.trim().toLowerCase().replace(/\s+/g, ' ');
+  const matches = options.filter(o => o.label.toLowerCase().includes(needle));
+  const option = matches.find(o => o.label.toLowerCase() === needle) || matches[0];
+  if (!option) {
+    await takeScreenshot('plan-not-available');
+    throw bookingError('PLAN_NOT_AVAILABLE', `Customer has no plan matching "${plan}"`, {
+      availablePlans: options.map(o => o.label)
+    });
+  }
+  if (matches.length > 1 && option.label.toLowerCase() !== needle) {
+    await takeScreenshot('plan-ambiguous');
+    throw bookingError('PLAN_AMBIGUOUS', `${matches.length} plans match "${plan}" - give more of the plan's name to pick one`, {
+      availablePlans: options.map(o => o.label)
+    });
+  }
+
+  if (!option.selected) {
+    dlog(`Selecting plan "${option.label}"`);
+    await clickElement(page, [`[data-booking-plan="${option.index}"]`], { location: 'Select plan', timeout: 5000 });
+    await humanDelay(500, 900);
+    const selected = (await readPlanOptions(page)).find(o => o.label === option.label)?.selected;
+    if (!selected) {
+      await takeScreenshot('plan-not-selected');
+      throw bookingError('PLAN_SELECTION_FAILED', `Plan "${option.label}" was clicked but is not shown as selected`);
+    }
+  }
+  await takeScreenshot('plan-selected');
+  return option.label;
+}
+
+// "Charge MX$ 150.00", "MX$ 1,200", "$80 MXN" -> { amount, currency }; null
+// when there is no amount. Commas are thousands separators.
+const MONEY_PATTERN = /([A-Z]{0,3}\$|[€£]|\b[A-Z]{3}\b)\s*(\d[\d,]*(?:\.\d+)?)|(\d[\d,]*(?:\.\d+)?)\s*([A-Z]{3})\b/;
+const parseMoney = (text) => {
+  const found = String(text || '').match(MONEY_PATTERN);
+  if (!found) return null;
+  const amount = parseFloat((found[2] || found[3]).replace(/,/g, ''));
+  return Number.isFinite(amount) ? { amount, currency: found[1] || found[4] } : null;
+};
+
+// The grand total line of the final-price section: the last line with
+// "Total" and an amount. "Subtotal" / "Sub total" lines don't count, so a
+// subtotal, discount, total breakdown reads the discounted total.
+const finalTotalLine = (sectionText) =>
+  String(sectionText || '').split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => /\btotal\b/i.test(line) && !/\bsub[\s-]*total\b/i.test(line) && /\d/.test(line))
+    .pop() || '';
+
+// The amount the Charge step will bill: the total in the final-price
+// section, or the Charge button's label when that section shows no total.
+// Null when neither can be read. When both show an amount and they disagree,
+// fails with CHARGE_AMOUNT_UNREADABLE rather than guess which one is billed.
+async function readChargeAmount(page) {
+  const [buttonText = '', sectionText = ''] = await page.evaluate(() => {
+    const visible = (el) => el && el.offsetParent !== null;
+    const button = Array.from(document.querySelectorAll('button, [role="button"]'))
+      .find(btn => visible(btn) && /charge/i.test(btn.textContent || ''));
+    const section = document.querySelector('div.final-price-calculation-section');
+    return [(button?.textContent || '').replace(/\s+/g, ' ').trim(), visible(section) ? section.innerText || '' : ''];
+  }).catch(() => []);
+  const totalText = finalTotalLine(sectionText);
+  const total = parseMoney(totalText);
+  const button = parseMoney(buttonText);
+  if (total && button && Math.abs(total.amount - button.amount) >= 0.005) {
+    throw bookingError('CHARGE_AMOUNT_UNREADABLE',
+      `Final price "${totalText}" and Charge button "${buttonText}" show different amounts - refusing to click Charge`);
+  }
+  if (total) return { ...total, text: totalText };
+  if (button) return { ...button, text: buttonText };
+  return null;
+}
+
+// Puts the selected customer on a full class's waitlist - the booking dialog
+// offers a waitlist button where BOOK USING CREDITS would be - then reopens
+// the class to read their place among the waitlisted attendees. With dryRun
+// it only checks that the waitlist button is there.
+async function joinClassWaitlist(flow, { targetDate, targetTime, customerName, dryRun = false }) {
+  const { page, dlog, takeScreenshot, humanDelay } = flow;
+  await takeScreenshot('before-join-waitlist');
+
+  const label = await markClickable(page, 'body', '^(add( customer)? to|join)( the)? wait-?list|^wait-?list$|book.*wait-?list');
+  if (!label) {
+    await takeScreenshot('waitlist-option-not-found');
+    throw bookingError('WAITLIST_UNAVAILABLE', `No waitlist option in the booking dialog for the class at ${targetTime} on ${targetDate}`);
+  }
+  if (dryRun) {
+    logToFile(`[DRY RUN] Waitlist option "${label}" found - not clicking it`);
+    return { option: label };
+  }
+  dlog(`Clicking waitlist option: "${label}"`);
+  await clickElement(page, ['[data-booking-target="1"]'], { location: 'Join waitlist button', timeout: 5000 });
+  await humanDelay(500, 1000);
+
+  const confirm = await markClickable(page, DIALOG_SELECTOR, '^(yes|confirm|ok)$');
+  if (confirm) {
+    dlog(`Confirming waitlist: "${confirm}"`);
+    await clickElement(page, ['[data-booking-target="1"]'], { location: 'Confirm waitlist', timeout: 5000 });
+  }
+  await sleep(1500);
+  await takeScreenshot('after-join-waitlist');
+
+  // The customer is on the waitlist at this point - a position we can't read
+  // is reported as null rather than failing the run
+  try {
+    await openClassDialog(flow, { targetDate, targetTime });
+    const waitlisted = (await readAttendees(page)).filter(a => a.status === 'waitlisted');
+    const index = waitlisted.indexOf(findAttendee(waitlisted, customerName));
+    if (index === -1) {
+      logToFile(`⚠ "${customerName}" not found among ${waitlisted.length} waitlisted attendees`);
+      return { position: null, waitlistLength: waitlisted.length };
+    }
+    const stated = waitlisted[index].text.match(/(?:#|position\s*)(\d+)/i);
+    return { position: stated ? parseInt(stated[1]) : index + 1, waitlistLength: waitlisted.length };
+  } catch (e) {
+    logToFile(`⚠ Could not read waitlist position: ${e?.message || e}`);
+    return { position: null, waitlistLength: null };
+  } finally {
+    await takeScreenshot('waitlist-position');
+  }
+}
+
+// Warm session pool - logged-in browsers kept per (email, gymName) so repeat
+// bookings for the same studio skip launch, stealth setup and login and go
+// straight to date navigation. The key also covers the password so a warm
+// session is never handed to a caller who could not have logged in.
+// Sessions are health-checked before reuse and recycled after SESSION_MAX_USES
+// runs, after SESSION_IDLE_TTL_MS idle, or as soon as a run fails. Idle
+// browsers count toward MAX_CONCURRENT_BOOKINGS: the least recently used is
+// closed before a launch would take the host past that many Chromiums.
+const SESSION_POOL_SIZE = Math.max(0, envInt('SESSION_POOL_SIZE', 2)); // 0 disables the pool
+const SESSION_MAX_USES = Math.max(1, envInt('SESSION_MAX_USES', 20));
+const SESSION_IDLE_TTL_MS = Math.max(0, envInt('SESSION_IDLE_TTL_MS', 10 * 60 * 1000));
+const CALENDAR_SELECTOR = 'mwl-calendar-week-view, div.calendar, [class*="calendar"]';
+const idleSessions = new Map(); // key -> session
+const openSessions = new Set(); // Every launched browser not closed yet, idle or in use
+
+const sessionKey = ({ email, password, gymName }) =>
+  crypto.createHash('sha256')
+    .update([email.trim().toLowerCase(), gymName.trim().toLowerCase(), password].join('|'))
+    .digest('hex');
+
+const closeSession = async (session) => {
+  if (idleSessions.get(session.key) === session) {
+    idleSessions.delete(session.key);
+  }
+  openSessions.delete(session);
+  // Never let a hung browser block the caller
+  await settleWithin(session.browser.close().catch(() => {}), 2000);
+};
+
+// Reusable when the browser is alive and the home page still shows the
+// calendar rather than bouncing to the login form
+const isSessionHealthy = async (session) => {
+  try {
+    if (!session.browser.isConnected() || session.page.isClosed()) return false;
+    await session.page.goto(session.homeUrl, { waitUntil: "domcontentloaded", timeout: 30000 });
+    if (session.page.url().includes('/login')) return false;
+    await session.page.waitForSelector(CALENDAR_SELECTOR, { visible: true, timeout: TIMEOUT });
+    return true;
+  } catch (e) {
+    logToFile(`[SESSION] Health check failed for ${session.id}: ${e?.message || e}`);
+    return false;
+  }
+};
+
+// Frees a browser by closing the idle session used least recently
+const closeOldestIdleSession = async () => {
+  const [, oldest] = [...idleSessions].reduce((a, b) => (b[1].lastUsedAt < a[1].lastUsedAt ? b : a));
+  await closeSession(oldest);
+  return oldest;
+};
+
+// A warm session for these credentials when one is idle and healthy,
+// otherwise a freshly launched (logged-out) one
+async function acquireSession({ email, password, gymName, DEBUG = false }) {
+  const key = sessionKey({ email, password, gymName });
+  const pooled = idleSessions.get(key);
+  if (pooled) {
+    idleSessions.delete(key);
+    if (await isSessionHealthy(pooled)) {
+      pooled.uses++;
+      pooled.lastUsedAt = Date.now();
+      logToFile(`[SESSION] Reusing warm session ${pooled.id} (use ${pooled.uses}/${SESSION_MAX_USES})`);
+      return pooled;
+    }
+    logToFile(`[SESSION] Recycling unhealthy session ${pooled.id}`);
+    await closeSession(pooled);
+  }
+  while (openSessions.size >= MAX_CONCURRENT_BOOKINGS && idleSessions.size > 0) {
+    const oldest = await closeOldestIdleSession();
+    logToFile(`[SESSION] Closed idle session ${oldest.id} to stay within ${MAX_CONCURRENT_BOOKINGS} browsers`);
+  }
+  const session = await launchBrowserSession({ DEBUG });
+  session.key = key;
+  session.uses = 1;
+  openSessions.add(session);
+  return session;
+}
+
+// Puts the session back in the pool after a clean run; anything else
+// (failed run, use limit reached, pool disabled) closes the browser
+async function releaseSession(session, { reusable = false } = {}) {
+  session.run = null;
+  session.lastUsedAt = Date.now();
+  if (!reusable || !session.loggedIn || SESSION_POOL_SIZE <= 0 || session.uses >= SESSION_MAX_USES) {
+    await closeSession(session);
+    return;
+  }
+  const previous = idleSessions.get(session.key);
+  if (previous && previous !== session) {
+    await closeSession(previous);
+  }
+  idleSessions.set(session.key, session);
+  // Over capacity: drop the least recently used
+  while (idleSessions.size > SESSION_POOL_SIZE) {
+    await closeOldestIdleSession();
+  }
+  logToFile(`[SESSION] Session ${session.id} returned to pool (${idleSessions.size} idle)`);
+}
+
+// Close sessions that sat idle too long
+setInterval(() => {
+  const now = Date.now();
+  for (const session of idleSessions.values()) {
+    if (now - session.lastUsedAt > SESSION_IDLE_TTL_MS) {
+      logToFile(`[SESSION] Closing idle session ${session.id}`);
+      closeSession(session).catch(() => {});
+    }
+  }
+}, 60000).unref();
+
+// Persisted sessions - the cookies and localStorage of a successful login are
+// saved to disk per email+gym, encrypted with AES-256-GCM under SESSION_SECRET,
+// so a freshly launched browser can skip the gym search and login form.
+// Nothing is persisted when SESSION_SECRET is not set.
+const SESSION_STORE_DIR = process.env.SESSION_STORE_DIR || path.join(LOG_DIR, "kenko-sessions");
+const SESSION_STORE_KEY = process.env.SESSION_SECRET
+  ? crypto.createHash('sha256').update(process.env.SESSION_SECRET).digest()
+  : null;
+const KENKO_ORIGIN = "https://partners.gokenko.com";
+
+// File names are keyed HMACs so the store doesn't reveal which accounts it holds
+const storedSessionPath = ({ email, gymName }) => {
+  const name = crypto.createHmac('sha256', SESSION_STORE_KEY)
+    .update([email.trim().toLowerCase(), gymName.trim().toLowerCase()].join('|'))
+    .digest('hex');
+  return path.join(SESSION_STORE_DIR, `${name}.json`);
+};
+
+const passwordDigest = (password) => crypto.createHash('sha256').update(password).digest('hex');
+
+const encryptJson = (value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', SESSION_STORE_KEY, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    v: 1,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  });
+};
+
+const decryptJson = (text) => {
+  const { iv, tag, data } = JSON.parse(text);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', SESSION_STORE_KEY, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+  return JSON.parse(plain.toString('utf8'));
+};
+
+const discardStoredSession = (credentials) => {
+  if (!SESSION_STORE_KEY) return;
+  try {
+    fs.rmSync(storedSessionPath(credentials), { force: true });
+  } catch (e) {
+    // Nothing to discard
+  }
+};
+
+// Saves the logged-in state of the session's browser
+async function saveStoredSession(session, credentials) {
+  if (!SESSION_STORE_KEY || !session.loggedIn) return;
+  try {
+    const client = await session.page.createCDPSession();
+    const { cookies } = await client.send('Network.getAllCookies');
+    await client.detach().catch(() => {});
+    const localStorageItems = session.page.url().startsWith(KENKO_ORIGIN)
+      ? await session.page.evaluate(() => Object.fromEntries(Object.entries(localStorage)))
+      : {};
+    fs.mkdirSync(SESSION_STORE_DIR, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(storedSessionPath(credentials), encryptJson({
+      savedAt: new Date().toISOString(),
+      passwordDigest: passwordDigest(credentials.password),
+      homeUrl: session.homeUrl,
+      cookies,
+      localStorage: localStorageItems
+    }), { mode: 0o600 });
+    logToFile(`[SESSION] Saved login state (${cookies.length} cookies, ${Object.keys(localStorageItems).length} localStorage items)`);
+  } catch (e) {
+    logToFile(`[SESSION] Could not save login state: ${e?.message || e}`);
+  }
+}
+
+// Loads the saved login into a fresh session's browser and checks that Kenko
+// still accepts it. Returns true when the session is logged in; otherwise the
+// browser is wiped clean for a normal login and the stale state deleted.
+async function restoreStoredSession(session, credentials) {
+  if (!SESSION_STORE_KEY) return false;
+  const file = storedSessionPath(credentials);
+  if (!fs.existsSync(file)) return false;
+
+  let stored;
+  try {
+    stored = decryptJson(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    logToFile(`[SESSION] Discarding unreadable saved login: ${e?.message || e}`);
+    discardStoredSession(credentials);
+    return false;
+  }
+  if (stored.passwordDigest !== passwordDigest(credentials.password) || !stored.homeUrl) {
+    logToFile(`[SESSION] Saved login does not match these credentials - ignoring it`);
+    return false;
+  }
+
+  const { page } = session;
+  const client = await page.createCDPSession();
+  try {
+    logToFile(`[SESSION] Restoring saved login from ${stored.savedAt}`);
+    await client.send('Network.setCookies', {
+      cookies: stored.cookies.map(({ name, value, domain, path, expires, httpOnly, secure, sameSite }) =>
+        ({ name, value, domain, path, expires, httpOnly, secure, sameSite }))
+    });
+    await page.goto(`${KENKO_ORIGIN}/login`, { waitUntil: "domcontentloaded", timeout: 30000 });
+    await page.evaluate((items) => {
+      for (const [key, value] of Object.entries(items)) {
+        localStorage.setItem(key, value);
       }
-      
-      dlog(`✓ Charge button found: "${chargeButtonCheck.text}"`);
-      
-      // Click the Charge button
-      dlog(`Clicking Charge button...`);
+    }, stored.localStorage || {});
+    session.homeUrl = stored.homeUrl;
+    if (await isSessionHealthy(session)) {
+      session.loggedIn = true;
+      await client.detach().catch(() => {});
+      return true;
+    }
+    logToFile(`[SESSION] Saved login was rejected - falling back to the login form`);
+  } catch (e) {
+    logToFile(`[SESSION] Could not restore saved login: ${e?.message || e}`);
+  }
+
+  // Start the login form from a clean slate
+  session.homeUrl = null;
+  await client.send('Network.clearBrowserCookies').catch(() => {});
+  await page.evaluate(() => localStorage.clear()).catch(() => {});
+  await client.detach().catch(() => {});
+  discardStoredSession(credentials);
+  return false;
+}
+
+// Brings a session to the logged-in calendar: warm sessions already are,
+// otherwise a saved login is tried before the full login form
+async function ensureLoggedIn(session, flow, credentials) {
+  if (session.loggedIn) {
+    logToFile(`[SESSION] Session ${session.id} is already logged in - skipping to date navigation`);
+    return;
+  }
+  if (await restoreStoredSession(session, credentials)) {
+    logToFile(`[SESSION] Saved login accepted - skipping to date navigation`);
+    return;
+  }
+  // Steps 1-5: log in
+  await loginToKenko(flow, credentials);
+  session.loggedIn = true;
+  session.homeUrl = session.page.url();
+  await saveStoredSession(session, credentials);
+}
+
+// Acquires a logged-in session for the run, hands fn a flow context on its
+// page and returns the session to the pool afterwards (closing it if fn threw)
+async function withKenkoSession({ email, password, gymName, DEBUG = false }, run, fn) {
+  const credentials = { email, password, gymName };
+  const session = await acquireSession({ ...credentials, DEBUG });
+  session.run = run;
+  const flow = createFlowContext({ page: session.page, run, DEBUG });
+  try {
+    await ensureLoggedIn(session, flow, credentials);
+    const result = await fn(flow, session);
+    await releaseSession(session, { reusable: true });
+    return result;
+  } catch (err) {
+    releaseSession(session).catch(() => {});
+    throw err;
+  }
+}
+
+// Runs flow(options, run) inside a run context. Pass `options.run` to supply
+// one (e.g. a job that wants to read it while running), otherwise a fresh
+// context is created around `options.onProgress`.
+const withRunContext = (options, flow) => {
+  const run = options.run || createRunContext({ onProgress: options.onProgress });
+  return runStorage.run(run, () => flow(options, run));
+};
+
+// Release-time bookings: a job with executeAt starts EXECUTE_AT_LEAD_MS early,
+// logs in and opens the date, then waits here until the exact moment. The
+// last stretch is polled tightly so the class click isn't late by a timer tick.
+const EXECUTE_AT_LEAD_MS = Math.max(0, envInt('EXECUTE_AT_LEAD_MS', 2 * 60 * 1000));
+
+async function waitForReleaseTime(timing) {
+  const releaseAt = Date.parse(timing.executeAt);
+  const early = releaseAt - Date.now();
+  if (early <= 0) {
+    logToFile(`[RELEASE] Ready ${-early}ms after executeAt - not waiting`);
+  } else {
+    logToFile(`[RELEASE] Ready ${early}ms before executeAt - waiting`);
+    if (early > 50) await sleep(early - 50);
+    while (Date.now() < releaseAt) await sleep(1);
+  }
+  timing.releasedAt = new Date().toISOString();
+}
+
+// Main booking function - each call runs inside its own run context
+async function bookClass(options) {
+  return withRunContext(options, runBookingWithRetries);
+}
+
+// Whole-run retries for transient failures (navigation timeouts, the "Booked
+// 0/" modal, browser crashes - see ERROR_CODES): a retryable failure starts
+// the booking again from scratch, with a fresh browser, after an exponential
+// backoff with jitter. Every attempt is listed in the result's `attempts`.
+// Jobs pass `backoff` so the wait happens outside their browser slot. A
+// session held by the caller (batch items) is only used for the first
+// attempt; retries log in on a browser of their own.
+const BOOKING_MAX_ATTEMPTS = Math.max(1, envInt('BOOKING_MAX_ATTEMPTS', 3));
+const RETRY_BASE_DELAY_MS = Math.max(0, envInt('RETRY_BASE_DELAY_MS', 5000));
+const RETRY_MAX_DELAY_MS = Math.max(0, envInt('RETRY_MAX_DELAY_MS', 60000));
+
+// Base delay doubled per failed attempt (capped), then a random half of it
+// dropped so simultaneous runs don't retry in lockstep
+const retryDelayMs = (attempt) => {
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+};
+
+async function runBookingWithRetries(options, run) {
+  const attempts = [];
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = new Date().toISOString();
+    let result;
+    try {
+      result = await runBookingFlow(options, run);
+    } catch (err) {
+      // Launching the browser happens before runBookingFlow's own error handling
+      result = { ok: false, error: err?.message || String(err), ...describeFailure(err, run) };
+    }
+    const record = {
+      attempt,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      ok: !!result.ok,
+      ...(result.ok ? {} : { code: result.code, failedStep: result.failedStep, error: result.error })
+    };
+    attempts.push(record);
+    if (result.ok || !result.retryable || attempt >= BOOKING_MAX_ATTEMPTS) {
+      return { ...result, attempts };
+    }
+    record.retryDelayMs = retryDelayMs(attempt);
+    logToFile(`[RETRY] Attempt ${attempt}/${BOOKING_MAX_ATTEMPTS} failed with ${result.code} - starting over in ${record.retryDelayMs}ms`);
+    emitRunProgress(run, 'retry', { attempt, code: result.code, delayMs: record.retryDelayMs });
+    await (options.backoff || sleep)(record.retryDelayMs);
+    options = { ...options, session: null };
+  }
+}
+
+async function runBookingFlow({
+  email,
+  password,
+  gymName,
+  targetDate,
+  targetTime,
+  DEBUG = false,
+  session: heldSession = null, // Logged-in session owned by the caller (batch bookings); not released here
+  executeAt = null, // ISO time to click the class and charge at (see waitForReleaseTime)
+  onFull = 'fail', // Full class: "fail", or "waitlist" to join its waitlist instead
+  dryRun = false, // Stop before BOOK USING CREDITS (or the waitlist button) and back out
+  customer = null, // Member to book (name, email, phone or { name, email, phone }) instead of a pool account
+  plan = null, // Plan / credit package to book with, matched against the dialog's plan labels
+  maxCharge = 0, // Most the Charge step may bill; the amount is read before clicking
+  externalRef = null // Caller's reference for who the booking is for (see bookingRefs)
+}, run) {
+  logToFile(`[BOOKING START] Starting booking run ${run.id}.`);
+  const member = customer ? normalizeCustomer(customer) : null;
+  const timing = executeAt ? { executeAt, releasedAt: null, chargeClickAt: null, latencyMs: null } : null;
+  
+  // Store selected customer name (will be set during customer selection)
+  let selectedCustomerName = null;
+  let customerPool = null; // The gym's pool when booking a pool account
+  let bookingSubmitted = false; // Set once BOOK (or the waitlist button) is clicked
+  
+  const session = heldSession || await acquireSession({ email, password, gymName, DEBUG });
+  session.run = run;
+  const { page } = session;
+  const flow = createFlowContext({ page, run, DEBUG });
+  const { dlog, step, takeScreenshot, simulateHumanBehavior, humanDelay, humanThinkingDelay, humanLikeClick } = flow;
+  const screenshots = run.screenshots;
+  const credentials = { email, password, gymName };
+
+  try {
+    await ensureLoggedIn(session, flow, credentials);
+
+    // Step 6: Navigate to target month/year, find target date column, then find and click class.
+    // Release-time bookings open the date early and hold off the class click until executeAt.
+    if (timing) {
+      await step(`Navigate to date ${targetDate}`, () => navigateToDate(flow, targetDate));
+      await step("Wait for release time", () => waitForReleaseTime(timing));
+      await step(`Find class at ${targetTime}`, () => openClassDialog(flow, { targetDate, targetTime, navigate: false }));
+    } else {
+      await step(`Navigate to date ${targetDate} and find class`, () => openClassDialog(flow, { targetDate, targetTime }));
+    }
+
+    // Don't book anyone twice: the member, or a pool account this externalRef
+    // was already booked into this class with, must not be on the attendee list
+    if (member || externalRef) {
+      await step("Check for existing booking", async () => {
+        const attendees = await readAttendees(page);
+        const earlier = externalRef
+          ? customersBookedFor({ email, gymName, externalRef, targetDate, targetTime })
+          : [];
+        const existing = attendees.find(a => a.status !== 'cancelled' && (
+          (member && Object.values(member).some(term => containsWholeTerm(a.text, term))) ||
+          earlier.some(name => findAttendee([a], name))
+        ));
+        logToFile(`[DUPLICATE CHECK] ${attendees.length} attendee(s); checked ${member ? describeMember(member) : 'no member'}` +
+          (earlier.length > 0 ? ` and ${earlier.join(', ')} (externalRef "${externalRef}")` : ''));
+        if (existing) {
+          await takeScreenshot('already-booked');
+          throw bookingError('ALREADY_BOOKED',
+            `${existing.name} is already ${existing.status} in the class at ${targetTime} on ${targetDate}`,
+            { attendee: { name: existing.name, status: existing.status } });
+        }
+      });
+    }
+
+    // A full class fails here, or goes to the waitlist with onFull: "waitlist"
+    const classCapacity = await step("Check class capacity", () => readClassDialogCapacity(page));
+    const joinWaitlist = !!classCapacity?.full && onFull === 'waitlist';
+    if (classCapacity?.full && !joinWaitlist) {
+      await takeScreenshot('class-full');
+      throw bookingError('CLASS_FULL', `Class at ${targetTime} on ${targetDate} is full (${classCapacity.booked}/${classCapacity.capacity} booked)`);
+    }
+    if (joinWaitlist) {
+      logToFile(`[WAITLIST] Class is full (${classCapacity.booked}/${classCapacity.capacity}) - the customer will join the waitlist`);
+    }
+
+    // Step 7: Click "Book Customer" button
+    await step("Click Book Customer", async () => {
       await clickElement(page, [
-        '::-p-aria(Charge MX$ 0)',
-        'div.final-price-calculation-section > button',
-        '::-p-xpath(/html/body/web-app/ng-component/div/div/div[2]/div/div/ng-component/div[3]/app-floating-pos/div/div[2]/div[2]/div[2]/button)',
-        ':scope >>> div.final-price-calculation-section > button',
-        '::-p-text(Charge  MX$ 0)',
-        'button:has-text("Charge")'
-      ], { offset: { x: 108, y: 19.5 }, location: 'Charge button', debug: DEBUG });
-      
-      dlog(`✓ Charge button clicked, waiting for booking confirmation...`);
-      await sleep(2000); // Wait for booking to be processed
-      
-      // Verify booking was completed successfully
-      const bookingConfirmed = await page.evaluate(() => {
-        const bodyText = document.body.textContent || '';
-        const hasSuccess = bodyText.toLowerCase().includes('success') ||
-                           bodyText.toLowerCase().includes('booked') ||
-                           bodyText.toLowerCase().includes('confirmed');
-        
-        // Check for success notifications
-        const notifications = Array.from(document.querySelectorAll('[class*="notification"], [class*="toast"], [class*="alert"], [class*="success"]'));
-        const hasSuccessNotification = notifications.some(n => {
-          if (n.offsetParent === null) return false;
-          const text = (n.textContent || '').toLowerCase();
-          return text.includes('success') || text.includes('booked') || text.includes('confirmed');
-        });
-        
-        return { hasSuccess, hasSuccessNotification };
-      }).catch(() => ({ hasSuccess: false, hasSuccessNotification: false }));
-      
-      if (bookingConfirmed.hasSuccess || bookingConfirmed.hasSuccessNotification) {
-        chargeStepCompleted = true;
-        dlog(`✓ Booking confirmed after Charge step!`);
-        logToFile(`✓ Charge step completed successfully - booking is finalized`);
-      } else {
-        logToFile(`⚠ WARNING: Charge button clicked but no success confirmation found`);
-        dlog(`⚠ WARNING: Charge button clicked but no success confirmation found`);
-        // Still mark as completed if we clicked it (might be processing)
-        chargeStepCompleted = true;
-      }
-      
-      // Take screenshot after charge step
-      await takeScreenshot('after-charge-step');
-      
-      await sleep(2000);
+        '::-p-aria(Book Customer)',
+        'div.booking-btn > button',
+        '::-p-xpath(/html/body/web-app/ng-component/div/div/div[2]/div/div/ng-component/div[2]/div/div[3]/div[2]/div[1]/div[2]/button)',
+        ':scope >>> div.booking-btn > button',
+        '::-p-text(Book Customer)'
+      ], { offset: { x: 61, y: 8.3828125 } });
+      await sleep(1500); // Wait for modal/dialog to open
+      await takeScreenshot('after-book-customer-click');
     });
 
-    // Step 16: Verify booking appears in reservations list
-    let bookingVerified = false;
-    let bookingFoundInReservations = false;
-    let reservationDetails = null;
-    
-    await step("Verify booking in reservations", async () => {
-      dlog(`Verifying booking appears in reservations list...`);
+    // Step 8: Search for customer (a named member, or retry logic over the gym's customer pool)
+    await step("Search for customer", async () => {
+      // A member is searched for once; otherwise walk the gym's customer pool
+      // (names or emails) in its configured order
+      customerPool = member ? null : customerPoolFor({ email, gymName });
+      const customerCandidates = member ? [customerSearchTerm(member)] : orderedCustomers(customerPool);
+      const MAX_CUSTOMER_RETRIES = customerCandidates.length;
+      let customerSelectedSuccessfully = false;
+      if (member) {
+        logToFile(`[CUSTOMER] Booking member ${describeMember(member)}`);
+      } else {
+        logToFile(`[CUSTOMER POOL] ${customerPool.configured ? 'Configured' : 'Default'} pool for "${gymName}": ${MAX_CUSTOMER_RETRIES} candidate(s), order ${customerPool.order}`);
+      }
       
-      try {
-        // Navigate to reservations page
-        // Common URLs: /reservations, /bookings, /appointments, /schedule
-        const possibleUrls = [
-          "https://partners.gokenko.com/reservations",
-          "https://partners.gokenko.com/bookings",
-          "https://partners.gokenko.com/appointments",
-          "https://partners.gokenko.com/schedule",
-          "https://partners.gokenko.com/dashboard/reservations"
-        ];
+      for (let customerNumber = 1; customerNumber <= MAX_CUSTOMER_RETRIES; customerNumber++) {
+        const customerName = customerCandidates[customerNumber - 1];
+        const customerMatch = customerMatcher(customerName);
+        const memberMatches = member ? memberMatchers(member) : [{ field: 'name', ...customerMatch }];
+        const customerSearchValue = customerName.toLowerCase();
         
-        let reservationsPageFound = false;
-        for (const url of possibleUrls) {
+        if (customerNumber > 1) {
+          logToFile(`[CUSTOMER RETRY] Attempt ${customerNumber}: Trying "${customerName}"`);
+          dlog(`[CUSTOMER RETRY] Attempt ${customerNumber}: Trying "${customerName}"`);
+          
+          // Clear the input field before trying next customer
           try {
-            dlog(`Trying to navigate to: ${url}`);
-            await page.goto(url, { waitUntil: 'networkidle2', timeout: 10000 });
-            await sleep(2000);
-            
-            // Check if we're on a valid reservations page
-            const pageTitle = await page.title().catch(() => '');
-            const pageUrl = page.url();
-            dlog(`  Page title: ${pageTitle}`);
-            dlog(`  Current URL: ${pageUrl}`);
+            const customerInputSelectors = [
+              '::-p-aria(Search customer)',
+              'div.customer-overlay input',
+              'input[placeholder*="customer" i]',
+              'input[placeholder*="Search" i]',
+              'input[type="text"]',
+              'input[type="search"]'
+            ];
             
-            // Look for reservations/booking indicators
-            const hasReservationsContent = await page.evaluate(() => {
-              const bodyText = document.body.textContent || '';
-              return bodyText.toLowerCase().includes('reservation') ||
-                     bodyText.toLowerCase().includes('booking') ||
-                     bodyText.toLowerCase().includes('appointment') ||
-                     bodyText.toLowerCase().includes('schedule');
-            }).catch(() => false);
+            let inputElement = null;
+            for (const selector of customerInputSelectors) {
+              try {
+                const element = await page.$(selector).catch(() => null);
+                if (element) {
+                  const isVisible = await element.isVisible().catch(() => false);
+                  if (isVisible) {
+                    inputElement = element;
+                    break;
+                  }
+                }
+              } catch (e) {
+                continue;
+              }
+            }
             
-            if (hasReservationsContent || pageUrl.includes('reservation') || pageUrl.includes('booking')) {
-              reservationsPageFound = true;
-              dlog(`✓ Found reservations page at: ${url}`);
-              break;
+            if (inputElement) {
+              await inputElement.click({ clickCount: 3 }); // Triple click to select all
+              await page.keyboard.press('Backspace');
+              await sleep(200);
+              dlog(`✓ Cleared input field for retry`);
             }
           } catch (e) {
-            dlog(`  Could not access ${url}: ${e?.message}`);
-            continue;
+            dlog(`⚠ Could not clear input field: ${e?.message}`);
           }
         }
         
-        if (!reservationsPageFound) {
-          dlog(`⚠ Could not find reservations page - trying to navigate from current page`);
-          // Try clicking on a reservations link if we're still logged in
+        dlog(`Typing customer name character by character: ${customerSearchValue}`);
+      dlog(`Typing customer name character by character: ${customerSearchValue}`);
+      
+      // Take screenshot before searching for input field
+      await takeScreenshot('before-customer-search-input-find');
+      
+      // Wait for the customer search modal/dialog to appear after clicking "Book Customer"
+      dlog(`Waiting for customer search input field to appear...`);
+      await sleep(1000); // Initial wait for modal to open
+      
+      // Try to wait for the input field to appear with a timeout
+      const customerInputSelectors = [
+        '::-p-aria(Search customer)',
+        'div.customer-overlay input',
+        '::-p-xpath(/html/body/web-app/ng-component/div/div/div[2]/div/div/ng-component/div[3]/div/div[3]/input)',
+        ':scope >>> div.customer-overlay input',
+        'input[placeholder*="customer" i]',
+        'input[placeholder*="Search" i]',
+        'input[type="text"]',
+        'input[type="search"]'
+      ];
+      
+      // Wait for at least one selector to appear
+      let inputFound = false;
+      for (let attempt = 0; attempt < 10; attempt++) {
+        for (const selector of customerInputSelectors) {
           try {
-            const reservationLinks = await page.$$('a[href*="reservation"], a[href*="booking"], a[href*="appointment"]');
-            if (reservationLinks.length > 0) {
-              dlog(`Found ${reservationLinks.length} reservation links, clicking first one...`);
-              await reservationLinks[0].click();
-              await sleep(3000);
-              reservationsPageFound = true;
+            const element = await page.$(selector).catch(() => null);
+            if (element) {
+              const isVisible = await element.isVisible().catch(() => false);
+              if (isVisible) {
+                inputFound = true;
+                dlog(`✓ Customer search input found on attempt ${attempt + 1} with selector: ${selector}`);
+                break;
+              }
             }
           } catch (e) {
-            dlog(`Could not navigate via links: ${e?.message}`);
+            continue;
           }
         }
-        
-        if (reservationsPageFound) {
-          // Wait for reservations list to load
-          await sleep(3000);
-          
-          // Search for the booking in the reservations list
-          // Look for the gym name, date, and time
-          const searchDate = new Date(targetDate).toLocaleDateString('en-US', { 
-            month: 'short', 
-            day: 'numeric',
-            year: 'numeric' 
-          });
-          
-          dlog(`Searching for booking with:`);
-          dlog(`  Gym: ${gymName}`);
-          dlog(`  Date: ${targetDate} (formatted: ${searchDate})`);
-          dlog(`  Time: ${targetTime}`);
-          
-          const bookingSearch = await page.evaluate((gymName, targetDate, targetTime, searchDate) => {
-            const bodyText = document.body.textContent || '';
-            const pageHTML = document.body.innerHTML || '';
-            
-            // Check if gym name appears
-            const hasGymName = bodyText.toLowerCase().includes(gymName.toLowerCase());
-            
-            // Check for date (try multiple formats)
-            const dateFormats = [
-              targetDate, // 2025-11-25
-              searchDate, // Nov 25, 2025
-              targetDate.replace(/-/g, '/'), // 2025/11/25
-              targetDate.split('-').reverse().join('/'), // 25/11/2025
-            ];
-            const hasDate = dateFormats.some(date => bodyText.includes(date));
-            
-            // Check for time
-            const hasTime = bodyText.toLowerCase().includes(targetTime.toLowerCase());
-            
-            // Try to find reservation elements
-            const reservationElements = Array.from(document.querySelectorAll(
-              'div[class*="reservation"], ' +
-              'div[class*="booking"], ' +
-              'div[class*="appointment"], ' +
-              'tr[class*="reservation"], ' +
-              'tr[class*="booking"], ' +
-              'li[class*="reservation"], ' +
-              'li[class*="booking"]'
-            ));
-            
-            // Check each reservation element for our booking details
-            let matchingReservation = null;
-            for (const element of reservationElements) {
-              const elementText = element.textContent || '';
-              const hasGym = elementText.toLowerCase().includes(gymName.toLowerCase());
-              const hasDateMatch = dateFormats.some(date => elementText.includes(date));
-              const hasTimeMatch = elementText.toLowerCase().includes(targetTime.toLowerCase());
+        if (inputFound) break;
+        await sleep(500); // Wait 500ms between attempts
+      }
+      
+      if (!inputFound) {
+        logToFile(`⚠ Customer search input not found after waiting, trying to find it anyway...`);
+        dlog(`⚠ Customer search input not found after waiting, trying to find it anyway...`);
+      }
+      
+      let foundInputElement = null;
+      let foundInputSelector = null;
+      let browserSelector = null; // Regular CSS selector for use in page.evaluate()
+      
+      for (const selector of customerInputSelectors) {
+        try {
+          const element = await page.$(selector);
+          if (element) {
+            const isVisible = await element.isVisible().catch(() => false);
+            if (isVisible) {
+              foundInputElement = element;
+              foundInputSelector = selector;
               
-              if (hasGym && (hasDateMatch || hasTimeMatch)) {
-                matchingReservation = {
-                  text: elementText.substring(0, 200),
-                  html: element.innerHTML.substring(0, 500)
+              // Get a regular CSS selector that works in browser context
+              // First try to get element attributes to build a selector
+              const elementInfo = await page.evaluate((el) => {
+                return {
+                  id: el.id || '',
+                  className: el.className || '',
+                  tagName: el.tagName.toLowerCase(),
+                  placeholder: el.placeholder || '',
+                  ariaLabel: el.getAttribute('aria-label') || ''
                 };
-                break;
+              }, element).catch(() => null);
+              
+              // Build browser selector from element info
+              if (elementInfo) {
+                if (elementInfo.id) {
+                  browserSelector = `#${elementInfo.id}`;
+                } else if (elementInfo.className) {
+                  const classes = elementInfo.className.split(' ').filter(c => c).join('.');
+                  browserSelector = `${elementInfo.tagName}.${classes}`;
+                } else if (elementInfo.placeholder) {
+                  browserSelector = `input[placeholder="${elementInfo.placeholder}"]`;
+                } else if (elementInfo.ariaLabel) {
+                  browserSelector = `input[aria-label="${elementInfo.ariaLabel}"]`;
+                }
               }
-            }
-            
-            return {
-              hasGymName,
-              hasDate,
-              hasTime,
-              hasAllDetails: hasGymName && hasDate && hasTime,
-              matchingReservation: matchingReservation,
-              pageText: bodyText.substring(0, 1000)
-            };
-          }, gymName, targetDate, targetTime, searchDate).catch(() => ({
-            hasGymName: false,
-            hasDate: false,
-            hasTime: false,
-            hasAllDetails: false,
-            matchingReservation: null,
-            pageText: ''
-          }));
-          
-          dlog(`Booking search results:`);
-          dlog(`  Has gym name: ${bookingSearch.hasGymName}`);
-          dlog(`  Has date: ${bookingSearch.hasDate}`);
-          dlog(`  Has time: ${bookingSearch.hasTime}`);
-          dlog(`  Has all details: ${bookingSearch.hasAllDetails}`);
-          
-          if (bookingSearch.matchingReservation) {
-            dlog(`✓ Found matching reservation element!`);
-            dlog(`  Reservation text: ${bookingSearch.matchingReservation.text.substring(0, 150)}`);
-            bookingFoundInReservations = true;
-            reservationDetails = bookingSearch.matchingReservation;
-          } else if (bookingSearch.hasAllDetails) {
-            dlog(`✓ Found all booking details on page (gym, date, time)`);
-            bookingFoundInReservations = true;
-            reservationDetails = { text: bookingSearch.pageText.substring(0, 300) };
-          } else {
-            dlog(`⚠ Booking details not found in reservations list`);
-            dlog(`  Page text preview: ${bookingSearch.pageText.substring(0, 200)}`);
-            
-            if (DEBUG) {
-              await page.screenshot({ path: '/tmp/reservations-page.png', fullPage: true });
-              dlog(`  Screenshot saved to /tmp/reservations-page.png`);
+              
+              // Fallback: convert Puppeteer selector to regular CSS selector
+              if (!browserSelector) {
+                if (selector.startsWith('::-p-aria')) {
+                  browserSelector = 'input[aria-label*="customer" i], input[placeholder*="customer" i]';
+                } else if (selector.startsWith('::-p-xpath')) {
+                  browserSelector = 'div.customer-overlay input, input[type="text"]';
+                } else if (!selector.startsWith('::-p-') && !selector.startsWith(':scope')) {
+                  browserSelector = selector;
+                } else {
+                  browserSelector = 'div.customer-overlay input, input[type="text"]';
+                }
+              }
+              
+              dlog(`Found customer search input with selector: ${selector}`);
+              dlog(`Browser selector: ${browserSelector}`);
+              break;
             }
           }
-        } else {
-          dlog(`⚠ Could not access reservations page to verify booking`);
+        } catch (e) {
+          continue;
         }
-        
-        bookingVerified = true;
-      } catch (err) {
-        dlog(`⚠ Error verifying booking in reservations: ${err?.message}`);
-        dlog(`  Stack: ${err?.stack}`);
-        // Don't fail the whole booking if verification fails
       }
-    });
+      
+      if (!foundInputElement || !foundInputSelector) {
+        throw bookingError('CUSTOMER_SEARCH_FAILED', `Could not find customer search input field`);
+      }
+      
+      if (!browserSelector) {
+        browserSelector = 'div.customer-overlay input, input[type="text"]';
+      }
+      
+      // Clear any existing text first
+      await foundInputElement.click({ clickCount: 3 }); // Triple click to select all
+      await page.keyboard.press('Backspace');
+      await sleep(100);
+      
+      // Set up network monitoring for autocomplete API requests (like gym selection)
+      const autocompleteRequests = [];
+      const autocompleteResponses = [];
+      
+      const requestHandler = (request) => {
+        const url = request.url();
+        // Look for customer/search API endpoints
+        if (url.includes('customer') || url.includes('search') || url.includes('autocomplete') || 
+            url.includes('query') || url.includes('filter')) {
+          dlog(`[NETWORK] Customer autocomplete request detected: ${url.substring(0, 150)}`);
+          autocompleteRequests.push({
+            url: url,
+            method: request.method(),
+            postData: request.postData(),
+            timestamp: Date.now()
+          });
+        }
+      };
+      
+      const responseHandler = (response) => {
+        const url = response.url();
+        if (url.includes('customer') || url.includes('search') || url.includes('autocomplete') || 
+            url.includes('query') || url.includes('filter')) {
+          dlog(`[NETWORK] Customer autocomplete response: ${url.substring(0, 150)}`);
+          autocompleteResponses.push({
+            url: url,
+            status: response.status(),
+            timestamp: Date.now()
+          });
+        }
+      };
+      
+      // Start monitoring network requests
+      page.on('request', requestHandler);
+      page.on('response', responseHandler);
+      
+      // Simulate human behavior before typing (makes session look more realistic)
+      dlog(`Simulating human behavior before customer search...`);
+      await simulateHumanBehavior();
+      await sleep(1000 + Math.random() * 1000); // Random delay 1000-2000ms (longer to look more human)
+      
+      // SIMPLIFIED APPROACH: Use Locator API .fill() method (like user's Puppeteer recording)
+      // This matches what works locally - fast and reliable
+      dlog(`Using Locator API .fill() method to input customer name "${customerName}" (matching local behavior)...`);
+      
+      // Ensure input is focused and ready (with human-like delays)
+      await foundInputElement.click();
+      await sleep(300 + Math.random() * 300); // Random delay 300-600ms
+      await foundInputElement.focus();
+      await sleep(300 + Math.random() * 300); // Random delay 300-600ms
+      
+      // Clear any existing value first
+      await foundInputElement.click({ clickCount: 3 });
+      await sleep(100);
+      await page.keyboard.press('Backspace');
+      await sleep(200);
+      
+      // Use Locator API .fill() method (like user's Puppeteer recording)
+      // This is faster and matches what works locally
+      const customerLocator = page.locator(foundInputSelector);
+      await customerLocator.fill(customerName);
+      
+      // Manually trigger events to ensure autocomplete fires (like user's recording)
+      await page.evaluate((selector) => {
+        const input = document.querySelector(selector);
+        if (input) {
+          // Trigger input event
+          const inputEvent = new Event('input', { bubbles: true, cancelable: true });
+          Object.defineProperty(inputEvent, 'target', { value: input, enumerable: true });
+          input.dispatchEvent(inputEvent);
+          
+          // Trigger change event
+          const changeEvent = new Event('change', { bubbles: true, cancelable: true });
+          input.dispatchEvent(changeEvent);
+          
+          // Trigger keyup event (some autocomplete systems listen to this)
+          const keyUpEvent = new KeyboardEvent('keyup', { bubbles: true });
+          input.dispatchEvent(keyUpEvent);
+        }
+      }, browserSelector);
+      
+      dlog("✓ Finished filling customer name using Locator API .fill()");
+      
+      // Wait for autocomplete dropdown to appear (shorter wait since .fill() is instant)
+      dlog("Waiting for autocomplete dropdown to appear...");
+      await sleep(1500); // Shorter wait - matches local behavior
+      
+      // Wait for network idle (autocomplete might fetch from server)
+      // Shorter timeout to match local behavior (works instantly locally)
+      try {
+        await page.waitForNetworkIdle({ idleTime: 300, timeout: 2000 }).catch(() => {
+          dlog("Network idle wait timed out, continuing...");
+        });
+      } catch (e) {
+        dlog(`Network idle wait error: ${e?.message}`);
+      }
+      
+      // Additional wait for autocomplete dropdown to render
+      // Shorter wait to match local behavior (dropdown appears instantly locally)
+      await sleep(1000); // Reduced from 3000ms to match local behavior
+      
+      // Now remove network listeners (after waiting for autocomplete)
+      page.off('request', requestHandler);
+      page.off('response', responseHandler);
+      
+      // Log network requests detected
+      if (autocompleteRequests.length > 0) {
+        logToFile(`[NETWORK] Detected ${autocompleteRequests.length} customer autocomplete requests during typing`);
+        autocompleteRequests.forEach((req, i) => {
+          logToFile(`[NETWORK] Request ${i+1}: ${req.method} ${req.url.substring(0, 150)}`);
+        });
+      } else {
+        logToFile(`[NETWORK] WARNING: No customer autocomplete API requests detected - autocomplete may not be triggering`);
+      }
+      
+      if (autocompleteResponses.length > 0) {
+        logToFile(`[NETWORK] Detected ${autocompleteResponses.length} customer autocomplete responses`);
+        autocompleteResponses.forEach((resp, i) => {
+          logToFile(`[NETWORK] Response ${i+1}: ${resp.status} ${resp.url.substring(0, 150)}`);
+        });
+      }
+      
+      // Take screenshot to verify autocomplete appeared
+      await takeScreenshot('after-customer-search-typing');
+      
+      // Verify autocomplete dropdown appeared - look for span elements in customer-overlay (as shown in recording)
+      const autocompleteVisible = await page.evaluate((match) => {
+        const matchesCustomer = (value) => match.digits
+          ? value.replace(/\D/g, '').includes(match.digits)
+          : value.toLowerCase().replace(/\s+/g, ' ').includes(match.text);
+        // Look for span elements in div.customer-overlay (as shown in recording)
+        const customerOverlay = document.querySelector('div.customer-overlay');
+        if (customerOverlay) {
+          const spans = Array.from(customerOverlay.querySelectorAll('span'));
+          for (const span of spans) {
+            if (span.offsetParent !== null) {
+              const text = (span.textContent || '').toLowerCase();
+              if (matchesCustomer(text) || text.includes('@') || text.includes('customer')) {
+                return true;
+              }
+            }
+          }
+        }
+        
+        // Fallback: Look for common autocomplete dropdown patterns
+        const selectors = [
+          'div.customer-overlay span',
+          'div.search-container > div > div',
+          '[role="listbox"]',
+          '[class*="autocomplete"]',
+          '[class*="dropdown"]',
+          '[class*="suggestion"]'
+        ];
+        
+        for (const sel of selectors) {
+          const elements = Array.from(document.querySelectorAll(sel));
+          for (const el of elements) {
+            if (el.offsetParent !== null) {
+              const text = (el.textContent || '').toLowerCase();
+              if (matchesCustomer(text) || text.includes('@') || text.includes('customer')) {
+                return true;
+              }
+            }
+          }
+        }
+        return false;
+      }, customerMatch).catch(() => false);
+      
+      if (autocompleteVisible) {
+        dlog("✓ Autocomplete dropdown is visible");
+      } else {
+        logToFile("⚠ WARNING: Autocomplete dropdown may not be visible after typing");
+        dlog("⚠ WARNING: Autocomplete dropdown may not be visible after typing");
+        // Wait a bit more and check again
+        await sleep(2000);
+        
+        // Final check - look for span elements in customer-overlay
+        const finalCheck = await page.evaluate((match) => {
+          const customerOverlay = document.querySelector('div.customer-overlay');
+          const matchesCustomer = (value) => match.digits
+            ? value.replace(/\D/g, '').includes(match.digits)
+            : value.toLowerCase().replace(/\s+/g, ' ').includes(match.text);
+          
+          // Check span elements in customer-overlay first
+          if (customerOverlay) {
+            const spans = Array.from(customerOverlay.querySelectorAll('span'));
+            for (const span of spans) {
+              if (span.offsetParent !== null) {
+                if (matchesCustomer(span.textContent || '')) {
+                  return true;
+                }
+              }
+            }
+          }
+          
+          // Fallback: check all divs
+          const allDivs = Array.from(document.querySelectorAll('div'));
+          for (const div of allDivs) {
+            if (div.offsetParent !== null) {
+              if (matchesCustomer(div.textContent || '')) {
+                return true;
+              }
+            }
+          }
+          return false;
+        }, customerMatch).catch(() => false);
+        
+        if (finalCheck) {
+          dlog("✓ Autocomplete dropdown found on final check");
+        } else if (member) {
+          await takeScreenshot('member-not-found');
+          throw bookingError('CUSTOMER_NOT_FOUND', `No customer matching "${customerName}" found in the customer search`);
+        } else {
+          logToFile("❌ ERROR: Autocomplete dropdown not found even after extended wait");
+          // Don't retry - autocomplete not appearing is a different issue, not a customer availability issue
+          throw bookingError('CUSTOMER_SEARCH_FAILED', `Autocomplete dropdown not found - this is not a customer availability issue`);
+        }
+      }
+      
+      // Step 10: Select customer from results (inside retry loop)
+      logToFile(`[CUSTOMER SELECTION] Starting customer selection for "${customerName}". Current click count: ${run.clickCount}`);
+      dlog(`[CUSTOMER SELECTION] Starting customer selection for "${customerName}". Current click count: ${run.clickCount}`);
+      const clicksBefore = run.clickCount;
+      
+      // Take screenshot before selecting customer
+      await takeScreenshot('before-customer-selection');
+      
+      // Wait a bit for dropdown to fully populate
+      await sleep(1000);
+      
+      // First, verify autocomplete dropdown is visible and find clickable customer options
+      const dropdownCheck = await page.evaluate((matches) => {
+        // Look for customer options in dropdown - based on recording, they are span elements inside div.customer-overlay
+        // First, find the customer overlay container (as shown in recording)
+        const customerOverlay = document.querySelector('div.customer-overlay');
+        const searchRoot = customerOverlay || document.body;
+        
+        const customerOptions = [];
+        
+        // Pool entries are names ("Fitpass Two") or emails/email prefixes ("fitpass1"); the
+        // option text shows both (e.g. "Fitpass One fitpass1@test.com  |"), so a
+        // whitespace-insensitive substring match covers either form. A member given
+        // as { name, email, phone } is matched on the fields the option shows: the
+        // name always, the email when the option has one, the phone when it has a
+        // phone number (compared by its last digits, ignoring spaces and dashes).
+        // Returns how many fields matched - 0 when a shown field disagrees.
+        const matchScore = (value) => {
+          const text = value.toLowerCase().replace(/\s+/g, ' ');
+          const phones = value.replace(/(\d)[\s().-]+(?=\d)/g, '$1').match(/\d{7,}/g) || [];
+          const shown = matches.filter(match =>
+            match.field === 'email' ? text.includes('@') : match.field === 'phone' ? phones.length > 0 : true);
+          const agrees = shown.every(match => match.digits
+            ? phones.some(phone => phone.endsWith(match.digits))
+            : text.includes(match.text));
+          return agrees ? shown.length : 0;
+        };
+        const matchedElements = []; // { el, score }
+        
+        // Priority 1: Look for span elements inside div.customer-overlay (as shown in recording)
+        const spanElements = Array.from(searchRoot.querySelectorAll('div.customer-overlay span, span'));
+        
+        // Priority 2: Also check other elements as fallback
+        const allElements = Array.from(searchRoot.querySelectorAll('div, li, span, p, a'));
+        
+        // Combine and prioritize spans
+        const elementsToCheck = [...spanElements, ...allElements.filter(el => !spanElements.includes(el))];
+        
+        for (const el of elementsToCheck) {
+          if (el.offsetParent === null) continue;
+          
+          // Get the text content and check if it's a customer name
+          const text = (el.textContent || '').trim();
+          const textLower = text.toLowerCase();
+          
+          // CRITICAL: Look for the current customer (e.g., "Fitpass Two", "fitpass1", "ana@example.com")
+          // Customer names should be less than 200 characters (may include email like "fitpass1@test.com  |")
+          if (text.length > 200) continue; // Skip huge elements that contain entire page
+          
+          const score = matchScore(text);
+          if (score > 0) {
+            matchedElements.push({ el, score });
+            // Check if this element is within customer overlay (as shown in recording)
+            const isInCustomerOverlay = customerOverlay ? customerOverlay.contains(el) : 
+                                       el.closest('div.customer-overlay') !== null ||
+                                       el.closest('[class*="dropdown"]') !== null ||
+                                       el.closest('[class*="autocomplete"]') !== null ||
+                                       el.closest('[class*="suggestion"]') !== null ||
+                                       el.closest('[class*="popover"]') !== null ||
+                                       el.closest('[class*="option"]') !== null ||
+                                       el.closest('[class*="item"]') !== null;
+            
+            // Check if it's clickable - SPAN elements are clickable (as shown in recording)
+            const isClickable = el.classList.contains('cursor-pointer') || 
+                               el.onclick !== null ||
+                               el.getAttribute('role') === 'option' ||
+                               el.tagName === 'LI' ||
+                               el.tagName === 'A' ||
+                               el.tagName === 'SPAN' || // SPAN elements are clickable (from recording)
+                               (el.tagName === 'DIV' && isInCustomerOverlay);
+            
+            if (isClickable || isInCustomerOverlay) {
+              const rect = el.getBoundingClientRect();
+              // Make sure it's actually visible and has reasonable size (not too large)
+              // Customer option should be reasonably sized (not the entire page)
+              if (rect.width > 50 && rect.width < 500 && rect.height > 10 && rect.height < 100) {
+                customerOptions.push({
+                  element: el,
+                  score,
+                  text: text.substring(0, 150), // Limit text length for logging (may include email)
+                  fullText: text,
+                  x: rect.left + rect.width / 2,
+                  y: rect.top + rect.height / 2,
+                  visible: true,
+                  tagName: el.tagName,
+                  className: el.className.substring(0, 50), // Limit class name length
+                  isClickable: isClickable,
+                  isInDropdown: isInCustomerOverlay,
+                  width: rect.width,
+                  height: rect.height,
+                  isSpan: el.tagName === 'SPAN', // Prioritize SPAN elements
+                  isInCustomerOverlay: isInCustomerOverlay
+                });
+              }
+            }
+          }
+        }
+        
+        // Sort by priority: 1) SPAN elements, 2) In customer-overlay, 3) Smaller size
+        customerOptions.sort((a, b) => {
+          // Prioritize SPAN elements (as shown in recording)
+          if (a.isSpan && !b.isSpan) return -1;
+          if (!a.isSpan && b.isSpan) return 1;
+          // Prioritize elements in customer-overlay
+          if (a.isInCustomerOverlay && !b.isInCustomerOverlay) return -1;
+          if (!a.isInCustomerOverlay && b.isInCustomerOverlay) return 1;
+          // Then by size - prefer smaller elements
+          const aSize = a.width * a.height;
+          const bSize = b.width * b.height;
+          return aSize - bSize; // Smaller first
+        });
+        
+        // Keep the elements that show the most matching fields - a row with name
+        // and email over a span holding just the name - then one result per
+        // customer: the innermost of those (no other one inside it)
+        const bestScore = Math.max(0, ...customerOptions.map(opt => opt.score));
+        const best = matchedElements.filter(match => match.score === bestScore).map(match => match.el);
+        const options = customerOptions.filter(opt => opt.score === bestScore);
+        options.forEach(opt => {
+          opt.isLeaf = !best.some(other => other !== opt.element && opt.element.contains(other));
+          delete opt.element;
+        });
+        
+        // Log all span elements found for debugging
+        const allSpans = customerOverlay ? Array.from(customerOverlay.querySelectorAll('span')) : [];
+        const spanTexts = allSpans.map(s => s.textContent?.trim()).filter(t => t);
+        
+        return {
+          found: options.length > 0,
+          count: options.length,
+          options,
+          debug: {
+            customerOverlayFound: customerOverlay !== null,
+            spanCount: allSpans.length,
+            spanTexts: spanTexts.slice(0, 10), // First 10 spans for debugging
+            lookingFor: matches.map(match => match.digits || match.text)
+          }
+        };
+      }, memberMatches).catch(() => ({ found: false, count: 0, options: [], debug: null }));
+      
+      // Log debug info
+      if (dropdownCheck.debug) {
+        logToFile(`[CUSTOMER DEBUG] Customer overlay found: ${dropdownCheck.debug.customerOverlayFound}`);
+        logToFile(`[CUSTOMER DEBUG] Span count: ${dropdownCheck.debug.spanCount}`);
+        logToFile(`[CUSTOMER DEBUG] Span texts: ${JSON.stringify(dropdownCheck.debug.spanTexts)}`);
+        logToFile(`[CUSTOMER DEBUG] Looking for: ${JSON.stringify(dropdownCheck.debug.lookingFor)}`);
+      }
+      
+      if (!dropdownCheck.found) {
+        logToFile(`❌ ERROR: Customer "${customerName}" not found in dropdown! Cannot select customer.`);
+        dlog(`❌ ERROR: Customer "${customerName}" not found in dropdown! Cannot select customer.`);
+        if (dropdownCheck.debug) {
+          logToFile(`[CUSTOMER DEBUG] Available span texts: ${JSON.stringify(dropdownCheck.debug.spanTexts)}`);
+        }
+        
+        // Take screenshot for debugging
+        await takeScreenshot(`customer-dropdown-not-found-${customerNumber}`);
+        
+        if (member) {
+          throw bookingError('CUSTOMER_NOT_FOUND', `No customer matching ${describeMember(member)} found in the customer search`);
+        }
+        // Don't retry - customer not found is unproductive, throw error
+        throw bookingError('CUSTOMER_NOT_FOUND', `Customer "${customerName}" not found in dropdown - this is not a clickability issue`);
+      }
+      
+      dlog(`✓ Found ${dropdownCheck.count} customer option(s) in dropdown`);
+      logToFile(`[CUSTOMER SELECTION] Found ${dropdownCheck.count} customer option(s) in dropdown`);
+      
+      // A member must resolve to exactly one search result. Several results
+      // (two "Ana López", or "ana@x.com" and "diana@x.com") are narrowed to the
+      // one containing the search term as a whole word, or the booking fails.
+      if (member) {
+        const results = dropdownCheck.options.filter(opt => opt.isLeaf);
+        if (results.length > 1) {
+          const exact = results.filter(opt => containsWholeTerm(opt.fullText, customerName));
+          logToFile(`[CUSTOMER SELECTION] ${results.length} results match ${describeMember(member)}, ${exact.length} exactly`);
+          if (exact.length !== 1) {
+            await takeScreenshot('member-ambiguous');
+            throw bookingError('CUSTOMER_AMBIGUOUS',
+              `${results.length} customers match ${describeMember(member)} - give the member's email or phone to pick one`,
+              { candidates: results.map(opt => opt.text) });
+          }
+          dropdownCheck.options = exact;
+        }
+      }
+      
+      // Check if any of the found options are clickable
+      const hasClickableOption = dropdownCheck.options.some(opt => opt.isClickable);
+      
+      if (!hasClickableOption) {
+        logToFile(`⚠ Customer "${customerName}" found in dropdown but NOT clickable! Trying next customer.`);
+        dlog(`⚠ Customer "${customerName}" found in dropdown but NOT clickable! Trying next customer.`);
+        
+        // Take screenshot for debugging
+        await takeScreenshot(`customer-not-clickable-${customerNumber}`);
+        
+        // Retry with next customer - this is the case we want to retry for
+        if (customerNumber < MAX_CUSTOMER_RETRIES) {
+          logToFile(`⚠ Will try next customer (${customerNumber + 1}/${MAX_CUSTOMER_RETRIES})`);
+          dlog(`⚠ Will try next customer (${customerNumber + 1}/${MAX_CUSTOMER_RETRIES})`);
+          continue; // Try next customer
+        } else {
+          // Last attempt failed
+          throw bookingError('CUSTOMER_SELECTION_FAILED', `Customer "${customerName}" found but not clickable and no more customers to try (1-${MAX_CUSTOMER_RETRIES})`);
+        }
+      }
+      
+      // Log the options we found (limit text length for readability)
+      dropdownCheck.options.forEach((opt, i) => {
+        const textPreview = opt.text.length > 50 ? opt.text.substring(0, 50) + '...' : opt.text;
+        logToFile(`  Option ${i + 1}: "${textPreview}" at (${opt.x}, ${opt.y}), size: ${opt.width}x${opt.height}, tag: ${opt.tagName}, clickable: ${opt.isClickable}, inDropdown: ${opt.isInDropdown}`);
+      });
+      
+      // Try multiple methods to click the customer - prioritize smaller, clickable elements in dropdown
+      let customerSelected = false;
+      
+      // Method 1: Try clicking the smallest option that's in dropdown (most likely to be actual customer option)
+      if (dropdownCheck.options.length > 0) {
+        try {
+          // Prefer: 1) Smallest element, 2) In dropdown, 3) Clickable
+          const optionToClick = dropdownCheck.options.find(opt => opt.isInDropdown && opt.isClickable) ||
+                               dropdownCheck.options.find(opt => opt.isInDropdown) ||
+                               dropdownCheck.options.find(opt => opt.isClickable) ||
+                               dropdownCheck.options[0]; // Fallback to first (smallest after sorting)
+          
+          const textPreview = optionToClick.text.length > 50 ? optionToClick.text.substring(0, 50) + '...' : optionToClick.text;
+          dlog(`[CUSTOMER SELECTION] Method 1: Clicking customer option by coordinates: "${textPreview}" at (${optionToClick.x}, ${optionToClick.y}), size: ${optionToClick.width}x${optionToClick.height}`);
+          logToFile(`[CUSTOMER SELECTION] Method 1: Clicking "${textPreview}" at (${optionToClick.x}, ${optionToClick.y}), size: ${optionToClick.width}x${optionToClick.height}`);
+          
+          await page.mouse.click(optionToClick.x, optionToClick.y);
+          logClick('Select customer', `mouse.click(${optionToClick.x}, ${optionToClick.y})`, 'Puppeteer.mouse.click(coordinates)');
+          
+          // Wait for selection to register
+          await sleep(1000);
+          
+          // Verify the click worked - check if customer was actually selected (not just typed)
+          const clickVerified = await page.evaluate((match) => {
+            // Check if dropdown closed and customer name appears in a selected state
+            const inputs = Array.from(document.querySelectorAll('input'));
+            const matchesCustomer = (value) => match.digits
+              ? value.replace(/\D/g, '').includes(match.digits)
+              : value.toLowerCase().replace(/\s+/g, ' ').includes(match.text);
+            
+            for (const input of inputs) {
+              if (input.offsetParent === null) continue;
+              if (matchesCustomer((input.value || '').trim())) {
+                return true;
+              }
+            }
+            return false;
+          }, customerMatch).catch(() => false);
+          
+          if (clickVerified) {
+            customerSelected = true;
+            dlog(`✓ Customer selected using Method 1 (coordinates)`);
+            logToFile(`✓ Customer selected using Method 1 (coordinates)`);
+          } else {
+            // Input check might fail even if click worked - we'll check for BOOK button below
+            dlog(`⚠ Input check didn't confirm selection, but will check for BOOK button...`);
+            logToFile(`⚠ Input check didn't confirm selection, but will check for BOOK button...`);
+          }
+        } catch (e) {
+          dlog(`Method 1 failed: ${e?.message}`);
+          logToFile(`Method 1 failed: ${e?.message}`);
+        }
+      }
+      
+      // OPTIMIZED: Method 1 (coordinate click) works reliably - removed Methods 2 and 3 as they're not needed
+      // If Method 1 didn't work, we'll check for BOOK button anyway (which is the real indicator)
+      
+      // Even if customerSelected is false, wait and check for BOOK button
+      // The input value check might fail even if the customer was actually selected
+      // Wait a bit for selection to register and BOOK button to appear
+      await sleep(1500); // Optimized: reduced from 2500ms - BOOK button appears quickly after customer selection
+      
+      // Check if BOOK button appeared - this is the most reliable indicator
+      const bookButtonCheck = await page.evaluate(() => {
+        const bookButton = Array.from(document.querySelectorAll('button, [role="button"]')).find(btn => {
+          if (btn.offsetParent === null) return false;
+          const text = (btn.textContent || '').trim().toLowerCase();
+          return text.includes('book using credits') || text.includes('book using');
+        });
+        return bookButton !== undefined;
+      }).catch(() => false);
+      
+      if (bookButtonCheck) {
+        // BOOK button is visible - customer was definitely selected!
+        logToFile(`✓ BOOK USING CREDITS button is visible - customer selection confirmed despite input check failure!`);
+        dlog(`✓ BOOK USING CREDITS button is visible - customer selection confirmed!`);
+        customerSelected = true; // Set flag so we continue
+      } else if (!customerSelected) {
+        // No BOOK button and clicks didn't work - this is a real failure
+        logToFile(`❌ ERROR: Failed to select customer "${customerName}" using all methods!`);
+        logToFile(`  BOOK button not visible, and input check failed.`);
+        await takeScreenshot(`customer-selection-failed-${customerNumber}`);
+        
+        // Don't retry - if customer was found and clickable but clicking failed, that's a different issue
+        // We only retry when customer is found but NOT clickable (handled earlier)
+        throw bookingError('CUSTOMER_SELECTION_FAILED', `Failed to select customer "${customerName}" - all click methods failed. Customer was found but clicking failed.`);
+      }
+      
+      // Take screenshot immediately after clicking customer
+      await takeScreenshot('after-customer-click-attempt');
+      
+      // STRICT VALIDATION: Verify customer was actually SELECTED (not just typed)
+      // Check multiple indicators that customer was selected from dropdown
+      const customerSelectedCheck = await page.evaluate((match) => {
+        const results = {
+          customerInInput: false,
+          customerInputValue: null,
+          customerNameVisible: false,
+          bookButtonVisible: false,
+          dropdownClosed: false,
+          customerSelectedIndicator: false, // NEW: Check if customer was actually selected vs just typed
+          customerText: null,
+          bookButtonText: null
+        };
+        
+        const matchesCustomer = (value) => match.digits
+          ? value.replace(/\D/g, '').includes(match.digits)
+          : value.toLowerCase().replace(/\s+/g, ' ').includes(match.text);
+        
+        // Check 1: Customer name appears in input field
+        const inputs = Array.from(document.querySelectorAll('input'));
+        for (const input of inputs) {
+          if (input.offsetParent === null) continue;
+          const value = (input.value || '').trim();
+          if (matchesCustomer(value)) {
+            results.customerInInput = true;
+            results.customerInputValue = value;
+            results.customerText = value;
+            results.customerSelectedIndicator = true; // Full customer name suggests selection
+            break;
+          }
+        }
+        
+        // Check 2: Look for customer name in a selected/displayed state (not just in input)
+        // Check for elements that show the selected customer (usually a div or span near the input)
+        // CRITICAL: Must be near the input field and be a reasonable size (not entire page)
+        // Reuse inputs from Check 1
+        const customerInput = inputs.find(input => {
+          if (input.offsetParent === null) return false;
+          return matchesCustomer((input.value || '').trim());
+        });
+        
+        if (customerInput) {
+          const inputRect = customerInput.getBoundingClientRect();
+          const nearbyElements = Array.from(document.querySelectorAll('div, span, p, li'));
+          
+          for (const el of nearbyElements) {
+            if (el.offsetParent === null) continue;
+            const rect = el.getBoundingClientRect();
+            
+            // Must be near the input (within 200px horizontally, within 100px vertically)
+            const isNearInput = Math.abs(rect.left - inputRect.left) < 200 && 
+                               Math.abs(rect.top - inputRect.top) < 100;
+            
+            if (!isNearInput) continue;
+            
+            const text = (el.textContent || '').trim();
+            const textLower = text.toLowerCase();
+            
+            // Look for the customer name and must be SHORT (actual customer name, not entire page)
+            if (text.length > 100) continue; // Skip huge elements
+            
+            if (matchesCustomer(textLower)) {
+              // Check if this element is showing a selected customer (not in dropdown)
+              const isSelectedDisplay = !el.closest('[class*="dropdown"]') && 
+                                       !el.closest('[class*="autocomplete"]') &&
+                                       !el.closest('[class*="suggestion"]') &&
+                                       !el.closest('[class*="popover"]');
+              
+              // Must be reasonably sized (not entire page)
+              if (isSelectedDisplay && rect.width < 500 && rect.height < 100) {
+                results.customerNameVisible = true;
+                results.customerSelectedIndicator = true; // Found selected customer display near input
+                break; // Found one, stop searching
+              }
+            }
+          }
+        }
+        
+        // Check 3: "BOOK USING CREDITS" button appeared (strongest indicator - customer was selected)
+        const bookButton = Array.from(document.querySelectorAll('button, [role="button"]')).find(btn => {
+          if (btn.offsetParent === null) return false;
+          const text = (btn.textContent || '').trim().toLowerCase();
+          return text === 'book using credits' || text.includes('book using credits') || text.includes('book using');
+        });
+        
+        if (bookButton) {
+          results.bookButtonVisible = true;
+          results.bookButtonText = bookButton.textContent;
+          results.customerSelectedIndicator = true; // BOOK button = customer definitely selected
+        }
+        
+        // Check 4: Dropdown is closed (autocomplete dropdown should disappear after selection)
+        const dropdowns = Array.from(document.querySelectorAll('div[class*="dropdown"], div[class*="autocomplete"], div[class*="suggestion"]'));
+        const visibleDropdowns = dropdowns.filter(d => {
+          if (d.offsetParent === null) return false;
+          return matchesCustomer(d.textContent || '');
+        });
+        results.dropdownClosed = visibleDropdowns.length === 0;
+        
+        return results;
+      }, customerMatch).catch(() => ({
+        customerInInput: false,
+        customerInputValue: null,
+        customerNameVisible: false,
+        bookButtonVisible: false,
+        dropdownClosed: false,
+        customerSelectedIndicator: false,
+        customerText: null,
+        bookButtonText: null
+      }));
+      
+      // Log validation results
+      logToFile(`[CUSTOMER SELECTION VALIDATION]`);
+      logToFile(`  Customer in input: ${customerSelectedCheck.customerInInput} (value: "${customerSelectedCheck.customerInputValue || 'N/A'}")`);
+      logToFile(`  Customer name visible: ${customerSelectedCheck.customerNameVisible}`);
+      logToFile(`  BOOK USING CREDITS button visible: ${customerSelectedCheck.bookButtonVisible} (${customerSelectedCheck.bookButtonText || 'N/A'})`);
+      logToFile(`  Dropdown closed: ${customerSelectedCheck.dropdownClosed}`);
+      logToFile(`  Customer selected indicator: ${customerSelectedCheck.customerSelectedIndicator}`);
+      
+      dlog(`[CUSTOMER SELECTION VALIDATION]`);
+      dlog(`  Customer in input: ${customerSelectedCheck.customerInInput} (value: "${customerSelectedCheck.customerInputValue || 'N/A'}")`);
+      dlog(`  Customer name visible: ${customerSelectedCheck.customerNameVisible}`);
+      dlog(`  BOOK USING CREDITS button visible: ${customerSelectedCheck.bookButtonVisible}`);
+      dlog(`  Dropdown closed: ${customerSelectedCheck.dropdownClosed}`);
+      dlog(`  Customer selected indicator: ${customerSelectedCheck.customerSelectedIndicator}`);
+      
+      // OPTIMIZED: Simplified validation - BOOK button visibility is the most reliable indicator
+      // If BOOK button is visible, customer was definitely selected - continue
+      if (customerSelectedCheck.bookButtonVisible) {
+        logToFile(`✓ BOOK USING CREDITS button is visible - customer selection confirmed!`);
+        dlog(`✓ BOOK USING CREDITS button is visible - customer selection confirmed!`);
+        selectedCustomerName = customerName;
+        customerSelectedSuccessfully = true;
+      } else {
+        // BOOK button not visible yet - wait a bit more and check again
+        logToFile(`⚠ BOOK button not visible yet, waiting 1 second and checking again...`);
+        await sleep(1000);
+        
+        const finalBookButtonCheck = await page.evaluate(() => {
+          const bookButton = Array.from(document.querySelectorAll('button, [role="button"]')).find(btn => {
+            if (btn.offsetParent === null) return false;
+            const text = (btn.textContent || '').trim().toLowerCase();
+            return text.includes('book using credits') || text.includes('book using');
+          });
+          return bookButton !== undefined;
+        }).catch(() => false);
+        
+        if (finalBookButtonCheck) {
+          logToFile(`✓ BOOK button appeared after additional wait - customer selection confirmed!`);
+          selectedCustomerName = customerName;
+          customerSelectedSuccessfully = true;
+        } else {
+          // BOOK button still not visible - this is a real failure
+          logToFile(`❌ ERROR: BOOK USING CREDITS button not found after customer selection!`);
+          logToFile(`  Customer click may not have worked properly.`);
+          await takeScreenshot(`customer-selection-validation-failed-${customerNumber}`);
+          throw bookingError('CUSTOMER_SELECTION_FAILED', `Customer selection failed for "${customerName}" - BOOK USING CREDITS button not visible after click`);
+        }
+      }
+      
+      // Take screenshot after successful validation
+      await takeScreenshot(`after-customer-selection-validated-${customerName.replace(/\s+/g, '-')}`);
+      
+      // Check if booking was automatically triggered
+      const autoBookingCheck = await page.evaluate(() => {
+        const bodyText = document.body.textContent || '';
+        const hasSuccessNotification = bodyText.toLowerCase().includes('successfully booked') || 
+                                      bodyText.toLowerCase().includes('customer successfully booked');
+        const notifications = Array.from(document.querySelectorAll('[class*="notification"], [class*="toast"], [class*="alert"]'));
+        return {
+          hasSuccessNotification,
+          notificationCount: notifications.filter(n => n.offsetParent !== null).length,
+          notificationTexts: notifications.filter(n => n.offsetParent !== null).map(n => n.textContent?.substring(0, 50)).slice(0, 3)
+        };
+      }).catch(() => ({ hasSuccessNotification: false, notificationCount: 0, notificationTexts: [] }));
+      
+      if (autoBookingCheck.hasSuccessNotification || autoBookingCheck.notificationCount > 0) {
+        logToFile(`[WARNING] Booking notification detected immediately after customer selection! Notification count: ${autoBookingCheck.notificationCount}`);
+        logToFile(`[WARNING] Notification texts: ${autoBookingCheck.notificationTexts.join(', ')}`);
+      }
+      
+      const clicksAfter = run.clickCount;
+      const clicksMade = clicksAfter - clicksBefore;
+      const customerLogMsg = `[CUSTOMER SELECTION] Completed for "${selectedCustomerName || customerName}". Clicks made: ${clicksMade}, Total clicks so far: ${run.clickCount}`;
+      logToFile(customerLogMsg);
+      dlog(customerLogMsg);
+      if (clicksMade > 1) {
+        const warningMsg = `[WARNING] Multiple clicks detected during customer selection! Click count: ${clicksMade}`;
+        logToFile(warningMsg);
+        console.error(warningMsg);
+      }
+      await sleep(500); // Optimized: reduced from 1000ms
+      
+      // Break out of retry loop - we found a working customer
+      break;
+      } // End of customer selection logic (inside retry loop)
+      
+      // Check if we successfully selected a customer
+      if (!customerSelectedSuccessfully) {
+        throw bookingError(member ? 'CUSTOMER_SELECTION_FAILED' : 'CUSTOMER_POOL_EXHAUSTED',
+          `Failed to select any customer after ${MAX_CUSTOMER_RETRIES} attempts (${customerCandidates.join(', ')})`);
+      }
+      
+      if (member) {
+        selectedCustomerName = member.name || selectedCustomerName;
+      }
+      logToFile(`✓ Successfully selected customer: "${selectedCustomerName}"`);
+      dlog(`✓ Successfully selected customer: "${selectedCustomerName}"`);
+    });
+
+    // OPTIMIZED: Removed redundant "Wait for booking modal" step
+    // We already wait 1500ms after customer selection, and the BOOK button step will handle validation
+    
+
+    // The plan the booking is paid with: the requested one, or whatever Kenko preselected
+    let bookingPlan = null;
+
+    // Dry runs end before the first button that books anything: leave the
+    // dialog and report what was validated
+    const finishDryRun = async (validatedButton) => {
+      await step("Back out of booking dialog", () => backOutOfBookingDialog(flow));
+      await saveStoredSession(session, credentials);
+      if (!heldSession) {
+        await releaseSession(session, { reusable: true });
+      }
+      return {
+        ok: true,
+        dryRun: true,
+        message: `Dry run: ${selectedCustomerName} selected for ${targetDate} at ${targetTime}, stopped before "${validatedButton}"`,
+        customerName: selectedCustomerName,
+        plan: bookingPlan,
+        validatedButton,
+        ...(classCapacity ? { classCapacity } : {}),
+        chargeStepCompleted: false,
+        clickCount: run.clickCount,
+        clickLog: run.clickLog.slice(-20),
+        runId: run.id,
+        steps: run.steps,
+        ...(timing ? { timing } : {}),
+        ...(screenshots.length > 0 ? { screenshots } : {})
+      };
+    };
+
+    // Step 12: Select the plan (or read the preselected one) before confirming.
+    // The waitlist button sits where BOOK USING CREDITS would, so a requested
+    // plan is selected - or the run fails - before joining the waitlist too.
+    bookingPlan = await step(plan ? `Select plan "${plan}"` : "Read selected plan", () => selectBookingPlan(flow, plan));
+
+    // Full class: waitlist the selected customer instead of booking and charging
+    if (joinWaitlist) {
+      bookingSubmitted = !dryRun;
+      const waitlist = await step(dryRun ? "Find waitlist option (dry run)" : "Join waitlist", () =>
+        joinClassWaitlist(flow, { targetDate, targetTime, customerName: selectedCustomerName, dryRun }));
+      if (dryRun) {
+        return finishDryRun(waitlist.option);
+      }
+      if (externalRef) {
+        recordBookingRef({ email, gymName, externalRef, targetDate, targetTime, customerName: selectedCustomerName, runId: run.id });
+      }
+      if (customerPool) {
+        recordCustomerUsed(customerPool, selectedCustomerName);
+      }
+      await saveStoredSession(session, credentials);
+      if (!heldSession) {
+        await releaseSession(session, { reusable: true });
+      }
+      return {
+        ok: true,
+        waitlisted: true,
+        message: `Added ${selectedCustomerName} to the waitlist on ${targetDate} at ${targetTime}` +
+          (waitlist.position ? ` (position ${waitlist.position})` : ''),
+        customerName: selectedCustomerName,
+        plan: bookingPlan,
+        waitlistPosition: waitlist.position,
+        waitlistLength: waitlist.waitlistLength,
+        classCapacity,
+        chargeStepCompleted: false,
+        clickCount: run.clickCount,
+        clickLog: run.clickLog.slice(-20),
+        runId: run.id,
+        steps: run.steps,
+        ...(timing ? { timing } : {}),
+        ...(screenshots.length > 0 ? { screenshots } : {})
+      };
+    }
+
+    // Track whether we actually completed the charge step (required for successful booking)
+    let chargeStepCompleted = false;
+    let chargeAmount = null; // { amount, currency, text } read before clicking Charge
+    let dryRunButton = null; // Label of the validated BOOK button in dry runs
+
+    // Step 13: Click "BOOK USING CREDITS" button - this is the confirmation button
+    // Note: Based on the modal UI, this button appears directly after selecting customer
+    await step("Click BOOK USING CREDITS button", async () => {
+      logToFile(`[BOOK BUTTON] ==========================================`);
+      logToFile(`[BOOK BUTTON] Starting BOOK USING CREDITS click step`);
+      logToFile(`[BOOK BUTTON] Current click count: ${run.clickCount}`);
+      logToFile(`[BOOK BUTTON] ==========================================`);
+      dlog(`[BOOK BUTTON] Starting BOOK USING CREDITS click. Current click count: ${run.clickCount}`);
+      const clicksBefore = run.clickCount;
+      
+      // Take screenshot before looking for button
+      logToFile(`[BOOK BUTTON] Taking screenshot before looking for button...`);
+      await takeScreenshot('before-looking-for-book-button');
+      
+      // Wait a bit to ensure modal is fully loaded and BOOK button appears
+      // OPTIMIZED: Reduced from 3000ms since we already waited 500ms in previous step
+      logToFile(`[BOOK BUTTON] Waiting 1.5 seconds for modal to fully load...`);
+      await sleep(1500); // Optimized: reduced from 3000ms - total wait is now 2000ms (500ms + 1500ms) instead of 4000ms
+      logToFile(`[BOOK BUTTON] Wait complete, starting button search...`);
+      
+      // STRICT VALIDATION: Verify "BOOK USING CREDITS" button is visible before attempting to click
+      logToFile(`[BOOK BUTTON] Validating that BOOK USING CREDITS button is visible...`);
+      dlog(`Validating that BOOK USING CREDITS button is visible...`);
+      let bookButtonValidation;
+      try {
+        logToFile(`[BOOK BUTTON] Executing page.evaluate to find all buttons...`);
+        bookButtonValidation = await page.evaluate(() => {
+          const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
+          const bookButtons = [];
+          
+          for (const btn of buttons) {
+            if (btn.offsetParent === null) continue;
+            const text = (btn.textContent || '').trim();
+            const textLower = text.toLowerCase();
+            
+            if (textLower.includes('book using credits') || 
+                textLower.includes('book using') ||
+                textLower === 'book using credits') {
+              const rect = btn.getBoundingClientRect();
+              bookButtons.push({
+                text: text,
+                visible: true,
+                x: rect.left + rect.width / 2,
+                y: rect.top + rect.height / 2,
+                tagName: btn.tagName,
+                className: btn.className,
+                ariaLabel: btn.getAttribute('aria-label') || ''
+              });
+            }
+          }
+          
+          return {
+            found: bookButtons.length > 0,
+            count: bookButtons.length,
+            buttons: bookButtons
+          };
+        });
+        logToFile(`[BOOK BUTTON] page.evaluate completed successfully`);
+        logToFile(`[BOOK BUTTON] Validation result: found=${bookButtonValidation.found}, count=${bookButtonValidation.count}`);
+        if (bookButtonValidation.buttons.length > 0) {
+          logToFile(`[BOOK BUTTON] First button found: text="${bookButtonValidation.buttons[0].text}", x=${bookButtonValidation.buttons[0].x}, y=${bookButtonValidation.buttons[0].y}`);
+        }
+      } catch (e) {
+        logToFile(`[BOOK BUTTON] ❌ ERROR during BOOK button validation: ${e?.message}`);
+        logToFile(`[BOOK BUTTON] Error stack: ${e?.stack || 'No stack trace'}`);
+        dlog(`⚠ ERROR during BOOK button validation: ${e?.message}`);
+        bookButtonValidation = { found: false, count: 0, buttons: [] };
+      }
+      
+      logToFile(`[BOOK BUTTON] Checking if button was found...`);
+      if (!bookButtonValidation.found || bookButtonValidation.count === 0) {
+        logToFile(`❌ ERROR: BOOK USING CREDITS button NOT FOUND!`);
+        logToFile(`  Searched all buttons on page, found ${bookButtonValidation.count} matching buttons`);
+        
+        // Take screenshot of failure state
+        await takeScreenshot('book-button-not-found');
+        
+        // Log all visible buttons for debugging
+        const allButtons = await page.evaluate(() => {
+          const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
+          return buttons
+            .filter(btn => btn.offsetParent !== null)
+            .map(btn => ({
+              text: (btn.textContent || '').trim().substring(0, 50),
+              tagName: btn.tagName,
+              className: btn.className.substring(0, 50)
+            }))
+            .slice(0, 20); // First 20 buttons
+        }).catch(() => []);
+        
+        logToFile(`  Visible buttons on page (first 20):`);
+        allButtons.forEach((btn, i) => {
+          logToFile(`    ${i + 1}. "${btn.text}" (${btn.tagName}, ${btn.className})`);
+        });
+        
+        throw bookingError('BOOK_BUTTON_MISSING', `BOOK USING CREDITS button not found - cannot proceed with booking. Customer may not have been selected properly.`);
+      }
+      
+      logToFile(`[BOOK BUTTON] ✓ Button found!`);
+      logToFile(`[BOOK BUTTON] Button text: "${bookButtonValidation.buttons[0].text}"`);
+      logToFile(`[BOOK BUTTON] Button position: x=${bookButtonValidation.buttons[0].x}, y=${bookButtonValidation.buttons[0].y}`);
+      logToFile(`[BOOK BUTTON] Button tag: ${bookButtonValidation.buttons[0].tagName}`);
+      logToFile(`[BOOK BUTTON] Button class: ${bookButtonValidation.buttons[0].className}`);
+      logToFile(`[BOOK BUTTON] Button aria-label: ${bookButtonValidation.buttons[0].ariaLabel || 'none'}`);
+      dlog(`✓ BOOK USING CREDITS button found: "${bookButtonValidation.buttons[0].text}"`);
+      dlog(`  Button position: (${bookButtonValidation.buttons[0].x}, ${bookButtonValidation.buttons[0].y})`);
+      dlog(`  Button tag: ${bookButtonValidation.buttons[0].tagName}, class: ${bookButtonValidation.buttons[0].className}`);
+      
+      // Dry run: the button is validated - stop here without booking or charging
+      if (dryRun) {
+        await takeScreenshot('dry-run-book-button');
+        logToFile(`[DRY RUN] BOOK USING CREDITS validated - not clicking it`);
+        dryRunButton = bookButtonValidation.buttons[0].text;
+        return;
+      }
+      
+      // Use the validated button to click it directly by coordinates (most reliable)
+      logToFile(`[BOOK BUTTON] Attempting to click button using coordinates...`);
+      logToFile(`[BOOK BUTTON] Click coordinates: x=${bookButtonValidation.buttons[0].x}, y=${bookButtonValidation.buttons[0].y}`);
+      dlog(`Clicking BOOK USING CREDITS button using validated coordinates...`);
+      const validatedButton = bookButtonValidation.buttons[0];
+      
+      // OPTIMIZED: Coordinate click works reliably - no need for fallback methods
+      logToFile(`[BOOK BUTTON] Calling page.mouse.click(${validatedButton.x}, ${validatedButton.y})...`);
+      bookingSubmitted = true;
+      await page.mouse.click(validatedButton.x, validatedButton.y);
+      logToFile(`[BOOK BUTTON] ✓ page.mouse.click() completed successfully`);
+      logClick('BOOK USING CREDITS button', `mouse.click(${validatedButton.x}, ${validatedButton.y})`, 'Puppeteer.mouse.click(coordinates)');
+      dlog(`✓ Clicked BOOK USING CREDITS button using coordinates`);
+      
+      // OPTIMIZED: Reduced wait time - verification is quick
+      logToFile(`[BOOK BUTTON] Waiting 500ms after click attempt...`);
+      await sleep(500); // Optimized: reduced from 1000ms - verification happens quickly
+      
+      // Take screenshot after clicking
+      logToFile(`[BOOK BUTTON] Taking screenshot after click attempt...`);
+      await takeScreenshot('after-book-using-credits-click');
+      
+      // Verify button was clicked (button should disappear or modal should change)
+      logToFile(`[BOOK BUTTON] Verifying if click was successful...`);
+      const clickVerified = await page.evaluate(() => {
+        // Check if button still exists (should disappear after click)
+        const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
+        const bookButtonStillExists = buttons.some(btn => {
+          if (btn.offsetParent === null) return false;
+          const text = (btn.textContent || '').trim().toLowerCase();
+          return text.includes('book using credits');
+        });
+        
+        // Check if Charge button appeared (indicates we're on next step)
+        const chargeButton = buttons.find(btn => {
+          if (btn.offsetParent === null) return false;
+          const text = (btn.textContent || '').trim().toLowerCase();
+          return text.includes('charge');
+        });
+        
+        return {
+          buttonStillExists: bookButtonStillExists,
+          chargeButtonVisible: chargeButton !== undefined,
+          chargeButtonText: chargeButton ? chargeButton.textContent : null
+        };
+      }).catch((e) => {
+        logToFile(`[BOOK BUTTON] ❌ Error during click verification: ${e?.message}`);
+        return { buttonStillExists: true, chargeButtonVisible: false, chargeButtonText: null };
+      });
+      
+      logToFile(`[BOOK BUTTON] Click verification results:`);
+      logToFile(`[BOOK BUTTON]   - BOOK button still exists: ${clickVerified.buttonStillExists}`);
+      logToFile(`[BOOK BUTTON]   - Charge button visible: ${clickVerified.chargeButtonVisible}`);
+      logToFile(`[BOOK BUTTON]   - Charge button text: ${clickVerified.chargeButtonText || 'N/A'}`);
+      
+      if (clickVerified.chargeButtonVisible) {
+        logToFile(`[BOOK BUTTON] ✓ SUCCESS: Charge button is now visible - click worked!`);
+        logToFile(`✓ BOOK USING CREDITS button clicked successfully - Charge button is now visible`);
+        dlog(`✓ BOOK USING CREDITS button clicked successfully - Charge button is now visible: "${clickVerified.chargeButtonText}"`);
+      } else if (!clickVerified.buttonStillExists) {
+        logToFile(`[BOOK BUTTON] ✓ SUCCESS: BOOK button disappeared - click worked!`);
+        logToFile(`✓ BOOK USING CREDITS button clicked successfully - button disappeared`);
+        dlog(`✓ BOOK USING CREDITS button clicked successfully - button disappeared`);
+      } else {
+        logToFile(`[BOOK BUTTON] ⚠ WARNING: BOOK button still exists after click - may not have registered`);
+        logToFile(`⚠ WARNING: BOOK USING CREDITS button still exists after click - may not have registered`);
+        dlog(`⚠ WARNING: BOOK USING CREDITS button still exists after click`);
+        // Wait a bit more and check again
+        await sleep(1000);
+        const retryCheck = await page.evaluate(() => {
+          const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
+          return buttons.some(btn => {
+            if (btn.offsetParent === null) return false;
+            const text = (btn.textContent || '').trim().toLowerCase();
+            return text.includes('charge');
+          });
+        }).catch(() => false);
+        
+        if (!retryCheck) {
+          logToFile(`❌ ERROR: Charge button not found after clicking BOOK USING CREDITS - click may have failed`);
+          throw bookingError('CHARGE_MISSING', `BOOK USING CREDITS button click may have failed - Charge button not found`);
+        }
+      }
+      
+      // Log clicks made in this step
+      const clicksAfterBook = run.clickCount;
+      const clicksMade = clicksAfterBook - clicksBefore;
+      const bookButtonLogMsg = `[BOOK BUTTON] Completed. Clicks made in this step: ${clicksMade}, Total clicks so far: ${run.clickCount}`;
+      logToFile(bookButtonLogMsg);
+      dlog(bookButtonLogMsg);
+      if (clicksMade > 1) {
+        const warningMsg = `[WARNING] Multiple clicks detected on BOOK USING CREDITS button! Click count: ${clicksMade}`;
+        logToFile(warningMsg);
+        console.error(warningMsg);
+      }
+      
+      // Minimal wait for booking to be processed (optimized for speed)
+      await sleep(500);
+      
+      // Verify the booking was processed - check if booking completed
+      dlog(`Checking booking status after clicking BOOK USING CREDITS...`);
+      const bookingState = await page.evaluate(() => {
+        // Look for success messages
+        const bodyText = document.body.textContent || '';
+        const hasSuccess = bodyText.toLowerCase().includes('success') ||
+                           bodyText.toLowerCase().includes('booked') ||
+                           bodyText.toLowerCase().includes('confirmed');
+        
+        // Check if modal closed or if we're on a different screen
+        const modal = document.querySelector('[class*="modal"], [class*="dialog"], [class*="overlay"]');
+        const modalOpen = modal && modal.offsetParent !== null;
+        
+        return {
+          hasSuccess,
+          modalOpen
+        };
+      }).catch(() => ({ hasSuccess: false, modalOpen: true }));
+      
+      // DO NOT mark as successful here - we MUST complete the charge step
+      // Just return the booking state to continue to charge step
+      dlog(`✓ BOOK USING CREDITS clicked, proceeding to Charge step...`);
+      return bookingState;
+    });
+
+    if (dryRun) {
+      return finishDryRun(dryRunButton);
+    }
+
+    // Step 15: Click Charge button - REQUIRED for booking to be successful
+    await step("Click Charge", async () => {
+      dlog(`Looking for Charge button (REQUIRED for booking completion)...`);
+      
+      // Wait for Charge button to appear
+      await sleep(3000);
+      
+      // Check if Charge button is visible
+      const chargeButtonCheck = await page.evaluate(() => {
+        // Look for Charge button
+        const chargeButton = Array.from(document.querySelectorAll('button, [role="button"]')).find(btn => {
+          if (btn.offsetParent === null) return false;
+          const text = (btn.textContent || '').toLowerCase();
+          const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
+          return text.includes('charge') || ariaLabel.includes('charge');
+        });
+        
+        return {
+          found: chargeButton !== undefined,
+          visible: chargeButton !== undefined && chargeButton.offsetParent !== null,
+          text: chargeButton ? chargeButton.textContent : null
+        };
+      }).catch(() => ({ found: false, visible: false, text: null }));
+      
+      if (!chargeButtonCheck.visible) {
+        logToFile(`❌ ERROR: Charge button not found or not visible - booking cannot be completed!`);
+        dlog(`❌ ERROR: Charge button not found or not visible - booking cannot be completed!`);
+        throw bookingError('CHARGE_MISSING', `Charge button not found - booking cannot be finalized without completing charge step`);
+      }
+      
+      dlog(`✓ Charge button found: "${chargeButtonCheck.text}"`);
+      
+      // Price guard: never click Charge for more than maxCharge, or for an
+      // amount that can't be read
+      chargeAmount = await readChargeAmount(page);
+      logToFile(`[CHARGE] Amount: ${chargeAmount ? `${chargeAmount.currency} ${chargeAmount.amount} ("${chargeAmount.text}")` : 'unreadable'}, maxCharge: ${maxCharge}`);
+      if (!chargeAmount) {
+        await takeScreenshot('charge-amount-unreadable');
+        throw bookingError('CHARGE_AMOUNT_UNREADABLE', `Could not read the amount to charge - refusing to click Charge`);
+      }
+      if (chargeAmount.amount > maxCharge) {
+        await takeScreenshot('charge-above-limit');
+        throw bookingError('CHARGE_ABOVE_LIMIT',
+          `Charge of ${chargeAmount.currency} ${chargeAmount.amount} is above maxCharge (${maxCharge}) - refusing to click Charge`,
+          { charge: chargeAmount });
+      }
+      
+      // Click the Charge button
+      dlog(`Clicking Charge button...`);
+      await clickElement(page, [
+        '::-p-aria(Charge MX$ 0)',
+        'div.final-price-calculation-section > button',
+        '::-p-xpath(/html/body/web-app/ng-component/div/div/div[2]/div/div/ng-component/div[3]/app-floating-pos/div/div[2]/div[2]/div[2]/button)',
+        ':scope >>> div.final-price-calculation-section > button',
+        '::-p-text(Charge  MX$ 0)',
+        'button:has-text("Charge")'
+      ], { offset: { x: 108, y: 19.5 }, location: 'Charge button', debug: DEBUG });
+      if (timing) {
+        timing.chargeClickAt = new Date().toISOString();
+        timing.latencyMs = Date.parse(timing.chargeClickAt) - Date.parse(executeAt);
+        logToFile(`[RELEASE] Charge clicked ${timing.latencyMs}ms after executeAt`);
+      }
+      // Remembered as soon as Charge is clicked, so a retry that fails to see
+      // the confirmation still knows who was booked
+      if (externalRef) {
+        recordBookingRef({ email, gymName, externalRef, targetDate, targetTime, customerName: selectedCustomerName, runId: run.id });
+      }
+      
+      dlog(`✓ Charge button clicked, waiting for booking confirmation...`);
+      await sleep(2000); // Wait for booking to be processed
+      
+      // Verify booking was completed successfully
+      const bookingConfirmed = await page.evaluate(() => {
+        const bodyText = document.body.textContent || '';
+        const hasSuccess = bodyText.toLowerCase().includes('success') ||
+                           bodyText.toLowerCase().includes('booked') ||
+                           bodyText.toLowerCase().includes('confirmed');
+        
+        // Check for success notifications
+        const notifications = Array.from(document.querySelectorAll('[class*="notification"], [class*="toast"], [class*="alert"], [class*="success"]'));
+        const hasSuccessNotification = notifications.some(n => {
+          if (n.offsetParent === null) return false;
+          const text = (n.textContent || '').toLowerCase();
+          return text.includes('success') || text.includes('booked') || text.includes('confirmed');
+        });
+        
+        return { hasSuccess, hasSuccessNotification };
+      }).catch(() => ({ hasSuccess: false, hasSuccessNotification: false }));
+      
+      if (bookingConfirmed.hasSuccess || bookingConfirmed.hasSuccessNotification) {
+        chargeStepCompleted = true;
+        dlog(`✓ Booking confirmed after Charge step!`);
+        logToFile(`✓ Charge step completed successfully - booking is finalized`);
+      } else {
+        logToFile(`⚠ WARNING: Charge button clicked but no success confirmation found`);
+        dlog(`⚠ WARNING: Charge button clicked but no success confirmation found`);
+        // Still mark as completed if we clicked it (might be processing)
+        chargeStepCompleted = true;
+      }
+      
+      // Take screenshot after charge step
+      await takeScreenshot('after-charge-step');
+      
+      await sleep(2000);
+    });
+
+    // Step 16: Verify booking appears in reservations list
+    let bookingVerified = false;
+    let bookingFoundInReservations = false;
+    let reservationDetails = null;
+    
+    await step("Verify booking in reservations", async () => {
+      dlog(`Verifying booking appears in reservations list...`);
+      
+      try {
+        // Navigate to reservations page
+        // Common URLs: /reservations, /bookings, /appointments, /schedule
+        const possibleUrls = [
+          "https://partners.gokenko.com/reservations",
+          "https://partners.gokenko.com/bookings",
+          "https://partners.gokenko.com/appointments",
+          "https://partners.gokenko.com/schedule",
+          "https://partners.gokenko.com/dashboard/reservations"
+        ];
+        
+        let reservationsPageFound = false;
+        for (const url of possibleUrls) {
+          try {
+            dlog(`Trying to navigate to: ${url}`);
+            await page.goto(url, { waitUntil: 'networkidle2', timeout: 10000 });
+            await sleep(2000);
+            
+            // Check if we're on a valid reservations page
+            const pageTitle = await page.title().catch(() => '');
+            const pageUrl = page.url();
+            dlog(`  Page title: ${pageTitle}`);
+            dlog(`  Current URL: ${pageUrl}`);
+            
+            // Look for reservations/booking indicators
+            const hasReservationsContent = await page.evaluate(() => {
+              const bodyText = document.body.textContent || '';
+              return bodyText.toLowerCase().includes('reservation') ||
+                     bodyText.toLowerCase().includes('booking') ||
+                     bodyText.toLowerCase().includes('appointment') ||
+                     bodyText.toLowerCase().includes('schedule');
+            }).catch(() => false);
+            
+            if (hasReservationsContent || pageUrl.includes('reservation') || pageUrl.includes('booking')) {
+              reservationsPageFound = true;
+              dlog(`✓ Found reservations page at: ${url}`);
+              break;
+            }
+          } catch (e) {
+            dlog(`  Could not access ${url}: ${e?.message}`);
+            continue;
+          }
+        }
+        
+        if (!reservationsPageFound) {
+          dlog(`⚠ Could not find reservations page - trying to navigate from current page`);
+          // Try clicking on a reservations link if we're still logged in
+          try {
+            const reservationLinks = await page.$$('a[href*="reservation"], a[href*="booking"], a[href*="appointment"]');
+            if (reservationLinks.length > 0) {
+              dlog(`Found ${reservationLinks.length} reservation links, clicking first one...`);
+              await reservationLinks[0].click();
+              await sleep(3000);
+              reservationsPageFound = true;
+            }
+          } catch (e) {
+            dlog(`Could not navigate via links: ${e?.message}`);
+          }
+        }
+        
+        if (reservationsPageFound) {
+          // Wait for reservations list to load
+          await sleep(3000);
+          
+          // Search for the booking in the reservations list
+          // Look for the gym name, date, and time
+          const searchDate = new Date(targetDate).toLocaleDateString('en-US', { 
+            month: 'short', 
+            day: 'numeric',
+            year: 'numeric' 
+          });
+          
+          dlog(`Searching for booking with:`);
+          dlog(`  Gym: ${gymName}`);
+          dlog(`  Date: ${targetDate} (formatted: ${searchDate})`);
+          dlog(`  Time: ${targetTime}`);
+          
+          const bookingSearch = await page.evaluate((gymName, targetDate, targetTime, searchDate) => {
+            const bodyText = document.body.textContent || '';
+            const pageHTML = document.body.innerHTML || '';
+            
+            // Check if gym name appears
+            const hasGymName = bodyText.toLowerCase().includes(gymName.toLowerCase());
+            
+            // Check for date (try multiple formats)
+            const dateFormats = [
+              targetDate, // 2025-11-25
+              searchDate, // Nov 25, 2025
+              targetDate.replace(/-/g, '/'), // 2025/11/25
+              targetDate.split('-').reverse().join('/'), // 25/11/2025
+            ];
+            const hasDate = dateFormats.some(date => bodyText.includes(date));
+            
+            // Check for time
+            const hasTime = bodyText.toLowerCase().includes(targetTime.toLowerCase());
+            
+            // Try to find reservation elements
+            const reservationElements = Array.from(document.querySelectorAll(
+              'div[class*="reservation"], ' +
+              'div[class*="booking"], ' +
+              'div[class*="appointment"], ' +
+              'tr[class*="reservation"], ' +
+              'tr[class*="booking"], ' +
+              'li[class*="reservation"], ' +
+              'li[class*="booking"]'
+            ));
+            
+            // Check each reservation element for our booking details
+            let matchingReservation = null;
+            for (const element of reservationElements) {
+              const elementText = element.textContent || '';
+              const hasGym = elementText.toLowerCase().includes(gymName.toLowerCase());
+              const hasDateMatch = dateFormats.some(date => elementText.includes(date));
+              const hasTimeMatch = elementText.toLowerCase().includes(targetTime.toLowerCase());
+              
+              if (hasGym && (hasDateMatch || hasTimeMatch)) {
+                matchingReservation = {
+                  text: elementText.substring(0, 200),
+                  html: element.innerHTML.substring(0, 500)
+                };
+                break;
+              }
+            }
+            
+            return {
+              hasGymName,
+              hasDate,
+              hasTime,
+              hasAllDetails: hasGymName && hasDate && hasTime,
+              matchingReservation: matchingReservation,
+              pageText: bodyText.substring(0, 1000)
+            };
+          }, gymName, targetDate, targetTime, searchDate).catch(() => ({
+            hasGymName: false,
+            hasDate: false,
+            hasTime: false,
+            hasAllDetails: false,
+            matchingReservation: null,
+            pageText: ''
+          }));
+          
+          dlog(`Booking search results:`);
+          dlog(`  Has gym name: ${bookingSearch.hasGymName}`);
+          dlog(`  Has date: ${bookingSearch.hasDate}`);
+          dlog(`  Has time: ${bookingSearch.hasTime}`);
+          dlog(`  Has all details: ${bookingSearch.hasAllDetails}`);
+          
+          if (bookingSearch.matchingReservation) {
+            dlog(`✓ Found matching reservation element!`);
+            dlog(`  Reservation text: ${bookingSearch.matchingReservation.text.substring(0, 150)}`);
+            bookingFoundInReservations = true;
+            reservationDetails = bookingSearch.matchingReservation;
+          } else if (bookingSearch.hasAllDetails) {
+            dlog(`✓ Found all booking details on page (gym, date, time)`);
+            bookingFoundInReservations = true;
+            reservationDetails = { text: bookingSearch.pageText.substring(0, 300) };
+          } else {
+            dlog(`⚠ Booking details not found in reservations list`);
+            dlog(`  Page text preview: ${bookingSearch.pageText.substring(0, 200)}`);
+            
+            if (DEBUG) {
+              await page.screenshot({ path: '/tmp/reservations-page.png', fullPage: true });
+              dlog(`  Screenshot saved to /tmp/reservations-page.png`);
+            }
+          }
+        } else {
+          dlog(`⚠ Could not access reservations page to verify booking`);
+        }
+        
+        bookingVerified = true;
+      } catch (err) {
+        dlog(`⚠ Error verifying booking in reservations: ${err?.message}`);
+        dlog(`  Stack: ${err?.stack}`);
+        // Don't fail the whole booking if verification fails
+      }
+    });
+
+    // Keep the saved login fresh, then hand the browser back to the pool
+    await saveStoredSession(session, credentials);
+    if (!heldSession) {
+      await releaseSession(session, { reusable: true });
+    }
+
+    // Log final click summary
+    logToFile(`\n[CLICK SUMMARY] Total clicks performed: ${run.clickCount}`);
+    logToFile(`[CLICK SUMMARY] Click log entries: ${run.clickLog.length}`);
+    if (run.clickLog.length > 0) {
+      logToFile(`[CLICK SUMMARY] Last 10 clicks:`);
+      run.clickLog.slice(-10).forEach(log => {
+        logToFile(`  #${log.count} - ${log.location} (${log.method})`);
+      });
+    }
+    
+    // Only mark as successful if charge step was completed
+    if (!chargeStepCompleted) {
+      logToFile(`❌ ERROR: Booking failed - Charge step was not completed`);
+      return {
+        ok: false,
+        error: `Booking failed - Charge step was not completed. Booking cannot be finalized without completing the charge step.`,
+        code: 'CHARGE_NOT_COMPLETED',
+        failedStep: "Click Charge",
+        retryable: false,
+        clickCount: run.clickCount,
+        clickLog: run.clickLog.slice(-20),
+        runId: run.id,
+        steps: run.steps,
+        ...(timing ? { timing } : {}),
+        ...(screenshots.length > 0 ? { screenshots } : {})
+      };
+    }
+    
+    // Round-robin moves on only once the account was really booked
+    if (customerPool) {
+      recordCustomerUsed(customerPool, selectedCustomerName);
+    }
+    
+    return {
+      ok: true,
+      message: `Successfully booked class for ${selectedCustomerName} on ${targetDate} at ${targetTime}` +
+        (bookingPlan ? ` with ${bookingPlan}` : ''),
+      customerName: selectedCustomerName,
+      plan: bookingPlan,
+      charge: chargeAmount,
+      verified: bookingVerified,
+      foundInReservations: bookingFoundInReservations,
+      chargeStepCompleted: chargeStepCompleted,
+      clickCount: run.clickCount,
+      clickLog: run.clickLog.slice(-20), // Include last 20 clicks in response
+      runId: run.id,
+      steps: run.steps,
+      ...(reservationDetails ? { reservationDetails } : {}),
+      ...(timing ? { timing } : {}),
+      ...(screenshots.length > 0 ? { screenshots } : {})
+    };
+
+  } catch (err) {
+    const errorMessage = err?.message || String(err);
+    logToFile(`[ERROR] Booking failed: ${errorMessage}`);
+    logToFile(`[ERROR] Stack: ${err?.stack || 'No stack trace'}`);
+    console.error(`[ERROR] Booking failed: ${errorMessage}`);
+    
+    // A failed run never goes back to the pool - close the browser in the
+    // background (closeSession caps cleanup at 2 seconds)
+    if (!heldSession) {
+      releaseSession(session).catch(() => {});
+    }
+    
+    // Return error response immediately (don't wait for browser cleanup)
+    return {
+      ok: false,
+      error: errorMessage,
+      ...describeFailure(err, run, { submitted: bookingSubmitted }),
+      ...err?.details,
+      clickCount: run.clickCount,
+      clickLog: run.clickLog.slice(-20), // Include last 20 clicks in error response
+      runId: run.id,
+      steps: run.steps,
+      ...(timing ? { timing } : {}),
+      ...(screenshots.length > 0 ? { screenshots } : {})
+    };
+  }
+}
+
+// Cancels a customer's reservation - logs in like bookClass, opens the class
+// dialog and cancels the customer's row in its attendee list
+async function cancelBooking(options) {
+  return withRunContext(options, runCancelFlow);
+}
+
+async function runCancelFlow({
+  email,
+  password,
+  gymName,
+  targetDate, // Format: YYYY-MM-DD
+  targetTime, // Format: HH:mm or "8:00 am"
+  customer, // Name or email as shown in the attendee list
+  DEBUG = false
+}, run) {
+  logToFile(`[CANCEL START] Cancelling ${customer} at ${gymName} on ${targetDate} ${targetTime} (run ${run.id})`);
+
+  try {
+    const outcome = await withKenkoSession({ email, password, gymName, DEBUG }, run, async (flow) => {
+      const { page, step, takeScreenshot } = flow;
+
+      await step(`Navigate to date ${targetDate} and find class`, () => openClassDialog(flow, { targetDate, targetTime }));
+
+      const attendee = await step("Find customer in attendee list", async () => {
+        const attendees = await readAttendees(page);
+        logToFile(`[CANCEL] Attendee list: ${attendees.map(a => `${a.name} (${a.status})`).join(', ') || 'empty'}`);
+        const match = findAttendee(attendees, customer);
+        if (!match) {
+          await takeScreenshot('customer-not-in-attendees');
+          throw bookingError('NOT_BOOKED', `Customer "${customer}" is not booked in the class at ${targetTime} on ${targetDate}`);
+        }
+        return match;
+      });
+
+      await step(`Cancel reservation for ${attendee.name}`, () => cancelAttendee(flow, attendee));
+
+      return step("Verify cancellation", async () => {
+        const remaining = findAttendee(await readAttendees(page), customer);
+        if (remaining) {
+          await takeScreenshot('cancel-not-confirmed');
+          throw bookingError('CANCEL_FAILED', `"${attendee.name}" is still listed as ${remaining.status} after cancelling`);
+        }
+        return { customerName: attendee.name };
+      });
+    });
+
+    return {
+      ok: true,
+      message: `Cancelled booking for ${outcome.customerName} on ${targetDate} at ${targetTime}`,
+      cancelled: true,
+      customerName: outcome.customerName,
+      clickCount: run.clickCount,
+      clickLog: run.clickLog.slice(-20),
+      runId: run.id,
+      steps: run.steps,
+      screenshots: run.screenshots
+    };
+  } catch (err) {
+    const errorMessage = err?.message || String(err);
+    logToFile(`[ERROR] Cancel failed: ${errorMessage}`);
+    return {
+      ok: false,
+      error: errorMessage,
+      ...describeFailure(err, run),
+      cancelled: false,
+      clickCount: run.clickCount,
+      clickLog: run.clickLog.slice(-20),
+      runId: run.id,
+      steps: run.steps,
+      screenshots: run.screenshots
+    };
+  }
+}
+
+// Moves a booking: books the same customer into the new slot first and only
+// cancels the original once the new booking went through Charge. If the
+// original can't be cancelled the new booking is cancelled again, so the
+// customer never ends up with both or neither.
+async function rescheduleBooking(options) {
+  return withRunContext(options, runRescheduleFlow);
+}
+
+// Drops the run-wide fields from a sub-flow result - the combined result
+// carries them once
+const withoutRunFields = ({ clickCount, clickLog, runId, steps, screenshots, ...rest }) => rest;
+
+async function runRescheduleFlow({
+  email,
+  password,
+  gymName,
+  targetDate, // Original class, format: YYYY-MM-DD
+  targetTime, // Original class, format: HH:mm or "8:00 am"
+  customer, // Customer booked in the original class
+  newDate, // Format: YYYY-MM-DD
+  newTime, // Format: HH:mm or "8:00 am"
+  plan = null, // Plan for the new booking, as for POST /book
+  maxCharge = 0,
+  DEBUG = false,
+  backoff = sleep // Wait before retrying the new booking (jobs: outside their slot)
+}, run) {
+  logToFile(`[RESCHEDULE START] Moving ${customer} at ${gymName} from ${targetDate} ${targetTime} to ${newDate} ${newTime} (run ${run.id})`);
+  const credentials = { email, password, gymName, DEBUG };
+  const finish = (fields) => ({
+    ...fields,
+    clickCount: run.clickCount,
+    clickLog: run.clickLog.slice(-20),
+    runId: run.id,
+    steps: run.steps,
+    screenshots: run.screenshots
+  });
+
+  // The new class is booked for the customer being moved - never for the next
+  // pool account - so a customer that can't be booked stops the reschedule here.
+  // Transient failures are retried as for POST /book.
+  const booking = await runBookingWithRetries({
+    ...credentials, targetDate: newDate, targetTime: newTime, customer, plan, maxCharge, backoff
+  }, run);
+  if (!booking.ok || !booking.chargeStepCompleted) {
+    logToFile(`[RESCHEDULE] New booking did not complete - original booking left untouched`);
+    return finish({
+      ok: false,
+      error: `New booking failed, original booking kept: ${booking.error || 'Charge step was not completed'}`,
+      ...(booking.code ? { code: booking.code, failedStep: booking.failedStep, retryable: booking.retryable } : {}),
+      booking: withoutRunFields(booking),
+      cancellation: null,
+      rollback: null
+    });
+  }
+
+  const cancellation = await runCancelFlow({ ...credentials, targetDate, targetTime, customer }, run);
+  if (cancellation.ok) {
+    return finish({
+      ok: true,
+      message: `Rescheduled ${customer} from ${targetDate} at ${targetTime} to ${newDate} at ${newTime} (booked as ${booking.customerName})`,
+      booking: withoutRunFields(booking),
+      cancellation: withoutRunFields(cancellation),
+      rollback: null
+    });
+  }
+
+  logToFile(`[RESCHEDULE] Cancelling the original failed - rolling back the new booking for ${booking.customerName}`);
+  const rollback = await runCancelFlow({ ...credentials, targetDate: newDate, targetTime: newTime, customer: booking.customerName }, run);
+  return finish({
+    ok: false,
+    error: rollback.ok
+      ? `Could not cancel the original booking (${cancellation.error}); the new booking was rolled back`
+      : `Could not cancel the original booking (${cancellation.error}) and rolling back the new booking failed (${rollback.error}) - ${booking.customerName} is booked on ${newDate} at ${newTime} as well`,
+    booking: withoutRunFields(booking),
+    cancellation: withoutRunFields(cancellation),
+    rollback: withoutRunFields(rollback)
+  });
+}
+
+// Books several classes on one logged-in browser. Items run in order, each
+// with the full booking flow; a failed item doesn't stop the rest. Between
+// items the session is health-checked (which also brings it back to the
+// calendar) and only relaunched when the check fails or the gym changes.
+async function bookBatch(options) {
+  return withRunContext(options, runBatchBookingFlow);
+}
+
+async function runBatchBookingFlow({
+  email,
+  password,
+  gymName, // Default for items without their own gymName
+  items, // [{ gymName?, targetDate, targetTime }]
+  onFull = 'fail',
+  dryRun = false,
+  maxCharge = 0, // Price guard for every item, as for POST /book
+  DEBUG = false,
+  backoff = sleep // Wait before retrying an item (jobs: outside their slot)
+}, run) {
+  logToFile(`[BATCH START] Booking ${items.length} classes (run ${run.id})`);
+  const results = [];
+  let session = null;
+  let lastItemOk = false;
+
+  for (const [index, item] of items.entries()) {
+    const credentials = { email, password, gymName: item.gymName || gymName };
+    const { targetDate, targetTime } = item;
+    const firstStep = run.steps.length;
+    const firstScreenshot = run.screenshots.length;
+    logToFile(`[BATCH] Item ${index + 1}/${items.length}: ${credentials.gymName} on ${targetDate} at ${targetTime}`);
+
+    let result;
+    try {
+      if (session && (session.key !== sessionKey(credentials) || !(await isSessionHealthy(session)))) {
+        await releaseSession(session, { reusable: lastItemOk });
+        session = null;
+      }
+      // A browser that fails to launch is left to the item's own run below,
+      // which launches one itself and retries the launch failure
+      if (!session) {
+        session = await acquireSession({ ...credentials, DEBUG }).catch((err) => {
+          logToFile(`[BATCH] Could not open the shared session: ${err?.message || err}`);
+          return null;
+        });
+      }
+      // An item that fails transiently is retried as for POST /book. The shared
+      // session is closed before the retry, which runs on a browser of its own.
+      result = await runBookingWithRetries({
+        ...credentials, targetDate, targetTime, onFull, dryRun, maxCharge, DEBUG, session,
+        backoff: async (ms) => {
+          if (session) {
+            await releaseSession(session, { reusable: false });
+            session = null;
+          }
+          await backoff(ms);
+        }
+      }, run);
+    } catch (err) {
+      result = { ok: false, error: err?.message || String(err) };
+    }
+    lastItemOk = result.ok;
+
+    results.push({
+      index,
+      gymName: credentials.gymName,
+      targetDate,
+      targetTime,
+      ...withoutRunFields(result),
+      steps: run.steps.slice(firstStep),
+      screenshots: run.screenshots.slice(firstScreenshot).map(s => s.filename)
+    });
+  }
+
+  if (session) {
+    await releaseSession(session, { reusable: lastItemOk });
+  }
+
+  const succeeded = results.filter(r => r.ok).length;
+  const failed = results.length - succeeded;
+  logToFile(`[BATCH] Finished: ${succeeded} booked, ${failed} failed`);
+  return {
+    ok: failed === 0,
+    partial: succeeded > 0 && failed > 0,
+    message: `Booked ${succeeded} of ${results.length} classes`,
+    ...(failed > 0 ? { error: `${failed} of ${results.length} bookings failed` } : {}),
+    total: results.length,
+    succeeded,
+    failed,
+    items: results,
+    clickCount: run.clickCount,
+    clickLog: run.clickLog.slice(-20),
+    runId: run.id,
+    steps: run.steps,
+    screenshots: run.screenshots
+  };
+}
+
+// Booked/capacity of the class at targetTime on the open calendar day. Uses
+// the counts on the calendar event, or else clicks the event and reads the
+// "Booked N/M" line of its dialog.
+async function readClassAvailability(flow, { targetDate, targetTime }) {
+  const { page, dlog } = flow;
+  const wanted = parseClockTime(targetTime);
+  const classes = await listClassesOnPage(page);
+  const match = classes.find(c => {
+    const start = parseClockTime(c.startTime);
+    return start && start.hour === wanted.hour && start.minute === wanted.minute;
+  });
+  if (!match) {
+    throw bookingError('CLASS_NOT_FOUND', `Could not find class at ${targetTime} on ${targetDate}`);
+  }
+
+  let { booked, capacity } = match;
+  if (capacity === null) {
+    dlog(`Calendar shows no counts for ${match.name || targetTime} - reading the class dialog`);
+    await page.evaluate((selector, index) => {
+      document.querySelectorAll(selector)[index]?.click();
+    }, CALENDAR_EVENT_SELECTOR, match.element.index);
+    await sleep(1500);
+    const counts = await readClassDialogCapacity(page);
+    await page.keyboard.press('Escape').catch(() => {});
+    if (!counts) {
+      throw bookingError('CAPACITY_UNKNOWN', `Capacity of the class at ${targetTime} on ${targetDate} is not shown`);
+    }
+    ({ booked, capacity } = counts);
+  }
+  return { name: match.name, booked, capacity, available: booked < capacity };
+}
+
+// Watches a full class and books it once a spot opens. Each poll borrows a
+// browser slot (and a warm session) just for the check; between polls the
+// watch holds nothing. Ends when the booking succeeds, when a booking attempt
+// fails for any reason other than the spot being taken (or a retryable one),
+// at the deadline, when the class disappears, after WATCH_MAX_POLL_ERRORS
+// failed polls in a row, or when DELETE /watch/:id stops it.
+const WATCH_MIN_INTERVAL_MS = 30000;
+const WATCH_INTERVAL_MS = Math.max(WATCH_MIN_INTERVAL_MS, envInt('WATCH_INTERVAL_MS', 120000));
+const WATCH_MAX_POLL_ERRORS = 5;
+const WATCH_MAX_RUN_ENTRIES = 100; // Poll steps/clicks kept on the watch's run
+
+async function watchClass(options) {
+  return withRunContext(options, runWatchFlow);
+}
+
+async function runWatchFlow({
+  email,
+  password,
+  gymName,
+  targetDate, // Format: YYYY-MM-DD
+  targetTime, // Format: HH:mm or "8:00 am"
+  deadline, // ISO timestamp
+  intervalMs = WATCH_INTERVAL_MS,
+  customer = null, // Passed on to the booking, as for POST /book
+  plan = null,
+  maxCharge = 0,
+  externalRef = null,
+  DEBUG = false,
+  job // The watch job - polls queue for browser slots under it
+}, run) {
+  logToFile(`[WATCH START] Watching ${gymName} ${targetDate} ${targetTime} until ${deadline} (run ${run.id})`);
+  const credentials = { email, password, gymName, DEBUG };
+  const deadlineMs = Date.parse(deadline);
+  const watch = { polls: 0, lastCheckedAt: null, lastSeen: null, lastError: null, bookingAttempts: 0 };
+  const finish = (fields) => ({
+    ...fields,
+    watch,
+    clickCount: run.clickCount,
+    clickLog: run.clickLog.slice(-20),
+    runId: run.id,
+    steps: run.steps,
+    screenshots: run.screenshots
+  });
+  const withBookingSlot = async (fn) => {
+    await acquireBookingSlot(job);
+    try {
+      return await fn();
+    } finally {
+      releaseBookingSlot(job);
+    }
+  };
+
+  let pollErrors = 0;
+  while (Date.now() < deadlineMs && !job.stopRequested) {
+    watch.polls++;
+    watch.lastCheckedAt = new Date().toISOString();
+    try {
+      const seen = await withBookingSlot(() => withKenkoSession(credentials, run, (flow) =>
+        flow.step(`Check availability (poll ${watch.polls})`, async () => {
+          // Polls can run for days - keep their screenshots out of the run
+          const quiet = { ...flow, takeScreenshot: async () => null };
+          await navigateToDate(quiet, targetDate);
+          return readClassAvailability(quiet, { targetDate, targetTime });
+        })));
+      pollErrors = 0;
+      watch.lastSeen = seen;
+      watch.lastError = null;
+      logToFile(`[WATCH] Poll ${watch.polls}: ${seen.booked}/${seen.capacity} booked`);
+      emitRunProgress(run, 'watch', { polls: watch.polls, booked: seen.booked, capacity: seen.capacity });
+
+      if (seen.available) {
+        watch.bookingAttempts++;
+        logToFile(`[WATCH] Spot open - booking`);
+        // Each attempt gets a run of its own, so its result carries just its
+        // steps, clicks and screenshots; log lines and progress still reach the watch
+        const attemptRun = { ...createRunContext({ onProgress: run.onProgress }), logLines: run.logLines };
+        const booking = await withBookingSlot(() => runStorage.run(attemptRun, () => runBookingWithRetries({
+          ...credentials, targetDate, targetTime, customer, plan, maxCharge, externalRef,
+          backoff: (ms) => sleepOutsideBookingSlot(job, ms)
+        }, attemptRun)));
+        if (booking.ok) {
+          return { ...booking, watch, message: `${booking.message} (spot opened after ${watch.polls} polls)` };
+        }
+        // Only a spot taken by someone else, or a failure before anything was
+        // booked, is worth another try. Anything else - a charge that may have
+        // gone through, a member already booked, a price above maxCharge -
+        // would fail again or book twice.
+        if (booking.code !== 'CLASS_FULL' && !booking.retryable) {
+          logToFile(`[WATCH] Booking attempt failed with ${booking.code} - stopping the watch`);
+          return { ...booking, watch };
+        }
+        watch.lastError = booking.error;
+        logToFile(`[WATCH] Booking attempt failed with ${booking.code}, still watching: ${booking.error}`);
+      }
+    } catch (err) {
+      const errorMessage = err?.message || String(err);
+      watch.lastError = errorMessage;
+      logToFile(`[WATCH] Poll ${watch.polls} failed: ${errorMessage}`);
+      if (err?.code === 'CLASS_NOT_FOUND') {
+        return finish({ ok: false, error: errorMessage, ...describeFailure(err, run) });
+      }
+      if (++pollErrors >= WATCH_MAX_POLL_ERRORS) {
+        return finish({ ok: false, error: `Watch stopped after ${pollErrors} failed polls in a row: ${errorMessage}` });
+      }
+    }
+
+    // A watch can poll for days - keep only the latest poll steps and clicks
+    run.steps.splice(0, run.steps.length - WATCH_MAX_RUN_ENTRIES);
+    run.clickLog.splice(0, run.clickLog.length - WATCH_MAX_RUN_ENTRIES);
+
+    const resumeAt = Math.min(Date.now() + intervalMs, deadlineMs);
+    while (Date.now() < resumeAt && !job.stopRequested) {
+      await sleep(Math.min(1000, resumeAt - Date.now()));
+    }
+  }
+
+  if (job.stopRequested) {
+    return finish({ ok: false, stopped: true, error: "Watch stopped before a spot opened" });
+  }
+  return finish({ ok: false, expired: true, error: `No spot opened in the class at ${targetTime} on ${targetDate} before ${deadline}` });
+}
+
+// Opens each date in Day view in turn and scrapes its classes
+async function scrapeDays(flow, dates) {
+  const days = [];
+  for (const date of dates) {
+    const classes = await flow.step(`List classes on ${date}`, async () => {
+      await navigateToDate(flow, date);
+      return listClassesOnPage(flow.page);
+    });
+    logToFile(`[CLASSES] Found ${classes.length} classes on ${date}`);
+    days.push({ date, classes });
+  }
+  return days;
+}
+
+// Class list for one date - logs in like bookClass, opens the date in Day view
+// and scrapes every class on it
+async function listClasses(options) {
+  return withRunContext(options, runClassListFlow);
+}
+
+async function runClassListFlow({
+  email,
+  password,
+  gymName,
+  date, // Format: YYYY-MM-DD
+  DEBUG = false
+}, run) {
+  logToFile(`[CLASSES START] Listing classes at ${gymName} on ${date} (run ${run.id})`);
+
+  try {
+    const [{ classes }] = await withKenkoSession({ email, password, gymName, DEBUG }, run,
+      (flow) => scrapeDays(flow, [date]));
+    return {
+      ok: true,
+      gymName,
+      date,
+      count: classes.length,
+      classes,
+      runId: run.id,
+      steps: run.steps,
+      screenshots: run.screenshots
+    };
+  } catch (err) {
+    const errorMessage = err?.message || String(err);
+    logToFile(`[ERROR] Class list failed: ${errorMessage}`);
+    return {
+      ok: false,
+      error: errorMessage,
+      ...describeFailure(err, run),
+      runId: run.id,
+      steps: run.steps,
+      screenshots: run.screenshots
+    };
+  }
+}
+
+// Timetable for a date range - one login, then every day from `from` to `to`
+async function listSchedule(options) {
+  return withRunContext(options, runScheduleFlow);
+}
+
+async function runScheduleFlow({
+  email,
+  password,
+  gymName,
+  from, // Format: YYYY-MM-DD
+  to, // Format: YYYY-MM-DD (inclusive)
+  DEBUG = false
+}, run) {
+  logToFile(`[SCHEDULE START] Listing classes at ${gymName} from ${from} to ${to} (run ${run.id})`);
+
+  try {
+    const days = await withKenkoSession({ email, password, gymName, DEBUG }, run,
+      (flow) => scrapeDays(flow, datesBetween(from, to)));
+    return {
+      ok: true,
+      gymName,
+      from,
+      to,
+      count: days.reduce((n, d) => n + d.classes.length, 0),
+      days,
+      runId: run.id,
+      steps: run.steps,
+      screenshots: run.screenshots
+    };
+  } catch (err) {
+    const errorMessage = err?.message || String(err);
+    logToFile(`[ERROR] Schedule failed: ${errorMessage}`);
+    return {
+      ok: false,
+      error: errorMessage,
+      ...describeFailure(err, run),
+      runId: run.id,
+      steps: run.steps,
+      screenshots: run.screenshots
+    };
+  }
+}
+
+// Every YYYY-MM-DD from `from` to `to`, inclusive
+const datesBetween = (from, to) => {
+  const dates = [];
+  for (let t = Date.parse(`${from}T00:00:00Z`); t <= Date.parse(`${to}T00:00:00Z`); t += 24 * 60 * 60 * 1000) {
+    dates.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return dates;
+};
+
+// Health check endpoint - must respond quickly for Railway healthcheck
+// This MUST be defined before server.listen() is called
+app.get("/", (_req, res) => {
+  console.log("Healthcheck endpoint hit");
+  res.status(200).send("✅ Booking scraper API online");
+});
+
+// Additional healthcheck endpoint for Railway
+app.get("/health", (_req, res) => {
+  console.log("Health endpoint hit");
+  res.status(200).json({
+    status: "ok",
+    timestamp: new Date().toISOString(),
+    bookings: {
+      active: bookingSlots.active,
+      queued: bookingSlots.waiting.length,
+      maxConcurrent: MAX_CONCURRENT_BOOKINGS,
+      maxQueue: MAX_QUEUE_LENGTH
+    },
+    sessions: {
+      idle: idleSessions.size,
+      poolSize: SESSION_POOL_SIZE
+    }
+  });
+});
+
+// Screenshot filenames carry the run ID: screenshot-<runId>-<name>-<timestamp>.png
+// (files from before run IDs existed have none)
+const screenshotRunId = (filename) => filename.match(/^screenshot-([0-9a-f]{12})-/)?.[1] || null;
+
+// Screenshot files in /tmp, optionally limited to one run
+const listScreenshotFiles = (runId) =>
+  fs.readdirSync(LOG_DIR)
+    .filter(f => f.startsWith('screenshot-') && f.endsWith('.png'))
+    .filter(f => !runId || screenshotRunId(f) === runId);
+
+// Screenshot endpoints - serve screenshots from /tmp directory
+// ?runId= limits the list to one booking run
+app.get("/screenshots", (req, res) => {
+  try {
+    const runId = req.query.runId || null;
+    const files = listScreenshotFiles(runId)
+      .sort()
+      .reverse(); // Most recent first
+    res.json({ 
+      screenshots: files,
+      count: files.length,
+      directory: LOG_DIR,
+      ...(runId ? { runId } : {})
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/screenshots/:filename", (req, res) => {
+  const filename = req.params.filename;
+  // Security: only allow screenshot files
+  if (!filename.startsWith('screenshot-') || !filename.endsWith('.png')) {
+    return res.status(400).json({ error: "Invalid filename" });
+  }
+  
+  const filePath = path.join(LOG_DIR, filename);
+  
+  if (fs.existsSync(filePath)) {
+    res.sendFile(filePath);
+  } else {
+    res.status(404).json({ error: "Screenshot not found" });
+  }
+});
+
+// HTML viewer for screenshots - displays all screenshots in chronological order
+// ?runId= shows a single booking run
+app.get("/view-screenshots", (req, res) => {
+  try {
+    const runId = /^[0-9a-f]{12}$/.test(req.query.runId || '') ? req.query.runId : null;
+    const files = listScreenshotFiles(runId)
+      .map(f => {
+        // Extract timestamp from filename: screenshot-name-2025-11-25T13-56-01-947Z.png
+        const timestampMatch = f.match(/(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)/);
+        const timestamp = timestampMatch ? timestampMatch[1].replace(/-/g, ':').replace('T', ' ').replace(/:\d{3}Z$/, '') : null;
+        // Extract step name: screenshot-<runId>-before-date-navigation-2025-11-25T13-56-01-947Z.png
+        // Remove 'screenshot-' prefix, run ID and timestamp suffix
+        const fileRunId = screenshotRunId(f);
+        let stepName = f.replace('screenshot-', '').replace(fileRunId ? `${fileRunId}-` : '', '').replace(/-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.png$/, '').replace('.png', '');
+        // Replace hyphens with spaces and capitalize words
+        stepName = stepName.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+        return {
+          filename: f,
+          stepName: stepName || 'Screenshot',
+          runId: fileRunId,
+          timestamp: timestamp,
+          sortKey: timestampMatch ? timestampMatch[1] : f // Use timestamp for sorting, fallback to filename
+        };
+      })
+      .sort((a, b) => a.sortKey.localeCompare(b.sortKey)); // Sort chronologically (oldest first)
+    
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Screenshot Viewer - Booking Progress</title>
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      background: #1a1a1a;
+      color: #e0e0e0;
+      padding: 20px;
+    }
+    .header {
+      background: #2a2a2a;
+      padding: 20px;
+      border-radius: 8px;
+      margin-bottom: 20px;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+    }
+    h1 {
+      color: #4a9eff;
+      margin-bottom: 10px;
+    }
+    .info {
+      color: #aaa;
+      font-size: 14px;
+    }
+    .screenshot-container {
+      background: #2a2a2a;
+      border-radius: 8px;
+      padding: 20px;
+      margin-bottom: 30px;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+      break-inside: avoid;
+    }
+    .screenshot-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 15px;
+      padding-bottom: 10px;
+      border-bottom: 1px solid #444;
+    }
+    .screenshot-title {
+      font-size: 18px;
+      font-weight: 600;
+      color: #4a9eff;
+      text-transform: capitalize;
+    }
+    .screenshot-meta {
+      font-size: 12px;
+      color: #888;
+    }
+    .screenshot-image {
+      width: 100%;
+      max-width: 100%;
+      height: auto;
+      border-radius: 4px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.5);
+      cursor: pointer;
+      transition: transform 0.2s;
+    }
+    .screenshot-image:hover {
+      transform: scale(1.02);
+    }
+    .screenshot-image:active {
+      transform: scale(0.98);
+    }
+    .progress-bar {
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      height: 4px;
+      background: #333;
+      z-index: 1000;
+    }
+    .progress-fill {
+      height: 100%;
+      background: linear-gradient(90deg, #4a9eff, #00d4ff);
+      transition: width 0.3s;
+    }
+    .step-number {
+      display: inline-block;
+      background: #4a9eff;
+      color: white;
+      width: 28px;
+      height: 28px;
+      border-radius: 50%;
+      text-align: center;
+      line-height: 28px;
+      font-size: 14px;
+      font-weight: bold;
+      margin-right: 10px;
+    }
+    .empty-state {
+      text-align: center;
+      padding: 60px 20px;
+      color: #888;
+    }
+    .empty-state h2 {
+      color: #666;
+      margin-bottom: 10px;
+    }
+  </style>
+</head>
+<body>
+  <div class="progress-bar">
+    <div class="progress-fill" id="progressFill" style="width: 0%"></div>
+  </div>
+  
+  <div class="header">
+    <h1>📸 Screenshot Viewer</h1>
+    <div class="info">
+      ${runId ? `Run: ${runId} | <a href="/view-screenshots" style="color: #4a9eff; text-decoration: none;">All runs</a> | ` : ''}
+      Total screenshots: ${files.length} | 
+      <a href="/screenshots${runId ? `?runId=${runId}` : ''}" style="color: #4a9eff; text-decoration: none;">JSON API</a> | 
+      <button onclick="location.reload()" style="background: #4a9eff; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; margin-left: 10px;">🔄 Refresh</button>
+    </div>
+  </div>
+  
+  ${files.length === 0 ? `
+    <div class="empty-state">
+      <h2>No screenshots found</h2>
+      <p>Run a booking test to generate screenshots</p>
+    </div>
+  ` : files.map((file, index) => `
+    <div class="screenshot-container">
+      <div class="screenshot-header">
+        <div>
+          <span class="step-number">${index + 1}</span>
+          <span class="screenshot-title">${file.stepName}</span>
+        </div>
+        <div class="screenshot-meta">
+          ${file.runId && !runId ? `<a href="/view-screenshots?runId=${file.runId}" style="color: #888;">run ${file.runId}</a> · ` : ''}${file.timestamp || 'No timestamp'}
+        </div>
+      </div>
+      <img 
+        src="/screenshots/${file.filename}" 
+        alt="${file.stepName}"
+        class="screenshot-image"
+        onclick="window.open(this.src, '_blank')"
+        loading="lazy"
+        onload="updateProgress(${index + 1}, ${files.length})"
+      />
+    </div>
+  `).join('')}
+  
+  <script>
+    function updateProgress(loaded, total) {
+      const percentage = (loaded / total) * 100;
+      document.getElementById('progressFill').style.width = percentage + '%';
+    }
+    
+    // Scroll to top on load
+    window.scrollTo(0, 0);
+    
+    // Auto-refresh every 30 seconds if on Railway
+    if (window.location.hostname.includes('railway')) {
+      setTimeout(() => location.reload(), 30000);
+    }
+  </script>
+</body>
+</html>`;
+    
+    res.setHeader('Content-Type', 'text/html');
+    res.send(html);
+  } catch (e) {
+    res.status(500).send(`<html><body><h1>Error</h1><p>${e.message}</p></body></html>`);
+  }
+});
+
+// Webhook delivery - POSTs a JSON payload signed with HMAC-SHA256, retrying
+// non-2xx responses and network errors with exponential backoff
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, envInt('WEBHOOK_MAX_ATTEMPTS', 6));
+const WEBHOOK_BASE_DELAY_MS = Math.max(0, envInt('WEBHOOK_BASE_DELAY_MS', 2000));
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Callbacks are POSTed from inside the server's network, so they only go to
+// https URLs on public hosts - never localhost, private ranges or cloud
+// metadata addresses. WEBHOOK_ALLOWED_HOSTS (comma-separated) narrows that
+// further to the listed host names.
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const isValidCallbackUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    return false;
+  }
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (url.protocol !== 'https:' || url.username || url.password) return false;
+  if (WEBHOOK_ALLOWED_HOSTS.length > 0) return WEBHOOK_ALLOWED_HOSTS.includes(host);
+  if (net.isIP(host)) return !isPrivateAddress(host);
+  return host.includes('.') && !/(^|\.)(localhost|local|internal|localdomain)$/.test(host);
+};
+
+// A host name that passed isValidCallbackUrl can still resolve to a private
+// address, so it is looked up again right before every delivery
+const resolvesToPublicHost = async (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return !isPrivateAddress(host);
+  const addresses = await dns.lookup(host, { all: true });
+  return addresses.length > 0 && addresses.every(({ address }) => !isPrivateAddress(address));
+};
+
+const signWebhookBody = (body, secret) =>
+  crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+// delivery is updated in place so callers can expose its progress
+async function deliverWebhook(delivery, payload, secret) {
+  const body = JSON.stringify(payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'booking-railway-api',
+    'X-Booking-Event': payload.event
+  };
+  if (secret) {
+    headers['X-Booking-Signature'] = `sha256=${signWebhookBody(body, secret)}`;
+  }
 
-    // Browser may already be closed if booking completed successfully
-    // Only close here if it wasn't closed earlier (safe to call multiple times)
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    delivery.attempts = attempt;
     try {
-      await page.close().catch(() => {});
-    } catch (e) {
-      // Page may already be closed
+      if (!(await resolvesToPublicHost(new URL(delivery.url).hostname))) {
+        delivery.lastError = 'Callback host resolves to a private address - not delivering';
+        logToFile(`[WEBHOOK] ${delivery.lastError}: ${delivery.url}`);
+        return delivery;
+      }
+      // Redirects are not followed - they could point back into the network
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      delivery.lastStatus = response.status;
+      if (response.ok) {
+        delivery.delivered = true;
+        delivery.deliveredAt = new Date().toISOString();
+        delivery.lastError = null;
+        logToFile(`[WEBHOOK] Delivered ${payload.event} to ${delivery.url} (attempt ${attempt}, status ${response.status})`);
+        return delivery;
+      }
+      delivery.lastError = `HTTP ${response.status}`;
+    } catch (err) {
+      delivery.lastError = err?.message || String(err);
     }
-    try {
-      await browser.close().catch(() => {});
-    } catch (e) {
-      // Browser may already be closed
+
+    logToFile(`[WEBHOOK] Attempt ${attempt}/${WEBHOOK_MAX_ATTEMPTS} to ${delivery.url} failed: ${delivery.lastError}`);
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+      await sleep(WEBHOOK_BASE_DELAY_MS * 2 ** (attempt - 1));
     }
+  }
 
-    // Log final click summary
-    logToFile(`\n[CLICK SUMMARY] Total clicks performed: ${clickCounter}`);
-    logToFile(`[CLICK SUMMARY] Click log entries: ${clickLog.length}`);
-    if (clickLog.length > 0) {
-      logToFile(`[CLICK SUMMARY] Last 10 clicks:`);
-      clickLog.slice(-10).forEach(log => {
-        logToFile(`  #${log.count} - ${log.location} (${log.method})`);
+  logToFile(`[WEBHOOK] Giving up on ${delivery.url} after ${WEBHOOK_MAX_ATTEMPTS} attempts`);
+  return delivery;
+}
+
+// Booking jobs - POST /book enqueues a job, GET /jobs/:id reports its outcome
+// Jobs live in memory only; finished jobs are pruned after JOB_TTL_MS
+const JOB_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_JOB_EVENTS = 500; // Replay buffer for late progress subscribers
+const jobs = new Map();
+
+// Each job type maps to the routine that performs it, given the job's run context
+// (and the job itself, for runners that manage their own browser slots)
+const JOB_RUNNERS = {
+  book: (params, run, job) => bookClass({ ...params, run, backoff: (ms) => sleepOutsideBookingSlot(job, ms) }),
+  classes: (params, run) => listClasses({ ...params, run }),
+  schedule: (params, run) => listSchedule({ ...params, run }),
+  cancel: (params, run) => cancelBooking({ ...params, run }),
+  reschedule: (params, run, job) => rescheduleBooking({ ...params, run, backoff: (ms) => sleepOutsideBookingSlot(job, ms) }),
+  batch: (params, run, job) => bookBatch({ ...params, run, backoff: (ms) => sleepOutsideBookingSlot(job, ms) }),
+  watch: (params, run, job) => watchClass({ ...params, run, job })
+};
+
+// Store screenshot filenames only - the base64 data is too heavy to keep around
+const summarizeResult = (result) => {
+  const { screenshots, ...rest } = result || {};
+  return {
+    ...rest,
+    screenshots: (screenshots || []).map(s => s.filename)
+  };
+};
+
+const pruneJobs = () => {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && now - Date.parse(job.finishedAt) > JOB_TTL_MS) {
+      jobs.delete(id);
+    }
+  }
+};
+
+// options.callback = { url, secret } registers a completion webhook
+const createJob = (type, params, options = {}) => {
+  pruneJobs();
+  pruneIdempotencyKeys();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: "queued",
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    params,
+    result: null,
+    error: null,
+    currentStep: null,
+    run: null,
+    events: [],
+    emitter: new EventEmitter(),
+    callback: options.callback
+      ? { url: options.callback.url, attempts: 0, delivered: false, deliveredAt: null, lastStatus: null, lastError: null }
+      : null,
+    callbackSecret: options.callback?.secret || process.env.WEBHOOK_SECRET || null
+  };
+  jobs.set(job.id, job);
+  pushJobEvent(job, { type: 'status', at: job.createdAt, status: job.status });
+  logToFile(`[JOB] ${job.id} queued (${type})`);
+  return job;
+};
+
+// Record a progress event on the job and relay it to live subscribers
+const pushJobEvent = (job, event) => {
+  if (event.type === 'step' && event.phase === 'start') {
+    job.currentStep = event.label;
+  }
+  job.events.push(event);
+  if (job.events.length > MAX_JOB_EVENTS) {
+    job.events.shift();
+  }
+  job.emitter.emit('event', event);
+};
+
+const setJobStatus = (job, status) => {
+  job.status = status;
+  pushJobEvent(job, { type: 'status', at: new Date().toISOString(), status });
+};
+
+// Runs the job and resolves with the raw result (including screenshot data)
+const runJob = async (job) => {
+  setJobStatus(job, "running");
+  job.startedAt = new Date().toISOString();
+  job.run = createRunContext({ onProgress: (event) => pushJobEvent(job, event) });
+  logToFile(`[JOB] ${job.id} running as run ${job.run.id}`);
+  let result;
+  try {
+    result = await JOB_RUNNERS[job.type](job.params, job.run, job);
+    job.result = summarizeResult(result);
+    job.status = result.ok ? "succeeded" : "failed";
+  } catch (err) {
+    job.error = String(err?.message || err);
+    job.status = "failed";
+    result = { ok: false, error: job.error, ...describeFailure(err, job.run) };
+    job.result = result;
+  }
+  job.finishedAt = new Date().toISOString();
+  job.currentStep = null;
+  // Keep the run's ID and log lines for /jobs/:id/logs, but not its screenshot data
+  job.run = { id: job.run.id, logLines: job.run.logLines };
+  logToFile(`[JOB] ${job.id} ${job.status}`);
+  pushJobEvent(job, { type: 'done', at: job.finishedAt, status: job.status, ok: !!result.ok });
+  if (job.callback) {
+    deliverWebhook(job.callback, { event: 'job.finished', job: serializeJob(job) }, job.callbackSecret)
+      .catch((err) => logToFile(`[WEBHOOK] Delivery error for job ${job.id}: ${err?.message || err}`));
+  }
+  return result;
+};
+
+const isJobFinished = (job) => job.status === "succeeded" || job.status === "failed";
+
+// Booking concurrency - every run launches its own Chromium, so only
+// MAX_CONCURRENT_BOOKINGS run at once and the rest wait in a FIFO queue.
+// POST /book is refused with 503 once MAX_QUEUE_LENGTH jobs are waiting.
+const MAX_CONCURRENT_BOOKINGS = Math.max(1, envInt('MAX_CONCURRENT_BOOKINGS', 2));
+const MAX_QUEUE_LENGTH = Math.max(0, envInt('MAX_QUEUE_LENGTH', 20));
+const bookingSlots = {
+  active: 0,
+  waiting: [], // [{ job, resolve }] in arrival order
+  averageRunMs: 60000 // Rolling estimate used for Retry-After
+};
+
+const acquireBookingSlot = (job) => {
+  if (bookingSlots.active < MAX_CONCURRENT_BOOKINGS) {
+    bookingSlots.active++;
+    return Promise.resolve();
+  }
+  logToFile(`[QUEUE] ${job.id} waiting for a browser slot (position ${bookingSlots.waiting.length + 1})`);
+  return new Promise((resolve) => {
+    bookingSlots.waiting.push({ job, resolve });
+    pushJobEvent(job, { type: 'queue', at: new Date().toISOString(), queuePosition: bookingSlots.waiting.length });
+  });
+};
+
+// Hands the slot straight to the next queued job, if any
+const releaseBookingSlot = (job) => {
+  if (job.startedAt && job.finishedAt) {
+    const runMs = Date.parse(job.finishedAt) - Date.parse(job.startedAt);
+    bookingSlots.averageRunMs = Math.round(bookingSlots.averageRunMs * 0.8 + runMs * 0.2);
+  }
+  const next = bookingSlots.waiting.shift();
+  if (next) {
+    next.resolve();
+    const at = new Date().toISOString();
+    bookingSlots.waiting.forEach((w, i) => pushJobEvent(w.job, { type: 'queue', at, queuePosition: i + 1 }));
+  } else {
+    bookingSlots.active--;
+  }
+};
+
+// Gives the job's slot to the next queued job for ms (a retry backoff), then
+// queues for a slot again
+const sleepOutsideBookingSlot = async (job, ms) => {
+  releaseBookingSlot(job);
+  await sleep(ms);
+  await acquireBookingSlot(job);
+};
+
+// 1-based position in the queue, or null once the job has a slot
+const queuePositionOf = (job) => {
+  const index = bookingSlots.waiting.findIndex(w => w.job === job);
+  return index === -1 ? null : index + 1;
+};
+
+const isBookingQueueFull = () => bookingSlots.waiting.length >= MAX_QUEUE_LENGTH;
+
+// Roughly how long until a queue slot frees up
+const retryAfterSeconds = () =>
+  Math.max(1, Math.ceil(bookingSlots.averageRunMs / MAX_CONCURRENT_BOOKINGS / 1000));
+
+// Answers 503 + Retry-After when the queue can't take another job
+const rejectWhenQueueFull = (req, res) => {
+  if (!isBookingQueueFull()) return false;
+  const retryAfter = retryAfterSeconds();
+  logToFile(`[QUEUE] Booking queue full (${bookingSlots.waiting.length} waiting), rejecting ${req.method} ${req.path}`);
+  res.set('Retry-After', String(retryAfter));
+  res.status(503).json({
+    ok: false,
+    error: "Booking queue is full, try again later",
+    queueLength: bookingSlots.waiting.length,
+    retryAfter
+  });
+  return true;
+};
+
+// Queues the job for a browser slot and runs it; job.settled lets other
+// requests wait on it without holding on to the raw result
+const startJob = (job) => {
+  const completion = acquireBookingSlot(job)
+    .then(() => runJob(job))
+    .finally(() => releaseBookingSlot(job));
+  job.settled = completion.then(() => undefined, () => undefined);
+  return completion;
+};
+
+// Like startJob, but the job only joins the queue at startAt (epoch ms) and
+// reports "scheduled" until then
+const startJobAt = (job, startAt) => {
+  setJobStatus(job, "scheduled");
+  logToFile(`[JOB] ${job.id} scheduled to start at ${new Date(startAt).toISOString()}`);
+  const completion = sleep(Math.max(0, startAt - Date.now())).then(() => {
+    setJobStatus(job, "queued");
+    return startJob(job);
+  });
+  job.settled = completion.then(() => undefined, () => undefined);
+  return completion;
+};
+
+// Idempotency - a retried POST /book within the window gets the original job
+// back instead of launching a second browser (and consuming another customer).
+// The key comes from the Idempotency-Key header, or is derived from the booking
+// itself when the header is missing. Failed jobs release their key.
+const IDEMPOTENCY_WINDOW_MS = Math.max(0, envInt('IDEMPOTENCY_WINDOW_MS', 15 * 60 * 1000));
+const idempotencyKeys = new Map();
+
+// A member booking is a different booking from a pool booking of the same
+// class, and so is a booking for a different externalRef
+const bookingFingerprint = ({ email, gymName, targetDate, targetTime, customer, externalRef }) => {
+  const member = customer ? normalizeCustomer(customer) : null;
+  return [
+    email, gymName, targetDate, targetTime,
+    ...(member ? [customerSearchTerm(member)] : []),
+    ...(externalRef ? [`ref:${externalRef}`] : [])
+  ]
+    .map(v => String(v).trim().toLowerCase().replace(/\s+/g, ' '))
+    .join('|');
+};
+
+const idempotencyKeyFor = (headerKey, fingerprint) => {
+  const raw = headerKey ? `header:${headerKey}` : `derived:${fingerprint}`;
+  return crypto.createHash('sha256').update(raw).digest('hex');
+};
+
+// Returns the job still holding this key, if any
+const findIdempotentJob = (key) => {
+  const entry = idempotencyKeys.get(key);
+  if (!entry) return null;
+  const job = jobs.get(entry.jobId);
+  const expired = !job || job.status === "failed" ||
+    (job.finishedAt && Date.now() - Date.parse(job.finishedAt) > IDEMPOTENCY_WINDOW_MS);
+  if (expired) {
+    idempotencyKeys.delete(key);
+    return null;
+  }
+  return { job, fingerprint: entry.fingerprint };
+};
+
+const pruneIdempotencyKeys = () => {
+  for (const key of idempotencyKeys.keys()) {
+    findIdempotentJob(key);
+  }
+};
+
+// Public view of a job - never echo the partner password back
+const serializeJob = (job) => {
+  const { password, ...request } = job.params;
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    currentStep: job.currentStep,
+    ...(job.status === "queued" ? { queuePosition: queuePositionOf(job) } : {}),
+    runId: job.run?.id || null,
+    request,
+    result: job.result,
+    error: job.error,
+    ...(job.callback ? { callback: job.callback } : {})
+  };
+};
+
+app.get("/jobs/:id", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ ok: false, error: "Job not found" });
+  }
+  res.json(serializeJob(job));
+});
+
+// Log lines of the job's booking run (empty until the job starts)
+app.get("/jobs/:id/logs", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ ok: false, error: "Job not found" });
+  }
+  res.json({
+    jobId: job.id,
+    runId: job.run?.id || null,
+    status: job.status,
+    lines: job.run?.logLines || []
+  });
+});
+
+// Server-Sent Events stream of a job's progress: step start/finish/fail,
+// clicks and screenshots as they happen, ending with a "done" event
+app.get("/jobs/:id/events", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ ok: false, error: "Job not found" });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+
+  // Replay what already happened so late subscribers can draw the full progress bar
+  job.events.forEach(send);
+  if (isJobFinished(job)) {
+    return res.end();
+  }
+
+  const listener = (event) => {
+    send(event);
+    if (event.type === 'done') {
+      cleanup();
+      res.end();
+    }
+  };
+  // Keep proxies from closing an idle stream during long waits
+  const heartbeat = setInterval(() => res.write(`: ping\n\n`), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    job.emitter.off('event', listener);
+  };
+  job.emitter.on('event', listener);
+  req.on('close', cleanup);
+});
+
+// Answers a freshly started job: 202 + jobId straight away, or with "wait"
+// the final result (500 on failure, 207 when a batch partly succeeded),
+// falling back to 202 after 55 seconds
+const respondWithJob = async (res, job, completion, { wait = false, label = "Job" } = {}) => {
+  const statusUrl = `/jobs/${job.id}`;
+
+  if (!wait) {
+    return res.status(202).json({
+      ok: true,
+      jobId: job.id,
+      status: job.status,
+      queuePosition: queuePositionOf(job),
+      statusUrl
+    });
+  }
+
+  const done = { sent: false };
+  const watchdog = setTimeout(() => {
+    if (!done.sent) {
+      done.sent = true;
+      res.status(202).json({
+        ok: false,
+        pending: true,
+        jobId: job.id,
+        status: job.status,
+        queuePosition: queuePositionOf(job),
+        statusUrl,
+        message: "Job still running; poll statusUrl for the result."
       });
     }
-    
-    // Only mark as successful if charge step was completed
-    if (!chargeStepCompleted) {
-      logToFile(`❌ ERROR: Booking failed - Charge step was not completed`);
-      return {
+  }, 55000);
+
+  const result = await completion;
+
+  if (!done.sent) {
+    clearTimeout(watchdog);
+    done.sent = true;
+    if (result.ok) {
+      console.log(`[RESPONSE] ${label} successful: ${result.message}`);
+      return res.json({ ...result, jobId: job.id });
+    }
+    console.log(`[RESPONSE] ${label} failed: ${result.code ? `[${result.code}] ` : ''}${result.error}`);
+    console.log(`[RESPONSE] Screenshots: ${result.screenshots?.length || 0}`);
+    console.log(`[RESPONSE] Click count: ${result.clickCount || 0}`);
+    return res.status(result.partial ? 207 : statusForResult(result)).json({ ...result, jobId: job.id });
+  } else {
+    // Response already sent by watchdog - the outcome is available on the job
+    // (and delivered to callbackUrl when one was given)
+    console.log(`[RESPONSE] Job ${job.id} finished after watchdog fired: ${job.status}`);
+  }
+};
+
+// executeAt jobs are kept in memory until they run, so they are capped
+const MAX_EXECUTE_AT_MS = 7 * 24 * 60 * 60 * 1000;
+const ON_FULL_OPTIONS = ["fail", "waitlist"];
+
+// Who and how to book - POST /book's customer, plan, maxCharge and
+// externalRef - checked and normalized into job params. Endpoints that book
+// through the same flow take them too. Returns { error } for a bad field.
+const readBookingOptions = ({ customer, plan, maxCharge = 0, externalRef } = {}) => {
+  const member = customer != null ? normalizeCustomer(customer) : null;
+  if (customer != null && !member) {
+    return { error: "customer must be a name, email or phone, or an object with name, email and/or phone" };
+  }
+  if (plan != null && (typeof plan !== 'string' || !plan.trim())) {
+    return { error: "plan must be the name (or part of the name) of a plan" };
+  }
+  if (typeof maxCharge !== 'number' || !Number.isFinite(maxCharge) || maxCharge < 0) {
+    return { error: "maxCharge must be a number (0 or more)" };
+  }
+  if (externalRef != null && (typeof externalRef !== 'string' || !externalRef.trim() || externalRef.length > 200)) {
+    return { error: "externalRef must be a non-empty string of at most 200 characters" };
+  }
+  return {
+    options: {
+      ...(member ? { customer: member } : {}),
+      ...(plan ? { plan: plan.trim() } : {}),
+      maxCharge,
+      ...(externalRef ? { externalRef: externalRef.trim() } : {})
+    }
+  };
+};
+
+// Booking endpoint
+// Returns 202 with a job ID straight away; pass "wait": true to hold the
+// connection until the booking finishes (the 55s watchdog still applies).
+// Repeats within the idempotency window return the original job.
+app.post("/book", async (req, res) => {
+  console.log(`[REQ] POST /book body=`, JSON.stringify(req.body || {}));
+
+  const {
+    email,
+    password,
+    gymName,
+    targetDate, // Format: YYYY-MM-DD
+    targetTime, // Format: HH:mm or "8:00 am"
+    debug = false,
+    wait = false,
+    executeAt, // ISO timestamp to click the class and charge at
+    onFull = "fail", // "fail" or "waitlist"
+    dryRun = false, // Stop before BOOK USING CREDITS / Charge
+    // Also read: customer, plan, maxCharge, externalRef (see readBookingOptions)
+    callbackUrl,
+    callbackSecret
+  } = req.body || {};
+
+  if (!email || !password || !gymName || !targetDate || !targetTime) {
+    return res.status(400).json({
+      ok: false,
+      error: "Missing required fields: email, password, gymName, targetDate, targetTime"
+    });
+  }
+
+  if (!ON_FULL_OPTIONS.includes(onFull)) {
+    return res.status(400).json({ ok: false, error: `onFull must be one of: ${ON_FULL_OPTIONS.join(', ')}` });
+  }
+
+  const { options: bookingOptions, error: optionsError } = readBookingOptions(req.body);
+  if (optionsError) {
+    return res.status(400).json({ ok: false, error: optionsError });
+  }
+
+  if (executeAt !== undefined) {
+    const releaseAt = Date.parse(executeAt);
+    if (Number.isNaN(releaseAt) || releaseAt < Date.now() || releaseAt - Date.now() > MAX_EXECUTE_AT_MS) {
+      return res.status(400).json({
         ok: false,
-        error: `Booking failed - Charge step was not completed. Booking cannot be finalized without completing the charge step.`,
-        clickCount: clickCounter,
-        clickLog: clickLog.slice(-20),
-        ...(screenshots.length > 0 ? { screenshots } : {})
-      };
+        error: `executeAt must be an ISO timestamp in the next ${MAX_EXECUTE_AT_MS / (24 * 60 * 60 * 1000)} days`
+      });
     }
-    
-    return {
+  }
+
+  if (callbackUrl && !isValidCallbackUrl(callbackUrl)) {
+    return res.status(400).json({
+      ok: false,
+      error: "callbackUrl must be an https URL on a public host"
+    });
+  }
+
+  const headerKey = req.get('Idempotency-Key');
+  // A dry run must never stand in for the real booking
+  const fingerprint = bookingFingerprint({ email, gymName, targetDate, targetTime, ...bookingOptions }) + (dryRun ? '|dry-run' : '');
+  const idempotencyKey = idempotencyKeyFor(headerKey, fingerprint);
+  const existing = findIdempotentJob(idempotencyKey);
+
+  if (existing && existing.fingerprint !== fingerprint) {
+    return res.status(422).json({
+      ok: false,
+      error: "Idempotency-Key was already used for a different booking"
+    });
+  }
+
+  if (existing) {
+    const { job } = existing;
+    logToFile(`[IDEMPOTENCY] Replaying job ${job.id} for repeated POST /book`);
+    res.set('Idempotent-Replayed', 'true');
+    if (wait) {
+      await settleWithin(job.settled, 55000);
+    }
+    const finished = isJobFinished(job);
+    return res.status(finished ? 200 : 202).json({
       ok: true,
-      message: `Successfully booked class for ${selectedCustomerName || CUSTOMER_NAME} on ${targetDate} at ${targetTime}`,
-      verified: bookingVerified,
-      foundInReservations: bookingFoundInReservations,
-      chargeStepCompleted: chargeStepCompleted,
-      clickCount: clickCounter,
-      clickLog: clickLog.slice(-20), // Include last 20 clicks in response
-      ...(reservationDetails ? { reservationDetails } : {}),
-      ...(screenshots.length > 0 ? { screenshots } : {})
-    };
+      idempotentReplay: true,
+      jobId: job.id,
+      status: job.status,
+      ...(job.status === "queued" ? { queuePosition: queuePositionOf(job) } : {}),
+      statusUrl: `/jobs/${job.id}`,
+      ...(finished ? { result: job.result } : {})
+    });
+  }
+
+  // Release-time bookings join the queue later, so only a booking that
+  // starts now is turned away by a full queue
+  if (!executeAt && rejectWhenQueueFull(req, res)) return;
+
+  const job = createJob("book", {
+    email,
+    password,
+    gymName,
+    targetDate,
+    targetTime,
+    ...(executeAt ? { executeAt: new Date(executeAt).toISOString() } : {}),
+    onFull,
+    dryRun: !!dryRun,
+    ...bookingOptions,
+    DEBUG: !!debug
+  }, {
+    callback: callbackUrl ? { url: callbackUrl, secret: callbackSecret } : null
+  });
+  idempotencyKeys.set(idempotencyKey, { jobId: job.id, fingerprint });
+  const completion = executeAt
+    ? startJobAt(job, Date.parse(executeAt) - EXECUTE_AT_LEAD_MS)
+    : startJob(job);
+  return respondWithJob(res, job, completion, { wait, label: "Booking" });
+});
+
+// The class and customer of an earlier successful booking job, for requests
+// that refer to it by `bookingJobId` (only for the account that booked it)
+const findBookingJob = (bookingJobId, email) => {
+  const job = jobs.get(bookingJobId);
+  if (!job || job.type !== "book" || job.params.email !== email) {
+    return { status: 404, error: "Booking job not found" };
+  }
+  if (job.status !== "succeeded") {
+    return { status: 409, error: `Booking job is ${job.status}, nothing to cancel` };
+  }
+  const { gymName, targetDate, targetTime } = job.params;
+  return { gymName, targetDate, targetTime, customer: job.result?.customerName };
+};
+
+// Cancel endpoint - runs as a "cancel" job in the booking queue and answers
+// like POST /book. `bookingJobId` fills in the class and customer of an
+// earlier successful booking job for the same account.
+app.post("/cancel", async (req, res) => {
+  console.log(`[REQ] POST /cancel body=`, JSON.stringify({ ...(req.body || {}), password: undefined }));
+
+  const {
+    email,
+    password,
+    bookingJobId,
+    debug = false,
+    wait = false,
+    callbackUrl,
+    callbackSecret
+  } = req.body || {};
+  let { gymName, targetDate, targetTime, customer } = req.body || {};
+
+  if (bookingJobId) {
+    const booking = findBookingJob(bookingJobId, email);
+    if (booking.error) {
+      return res.status(booking.status).json({ ok: false, error: booking.error });
+    }
+    gymName = gymName || booking.gymName;
+    targetDate = targetDate || booking.targetDate;
+    targetTime = targetTime || booking.targetTime;
+    customer = customer || booking.customer;
+  }
+
+  if (!email || !password || !gymName || !targetDate || !targetTime || !customer) {
+    return res.status(400).json({
+      ok: false,
+      error: "Missing required fields: email, password, gymName, targetDate, targetTime, customer (or bookingJobId)"
+    });
+  }
+
+  if (callbackUrl && !isValidCallbackUrl(callbackUrl)) {
+    return res.status(400).json({
+      ok: false,
+      error: "callbackUrl must be an https URL on a public host"
+    });
+  }
+
+  if (rejectWhenQueueFull(req, res)) return;
+
+  const job = createJob("cancel", {
+    email,
+    password,
+    gymName,
+    targetDate,
+    targetTime,
+    customer,
+    DEBUG: !!debug
+  }, {
+    callback: callbackUrl ? { url: callbackUrl, secret: callbackSecret } : null
+  });
+  return respondWithJob(res, job, startJob(job), { wait, label: "Cancel" });
+});
+
+// Reschedule endpoint - one "reschedule" job that books newDate/newTime and
+// then cancels the original class (see runRescheduleFlow for the rollback)
+app.post("/reschedule", async (req, res) => {
+  console.log(`[REQ] POST /reschedule body=`, JSON.stringify({ ...(req.body || {}), password: undefined }));
+
+  const {
+    email,
+    password,
+    bookingJobId,
+    newDate, // Format: YYYY-MM-DD
+    newTime, // Format: HH:mm or "8:00 am"
+    plan, // For the new booking, as for POST /book
+    maxCharge = 0,
+    debug = false,
+    wait = false,
+    callbackUrl,
+    callbackSecret
+  } = req.body || {};
+  let { gymName, targetDate, targetTime, customer } = req.body || {};
+
+  if (bookingJobId) {
+    const booking = findBookingJob(bookingJobId, email);
+    if (booking.error) {
+      return res.status(booking.status).json({ ok: false, error: booking.error });
+    }
+    gymName = gymName || booking.gymName;
+    targetDate = targetDate || booking.targetDate;
+    targetTime = targetTime || booking.targetTime;
+    customer = customer || booking.customer;
+  }
+
+  if (!email || !password || !gymName || !targetDate || !targetTime || !customer || !newDate || !newTime) {
+    return res.status(400).json({
+      ok: false,
+      error: "Missing required fields: email, password, gymName, targetDate, targetTime, customer (or bookingJobId), newDate, newTime"
+    });
+  }
+
+  if ([targetDate, targetTime, newDate, newTime].some(value => typeof value !== 'string')) {
+    return res.status(400).json({ ok: false, error: "targetDate, targetTime, newDate and newTime must be strings" });
+  }
+
+  if (newDate === targetDate && newTime.trim().toLowerCase() === targetTime.trim().toLowerCase()) {
+    return res.status(400).json({ ok: false, error: "newDate/newTime is the class already booked" });
+  }
 
-  } catch (err) {
-    const errorMessage = err?.message || String(err);
-    logToFile(`[ERROR] Booking failed: ${errorMessage}`);
-    logToFile(`[ERROR] Stack: ${err?.stack || 'No stack trace'}`);
-    console.error(`[ERROR] Booking failed: ${errorMessage}`);
-    
-    // Close browser in background (don't wait for it) - response must be sent immediately
-    const closeBrowser = async () => {
-      try {
-        // Use Promise.race with timeout to ensure we don't hang
-        await Promise.race([
-          Promise.all([
-            page.close().catch(() => {}),
-            browser.close().catch(() => {})
-          ]),
-          new Promise(resolve => setTimeout(resolve, 2000)) // Max 2 seconds for cleanup
-        ]);
-      } catch (e) {
-        // Ignore all errors - we've already logged the main error
-      }
-    };
-    
-    // Don't await - let it run in background
-    closeBrowser().catch(() => {});
-    
-    // Return error response immediately (don't wait for browser cleanup)
-    return {
+  // The new class is booked as this customer, so it has to be one the search can find
+  if (typeof customer !== 'string' || !normalizeCustomer(customer)) {
+    return res.status(400).json({ ok: false, error: "customer must be the name, email or phone of the booked customer" });
+  }
+
+  const { options: bookingOptions, error: optionsError } = readBookingOptions({ plan, maxCharge });
+  if (optionsError) {
+    return res.status(400).json({ ok: false, error: optionsError });
+  }
+
+  if (callbackUrl && !isValidCallbackUrl(callbackUrl)) {
+    return res.status(400).json({
       ok: false,
-      error: errorMessage,
-      clickCount: clickCounter,
-      clickLog: clickLog.slice(-20), // Include last 20 clicks in error response
-      ...(screenshots.length > 0 ? { screenshots } : {})
-    };
+      error: "callbackUrl must be an https URL on a public host"
+    });
   }
-}
 
-// Health check endpoint - must respond quickly for Railway healthcheck
-// This MUST be defined before server.listen() is called
-app.get("/", (_req, res) => {
-  console.log("Healthcheck endpoint hit");
-  res.status(200).send("✅ Booking scraper API online");
-});
+  if (rejectWhenQueueFull(req, res)) return;
 
-// Additional healthcheck endpoint for Railway
-app.get("/health", (_req, res) => {
-  console.log("Health endpoint hit");
-  res.status(200).json({ status: "ok", timestamp: new Date().toISOString() });
+  const job = createJob("reschedule", {
+    email,
+    password,
+    gymName,
+    targetDate,
+    targetTime,
+    customer,
+    newDate,
+    newTime,
+    ...bookingOptions,
+    DEBUG: !!debug
+  }, {
+    callback: callbackUrl ? { url: callbackUrl, secret: callbackSecret } : null
+  });
+  return respondWithJob(res, job, startJob(job), { wait, label: "Reschedule" });
 });
 
-// Screenshot endpoints - serve screenshots from /tmp directory
-app.get("/screenshots", (req, res) => {
-  try {
-    const files = fs.readdirSync(LOG_DIR)
-      .filter(f => f.startsWith('screenshot-') && f.endsWith('.png'))
-      .sort()
-      .reverse(); // Most recent first
-    res.json({ 
-      screenshots: files,
-      count: files.length,
-      directory: LOG_DIR
+// Batch booking endpoint - one "batch" job books every item in order on a
+// single logged-in browser; the result reports each item separately
+const MAX_BATCH_ITEMS = Math.max(1, envInt('MAX_BATCH_ITEMS', 14));
+
+app.post("/book/batch", async (req, res) => {
+  console.log(`[REQ] POST /book/batch body=`, JSON.stringify({ ...(req.body || {}), password: undefined }));
+
+  const {
+    email,
+    password,
+    gymName,
+    items,
+    onFull = "fail", // Applies to every item
+    dryRun = false, // Applies to every item
+    maxCharge = 0, // Applies to every item
+    debug = false,
+    wait = false,
+    callbackUrl,
+    callbackSecret
+  } = req.body || {};
+
+  if (!email || !password || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      ok: false,
+      error: "Missing required fields: email, password, items"
     });
-  } catch (e) {
-    res.status(500).json({ error: e.message });
   }
-});
 
-app.get("/screenshots/:filename", (req, res) => {
-  const filename = req.params.filename;
-  // Security: only allow screenshot files
-  if (!filename.startsWith('screenshot-') || !filename.endsWith('.png')) {
-    return res.status(400).json({ error: "Invalid filename" });
+  if (items.length > MAX_BATCH_ITEMS) {
+    return res.status(400).json({
+      ok: false,
+      error: `At most ${MAX_BATCH_ITEMS} items per batch`
+    });
   }
-  
-  const filePath = path.join(LOG_DIR, filename);
-  
-  if (fs.existsSync(filePath)) {
-    res.sendFile(filePath);
-  } else {
-    res.status(404).json({ error: "Screenshot not found" });
+
+  if (!ON_FULL_OPTIONS.includes(onFull)) {
+    return res.status(400).json({ ok: false, error: `onFull must be one of: ${ON_FULL_OPTIONS.join(', ')}` });
+  }
+
+  const { options: bookingOptions, error: optionsError } = readBookingOptions({ maxCharge });
+  if (optionsError) {
+    return res.status(400).json({ ok: false, error: optionsError });
+  }
+
+  const invalid = items.findIndex(item => !item || !(item.gymName || gymName) || !item.targetDate || !item.targetTime);
+  if (invalid !== -1) {
+    return res.status(400).json({
+      ok: false,
+      error: `items[${invalid}] needs targetDate, targetTime and a gymName (its own or the batch's)`
+    });
+  }
+
+  if (callbackUrl && !isValidCallbackUrl(callbackUrl)) {
+    return res.status(400).json({
+      ok: false,
+      error: "callbackUrl must be an https URL on a public host"
+    });
   }
+
+  if (rejectWhenQueueFull(req, res)) return;
+
+  const job = createJob("batch", {
+    email,
+    password,
+    gymName,
+    items: items.map(({ gymName: itemGym, targetDate, targetTime }) => ({ gymName: itemGym, targetDate, targetTime })),
+    onFull,
+    dryRun: !!dryRun,
+    ...bookingOptions,
+    DEBUG: !!debug
+  }, {
+    callback: callbackUrl ? { url: callbackUrl, secret: callbackSecret } : null
+  });
+  return respondWithJob(res, job, startJob(job), { wait, label: "Batch" });
 });
 
-// HTML viewer for screenshots - displays all screenshots in chronological order
-app.get("/view-screenshots", (req, res) => {
-  try {
-    const files = fs.readdirSync(LOG_DIR)
-      .filter(f => f.startsWith('screenshot-') && f.endsWith('.png'))
-      .map(f => {
-        // Extract timestamp from filename: screenshot-name-2025-11-25T13-56-01-947Z.png
-        const timestampMatch = f.match(/(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)/);
-        const timestamp = timestampMatch ? timestampMatch[1].replace(/-/g, ':').replace('T', ' ').replace(/:\d{3}Z$/, '') : null;
-        // Extract step name: screenshot-before-date-navigation-2025-11-25T13-56-01-947Z.png
-        // Remove 'screenshot-' prefix and timestamp suffix
-        let stepName = f.replace('screenshot-', '').replace(/-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.png$/, '').replace('.png', '');
-        // Replace hyphens with spaces and capitalize words
-        stepName = stepName.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
-        return {
-          filename: f,
-          stepName: stepName || 'Screenshot',
-          timestamp: timestamp,
-          sortKey: timestampMatch ? timestampMatch[1] : f // Use timestamp for sorting, fallback to filename
-        };
-      })
-      .sort((a, b) => a.sortKey.localeCompare(b.sortKey)); // Sort chronologically (oldest first)
-    
-    const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Screenshot Viewer - Booking Progress</title>
-  <style>
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
-    }
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-      background: #1a1a1a;
-      color: #e0e0e0;
-      padding: 20px;
-    }
-    .header {
-      background: #2a2a2a;
-      padding: 20px;
-      border-radius: 8px;
-      margin-bottom: 20px;
-      box-shadow: 0 2px 8px rgba(0,0,0,0.3);
-    }
-    h1 {
-      color: #4a9eff;
-      margin-bottom: 10px;
-    }
-    .info {
-      color: #aaa;
-      font-size: 14px;
-    }
-    .screenshot-container {
-      background: #2a2a2a;
-      border-radius: 8px;
-      padding: 20px;
-      margin-bottom: 30px;
-      box-shadow: 0 2px 8px rgba(0,0,0,0.3);
-      break-inside: avoid;
-    }
-    .screenshot-header {
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
-      margin-bottom: 15px;
-      padding-bottom: 10px;
-      border-bottom: 1px solid #444;
-    }
-    .screenshot-title {
-      font-size: 18px;
-      font-weight: 600;
-      color: #4a9eff;
-      text-transform: capitalize;
-    }
-    .screenshot-meta {
-      font-size: 12px;
-      color: #888;
-    }
-    .screenshot-image {
-      width: 100%;
-      max-width: 100%;
-      height: auto;
-      border-radius: 4px;
-      box-shadow: 0 4px 12px rgba(0,0,0,0.5);
-      cursor: pointer;
-      transition: transform 0.2s;
-    }
-    .screenshot-image:hover {
-      transform: scale(1.02);
-    }
-    .screenshot-image:active {
-      transform: scale(0.98);
-    }
-    .progress-bar {
-      position: fixed;
-      top: 0;
-      left: 0;
-      right: 0;
-      height: 4px;
-      background: #333;
-      z-index: 1000;
-    }
-    .progress-fill {
-      height: 100%;
-      background: linear-gradient(90deg, #4a9eff, #00d4ff);
-      transition: width 0.3s;
-    }
-    .step-number {
-      display: inline-block;
-      background: #4a9eff;
-      color: white;
-      width: 28px;
-      height: 28px;
-      border-radius: 50%;
-      text-align: center;
-      line-height: 28px;
-      font-size: 14px;
-      font-weight: bold;
-      margin-right: 10px;
-    }
-    .empty-state {
-      text-align: center;
-      padding: 60px 20px;
-      color: #888;
-    }
-    .empty-state h2 {
-      color: #666;
-      margin-bottom: 10px;
-    }
-  </style>
-</head>
-<body>
-  <div class="progress-bar">
-    <div class="progress-fill" id="progressFill" style="width: 0%"></div>
-  </div>
-  
-  <div class="header">
-    <h1>📸 Screenshot Viewer</h1>
-    <div class="info">
-      Total screenshots: ${files.length} | 
-      <a href="/screenshots" style="color: #4a9eff; text-decoration: none;">JSON API</a> | 
-      <button onclick="location.reload()" style="background: #4a9eff; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; margin-left: 10px;">🔄 Refresh</button>
-    </div>
-  </div>
-  
-  ${files.length === 0 ? `
-    <div class="empty-state">
-      <h2>No screenshots found</h2>
-      <p>Run a booking test to generate screenshots</p>
-    </div>
-  ` : files.map((file, index) => `
-    <div class="screenshot-container">
-      <div class="screenshot-header">
-        <div>
-          <span class="step-number">${index + 1}</span>
-          <span class="screenshot-title">${file.stepName}</span>
-        </div>
-        <div class="screenshot-meta">
-          ${file.timestamp || 'No timestamp'}
-        </div>
-      </div>
-      <img 
-        src="/screenshots/${file.filename}" 
-        alt="${file.stepName}"
-        class="screenshot-image"
-        onclick="window.open(this.src, '_blank')"
-        loading="lazy"
-        onload="updateProgress(${index + 1}, ${files.length})"
-      />
-    </div>
-  `).join('')}
-  
-  <script>
-    function updateProgress(loaded, total) {
-      const percentage = (loaded / total) * 100;
-      document.getElementById('progressFill').style.width = percentage + '%';
+// Watch endpoint - registers a "watch" job that polls a full class and books
+// it when a spot opens. The job's webhook doubles as the success/expiry
+// notification. The job doesn't wait in the booking queue itself; each poll
+// and the booking take a browser slot of their own.
+const MAX_WATCH_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_WATCH_MS = 24 * 60 * 60 * 1000;
+
+app.post("/watch", async (req, res) => {
+  console.log(`[REQ] POST /watch body=`, JSON.stringify({ ...(req.body || {}), password: undefined }));
+
+  const {
+    email,
+    password,
+    gymName,
+    targetDate, // Format: YYYY-MM-DD
+    targetTime, // Format: HH:mm or "8:00 am"
+    deadline = new Date(Date.now() + DEFAULT_WATCH_MS).toISOString(),
+    intervalSeconds = WATCH_INTERVAL_MS / 1000,
+    debug = false,
+    // Also read: customer, plan, maxCharge, externalRef (see readBookingOptions)
+    callbackUrl,
+    callbackSecret
+  } = req.body || {};
+
+  if (!email || !password || !gymName || !targetDate || !targetTime) {
+    return res.status(400).json({
+      ok: false,
+      error: "Missing required fields: email, password, gymName, targetDate, targetTime"
+    });
+  }
+
+  if (!parseClockTime(targetTime)) {
+    return res.status(400).json({ ok: false, error: "targetTime must look like \"7:00 am\" or \"19:00\"" });
+  }
+
+  const deadlineMs = Date.parse(deadline);
+  if (Number.isNaN(deadlineMs) || deadlineMs <= Date.now() || deadlineMs - Date.now() > MAX_WATCH_MS) {
+    return res.status(400).json({
+      ok: false,
+      error: `deadline must be an ISO timestamp in the next ${MAX_WATCH_MS / (24 * 60 * 60 * 1000)} days`
+    });
+  }
+
+  const intervalMs = Number(intervalSeconds) * 1000;
+  if (!(intervalMs >= WATCH_MIN_INTERVAL_MS)) {
+    return res.status(400).json({
+      ok: false,
+      error: `intervalSeconds must be at least ${WATCH_MIN_INTERVAL_MS / 1000}`
+    });
+  }
+
+  const { options: bookingOptions, error: optionsError } = readBookingOptions(req.body);
+  if (optionsError) {
+    return res.status(400).json({ ok: false, error: optionsError });
+  }
+
+  if (callbackUrl && !isValidCallbackUrl(callbackUrl)) {
+    return res.status(400).json({
+      ok: false,
+      error: "callbackUrl must be an https URL on a public host"
+    });
+  }
+
+  const job = createJob("watch", {
+    email,
+    password,
+    gymName,
+    targetDate,
+    targetTime,
+    deadline: new Date(deadlineMs).toISOString(),
+    intervalMs,
+    ...bookingOptions,
+    DEBUG: !!debug
+  }, {
+    callback: callbackUrl ? { url: callbackUrl, secret: callbackSecret } : null
+  });
+  const completion = runJob(job);
+  job.settled = completion.then(() => undefined, () => undefined);
+
+  res.status(202).json({
+    ok: true,
+    jobId: job.id,
+    status: job.status,
+    deadline: job.params.deadline,
+    statusUrl: `/jobs/${job.id}`
+  });
+});
+
+// Stops a watch; it finishes with `stopped: true` within a second or, if a
+// poll or booking is under way, once that is done. Uses HTTP Basic auth like
+// /rules - only the account that started the watch may stop it.
+app.delete("/watch/:id", (req, res) => {
+  const credentials = requirePartnerCredentials(req, res);
+  if (!credentials) return;
+  const job = jobs.get(req.params.id);
+  const owned = job && job.params.email.trim().toLowerCase() === credentials.email.trim().toLowerCase() &&
+    passwordDigest(job.params.password) === passwordDigest(credentials.password);
+  if (!owned || job.type !== "watch") {
+    return res.status(404).json({ ok: false, error: "Watch not found" });
+  }
+  if (isJobFinished(job)) {
+    return res.status(409).json({ ok: false, error: `Watch already ${job.status}` });
+  }
+  job.stopRequested = true;
+  logToFile(`[WATCH] Stop requested for ${job.id}`);
+  res.status(202).json({ ok: true, jobId: job.id, status: job.status, stopping: true });
+});
+
+// Partner credentials for GET endpoints: HTTP Basic auth (email:password).
+// There is deliberately no server-side default - it would let any caller act
+// on that account.
+const readPartnerCredentials = (req) => {
+  const match = (req.get('Authorization') || '').match(/^Basic\s+(.+)$/i);
+  if (!match) return null;
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  return separator > 0
+    ? { email: decoded.slice(0, separator), password: decoded.slice(separator + 1) }
+    : null;
+};
+
+// Partner credentials, or null after answering 401 with a Basic auth challenge
+const requirePartnerCredentials = (req, res) => {
+  const credentials = readPartnerCredentials(req);
+  if (!credentials) {
+    res.set('WWW-Authenticate', 'Basic realm="Kenko partner account"');
+    res.status(401).json({
+      ok: false,
+      error: "Partner credentials required (HTTP Basic auth: email:password)"
+    });
+  }
+  return credentials;
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Class list endpoint - runs as a "classes" job (same queue as bookings) and
+// answers with the list, or 202 + jobId if it takes longer than 55 seconds
+app.get("/classes", async (req, res) => {
+  const { gymName, date, debug } = req.query;
+
+  if (!gymName || !date || !DATE_PATTERN.test(date)) {
+    return res.status(400).json({
+      ok: false,
+      error: "Required query parameters: gymName, date (YYYY-MM-DD)"
+    });
+  }
+
+  const credentials = requirePartnerCredentials(req, res);
+  if (!credentials) return;
+
+  if (rejectWhenQueueFull(req, res)) return;
+
+  const job = createJob("classes", {
+    ...credentials,
+    gymName,
+    date,
+    DEBUG: debug === 'true'
+  });
+  const result = await settleWithin(startJob(job), 55000);
+  const statusUrl = `/jobs/${job.id}`;
+
+  if (!result) {
+    return res.status(202).json({
+      ok: false,
+      pending: true,
+      jobId: job.id,
+      status: job.status,
+      queuePosition: queuePositionOf(job),
+      statusUrl,
+      message: "Still running; poll statusUrl for the class list."
+    });
+  }
+  res.status(statusForResult(result)).json({ ...summarizeResult(result), jobId: job.id });
+});
+
+// Schedule export - GET /schedule runs a "schedule" job over the date range
+// and reuses it for SCHEDULE_CACHE_MS, so a slow scrape that outlives the
+// request (or a calendar app polling the .ics URL) gets the result next time
+const MAX_SCHEDULE_DAYS = Math.max(1, envInt('MAX_SCHEDULE_DAYS', 14));
+const SCHEDULE_CACHE_MS = Math.max(0, envInt('SCHEDULE_CACHE_MS', 6 * 60 * 60 * 1000));
+const scheduleJobs = new Map(); // fingerprint -> jobId
+
+// The running or recently finished job for this range, if any
+const findScheduleJob = (fingerprint) => {
+  const job = jobs.get(scheduleJobs.get(fingerprint));
+  const stale = !job || job.status === "failed" ||
+    (job.finishedAt && Date.now() - Date.parse(job.finishedAt) > SCHEDULE_CACHE_MS);
+  if (stale) {
+    scheduleJobs.delete(fingerprint);
+    return null;
+  }
+  return job;
+};
+
+// "8:00 am" -> { hour: 8, minute: 0 } (24-hour)
+const parseClockTime = (value) => {
+  const match = String(value || '').match(/(\d{1,2}):(\d{2})\s*(am|pm)?/i);
+  if (!match) return null;
+  let hour = parseInt(match[1]);
+  const minute = parseInt(match[2]);
+  const period = match[3]?.toLowerCase();
+  if (period === 'pm' && hour !== 12) hour += 12;
+  if (period === 'am' && hour === 12) hour = 0;
+  return { hour, minute };
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const scheduleToCsv = (schedule) => {
+  const header = ['date', 'startTime', 'endTime', 'name', 'instructor', 'booked', 'capacity'];
+  const rows = schedule.days.flatMap(({ date, classes }) =>
+    classes.map(c => [date, c.startTime, c.endTime, c.name, c.instructor, c.booked, c.capacity]));
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+const icsText = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+
+// RFC 5545 lines are folded at 75 octets
+const foldIcsLine = (line) => {
+  const parts = [];
+  let rest = Buffer.from(line, 'utf8');
+  while (rest.length > 75) {
+    let cut = parts.length === 0 ? 75 : 74;
+    while ((rest[cut] & 0xc0) === 0x80) cut--; // Don't split a UTF-8 sequence
+    parts.push(rest.subarray(0, cut).toString('utf8'));
+    rest = rest.subarray(cut);
+  }
+  parts.push(rest.toString('utf8'));
+  return parts.join('\r\n ');
+};
+
+// iCalendar feed of the schedule. Times are the studio's wall-clock times:
+// with `timezone` (an IANA name) they carry a TZID, otherwise they float.
+// Classes without a visible end time are given one hour.
+const scheduleToIcs = (schedule, { timezone } = {}) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const localTime = (date, time) =>
+    `${date.replace(/-/g, '')}T${String(time.hour).padStart(2, '0')}${String(time.minute).padStart(2, '0')}00`;
+  const dateProp = (name, value) => (timezone ? `${name};TZID=${timezone}:${value}` : `${name}:${value}`);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//booking-railway-api//schedule//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${icsText(schedule.gymName)}`
+  ];
+  for (const { date, classes } of schedule.days) {
+    for (const c of classes) {
+      const start = parseClockTime(c.startTime);
+      if (!start) continue;
+      const end = parseClockTime(c.endTime);
+      const uid = crypto.createHash('sha1')
+        .update([schedule.gymName, date, c.startTime, c.name].join('|'))
+        .digest('hex');
+      const details = [
+        c.instructor ? `Instructor: ${c.instructor}` : null,
+        c.capacity !== null ? `Booked: ${c.booked}/${c.capacity}` : null
+      ].filter(Boolean).join('\n');
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${uid}@booking-railway-api`,
+        `DTSTAMP:${stamp}`,
+        dateProp('DTSTART', localTime(date, start)),
+        end ? dateProp('DTEND', localTime(date, end)) : 'DURATION:PT1H',
+        `SUMMARY:${icsText(c.name || 'Class')}`,
+        `LOCATION:${icsText(schedule.gymName)}`,
+        ...(details ? [`DESCRIPTION:${icsText(details)}`] : []),
+        'END:VEVENT'
+      );
     }
-    
-    // Scroll to top on load
-    window.scrollTo(0, 0);
-    
-    // Auto-refresh every 30 seconds if on Railway
-    if (window.location.hostname.includes('railway')) {
-      setTimeout(() => location.reload(), 30000);
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+const sendSchedule = (res, schedule, { format, timezone, jobId }) => {
+  const filename = `schedule-${schedule.gymName}-${schedule.from}-${schedule.to}`.replace(/[^\w.-]+/g, '_');
+  if (format === 'csv') {
+    res.set('Content-Disposition', `inline; filename="${filename}.csv"`);
+    return res.type('text/csv; charset=utf-8').send(scheduleToCsv(schedule));
+  }
+  if (format === 'ics') {
+    res.set('Content-Disposition', `inline; filename="${filename}.ics"`);
+    return res.type('text/calendar; charset=utf-8').send(scheduleToIcs(schedule, { timezone }));
+  }
+  const { gymName, from, to, count, days, runId } = schedule;
+  res.json({ ok: true, gymName, from, to, count, days, runId, jobId });
+};
+
+// Timetable export for a date range as JSON, CSV or iCalendar
+// Credentials as for GET /classes
+app.get("/schedule", async (req, res) => {
+  const { gymName, from, to, format = 'json', tz, debug } = req.query;
+  const timezone = tz || process.env.SCHEDULE_TIMEZONE || null;
+
+  if (!gymName || !DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '')) {
+    return res.status(400).json({
+      ok: false,
+      error: "Required query parameters: gymName, from, to (YYYY-MM-DD)"
+    });
+  }
+  if (!['json', 'csv', 'ics'].includes(format)) {
+    return res.status(400).json({ ok: false, error: "format must be json, csv or ics" });
+  }
+  if (timezone && !/^[A-Za-z_]+(\/[A-Za-z0-9_+-]+)*$/.test(timezone)) {
+    return res.status(400).json({ ok: false, error: "tz must be an IANA time zone name" });
+  }
+  const dayCount = datesBetween(from, to).length;
+  if (dayCount === 0 || dayCount > MAX_SCHEDULE_DAYS) {
+    return res.status(400).json({
+      ok: false,
+      error: `from must not be after to, and the range may cover at most ${MAX_SCHEDULE_DAYS} days`
+    });
+  }
+
+  const credentials = requirePartnerCredentials(req, res);
+  if (!credentials) return;
+
+  // The password is part of the key, so a cached schedule only goes to
+  // callers who could have logged in themselves
+  const fingerprint = [credentials.email, gymName, from, to]
+    .map(v => String(v).trim().toLowerCase())
+    .concat(passwordDigest(credentials.password))
+    .join('|');
+  let job = findScheduleJob(fingerprint);
+  if (job) {
+    logToFile(`[SCHEDULE] Reusing job ${job.id} for ${gymName} ${from}..${to}`);
+  } else {
+    if (rejectWhenQueueFull(req, res)) return;
+    job = createJob("schedule", {
+      ...credentials,
+      gymName,
+      from,
+      to,
+      DEBUG: debug === 'true'
+    });
+    scheduleJobs.set(fingerprint, job.id);
+    startJob(job);
+  }
+
+  await settleWithin(job.settled, 55000);
+  const statusUrl = `/jobs/${job.id}`;
+
+  if (!isJobFinished(job)) {
+    return res.status(202).json({
+      ok: false,
+      pending: true,
+      jobId: job.id,
+      status: job.status,
+      queuePosition: queuePositionOf(job),
+      statusUrl,
+      message: "Still scraping; repeat this request later to get the schedule."
+    });
+  }
+  if (job.status !== "succeeded") {
+    return res.status(statusForResult(job.result)).json({ ...job.result, error: job.result?.error || job.error, jobId: job.id });
+  }
+  sendSchedule(res, job.result, { format, timezone, jobId: job.id });
+});
+
+// Customer pools - the placeholder accounts "Search for customer" tries, per
+// partner account and gym. Entries are customer names or emails (the search
+// box accepts either); gyms without a pool use DEFAULT_CUSTOMER_POOL. Pools
+// pin a digest of the owner's password, so like rules they are only written
+// to disk (encrypted) when SESSION_SECRET is set.
+const CUSTOMER_POOLS_FILE = process.env.CUSTOMER_POOLS_FILE || path.join(LOG_DIR, "customer-pools.json");
+const CUSTOMER_POOL_ORDERS = ['sequential', 'round-robin', 'random'];
+const MAX_POOL_CUSTOMERS = 200;
+const customerPools = new Map(); // email|gym -> pool
+
+const customerPoolKey = ({ email, gymName }) =>
+  [email.trim().toLowerCase(), gymName.trim().toLowerCase().replace(/\s+/g, ' ')].join('|');
+
+const saveCustomerPools = () => {
+  if (!SESSION_STORE_KEY) return;
+  try {
+    fs.writeFileSync(CUSTOMER_POOLS_FILE, encryptJson([...customerPools.values()]), { mode: 0o600 });
+  } catch (e) {
+    logToFile(`[POOLS] Could not save customer pools: ${e?.message || e}`);
+  }
+};
+
+const loadCustomerPools = () => {
+  if (!SESSION_STORE_KEY || !fs.existsSync(CUSTOMER_POOLS_FILE)) return;
+  try {
+    for (const pool of decryptJson(fs.readFileSync(CUSTOMER_POOLS_FILE, 'utf8'))) {
+      customerPools.set(customerPoolKey(pool), pool);
     }
-  </script>
-</body>
-</html>`;
-    
-    res.setHeader('Content-Type', 'text/html');
-    res.send(html);
+    logToFile(`[POOLS] Loaded ${customerPools.size} customer pools`);
   } catch (e) {
-    res.status(500).send(`<html><body><h1>Error</h1><p>${e.message}</p></body></html>`);
+    logToFile(`[POOLS] Could not load customer pools: ${e?.message || e}`);
+  }
+};
+
+// The pool a booking for this account and gym walks through
+const customerPoolFor = ({ email, gymName }) =>
+  customerPools.get(customerPoolKey({ email, gymName })) || {
+    gymName,
+    customers: DEFAULT_CUSTOMER_POOL,
+    order: 'sequential',
+    maxAttempts: DEFAULT_CUSTOMER_POOL.length,
+    configured: false
+  };
+
+// Candidates for one run: round-robin starts after the last customer booked,
+// random shuffles, and every order is capped at maxAttempts
+const orderedCustomers = (pool) => {
+  let customers = [...pool.customers];
+  if (pool.order === 'round-robin') {
+    const start = customers.indexOf(pool.lastUsed) + 1;
+    customers = [...customers.slice(start), ...customers.slice(0, start)];
+  } else if (pool.order === 'random') {
+    for (let i = customers.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [customers[i], customers[j]] = [customers[j], customers[i]];
+    }
+  }
+  return customers.slice(0, pool.maxAttempts);
+};
+
+const recordCustomerUsed = (pool, customerName) => {
+  if (!pool.configured) return;
+  pool.lastUsed = customerName;
+  pool.lastUsedAt = new Date().toISOString();
+  saveCustomerPools();
+};
+
+const serializeCustomerPool = (pool) => {
+  const { passwordDigest: _digest, ...rest } = pool;
+  return rest;
+};
+
+// The pools GET/PUT/DELETE may see: those of the Basic auth account. The
+// password digest is pinned when the pool is created.
+const customerPoolsOwnedBy = (credentials) => [...customerPools.values()].filter(pool =>
+  pool.email.trim().toLowerCase() === credentials.email.trim().toLowerCase() &&
+  pool.passwordDigest === passwordDigest(credentials.password));
+
+const findOwnedCustomerPool = (credentials, gymName) =>
+  customerPoolsOwnedBy(credentials).find(pool =>
+    customerPoolKey(pool) === customerPoolKey({ email: credentials.email, gymName }));
+
+app.get("/customer-pools", (req, res) => {
+  const credentials = requirePartnerCredentials(req, res);
+  if (!credentials) return;
+  const owned = customerPoolsOwnedBy(credentials);
+  res.json({
+    ok: true,
+    count: owned.length,
+    pools: owned.map(serializeCustomerPool),
+    defaultPool: DEFAULT_CUSTOMER_POOL
+  });
+});
+
+// Shows the pool bookings for this gym will use, configured or default
+app.get("/customer-pools/:gymName", (req, res) => {
+  const credentials = requirePartnerCredentials(req, res);
+  if (!credentials) return;
+  const pool = findOwnedCustomerPool(credentials, req.params.gymName);
+  res.json({
+    ok: true,
+    pool: pool ? serializeCustomerPool(pool) : customerPoolFor({ email: credentials.email, gymName: req.params.gymName })
+  });
+});
+
+// Creates or replaces the pool for a gym
+app.put("/customer-pools/:gymName", (req, res) => {
+  const credentials = requirePartnerCredentials(req, res);
+  if (!credentials) return;
+
+  const { customers, order = 'sequential' } = req.body || {};
+  if (!Array.isArray(customers) || customers.length === 0 ||
+      customers.some(c => typeof c !== 'string' || !c.trim())) {
+    return res.status(400).json({ ok: false, error: "customers must be a non-empty array of customer names or emails" });
+  }
+  const names = [...new Set(customers.map(c => c.trim()))];
+  if (names.length > MAX_POOL_CUSTOMERS) {
+    return res.status(400).json({ ok: false, error: `A pool can hold at most ${MAX_POOL_CUSTOMERS} customers` });
+  }
+  if (!CUSTOMER_POOL_ORDERS.includes(order)) {
+    return res.status(400).json({ ok: false, error: `order must be one of: ${CUSTOMER_POOL_ORDERS.join(', ')}` });
+  }
+  const maxAttempts = req.body.maxAttempts ?? names.length;
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+    return res.status(400).json({ ok: false, error: "maxAttempts must be a whole number (1 or more)" });
+  }
+
+  const key = customerPoolKey({ email: credentials.email, gymName: req.params.gymName });
+  const existing = customerPools.get(key);
+  if (existing && existing.passwordDigest !== passwordDigest(credentials.password)) {
+    return res.status(403).json({ ok: false, error: "This pool belongs to the same account with a different password" });
+  }
+
+  const pool = {
+    email: credentials.email,
+    passwordDigest: passwordDigest(credentials.password),
+    gymName: req.params.gymName.trim(),
+    customers: names,
+    order,
+    maxAttempts: Math.min(maxAttempts, names.length),
+    configured: true,
+    lastUsed: names.includes(existing?.lastUsed) ? existing.lastUsed : null,
+    updatedAt: new Date().toISOString()
+  };
+  customerPools.set(key, pool);
+  saveCustomerPools();
+  logToFile(`[POOLS] Pool for "${pool.gymName}" set: ${names.length} customers, order ${order}, maxAttempts ${pool.maxAttempts}`);
+  res.status(existing ? 200 : 201).json({ ok: true, pool: serializeCustomerPool(pool) });
+});
+
+// Removes a gym's pool; its bookings go back to DEFAULT_CUSTOMER_POOL
+app.delete("/customer-pools/:gymName", (req, res) => {
+  const credentials = requirePartnerCredentials(req, res);
+  if (!credentials) return;
+  const pool = findOwnedCustomerPool(credentials, req.params.gymName);
+  if (!pool) {
+    return res.status(404).json({ ok: false, error: "Customer pool not found" });
   }
+  customerPools.delete(customerPoolKey(pool));
+  saveCustomerPools();
+  logToFile(`[POOLS] Pool for "${pool.gymName}" deleted`);
+  res.json({ ok: true, deleted: pool.gymName });
 });
 
-// Booking endpoint
-app.post("/book", async (req, res) => {
-  console.log(`[REQ] POST /book body=`, JSON.stringify(req.body || {}));
+loadCustomerPools();
 
-  const done = { sent: false };
-  const watchdog = setTimeout(() => {
-    if (!done.sent) {
-      done.sent = true;
-      res.status(202).json({
-        ok: false,
-        pending: true,
-        message: "Job still running; check logs for progress."
-      });
+// Who was booked for an external reference (the caller's member or order
+// ID), so a retry under a different pool account can be caught by the
+// duplicate check. Entries for past classes are dropped. References tie
+// partner accounts to members, so like pools and rules they are only written
+// to disk (encrypted) when SESSION_SECRET is set.
+const BOOKING_REFS_FILE = process.env.BOOKING_REFS_FILE || path.join(LOG_DIR, "booking-refs.json");
+const bookingRefs = new Map(); // email|gym|ref -> [{ customerName, targetDate, targetTime, bookedAt, runId }]
+
+const bookingRefKey = ({ email, gymName, externalRef }) =>
+  [email, gymName, externalRef].map(v => String(v).trim().toLowerCase().replace(/\s+/g, ' ')).join('|');
+
+const saveBookingRefs = () => {
+  const today = todayDate();
+  for (const [key, entries] of bookingRefs) {
+    const upcoming = entries.filter(entry => entry.targetDate >= today);
+    if (upcoming.length > 0) bookingRefs.set(key, upcoming);
+    else bookingRefs.delete(key);
+  }
+  if (!SESSION_STORE_KEY) return;
+  try {
+    fs.writeFileSync(BOOKING_REFS_FILE, encryptJson(Object.fromEntries(bookingRefs)), { mode: 0o600 });
+  } catch (e) {
+    logToFile(`[REFS] Could not save booking references: ${e?.message || e}`);
+  }
+};
+
+const loadBookingRefs = () => {
+  if (!SESSION_STORE_KEY || !fs.existsSync(BOOKING_REFS_FILE)) return;
+  try {
+    for (const [key, entries] of Object.entries(decryptJson(fs.readFileSync(BOOKING_REFS_FILE, 'utf8')))) {
+      bookingRefs.set(key, entries);
     }
-  }, 55000);
+  } catch (e) {
+    logToFile(`[REFS] Could not load booking references: ${e?.message || e}`);
+  }
+};
+
+const recordBookingRef = ({ email, gymName, externalRef, targetDate, targetTime, customerName, runId }) => {
+  const key = bookingRefKey({ email, gymName, externalRef });
+  bookingRefs.set(key, [
+    ...(bookingRefs.get(key) || []),
+    { customerName, targetDate, targetTime, bookedAt: new Date().toISOString(), runId }
+  ]);
+  saveBookingRefs();
+};
+
+// Customers booked for this reference into this class by earlier runs
+const customersBookedFor = ({ email, gymName, externalRef, targetDate, targetTime }) => {
+  const sameTime = (a, b) => a.trim().toLowerCase().replace(/\s+/g, ' ') === b.trim().toLowerCase().replace(/\s+/g, ' ');
+  return [...new Set((bookingRefs.get(bookingRefKey({ email, gymName, externalRef })) || [])
+    .filter(entry => entry.targetDate === targetDate && sameTime(entry.targetTime, targetTime))
+    .map(entry => entry.customerName))];
+};
+
+loadBookingRefs();
 
+// Recurring booking rules - e.g. "every Monday and Wednesday at 7:00 am at
+// PontePila for the next 8 weeks". The scheduler expands each rule into dated
+// occurrences and queues a regular "book" job for every occurrence that is
+// within leadDays of today. Rules hold credentials, so they are only written
+// to disk (encrypted like saved logins) when SESSION_SECRET is set.
+const RULES_FILE = process.env.RULES_FILE || path.join(LOG_DIR, "booking-rules.json");
+const RULES_TICK_MS = Math.max(1000, envInt('RULES_TICK_MS', 60000));
+const RULE_LEAD_DAYS = Math.max(0, envInt('RULE_LEAD_DAYS', 7)); // Book this many days ahead
+const RULE_MAX_ATTEMPTS = Math.max(1, envInt('RULE_MAX_ATTEMPTS', 3));
+const RULE_RETRY_DELAY_MS = Math.max(0, envInt('RULE_RETRY_DELAY_MS', 10 * 60 * 1000));
+const MAX_RULE_DAYS = 366;
+const MAX_RULE_WEEKS = Math.ceil(MAX_RULE_DAYS / 7);
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const rules = new Map();
+
+// "Today" is the studio's calendar day, not UTC's - otherwise an evening
+// class in the Americas would already count as yesterday's and be missed.
+// RULES_TIMEZONE (or SCHEDULE_TIMEZONE) names the studio's zone; without
+// either the server's local zone is used.
+const studioDateFormat = (() => {
+  const timeZone = process.env.RULES_TIMEZONE || process.env.SCHEDULE_TIMEZONE || undefined;
+  const options = { year: 'numeric', month: '2-digit', day: '2-digit' };
   try {
-    const {
-      email,
-      password,
-      gymName,
-      targetDate, // Format: YYYY-MM-DD
-      targetTime, // Format: HH:mm or "8:00 am"
-      debug = false
-    } = req.body || {};
-
-    if (!email || !password || !gymName || !targetDate || !targetTime) {
-      if (!done.sent) {
-        clearTimeout(watchdog);
-        done.sent = true;
-        return res.status(400).json({
-          ok: false,
-          error: "Missing required fields: email, password, gymName, targetDate, targetTime"
-        });
+    return new Intl.DateTimeFormat('en-CA', { ...options, timeZone });
+  } catch (e) {
+    logToFile(`[RULES] Unknown time zone "${timeZone}" - using the server's local time`);
+    return new Intl.DateTimeFormat('en-CA', options);
+  }
+})();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const todayDate = () => studioDateFormat.format(new Date());
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// "monday", "Mon" or 1 -> 1 (Sunday is 0); null when unrecognised
+const parseWeekday = (value) => {
+  if (Number.isInteger(value) && value >= 0 && value <= 6) return value;
+  const name = String(value).trim().toLowerCase();
+  const index = WEEKDAYS.findIndex(day => name.length >= 3 && day.startsWith(name));
+  return index === -1 ? null : index;
+};
+
+// Every date the rule books, in order
+const ruleDates = (rule) =>
+  datesBetween(rule.startDate, rule.endDate).filter(date => rule.weekdays.includes(weekdayOf(date)));
+
+const saveRules = () => {
+  if (!SESSION_STORE_KEY) return;
+  try {
+    fs.writeFileSync(RULES_FILE, encryptJson([...rules.values()]), { mode: 0o600 });
+  } catch (e) {
+    logToFile(`[RULES] Could not save rules: ${e?.message || e}`);
+  }
+};
+
+// Jobs don't survive a restart, so occurrences that were in flight are
+// recorded as failed attempts and go through the normal retry
+const loadRules = () => {
+  if (!SESSION_STORE_KEY || !fs.existsSync(RULES_FILE)) return;
+  try {
+    for (const rule of decryptJson(fs.readFileSync(RULES_FILE, 'utf8'))) {
+      for (const occurrence of Object.values(rule.occurrences)) {
+        if (occurrence.status === "queued" || occurrence.status === "running") {
+          occurrence.status = "failed";
+          occurrence.error = "Interrupted by a server restart";
+          occurrence.retryAt = Date.now();
+        }
       }
-      return;
+      rules.set(rule.id, rule);
     }
+    logToFile(`[RULES] Loaded ${rules.size} rules`);
+  } catch (e) {
+    logToFile(`[RULES] Could not load rules: ${e?.message || e}`);
+  }
+};
 
-    const result = await bookClass({
-      email,
-      password,
-      gymName,
-      targetDate,
-      targetTime,
-      DEBUG: !!debug
+// Starts the booking job for one occurrence - or attaches to the job already
+// booking that class (same fingerprint as POST /book's idempotency)
+const materializeOccurrence = (rule, occurrence) => {
+  const params = {
+    email: rule.email,
+    password: rule.password,
+    gymName: rule.gymName,
+    targetDate: occurrence.date,
+    targetTime: rule.targetTime
+  };
+  const maxCharge = rule.maxCharge || 0;
+  const fingerprint = bookingFingerprint(params);
+  const idempotencyKey = idempotencyKeyFor(null, fingerprint);
+  let job = findIdempotentJob(idempotencyKey)?.job;
+  if (!job) {
+    job = createJob("book", { ...params, maxCharge, DEBUG: false }, {
+      callback: rule.callbackUrl ? { url: rule.callbackUrl, secret: rule.callbackSecret } : null
     });
+    idempotencyKeys.set(idempotencyKey, { jobId: job.id, fingerprint });
+    startJob(job);
+  }
+  logToFile(`[RULES] Rule ${rule.id}: ${occurrence.date} at ${rule.targetTime} -> job ${job.id}`);
+  occurrence.jobId = job.id;
+  occurrence.attempts++;
+  occurrence.status = "queued";
+  occurrence.error = null;
+  job.settled.then(() => {
+    occurrence.status = job.status;
+    occurrence.error = job.status === "failed" ? (job.result?.error || job.error) : null;
+    occurrence.retryAt = job.status === "failed" ? Date.now() + RULE_RETRY_DELAY_MS : null;
+    saveRules();
+  });
+};
 
-    if (!done.sent) {
-      clearTimeout(watchdog);
-      done.sent = true;
-      if (result.ok) {
-        console.log(`[RESPONSE] Booking successful: ${result.message}`);
-        return res.json(result);
+// Whether nothing is left for the rule to book: every date is past, booked,
+// or failed for good, and no job of it is still queued or running
+const isRuleFinished = (rule, today) => ruleDates(rule).every(date => {
+  const occurrence = rule.occurrences[date];
+  if (occurrence?.status === "queued" || occurrence?.status === "running") return false;
+  return date < today || occurrence?.status === "succeeded" ||
+    (occurrence?.status === "failed" && occurrence.attempts >= RULE_MAX_ATTEMPTS);
+});
+
+// Finished rules stay visible on GET /rules for JOB_TTL_MS, like jobs, and
+// are then dropped from memory and the rules file
+const pruneRules = (today) => {
+  let changed = false;
+  for (const [id, rule] of rules) {
+    if (!isRuleFinished(rule, today)) continue;
+    if (!rule.finishedAt) {
+      rule.finishedAt = new Date().toISOString();
+      changed = true;
+    } else if (Date.now() - Date.parse(rule.finishedAt) > JOB_TTL_MS) {
+      rules.delete(id);
+      logToFile(`[RULES] Rule ${id} finished on ${rule.finishedAt} - removed`);
+      changed = true;
+    }
+  }
+  return changed;
+};
+
+// Queues every due occurrence: dated today .. today + leadDays, not booked
+// yet, and either never tried or failed with attempts left
+const tickRules = () => {
+  const today = todayDate();
+  let changed = pruneRules(today);
+  for (const rule of rules.values()) {
+    for (const date of ruleDates(rule)) {
+      if (date > addDays(today, rule.leadDays)) break;
+      const occurrence = rule.occurrences[date] ||
+        (rule.occurrences[date] = { date, status: "pending", jobId: null, attempts: 0, error: null, retryAt: null });
+      if (date < today) {
+        if (occurrence.status === "pending") {
+          occurrence.status = "missed";
+          changed = true;
+        }
+        continue;
       }
-      console.log(`[RESPONSE] Booking failed: ${result.error}`);
-      console.log(`[RESPONSE] Screenshots: ${result.screenshots?.length || 0}`);
-      console.log(`[RESPONSE] Click count: ${result.clickCount || 0}`);
-      return res.status(500).json(result);
-    } else {
-      // Response already sent by watchdog, but log the result
-      console.log(`[RESPONSE] Result received but response already sent (watchdog fired)`);
-      console.log(`[RESPONSE] Result: ${result.ok ? 'SUCCESS' : 'FAILED'}`);
-      if (!result.ok) {
-        console.log(`[RESPONSE] Error: ${result.error}`);
+      const due = occurrence.status === "pending" ||
+        (occurrence.status === "failed" && occurrence.attempts < RULE_MAX_ATTEMPTS && Date.now() >= (occurrence.retryAt || 0));
+      if (!due) continue;
+      if (isBookingQueueFull()) {
+        logToFile(`[RULES] Booking queue full - deferring rule occurrences to the next tick`);
+        if (changed) saveRules();
+        return;
       }
+      materializeOccurrence(rule, occurrence);
+      changed = true;
     }
-  } catch (err) {
-    console.error(`[ERROR] Endpoint error: ${err?.message || err}`);
-    console.error(`[ERROR] Stack: ${err?.stack || 'No stack trace'}`);
-    if (!done.sent) {
-      clearTimeout(watchdog);
-      done.sent = true;
-      const errorResponse = {
-        ok: false,
-        error: String(err?.message || err)
+  }
+  if (changed) saveRules();
+};
+
+// Rules without the password; occurrences with the live status of their job
+const serializeRule = (rule) => {
+  const { password, callbackSecret, occurrences, ...rest } = rule;
+  return {
+    ...rest,
+    weekdays: rule.weekdays.map(day => WEEKDAYS[day]),
+    occurrences: ruleDates(rule).map(date => {
+      const occurrence = occurrences[date];
+      if (!occurrence) return { date, status: "scheduled", bookFrom: addDays(date, -rule.leadDays) };
+      const { retryAt, ...fields } = occurrence;
+      const job = occurrence.jobId && jobs.get(occurrence.jobId);
+      return {
+        ...fields,
+        status: job && !isJobFinished(job) ? job.status : occurrence.status,
+        ...(occurrence.status === "failed" && occurrence.attempts < RULE_MAX_ATTEMPTS && retryAt
+          ? { retryAt: new Date(retryAt).toISOString() } : {})
       };
-      console.log(`[RESPONSE] Sending error response: ${JSON.stringify(errorResponse)}`);
-      return res.status(500).json(errorResponse);
-    } else {
-      console.log(`[ERROR] Error occurred but response already sent (watchdog fired)`);
-    }
+    })
+  };
+};
+
+// The rules GET/DELETE may see: those of the Basic auth account
+const rulesOwnedBy = (credentials) => [...rules.values()].filter(rule =>
+  rule.email.trim().toLowerCase() === credentials.email.trim().toLowerCase() &&
+  passwordDigest(rule.password) === passwordDigest(credentials.password));
+
+app.get("/rules", (req, res) => {
+  const credentials = requirePartnerCredentials(req, res);
+  if (!credentials) return;
+  const owned = rulesOwnedBy(credentials);
+  res.json({ ok: true, count: owned.length, rules: owned.map(serializeRule) });
+});
+
+app.get("/rules/:id", (req, res) => {
+  const credentials = requirePartnerCredentials(req, res);
+  if (!credentials) return;
+  const rule = rulesOwnedBy(credentials).find(r => r.id === req.params.id);
+  if (!rule) {
+    return res.status(404).json({ ok: false, error: "Rule not found" });
+  }
+  res.json({ ok: true, rule: serializeRule(rule) });
+});
+
+// Registers a rule; the first due occurrences are queued straight away
+app.post("/rules", (req, res) => {
+  console.log(`[REQ] POST /rules body=`, JSON.stringify({ ...(req.body || {}), password: undefined }));
+
+  const {
+    email,
+    password,
+    gymName,
+    weekdays,
+    targetTime, // Format: HH:mm or "8:00 am"
+    startDate = todayDate(), // Format: YYYY-MM-DD
+    weeks,
+    leadDays = RULE_LEAD_DAYS,
+    maxCharge = 0, // Price guard for every booking, as for POST /book
+    callbackUrl,
+    callbackSecret
+  } = req.body || {};
+
+  if (!email || !password || !gymName || !Array.isArray(weekdays) || weekdays.length === 0 || !targetTime ||
+      (!req.body?.endDate && !weeks)) {
+    return res.status(400).json({
+      ok: false,
+      error: "Missing required fields: email, password, gymName, weekdays, targetTime, and weeks or endDate"
+    });
+  }
+
+  const days = weekdays.map(parseWeekday);
+  if (days.includes(null)) {
+    return res.status(400).json({ ok: false, error: "weekdays must be day names (\"monday\", \"mon\") or numbers 0-6 (0 = Sunday)" });
   }
+  if (!parseClockTime(targetTime)) {
+    return res.status(400).json({ ok: false, error: "targetTime must look like \"7:00 am\" or \"19:00\"" });
+  }
+  if (weeks !== undefined && (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_RULE_WEEKS)) {
+    return res.status(400).json({ ok: false, error: `weeks must be a whole number from 1 to ${MAX_RULE_WEEKS}` });
+  }
+  if (!DATE_PATTERN.test(startDate)) {
+    return res.status(400).json({ ok: false, error: "startDate/endDate must be YYYY-MM-DD, with endDate on or after startDate" });
+  }
+  const endDate = req.body?.endDate || addDays(startDate, weeks * 7 - 1);
+  if (!DATE_PATTERN.test(endDate) || endDate < startDate) {
+    return res.status(400).json({ ok: false, error: "startDate/endDate must be YYYY-MM-DD, with endDate on or after startDate" });
+  }
+  if (datesBetween(startDate, endDate).length > MAX_RULE_DAYS) {
+    return res.status(400).json({ ok: false, error: `A rule can span at most ${MAX_RULE_DAYS} days` });
+  }
+  if (!Number.isInteger(leadDays) || leadDays < 0) {
+    return res.status(400).json({ ok: false, error: "leadDays must be a whole number of days (0 or more)" });
+  }
+  const { error: optionsError } = readBookingOptions({ maxCharge });
+  if (optionsError) {
+    return res.status(400).json({ ok: false, error: optionsError });
+  }
+  if (callbackUrl && !isValidCallbackUrl(callbackUrl)) {
+    return res.status(400).json({
+      ok: false,
+      error: "callbackUrl must be an https URL on a public host"
+    });
+  }
+
+  const rule = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    email,
+    password,
+    gymName,
+    weekdays: [...new Set(days)].sort(),
+    targetTime,
+    startDate,
+    endDate,
+    leadDays,
+    maxCharge,
+    callbackUrl: callbackUrl || null,
+    callbackSecret: callbackSecret || null,
+    occurrences: {}
+  };
+  rules.set(rule.id, rule);
+  logToFile(`[RULES] Rule ${rule.id} created: ${rule.weekdays.map(d => WEEKDAYS[d]).join('/')} at ${targetTime}, ${gymName}, ${startDate} to ${endDate}`);
+  tickRules();
+  saveRules();
+  res.status(201).json({ ok: true, rule: serializeRule(rule) });
 });
 
+// Deletes a rule. Occurrences already queued or running still finish.
+app.delete("/rules/:id", (req, res) => {
+  const credentials = requirePartnerCredentials(req, res);
+  if (!credentials) return;
+  const rule = rulesOwnedBy(credentials).find(r => r.id === req.params.id);
+  if (!rule) {
+    return res.status(404).json({ ok: false, error: "Rule not found" });
+  }
+  rules.delete(rule.id);
+  saveRules();
+  logToFile(`[RULES] Rule ${rule.id} deleted`);
+  res.json({ ok: true, deleted: rule.id });
+});
+
+loadRules();
+setInterval(tickRules, RULES_TICK_MS).unref();
+
 // Error handlers - log but allow server to continue
 process.on("unhandledRejection", (e) => {
   console.error("❌ unhandledRejection:", e);
@@ -27,10 +27,24 @@ const testBooking = async () => {
       body: JSON.stringify(testData),
     });
 
-    const result = await response.json();
-    
+    const accepted = await response.json();
     console.log("📊 Response status:", response.status);
-    console.log("📦 Response body:", JSON.stringify(result, null, 2));
+    console.log("🧾 Job:", JSON.stringify(accepted, null, 2));
+
+    if (!accepted.jobId) {
+      return;
+    }
+
+    // Poll the job until the booking finishes
+    let job;
+    do {
+      await new Promise((r) => setTimeout(r, 5000));
+      job = await (await fetch(`${baseUrl}/jobs/${accepted.jobId}`)).json();
+      console.log(`⏳ Job status: ${job.status}`);
+    } while (job.status === "queued" || job.status === "running");
+
+    const result = job.result || { ok: false, error: job.error };
+    console.log("📦 Result:", JSON.stringify(result, null, 2));
     
     if (result.screenshots && result.screenshots.length > 0) {
       console.log("\n📸 Screenshots available:");